@@ -4,6 +4,10 @@
  *
  * Tracks: page views, scroll depth, time on page, clicks, forms, videos,
  * rage clicks, exit intent, copy/paste, hover time, UTM params, and more.
+ *
+ * Served per site by /tracking.js?key=, built by src/services/trackerBuild.js:
+ * code between "// @feature <name>" and "// @end <name>" is left out unless
+ * the site has that feature enabled. This file as it stands has them all.
  */
 
 (function() {
@@ -13,10 +17,17 @@
   // Read site ID from script tag's data-site-id attribute
   const scriptTag = document.currentScript || document.querySelector('script[src*="tracking.js"]');
   const siteId = scriptTag ? (scriptTag.getAttribute('data-site-id') || '') : '';
+  // Session recording is opt-in: data-record="true", optionally data-record-sample="0.25"
+  const recordSessions = scriptTag ? scriptTag.getAttribute('data-record') === 'true' : false;
+  const recordSampleRate = scriptTag ? parseFloat(scriptTag.getAttribute('data-record-sample') || '1') : 1;
+  // Consent mode: data-consent="required" or "cookieless" (see CONSENT below)
+  const consentMode = scriptTag ? (scriptTag.getAttribute('data-consent') || '') : '';
 
   const CONFIG = {
     endpoint: 'https://website-journey-analytics.onrender.com/api/event',
+    batchEndpoint: 'https://website-journey-analytics.onrender.com/api/events/batch',
     pixelEndpoint: 'https://website-journey-analytics.onrender.com/p.gif',
+    replayEndpoint: 'https://website-journey-analytics.onrender.com/api/replay',
     trackingKey: '',                 // Will be injected by server
     siteId: siteId,                  // Site ID from data attribute
     heartbeatInterval: 30000,        // 30 seconds
@@ -26,33 +37,161 @@
     rageClickWindow: 500,            // 500ms window for rage click detection
     sectionViewThreshold: 1000,      // 1 second in viewport to count as viewed
     idleTimeout: 60000,              // 60 seconds of no activity = idle
+    batchSize: 10,                   // Send once this many events are waiting
+    batchInterval: 5000,             // ...or after 5 seconds
+    batchMaxEvents: 25,              // Events per request (keeps beacons under 64KB)
+    queueMaxEvents: 500,             // Unsent events kept across page loads
+    queueMaxAge: 24 * 60 * 60 * 1000, // Unsent events older than a day are dropped
+    retryMaxDelay: 60000,            // Retry backoff doubles from 2 seconds up to this
+    queueOrphanAge: 5 * 60 * 1000,   // Another page's unsent events are taken over after this long untouched
+    recordSessions: recordSessions,  // Session replay recording (opt-in)
+    recordSampleRate: isNaN(recordSampleRate) ? 1 : recordSampleRate,
+    recordFlushInterval: 5000,       // Send recorded events every 5 seconds
+    recordMaxEvents: 1000,           // ...or sooner once this many are buffered
+    recordMaxDuration: 30 * 60 * 1000, // Stop recording a page after 30 minutes
+    recordMoveInterval: 100,         // Mouse position sampled every 100ms
+    consentMode: consentMode,        // '' (no consent management), 'required' or 'cookieless'
+    routeRenderDelay: 250,           // Wait for a client-side route to render before its page view
   };
 
-  // ============ PIXEL TRACKING (fires immediately) ============
-  // Injects a 1x1 pixel to capture the visit even if JS tracking fails later
-  (function injectPixel() {
+  // ============ CONSENT ============
+  // data-consent on the script tag picks how the visitor's consent is handled:
+  //   (absent)      no consent management - persistent ids, as before
+  //   "required"    cookieless until consent is granted, by wjaConsent('granted')
+  //                 or a consent platform's dataLayer signal
+  //   "cookieless"  never stores anything on the device
+  // Without consent nothing is written to localStorage or sessionStorage and
+  // events go out without visitor or journey ids: the server groups them by a
+  // daily-rotating salted hash of IP address and user agent instead. Every
+  // event says which state it was sent under, so the server honours it too.
+  const CONSENT_KEY = 'wja_consent';
+  const consent = {
+    state: null,       // null (not managed), 'granted', 'denied', 'pending' or 'cookieless'
+    ready: false,      // init() has run - later changes switch tracking over
+  };
+
+  if (CONFIG.consentMode === 'cookieless') {
+    consent.state = 'cookieless';
+  } else if (CONFIG.consentMode === 'required') {
     try {
-      // Check for cross-domain params first
-      const urlParams = new URLSearchParams(window.location.search);
-      const crossVisitorId = urlParams.get('_wja_vid');
-      const crossJourneyId = urlParams.get('_wja_jid');
+      consent.state = localStorage.getItem(CONSENT_KEY) === 'granted' ? 'granted' : 'pending';
+    } catch (e) {
+      consent.state = 'pending';
+    }
+  }
 
-      const visitorId = crossVisitorId || localStorage.getItem('wja_visitor_id') || 'pxl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-      const journeyId = crossJourneyId || sessionStorage.getItem('wja_journey_id') || 'pxl_jrn_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  // Persistent ids and storage are allowed
+  function canStore() {
+    return consent.state === null || consent.state === 'granted';
+  }
 
-      // Store IDs (including cross-domain ones so JS tracking uses same IDs)
-      localStorage.setItem('wja_visitor_id', visitorId);
-      sessionStorage.setItem('wja_journey_id', journeyId);
+  // wjaConsent('granted' | 'denied'); with no argument returns the current state
+  function setConsent(value) {
+    if (CONFIG.consentMode !== 'required' || (value !== 'granted' && value !== 'denied')) {
+      return consent.state;
+    }
+    if (value === consent.state) return consent.state;
+    consent.state = value;
 
+    if (value === 'granted') {
+      try {
+        localStorage.setItem(CONSENT_KEY, 'granted');
+      } catch (e) {
+        // Storage blocked - consent lasts for this page
+      }
+      if (consent.ready) onConsentGranted();
+    } else {
+      clearStoredData();
+      if (consent.ready) onConsentDenied();
+    }
+    return consent.state;
+  }
+
+  // Everything the tracker keeps on the device, removed when consent is withdrawn
+  function clearStoredData() {
+    try {
+      ['wja_visitor_id', 'wja_visit_count', CONSENT_KEY].forEach(function(key) {
+        localStorage.removeItem(key);
+      });
+      Object.keys(localStorage).forEach(function(key) {
+        if (key.indexOf('wja_event_queue') === 0) localStorage.removeItem(key);  // Every page's queue
+      });
+      Object.keys(sessionStorage).forEach(function(key) {
+        if (key.indexOf('wja_') === 0) sessionStorage.removeItem(key);
+      });
+    } catch (e) {
+      // Storage blocked - nothing was stored
+    }
+  }
+
+  // Consent platforms report through the dataLayer: Google consent mode
+  // (gtag('consent', ...), which CMPs such as Cookiebot, CookieYes and Civic
+  // drive), OneTrust's group updates and Cookiebot's statistics event
+  function consentFromDataLayer(item) {
+    if (!item) return null;
+    if (item[0] === 'consent' && item[2] && item[2].analytics_storage) {
+      const granted = item[2].analytics_storage === 'granted';
+      // A 'default' of denied is pushed on every page before the CMP's update - not a withdrawal
+      if (item[1] === 'update' || (item[1] === 'default' && granted)) return granted ? 'granted' : 'denied';
+      return null;
+    }
+    if (item.event === 'OneTrustGroupsUpdated' && typeof item.OnetrustActiveGroups === 'string') {
+      // C0002 is OneTrust's Performance (analytics) category
+      return item.OnetrustActiveGroups.indexOf(',C0002,') !== -1 ? 'granted' : 'denied';
+    }
+    if (item.event === 'cookie_consent_statistics') return 'granted';
+    return null;
+  }
+
+  function watchConsentSignals() {
+    if (CONFIG.consentMode !== 'required') return;
+    const dataLayer = window.dataLayer = window.dataLayer || [];
+    const apply = function(item) {
+      const value = consentFromDataLayer(item);
+      if (value) setConsent(value);
+    };
+
+    // Signals pushed before this script loaded, then any that follow
+    Array.prototype.forEach.call(dataLayer, apply);
+    const push = dataLayer.push;
+    dataLayer.push = function() {
+      const result = push.apply(dataLayer, arguments);
+      Array.prototype.forEach.call(arguments, apply);
+      return result;
+    };
+  }
+
+  watchConsentSignals();
+
+  // ============ PIXEL TRACKING (fires immediately) ============
+  // Injects a 1x1 pixel to capture the visit even if JS tracking fails later
+  (function injectPixel() {
+    try {
       const params = new URLSearchParams({
         k: CONFIG.trackingKey,
         p: window.location.href,
         r: document.referrer || '',
-        t: document.title || '',
-        v: visitorId,
-        j: journeyId
+        t: document.title || ''
       });
 
+      if (canStore()) {
+        // Check for cross-domain params first
+        const urlParams = new URLSearchParams(window.location.search);
+        const crossVisitorId = urlParams.get('_wja_vid');
+        const crossJourneyId = urlParams.get('_wja_jid');
+
+        const visitorId = crossVisitorId || localStorage.getItem('wja_visitor_id') || 'pxl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const journeyId = crossJourneyId || sessionStorage.getItem('wja_journey_id') || 'pxl_jrn_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        // Store IDs (including cross-domain ones so JS tracking uses same IDs)
+        localStorage.setItem('wja_visitor_id', visitorId);
+        sessionStorage.setItem('wja_journey_id', journeyId);
+
+        params.set('v', visitorId);
+        params.set('j', journeyId);
+      }
+      if (consent.state) params.set('c', consent.state);
+
       const img = new Image(1, 1);
       img.style.cssText = 'position:absolute;width:1px;height:1px;opacity:0;pointer-events:none;';
       img.src = CONFIG.pixelEndpoint + '?' + params.toString();
@@ -77,6 +216,8 @@
     visitNumber: 1,
     deviceInfo: {},
     utmParams: {},
+    pageUrl: window.location.href,   // Changes with client-side routes (see SPA NAVIGATION)
+    pageReferrer: document.referrer || null,
     pageLoadTime: Date.now(),
     lastActivity: Date.now(),
     scrollDepthReached: new Set(),
@@ -170,6 +311,338 @@
     return indicators;
   }
 
+  // The checks above go out with the first page view. Collector modules below
+  // register here to add their own indicators to page views, heartbeats and
+  // exits (analysed by services/botDetection.js): collect(indicators, eventType, first)
+  const BOT_INDICATOR_EVENTS = { page_view: true, heartbeat: true, time_on_page: true, page_exit: true };
+  const botCollectors = [];
+
+  function collectBotIndicators(eventType) {
+    const first = eventType === 'page_view' && !state.botIndicatorsSent;
+    const indicators = first ? detectBotIndicators() : {};
+    botCollectors.forEach(collect => collect(indicators, eventType, first));
+    if (first) state.botIndicatorsSent = true;
+    return indicators;
+  }
+
+  // @feature fingerprint
+  // ============ FINGERPRINT ============
+  // Headless browsers draw canvas and WebGL differently (software renderers
+  // such as SwiftShader, missing WebGL, blank canvases). Without consent the
+  // canvas and WebGL hashes, which could single out a device, are reduced to
+  // whether they could be drawn.
+  function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash) + str.charCodeAt(i);
+      hash = hash & hash;
+    }
+    return hash.toString(16);
+  }
+
+  function getFingerprint() {
+    const fp = {
+      canvas: null,
+      webgl: null,
+      webglVendor: null,
+      webglRenderer: null,
+      screenRes: window.screen.width + 'x' + window.screen.height,
+      colorDepth: window.screen.colorDepth,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      language: navigator.language,
+      platform: navigator.platform,
+      cookiesEnabled: navigator.cookieEnabled,
+      doNotTrack: navigator.doNotTrack,
+    };
+
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 200;
+      canvas.height = 50;
+      const ctx = canvas.getContext('2d');
+      ctx.textBaseline = 'top';
+      ctx.font = '14px Arial';
+      ctx.fillStyle = '#f60';
+      ctx.fillRect(125, 1, 62, 20);
+      ctx.fillStyle = '#069';
+      ctx.fillText('Bot Detection Test', 2, 15);
+      ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+      ctx.fillText('Bot Detection Test', 4, 17);
+
+      const dataUrl = canvas.toDataURL();
+      fp.canvas = canStore() ? hashString(dataUrl) : true;
+      // Headless browsers often return an empty or tiny image
+      if (dataUrl === 'data:,' || dataUrl.length < 1000) fp.canvasSuspicious = true;
+    } catch (e) {
+      fp.canvasError = true;
+    }
+
+    try {
+      const gl = document.createElement('canvas').getContext('webgl');
+      if (gl) {
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        if (debugInfo) {
+          fp.webglVendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
+          fp.webglRenderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+          if (!fp.webglRenderer || /SwiftShader|llvmpipe/.test(fp.webglRenderer)) {
+            fp.webglSuspicious = true;
+          }
+        }
+        const params = [
+          gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+          gl.getParameter(gl.MAX_VERTEX_UNIFORM_VECTORS),
+          gl.getParameter(gl.MAX_VARYING_VECTORS),
+          gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS),
+          gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        ];
+        fp.webgl = canStore() ? hashString(params.join(',')) : true;
+      } else {
+        fp.webglMissing = true;
+      }
+    } catch (e) {
+      fp.webglError = true;
+    }
+
+    return fp;
+  }
+
+  botCollectors.push(function(indicators, eventType, first) {
+    if (first) indicators.fingerprint = getFingerprint();
+  });
+  // @end fingerprint
+
+  // @feature js_challenge
+  // ============ JS CHALLENGE ============
+  // Checks a real browser passes without effort: DOM parsing, timing APIs,
+  // event handlers, storage and requestAnimationFrame, plus a short loop
+  // whose duration is implausible in emulated or throttled environments
+  function runJsChallenge() {
+    const failures = [];
+
+    try {
+      const el = document.createElement('div');
+      el.innerHTML = '<span>test</span>';
+      if (el.firstChild.tagName !== 'SPAN') failures.push('dom_manipulation');
+    } catch (e) {
+      failures.push('dom_error');
+    }
+
+    try {
+      if (!window.performance || typeof performance.now() !== 'number') failures.push('performance_api');
+    } catch (e) {
+      failures.push('performance_error');
+    }
+
+    try {
+      if (!('onload' in window && 'onclick' in document.body)) failures.push('event_handling');
+    } catch (e) {
+      failures.push('event_error');
+    }
+
+    // Nothing is written to the device without consent
+    if (canStore()) {
+      try {
+        const key = 'wja_test_' + Date.now();
+        sessionStorage.setItem(key, '1');
+        const value = sessionStorage.getItem(key);
+        sessionStorage.removeItem(key);
+        if (value !== '1') failures.push('storage');
+      } catch (e) {
+        // Storage blocked is normal in private browsing
+      }
+    }
+
+    if (typeof window.requestAnimationFrame !== 'function') failures.push('raf');
+
+    const passed = failures.length === 0;
+    const start = performance.now();
+    let sum = 0;
+    for (let i = 0; i < 10000; i++) sum += Math.sqrt(i);
+    const duration = performance.now() - start;
+    const timingAnomaly = duration < 1 || duration > 100;
+    if (timingAnomaly) failures.push('timing_anomaly');
+
+    return { jsChallengePassed: passed, jsChallengeFailures: failures, timingAnomaly: timingAnomaly };
+  }
+
+  botCollectors.push(function(indicators, eventType, first) {
+    if (first) Object.assign(indicators, runJsChallenge());
+  });
+  // @end js_challenge
+
+  // @feature behaviour
+  // ============ MOUSE & SCROLL PATTERNS ============
+  // People move the mouse in curves at uneven intervals and scroll in bursts,
+  // changing direction; scripts move in straight lines or not at all and
+  // scroll at a constant rate. Summaries of both go out with heartbeats and
+  // exits. Touch-only devices have no mouse, so they send scroll patterns only.
+  const mouseData = {
+    movements: [],       // First 50 movements
+    clicks: 0,
+    lastX: null,
+    lastY: null,
+    lastMoveTime: 0,
+    totalDistance: 0,
+    straightLineCount: 0,
+    curveCount: 0,
+    maxSpeed: 0,
+  };
+  const scrollData = {
+    events: [],          // First 30 scrolls
+    lastScrollY: 0,
+    lastScrollTime: Date.now(),
+    bursts: 0,
+    uniformScrolls: 0,
+    maxSpeed: 0,
+    directionChanges: 0,
+    lastDirection: 0,
+  };
+  const hasMouse = !!(window.matchMedia && window.matchMedia('(pointer: fine)').matches);
+
+  // Standard deviation of the gaps between samples, in ms
+  function timingVariance(times) {
+    if (times.length < 2) return 0;
+    const avg = times.reduce((a, b) => a + b, 0) / times.length;
+    return Math.sqrt(times.reduce((total, t) => total + Math.pow(t - avg, 2), 0) / times.length);
+  }
+
+  function trackBehaviourPatterns() {
+    document.addEventListener('mousemove', function(e) {
+      const now = Date.now();
+      if (mouseData.lastX !== null) {
+        const dx = e.clientX - mouseData.lastX;
+        const dy = e.clientY - mouseData.lastY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const time = now - mouseData.lastMoveTime;
+        const speed = time > 0 ? distance / time : 0;
+
+        mouseData.totalDistance += distance;
+        mouseData.maxSpeed = Math.max(mouseData.maxSpeed, speed);
+        if (mouseData.movements.length < 50) mouseData.movements.push({ speed: speed, time: time });
+        // A curve moves on both axes, a straight line on one
+        if (Math.abs(dx) < 3 || Math.abs(dy) < 3) {
+          mouseData.straightLineCount++;
+        } else {
+          mouseData.curveCount++;
+        }
+      }
+      mouseData.lastX = e.clientX;
+      mouseData.lastY = e.clientY;
+      mouseData.lastMoveTime = now;
+    }, { passive: true });
+
+    document.addEventListener('click', function() {
+      mouseData.clicks++;
+    }, { passive: true });
+
+    window.addEventListener('scroll', function() {
+      const now = Date.now();
+      const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+      const delta = scrollY - scrollData.lastScrollY;
+      const time = now - scrollData.lastScrollTime;
+      const direction = delta > 0 ? 1 : -1;
+
+      scrollData.maxSpeed = Math.max(scrollData.maxSpeed, time > 0 ? Math.abs(delta) / time : 0);
+      if (scrollData.lastDirection && direction !== scrollData.lastDirection) scrollData.directionChanges++;
+      scrollData.lastDirection = direction;
+      if (time < 100) scrollData.bursts++;
+      if (scrollData.events.length < 30) {
+        const previous = scrollData.events[scrollData.events.length - 1];
+        if (previous && Math.abs(previous.time - time) < 5) scrollData.uniformScrolls++;
+        scrollData.events.push({ time: time });
+      }
+      scrollData.lastScrollY = scrollY;
+      scrollData.lastScrollTime = now;
+    }, { passive: true });
+  }
+
+  function getMousePatterns() {
+    const moves = mouseData.movements;
+    const total = mouseData.straightLineCount + mouseData.curveCount;
+    const straightRatio = total > 0 ? mouseData.straightLineCount / total : 0;
+    const avgSpeed = moves.length > 0 ? moves.reduce((sum, m) => sum + m.speed, 0) / moves.length : 0;
+    const variance = timingVariance(moves.map(m => m.time));
+
+    return {
+      totalMovements: moves.length,
+      totalClicks: mouseData.clicks,
+      totalDistance: Math.round(mouseData.totalDistance),
+      straightLineRatio: straightRatio.toFixed(2),
+      avgSpeed: avgSpeed.toFixed(2),
+      maxSpeed: mouseData.maxSpeed.toFixed(2),
+      timingVariance: variance.toFixed(2),
+      noMovement: moves.length === 0,
+      tooStraight: straightRatio > 0.9,
+      uniformTiming: variance < 10 && moves.length > 5,
+    };
+  }
+
+  function getScrollPatterns() {
+    const total = scrollData.events.length;
+    const variance = timingVariance(scrollData.events.map(s => s.time));
+
+    return {
+      totalScrolls: total,
+      burstCount: scrollData.bursts,
+      uniformCount: scrollData.uniformScrolls,
+      maxSpeed: scrollData.maxSpeed.toFixed(2),
+      timingVariance: variance.toFixed(2),
+      directionChanges: scrollData.directionChanges,
+      noScroll: total === 0,
+      tooUniform: variance < 5 && total > 5,
+      noDirectionChange: scrollData.directionChanges === 0 && total > 5,
+    };
+  }
+
+  botCollectors.push(function(indicators, eventType) {
+    if (eventType === 'page_view') return;
+    if (hasMouse) indicators.mousePatterns = getMousePatterns();
+    indicators.scrollPatterns = getScrollPatterns();
+  });
+  // @end behaviour
+
+  // @feature honeypot
+  // ============ HONEYPOT ============
+  // Links and a form field placed off-screen and hidden from assistive
+  // technology: no person can reach them, so touching one marks a bot.
+  // Clicks on them are not tracked as the visitor's (see CLICK TRACKING).
+  let honeypotSprung = false;
+
+  function injectHoneypots() {
+    const hide = 'position:absolute;left:-9999px;top:-9999px;width:1px;height:1px;overflow:hidden;opacity:0;';
+    const trap = document.createElement('div');
+    trap.setAttribute('data-wja-honeypot', '');
+    trap.setAttribute('aria-hidden', 'true');
+    trap.style.cssText = hide;
+    trap.innerHTML =
+      '<a href="/wp-admin/secret-page-do-not-click" tabindex="-1">Admin</a>' +
+      '<a href="/admin-login" tabindex="-1">Login</a>' +
+      '<a href="/sitemap-hidden.xml" tabindex="-1">Sitemap</a>' +
+      '<input type="text" name="website_url" tabindex="-1" autocomplete="off">';
+    document.body.appendChild(trap);
+
+    trap.querySelectorAll('a').forEach(function(link) {
+      link.addEventListener('click', function(e) {
+        e.preventDefault();
+        reportHoneypot('honeypot_click', link.getAttribute('href'));
+      });
+    });
+    trap.querySelector('input').addEventListener('input', function() {
+      reportHoneypot('honeypot_input', 'form_field');
+    });
+  }
+
+  function reportHoneypot(signal, detail) {
+    const first = !honeypotSprung;
+    honeypotSprung = true;
+    if (first) sendEvent('error', { botSignal: signal, detail: detail, botIndicators: { honeypotClicked: true } });
+  }
+
+  botCollectors.push(function(indicators) {
+    if (honeypotSprung) indicators.honeypotClicked = true;
+  });
+  // @end honeypot
+
   // ============ UTILITIES ============
   function generateId(prefix) {
     return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -184,7 +657,9 @@
     };
   }
 
+  // Both return null without consent - the server assigns cookieless ids
   function getVisitorId() {
+    if (!canStore()) return null;
     if (!state.visitorId) {
       // Priority: 1) URL param (cross-domain), 2) localStorage, 3) generate new
       const crossDomain = getCrossdomainParams();
@@ -203,6 +678,7 @@
   }
 
   function getJourneyId() {
+    if (!canStore()) return null;
     if (!state.journeyId) {
       // Priority: 1) URL param (cross-domain), 2) sessionStorage, 3) generate new
       const crossDomain = getCrossdomainParams();
@@ -229,6 +705,7 @@
 
   // Decorate a URL with cross-domain tracking parameters
   function decorateUrl(url) {
+    if (!canStore()) return url;
     try {
       const urlObj = new URL(url, window.location.origin);
       urlObj.searchParams.set('_wja_vid', getVisitorId());
@@ -327,7 +804,8 @@
         if (value) state.utmParams[key] = value;
       });
 
-      // Store UTM params for the session
+      // Store UTM params for the session (this page only without consent)
+      if (!canStore()) return state.utmParams;
       if (Object.keys(state.utmParams).length > 0) {
         sessionStorage.setItem('wja_utm', JSON.stringify(state.utmParams));
       } else {
@@ -345,6 +823,19 @@
     return scrollHeight > 0 ? Math.round((scrollTop / scrollHeight) * 100) : 0;
   }
 
+  // Document-relative click position plus the page and viewport size it was
+  // measured against, so the heatmap can place it on a page screenshot
+  function getClickCoordinates(e) {
+    return {
+      x: Math.round(e.pageX),
+      y: Math.round(e.pageY),
+      page_width: document.documentElement.scrollWidth,
+      page_height: document.documentElement.scrollHeight,
+      viewport_width: window.innerWidth,
+      viewport_height: window.innerHeight,
+    };
+  }
+
   function getElementSelector(el) {
     if (!el) return null;
     if (el.id) return '#' + el.id;
@@ -373,18 +864,19 @@
       utm: Object.keys(utmParams).length > 0 ? utmParams : undefined,
     };
 
-    // Include bot indicators on page_view events (first event detection)
-    if (eventType === 'page_view' && !state.botIndicatorsSent) {
-      metadata.botIndicators = detectBotIndicators();
-      state.botIndicatorsSent = true;
+    // Bot indicators: the full set on the first page view, collector
+    // updates on later page views, heartbeats and exits
+    if (BOT_INDICATOR_EVENTS[eventType]) {
+      const indicators = collectBotIndicators(eventType);
+      if (Object.keys(indicators).length > 0) metadata.botIndicators = indicators;
     }
 
     const payload = {
       visitor_id: getVisitorId(),
       journey_id: getJourneyId(),
       event_type: eventType,
-      page_url: window.location.href,
-      referrer: document.referrer || null,
+      page_url: state.pageUrl,
+      referrer: state.pageReferrer,
       device_type: deviceInfo.type,
       user_agent: navigator.userAgent,  // Full User-Agent for bot detection
       occurred_at: new Date().toISOString(),
@@ -392,26 +884,230 @@
       site_id: CONFIG.siteId ? parseInt(CONFIG.siteId, 10) : null,  // Site ID from data attribute
       metadata
     };
+    if (consent.state) payload.consent = consent.state;
 
     // Copy top-level fields if provided
     if (data.intent_type) payload.intent_type = data.intent_type;
     if (data.cta_label) payload.cta_label = data.cta_label;
 
-    const jsonData = JSON.stringify(payload);
+    enqueueEvent(payload);
+  }
 
-    if (navigator.sendBeacon) {
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      navigator.sendBeacon(CONFIG.endpoint, blob);
-    } else {
-      fetch(CONFIG.endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: jsonData,
-        keepalive: true
-      }).catch(() => {});
+  // ============ EVENT QUEUE ============
+  // Events are buffered and sent to /api/events/batch in batches: once
+  // batchSize are waiting, after batchInterval, straight away for clicks and
+  // form submits, and by sendBeacon when the page is hidden or unloads. The
+  // queue lives in localStorage, so events that could not be sent (offline,
+  // server errors) survive to the next page load; failed sends are retried
+  // with backoff. Each event carries stream_id (one per page load) and seq,
+  // so the server drops events it already has and can spot missing ones.
+  // Each page stores its queue under its own key (wja_event_queue:<stream>),
+  // so tabs open side by side never overwrite each other's events; a page
+  // takes over the queues of pages that have closed, or that have not touched
+  // theirs for queueOrphanAge (a crashed tab). Without consent the queue is
+  // kept in memory for this page only.
+  const QUEUE_KEY = 'wja_event_queue';
+  const IMMEDIATE_EVENTS = { cta_click: true, download_click: true, external_link: true, form_submit: true };
+  const queue = {
+    streamId: generateId('str'),
+    nextSeq: 0,
+    memory: [],          // Used when localStorage is unavailable or without consent
+    persistent: canStore(),
+    inFlight: {},        // "stream:seq" of events this page is sending
+    timer: null,
+    retryDelay: 0,
+    retryAt: 0,
+    hidden: false,
+    closed: false,       // Set on pagehide so the next page takes over what is left
+  };
+  const STORAGE_KEY = QUEUE_KEY + ':' + queue.streamId;
+
+  function queueKey(event) {
+    return event.stream_id + ':' + event.seq;
+  }
+
+  // A stored queue's events; older trackers stored a bare array under QUEUE_KEY
+  function storedEvents(stored) {
+    const events = Array.isArray(stored) ? stored : (stored && stored.events);
+    const cutoff = Date.now() - CONFIG.queueMaxAge;
+    return Array.isArray(events) ? events.filter(e => e && Date.parse(e.occurred_at) > cutoff) : [];
+  }
+
+  function loadQueue() {
+    if (!queue.persistent) return queue.memory.slice();
+    try {
+      return storedEvents(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'));
+    } catch (e) {
+      return queue.memory.slice();
+    }
+  }
+
+  function saveQueue(events) {
+    queue.memory = events.slice(-CONFIG.queueMaxEvents);
+    if (!queue.persistent) return;
+    try {
+      if (queue.memory.length > 0) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+          touched: Date.now(),
+          closed: queue.closed,
+          events: queue.memory
+        }));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (e) {
+      queue.persistent = false;  // Storage full or blocked - keep events for this page only
+    }
+  }
+
+  // Move the unsent events of closed (or long untouched) pages into this
+  // page's queue. They keep their stream_id and seq, so if the other page
+  // was still alive and sends them too the server stores them once.
+  function adoptOrphanedQueues() {
+    if (!queue.persistent) return;
+    try {
+      const orphaned = [];
+      Object.keys(localStorage).forEach(function(key) {
+        if (key.indexOf(QUEUE_KEY) !== 0 || key === STORAGE_KEY) return;
+        const stored = JSON.parse(localStorage.getItem(key) || 'null');
+        const abandoned = Array.isArray(stored) || !stored || stored.closed ||
+          !(Date.now() - stored.touched < CONFIG.queueOrphanAge);
+        if (!abandoned) return;
+        orphaned.push.apply(orphaned, storedEvents(stored));
+        localStorage.removeItem(key);
+      });
+      if (orphaned.length > 0) saveQueue(orphaned.concat(loadQueue()));
+    } catch (e) {
+      // Unreadable queues stay where they are
     }
   }
 
+  function removeFromQueue(sent) {
+    const keys = {};
+    sent.forEach(e => { keys[queueKey(e)] = true; });
+    saveQueue(loadQueue().filter(e => !keys[queueKey(e)]));
+  }
+
+  function enqueueEvent(payload) {
+    payload.stream_id = queue.streamId;
+    payload.seq = queue.nextSeq++;
+
+    const events = loadQueue();
+    events.push(payload);
+    saveQueue(events);
+
+    if (queue.hidden || IMMEDIATE_EVENTS[payload.event_type] || events.length >= CONFIG.batchSize) {
+      flushEvents();
+    } else if (!queue.timer) {
+      queue.timer = setTimeout(flushEvents, CONFIG.batchInterval);
+    }
+  }
+
+  function nextBatch() {
+    return loadQueue().filter(e => !queue.inFlight[queueKey(e)]).slice(0, CONFIG.batchMaxEvents);
+  }
+
+  function flushEvents() {
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    // Leaving the page: fetch may not finish, sendBeacon will
+    if (queue.hidden) {
+      beaconEvents();
+      return;
+    }
+
+    const batch = nextBatch();
+    if (batch.length === 0) return;
+
+    // Backing off after a failure - the retry timer will send these
+    if (Date.now() < queue.retryAt) {
+      queue.timer = setTimeout(flushEvents, queue.retryAt - Date.now());
+      return;
+    }
+
+    batch.forEach(e => { queue.inFlight[queueKey(e)] = true; });
+    const done = () => batch.forEach(e => { delete queue.inFlight[queueKey(e)]; });
+
+    // A click or submit usually leaves the page before the response arrives,
+    // which would keep its batch stored for the next page to send again. Such
+    // a batch comes out of storage now and goes back if the send fails.
+    const leaving = batch.some(e => IMMEDIATE_EVENTS[e.event_type]) ? batch : [];
+    if (leaving.length > 0) removeFromQueue(leaving);
+
+    // text/plain keeps this a simple request (no CORS preflight); the server parses it as JSON
+    fetch(CONFIG.batchEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ events: batch }),
+      keepalive: true  // Let a send started by a click finish if the page navigates
+    }).then(function(response) {
+      // Other 4xx responses would fail the same way again, so those events are dropped
+      if (response.status === 429 || response.status >= 500) throw new Error('HTTP ' + response.status);
+      done();
+      removeFromQueue(batch);
+      queue.retryDelay = 0;
+      queue.retryAt = 0;
+      if (nextBatch().length > 0) flushEvents();
+    }).catch(function() {
+      done();
+      if (leaving.length > 0) saveQueue(leaving.concat(loadQueue()));
+      queue.retryDelay = Math.min(CONFIG.retryMaxDelay, (queue.retryDelay || 1000) * 2);
+      queue.retryAt = Date.now() + queue.retryDelay;
+      queue.timer = setTimeout(flushEvents, queue.retryDelay);
+    });
+  }
+
+  function beaconEvents() {
+    if (!navigator.sendBeacon) return;
+    const events = loadQueue().filter(e => !queue.inFlight[queueKey(e)]);
+    const sent = [];
+
+    for (let i = 0; i < events.length; i += CONFIG.batchMaxEvents) {
+      const batch = events.slice(i, i + CONFIG.batchMaxEvents);
+      const blob = new Blob([JSON.stringify({ events: batch })], { type: 'text/plain' });
+      // false means the browser would not take it (quota) - leave the rest queued
+      if (!navigator.sendBeacon(CONFIG.batchEndpoint, blob)) break;
+      sent.push.apply(sent, batch);
+    }
+    removeFromQueue(sent);
+  }
+
+  function setupEventQueue() {
+    queue.persistent = canStore();  // Consent may have arrived since the page started
+
+    // Events left over from earlier pages go out with this page's first batch
+    adoptOrphanedQueues();
+    if (loadQueue().length > 0) {
+      queue.timer = setTimeout(flushEvents, CONFIG.batchInterval);
+    }
+
+    window.addEventListener('online', function() {
+      queue.retryAt = 0;
+      flushEvents();
+    });
+
+    document.addEventListener('visibilitychange', function() {
+      queue.hidden = document.visibilityState === 'hidden';
+      if (queue.hidden) flushEvents();
+    });
+
+    window.addEventListener('pagehide', function() {
+      queue.hidden = true;
+      queue.closed = true;
+      flushEvents();
+      saveQueue(loadQueue());  // Mark what the beacons could not take as closed
+    });
+
+    // Back from the back/forward cache: this page owns its queue again
+    window.addEventListener('pageshow', function(event) {
+      if (!event.persisted) return;
+      queue.closed = false;
+      queue.hidden = false;
+      saveQueue(loadQueue());
+    });
+  }
+
   // ============ PAGE VIEW & LOAD ============
   function trackPageView() {
     sendEvent('page_view', {
@@ -468,6 +1164,8 @@
               depth_percent: threshold,
               actual_percent: percent,
               scroll_behaviour: state.scrollBehaviour || 'unknown',
+              page_height: document.documentElement.scrollHeight,
+              viewport_height: window.innerHeight,
             });
           }
         });
@@ -479,7 +1177,7 @@
   function trackSectionViews() {
     if (!('IntersectionObserver' in window)) return;
 
-    const sections = document.querySelectorAll('section, [data-track-section], .track-section, article, main > div');
+    let sections = document.querySelectorAll('section, [data-track-section], .track-section, article, main > div');
 
     const observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
@@ -502,11 +1200,24 @@
     }, { threshold: 0.5 });
 
     sections.forEach(section => observer.observe(section));
+
+    // A new route: drop pending views from the last one and watch its sections
+    onPageExit(function() {
+      observer.disconnect();
+      sections.forEach(section => clearTimeout(section._viewTimer));
+    });
+    onPageEnter(function() {
+      sections = document.querySelectorAll('section, [data-track-section], .track-section, article, main > div');
+      sections.forEach(section => observer.observe(section));
+    });
   }
 
   // ============ CLICK TRACKING ============
   function trackClicks() {
     document.addEventListener('click', function(e) {
+      // Honeypot traps report themselves (see HONEYPOT)
+      if (e.target.closest && e.target.closest('[data-wja-honeypot]')) return;
+
       const now = Date.now();
       state.lastActivity = now;
 
@@ -529,6 +1240,7 @@
             click_count: state.clickTimes.length,
             element: getElementSelector(e.target),
             position: { x: e.clientX, y: e.clientY },
+            click: getClickCoordinates(e),
           });
         }
         state.clickTimes = [];
@@ -551,7 +1263,6 @@
           intentType = 'download';
         }
 
-        // Send event immediately - sendBeacon survives page unload
         const payload = {
           cta_label: text,
           intent_type: intentType,
@@ -559,27 +1270,11 @@
           href: href || '',
           is_external: isExternal,
           position: { x: e.clientX, y: e.clientY },
+          click: getClickCoordinates(e),
         };
 
-        // Use sendBeacon directly for critical CTA clicks to ensure delivery
-        try {
-          const fullPayload = {
-            event_type: eventType,
-            page_url: window.location.href,
-            referrer: document.referrer || '',
-            timestamp: new Date().toISOString(),
-            visitor_id: state.visitorId,
-            journey_id: state.journeyId,
-            device_type: /Mobile|Android|iPhone/i.test(navigator.userAgent) ? 'mobile' : 'desktop',
-            site_id: CONFIG.siteId ? parseInt(CONFIG.siteId, 10) : null,
-            ...payload
-          };
-          const blob = new Blob([JSON.stringify(fullPayload)], { type: 'application/json' });
-          navigator.sendBeacon(CONFIG.endpoint, blob);
-        } catch (err) {
-          // Fallback to regular sendEvent
-          sendEvent(eventType, payload);
-        }
+        // Sent straight away (see IMMEDIATE_EVENTS) - the click may be leaving the page
+        sendEvent(eventType, payload);
       }
 
       // Accordion/Tab clicks
@@ -593,10 +1288,28 @@
     }, true);
   }
 
+  // @feature school_intents
+  // School admissions wording: open days and tasters are visits, "find out
+  // more" is an enquiry, and links to prospectus and booking apps count by URL
+  function detectSchoolIntent(combined) {
+    if (/prospectus|brochure/i.test(combined)) return 'prospectus';
+    if (/book\s*(now|your|a|place)|visit\s*us|open\s*(day|morning|evening)|taster|smart-bookings/i.test(combined)) return 'book_visit';
+    if (/enquir|get\s*in\s*touch|find\s*out\s*more|intent=enquiry/i.test(combined)) return 'enquire';
+    if (/apply|application|register/i.test(combined)) return 'apply';
+    if (/contact|call\s*us|email\s*us/i.test(combined)) return 'contact';
+    return null;
+  }
+  // @end school_intents
+
   function detectIntent(text, href) {
     const t = (text || '').toLowerCase();
     const h = (href || '').toLowerCase();
 
+    // @feature school_intents
+    const schoolIntent = detectSchoolIntent(t + ' ' + h);
+    if (schoolIntent) return schoolIntent;
+    // @end school_intents
+
     if (/demo|trial|free/i.test(t + h)) return 'demo';
     if (/contact|enquir|get.in.touch/i.test(t + h)) return 'contact';
     if (/book|visit|tour|schedule/i.test(t + h)) return 'book_visit';
@@ -703,29 +1416,32 @@
   }
 
   function trackFormAbandonment() {
-    window.addEventListener('beforeunload', function() {
-      state.formFields.forEach((fields, formId) => {
-        let hasIncomplete = false;
-        let completedCount = 0;
-        let lastField = null;
-
-        fields.forEach((data, fieldName) => {
-          if (data.completed) {
-            completedCount++;
-          } else if (data.focusTime) {
-            hasIncomplete = true;
-            lastField = fieldName;
-          }
-        });
+    window.addEventListener('beforeunload', reportFormAbandonment);
+    onPageExit(reportFormAbandonment);
+  }
 
-        if (hasIncomplete && completedCount > 0) {
-          sendEvent('form_abandon', {
-            form_id: formId,
-            fields_completed: completedCount,
-            last_field: lastField,
-          });
+  function reportFormAbandonment() {
+    state.formFields.forEach((fields, formId) => {
+      let hasIncomplete = false;
+      let completedCount = 0;
+      let lastField = null;
+
+      fields.forEach((data, fieldName) => {
+        if (data.completed) {
+          completedCount++;
+        } else if (data.focusTime) {
+          hasIncomplete = true;
+          lastField = fieldName;
         }
       });
+
+      if (hasIncomplete && completedCount > 0) {
+        sendEvent('form_abandon', {
+          form_id: formId,
+          fields_completed: completedCount,
+          last_field: lastField,
+        });
+      }
     });
   }
 
@@ -782,6 +1498,8 @@
         });
       }
     });
+
+    onPageEnter(function() { exitIntentFired = false; });
   }
 
   // ============ COPY/PASTE TRACKING ============
@@ -862,7 +1580,7 @@
   function trackImageViews() {
     if (!('IntersectionObserver' in window)) return;
 
-    const images = document.querySelectorAll('img[data-track], .hero img, .banner img, [data-track-image]');
+    const selector = 'img[data-track], .hero img, .banner img, [data-track-image]';
 
     const observer = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
@@ -880,7 +1598,10 @@
       });
     }, { threshold: 0.5 });
 
-    images.forEach(img => observer.observe(img));
+    document.querySelectorAll(selector).forEach(img => observer.observe(img));
+    onPageEnter(function() {
+      document.querySelectorAll(selector).forEach(img => observer.observe(img));
+    });
   }
 
   // ============ HEARTBEAT ============
@@ -962,6 +1683,7 @@
     });
   }
 
+  // @feature ux
   // ============ DEAD CLICKS (clicks on non-interactive elements) ============
   function trackDeadClicks() {
     document.addEventListener('click', function(e) {
@@ -979,6 +1701,7 @@
           element: element,
           text: text ? text.substring(0, 50) : null,
           position: { x: e.clientX, y: e.clientY },
+          click: getClickCoordinates(e),
           tag_name: target.tagName.toLowerCase(),
         });
       }
@@ -990,7 +1713,7 @@
     if (!('IntersectionObserver' in window)) return;
 
     // Track all sections - generate ID from heading text or position if none exists
-    const elementsToTrack = document.querySelectorAll('section, article, main > div, [data-track-time], [data-section]');
+    const selector = 'section, article, main > div, [data-track-time], [data-section]';
     const visibilityTimers = new Map();
     const sentSections = new Set(); // Prevent duplicate sends
 
@@ -1042,13 +1765,15 @@
     }, { threshold: 0.5 });
 
     // Assign IDs and start observing
-    elementsToTrack.forEach((el, index) => {
-      el._sectionId = getSectionId(el, index);
-      observer.observe(el);
-    });
+    function observeSections() {
+      document.querySelectorAll(selector).forEach((el, index) => {
+        el._sectionId = getSectionId(el, index);
+        observer.observe(el);
+      });
+    }
 
     // Send visibility times when leaving page
-    window.addEventListener('beforeunload', function() {
+    function reportVisibilityTimes() {
       visibilityTimers.forEach((timer, id) => {
         if (sentSections.has(id)) return; // Skip already sent
         sentSections.add(id);
@@ -1068,7 +1793,19 @@
           });
         }
       });
+    }
+
+    observeSections();
+    window.addEventListener('beforeunload', reportVisibilityTimes);
+
+    // A new route: report the last one's sections, then time the new ones
+    onPageExit(function() {
+      reportVisibilityTimes();
+      observer.disconnect();
+      visibilityTimers.clear();
+      sentSections.clear();
     });
+    onPageEnter(observeSections);
   }
 
   // ============ SITE SEARCH ============
@@ -1144,7 +1881,7 @@
     }, { passive: true });
 
     // Report scroll behavior when leaving page
-    window.addEventListener('beforeunload', function() {
+    function reportScrollBehaviour() {
       if (scrollSamples.length > 5) {
         const avgVelocity = scrollSamples.reduce((a, b) => a + b, 0) / scrollSamples.length;
         const maxVelocity = Math.max(...scrollSamples);
@@ -1164,6 +1901,14 @@
           samples: scrollSamples.length,
         });
       }
+    }
+
+    window.addEventListener('beforeunload', reportScrollBehaviour);
+    onPageExit(function() {
+      reportScrollBehaviour();
+      scrollSamples = [];
+      lastScrollTop = 0;
+      lastScrollTime = Date.now();
     });
   }
 
@@ -1276,13 +2021,477 @@
       lastUrl = window.location.href;
       pageLoadTime = Date.now();
     });
+
+    // Time on page counts from the latest client-side route too
+    onPageEnter(function() {
+      lastUrl = state.pageUrl;
+      pageLoadTime = state.pageLoadTime;
+    });
+  }
+  // @end ux
+
+  // ============ SPA NAVIGATION ============
+  // Sites with client-side routing change the URL with history.pushState /
+  // replaceState (popstate and hashchange for back/forward and hash routes)
+  // without loading a page. Each route change is a virtual page: the route
+  // being left gets a page_exit plus the reports normally sent on unload
+  // (onPageExit), per-page state is reset, and once the new route has had
+  // routeRenderDelay to render, trackers rescan the DOM (onPageEnter) and a
+  // page_view goes out with the previous route as its referrer. A hash that
+  // does not start with #/ or #!/ is an in-page anchor, not a route, and a
+  // replaceState that only changes the query string (filters, tidied URLs)
+  // stays on the same page.
+  const pageHandlers = { exit: [], enter: [] };
+  const navigation = {
+    pending: null,       // Timer for the new route's page view
+    cause: null,
+  };
+
+  function onPageExit(fn) {
+    pageHandlers.exit.push(fn);
+  }
+
+  function onPageEnter(fn) {
+    pageHandlers.enter.push(fn);
+  }
+
+  function routeKey(href, withSearch) {
+    try {
+      const url = new URL(href, window.location.origin);
+      const hash = /^#!?\//.test(url.hash) ? url.hash : '';
+      return url.pathname + (withSearch ? url.search : '') + hash;
+    } catch (e) {
+      return href;
+    }
+  }
+
+  function onRouteChange(cause) {
+    const url = window.location.href;
+    const withSearch = cause !== 'replace';
+    if (routeKey(url, withSearch) === routeKey(state.pageUrl, withSearch)) return;
+
+    // A route left before it finished rendering still gets its page view
+    if (navigation.pending) enterPage();
+
+    sendEvent('page_exit', {
+      duration_ms: Date.now() - state.pageLoadTime,
+      max_scroll_depth: Math.max(0, ...state.scrollDepthReached),
+      sections_viewed: Array.from(state.sectionsViewed),
+      navigation: cause,
+      to_url: url,
+    });
+    pageHandlers.exit.forEach(fn => fn());
+
+    // Per-page state starts again for the new route
+    state.pageReferrer = state.pageUrl;
+    state.pageUrl = url;
+    state.pageLoadTime = Date.now();
+    state.scrollDepthReached.clear();
+    state.sectionsViewed.clear();
+    state.formFields.clear();
+    state.activeHovers.clear();
+    state.clickTimes = [];
+    state.scrollBehaviour = 'unknown';
+
+    navigation.cause = cause;
+    navigation.pending = setTimeout(enterPage, CONFIG.routeRenderDelay);
+  }
+
+  function enterPage() {
+    clearTimeout(navigation.pending);
+    navigation.pending = null;
+    pageHandlers.enter.forEach(fn => fn());
+    sendEvent('page_view', {
+      title: document.title,
+      virtual: true,
+      navigation: navigation.cause,
+    });
+  }
+
+  function trackNavigation() {
+    ['pushState', 'replaceState'].forEach(function(method) {
+      const original = history[method];
+      if (typeof original !== 'function') return;
+      history[method] = function() {
+        const result = original.apply(this, arguments);
+        onRouteChange(method === 'pushState' ? 'push' : 'replace');
+        return result;
+      };
+    });
+
+    window.addEventListener('popstate', function() { onRouteChange('popstate'); });
+    window.addEventListener('hashchange', function() { onRouteChange('hashchange'); });
+  }
+
+  // ============ SESSION RECORDING (opt-in) ============
+  // Records what the visitor saw for the replay player on /journeys/:id: a
+  // serialized DOM snapshot per page, then DOM mutations, mouse, scroll,
+  // viewport and input changes. Every input value is masked before it leaves
+  // the browser; data-wja-mask on an element masks its text too, and
+  // data-wja-block leaves it out (recorded as an empty box of the same size).
+  const recorder = {
+    active: false,
+    ids: new WeakMap(),
+    nextId: 1,
+    buffer: [],
+    flushTimer: null,
+    observer: null,
+    startedAt: 0,
+  };
+
+  const RECORD_SKIP_TAGS = { SCRIPT: true, NOSCRIPT: true, TEMPLATE: true };
+  const RECORD_URL_ATTRS = { src: true, href: true, poster: true, action: true, background: true };
+  const RECORD_UNMASKED_INPUTS = { submit: true, button: true, reset: true, checkbox: true, radio: true, image: true };
+
+  function shouldRecord() {
+    if (!CONFIG.recordSessions || !canStore() || !window.MutationObserver || !window.fetch) return false;
+    // Sample per journey, so a journey is recorded on every page or none
+    const journeyId = getJourneyId();
+    const stored = sessionStorage.getItem('wja_record');
+    if (stored && stored.indexOf(journeyId + ':') === 0) return stored.slice(-1) === '1';
+    const record = Math.random() < CONFIG.recordSampleRate;
+    sessionStorage.setItem('wja_record', journeyId + ':' + (record ? '1' : '0'));
+    return record;
+  }
+
+  function recordNodeId(node) {
+    let id = recorder.ids.get(node);
+    if (!id) {
+      id = recorder.nextId++;
+      recorder.ids.set(node, id);
+    }
+    return id;
+  }
+
+  function maskText(text) {
+    return (text || '').replace(/\S/g, '*');
+  }
+
+  function isBlocked(el) {
+    return !!(el && el.closest && el.closest('[data-wja-block]'));
+  }
+
+  function isMaskedText(el) {
+    return !!(el && el.closest && el.closest('[data-wja-mask], textarea'));
+  }
+
+  function isMaskedInput(el) {
+    if (el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.tagName === 'INPUT' && !RECORD_UNMASKED_INPUTS[(el.type || 'text').toLowerCase()];
+  }
+
+  function recordAttribute(el, name, value) {
+    if (value === null) return null;
+    if (name.indexOf('on') === 0) return null;  // inline handlers never run in the player
+    if (RECORD_URL_ATTRS[name] && value && value.indexOf('javascript:') !== 0) {
+      try { return new URL(value, document.baseURI).href; } catch (e) { return value; }
+    }
+    if (name === 'srcset') {
+      return value.split(',').map(function(candidate) {
+        const parts = candidate.trim().split(/\s+/);
+        try { parts[0] = new URL(parts[0], document.baseURI).href; } catch (e) {}
+        return parts.join(' ');
+      }).join(', ');
+    }
+    if (name === 'value' && isMaskedInput(el)) return maskText(value);
+    return value;
+  }
+
+  function serializeNode(node) {
+    const id = recordNodeId(node);
+
+    switch (node.nodeType) {
+      case 9:
+        return { id: id, type: 9, children: serializeChildren(node) };
+      case 10:
+        return { id: id, type: 10, name: node.name };
+      case 3: {
+        const parent = node.parentNode;
+        let text = node.textContent;
+        if (parent && parent.tagName === 'STYLE' && parent.sheet && !text.trim()) {
+          text = cssText(parent.sheet);
+        } else if (isMaskedText(parent)) {
+          text = maskText(text);
+        }
+        return { id: id, type: 3, text: text };
+      }
+      case 1:
+        break;
+      default:
+        // Comments and the like keep their place so later inserts line up
+        return { id: id, type: 8 };
+    }
+
+    if (RECORD_SKIP_TAGS[node.tagName]) return { id: id, type: 8 };
+
+    if (node.hasAttribute('data-wja-block')) {
+      const rect = node.getBoundingClientRect();
+      return {
+        id: id,
+        type: 1,
+        tag: 'div',
+        attrs: { style: 'width:' + Math.round(rect.width) + 'px;height:' + Math.round(rect.height) + 'px;background:#e5e7eb;' },
+        children: []
+      };
+    }
+
+    const attrs = {};
+    for (let i = 0; i < node.attributes.length; i++) {
+      const attr = node.attributes[i];
+      const value = recordAttribute(node, attr.name, attr.value);
+      if (value !== null) attrs[attr.name] = value;
+    }
+    // Current state, not just the markup
+    if (node.tagName === 'INPUT' || node.tagName === 'TEXTAREA' || node.tagName === 'SELECT') {
+      if (node.type === 'checkbox' || node.type === 'radio') {
+        if (node.checked) attrs.checked = '';
+        else delete attrs.checked;
+      } else if (node.tagName !== 'SELECT') {
+        attrs.value = isMaskedInput(node) ? maskText(node.value) : node.value;
+      }
+    }
+
+    const serialized = { id: id, type: 1, tag: node.tagName.toLowerCase(), attrs: attrs, children: serializeChildren(node) };
+    if (node.namespaceURI === 'http://www.w3.org/2000/svg') serialized.svg = true;
+    // Stylesheets built with insertRule have no text content
+    if (node.tagName === 'STYLE' && node.sheet && !node.textContent.trim()) {
+      serialized.children = [{ id: 0, type: 3, text: cssText(node.sheet) }];
+    }
+    return serialized;
+  }
+
+  function serializeChildren(node) {
+    const children = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      children.push(serializeNode(child));
+    }
+    return children;
+  }
+
+  function cssText(sheet) {
+    try {
+      return Array.prototype.map.call(sheet.cssRules, function(rule) { return rule.cssText; }).join('\n');
+    } catch (e) {
+      return '';  // cross-origin sheet
+    }
+  }
+
+  function recordEvent(type, data) {
+    if (!recorder.active) return;
+    recorder.buffer.push({ t: Date.now(), type: type, data: data });
+    if (recorder.buffer.length >= CONFIG.recordMaxEvents) flushRecording(false);
+    if (Date.now() - recorder.startedAt > CONFIG.recordMaxDuration) stopRecording();
+  }
+
+  function onMutations(records) {
+    const removes = [];
+    const attrs = [];
+    const texts = [];
+    const added = new Set();
+
+    records.forEach(function(record) {
+      if (isBlocked(record.target)) return;
+
+      if (record.type === 'childList') {
+        record.removedNodes.forEach(function(node) {
+          const id = recorder.ids.get(node);
+          if (id && !added.has(node)) removes.push({ parentId: recordNodeId(record.target), id: id });
+          added.delete(node);
+        });
+        record.addedNodes.forEach(function(node) { added.add(node); });
+      } else if (record.type === 'attributes') {
+        const value = recordAttribute(record.target, record.attributeName, record.target.getAttribute(record.attributeName));
+        attrs.push({ id: recordNodeId(record.target), name: record.attributeName, value: value });
+      } else if (record.type === 'characterData') {
+        const text = record.target.textContent;
+        texts.push({ id: recordNodeId(record.target), text: isMaskedText(record.target.parentNode) ? maskText(text) : text });
+      }
+    });
+
+    // Nodes still in the page, skipping any inside another added node (it
+    // is serialized with that one)
+    const adds = [];
+    const pending = new Set();
+    added.forEach(function(node) {
+      if (!document.documentElement.contains(node)) return;
+      for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (added.has(parent)) return;
+      }
+      pending.add(node);
+    });
+    pending.forEach(function(node) {
+      pending.delete(node);
+      // Insert before the next sibling the player already has
+      let next = node.nextSibling;
+      while (next && (pending.has(next) || !recorder.ids.has(next))) next = next.nextSibling;
+      adds.push({
+        parentId: recordNodeId(node.parentNode),
+        nextId: next ? recorder.ids.get(next) : null,
+        node: serializeNode(node)
+      });
+    });
+
+    if (adds.length || removes.length || attrs.length || texts.length) {
+      recordEvent('mutation', { adds: adds, removes: removes, attrs: attrs, texts: texts });
+    }
+  }
+
+  function recordScrollPosition(target) {
+    if (target === document || target === document.documentElement || target === document.body) {
+      recordEvent('scroll', { id: 0, x: Math.round(window.scrollX), y: Math.round(window.scrollY) });
+    } else if (target && recorder.ids.has(target)) {
+      recordEvent('scroll', { id: recorder.ids.get(target), x: Math.round(target.scrollLeft), y: Math.round(target.scrollTop) });
+    }
+  }
+
+  function nextReplaySeq() {
+    // Numbered across the pages of a journey
+    const key = 'wja_replay_seq_' + getJourneyId();
+    const seq = parseInt(sessionStorage.getItem(key) || '0', 10);
+    sessionStorage.setItem(key, String(seq + 1));
+    return seq;
+  }
+
+  function flushRecording(unloading) {
+    if (recorder.buffer.length === 0) return;
+    const events = recorder.buffer;
+    recorder.buffer = [];
+
+    const body = JSON.stringify({
+      journey_id: getJourneyId(),
+      visitor_id: getVisitorId(),
+      tracking_key: CONFIG.trackingKey,
+      seq: nextReplaySeq(),
+      page_url: window.location.href,
+      sent_at: Date.now(),
+      consent: consent.state,
+      events: events
+    });
+    const post = function(data, encoding) {
+      return fetch(CONFIG.replayEndpoint + (encoding ? '?encoding=' + encoding : ''), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: data,
+        keepalive: unloading
+      }).catch(function() {});
+    };
+
+    // Compress when we can wait for it; keepalive requests must be sent now
+    if (!unloading && window.CompressionStream) {
+      const stream = new Blob([body]).stream().pipeThrough(new CompressionStream('gzip'));
+      new Response(stream).blob().then(function(gzipped) {
+        post(gzipped, 'gzip');
+      }).catch(function() {
+        post(body, null);
+      });
+    } else {
+      post(body, null);
+    }
+  }
+
+  function startRecording() {
+    try {
+      if (!shouldRecord()) return;
+    } catch (e) {
+      return;  // storage blocked
+    }
+
+    recorder.active = true;
+    recorder.startedAt = Date.now();
+    recordEvent('meta', { href: window.location.href, width: window.innerWidth, height: window.innerHeight });
+    recordEvent('snapshot', { node: serializeNode(document), scroll: { x: Math.round(window.scrollX), y: Math.round(window.scrollY) } });
+
+    recorder.observer = new MutationObserver(onMutations);
+    recorder.observer.observe(document, { childList: true, attributes: true, characterData: true, subtree: true });
+
+    let lastMove = 0;
+    document.addEventListener('mousemove', function(e) {
+      if (Date.now() - lastMove < CONFIG.recordMoveInterval) return;
+      lastMove = Date.now();
+      recordEvent('move', { x: e.clientX, y: e.clientY });
+    }, { passive: true, capture: true });
+
+    document.addEventListener('click', function(e) {
+      recordEvent('click', { id: recorder.ids.get(e.target) || null, x: e.clientX, y: e.clientY });
+    }, true);
+
+    const scrollTimers = new Map();
+    document.addEventListener('scroll', function(e) {
+      const target = e.target;
+      if (scrollTimers.has(target)) return;
+      scrollTimers.set(target, setTimeout(function() {
+        scrollTimers.delete(target);
+        recordScrollPosition(target);
+      }, 100));
+    }, { passive: true, capture: true });
+
+    let resizeTimer = null;
+    window.addEventListener('resize', function() {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(function() {
+        recordEvent('viewport', { width: window.innerWidth, height: window.innerHeight });
+      }, 200);
+    });
+
+    ['input', 'change'].forEach(function(type) {
+      document.addEventListener(type, function(e) {
+        const el = e.target;
+        if (!el || !recorder.ids.has(el) || isBlocked(el)) return;
+        if (el.type === 'checkbox' || el.type === 'radio') {
+          recordEvent('input', { id: recorder.ids.get(el), checked: el.checked });
+        } else if ('value' in el) {
+          recordEvent('input', { id: recorder.ids.get(el), value: isMaskedInput(el) ? maskText(el.value) : el.value });
+        }
+      }, true);
+    });
+
+    recorder.flushTimer = setInterval(function() { flushRecording(false); }, CONFIG.recordFlushInterval);
+    window.addEventListener('pagehide', function() { flushRecording(true); });
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden') flushRecording(true);
+    });
+  }
+
+  function stopRecording() {
+    if (!recorder.active) return;
+    recorder.active = false;
+    if (recorder.observer) recorder.observer.disconnect();
+    clearInterval(recorder.flushTimer);
+    flushRecording(false);
+  }
+
+  // ============ CONSENT CHANGES ============
+  // Consent given on this page: persistent ids from here on. Events already
+  // sent stay in their cookieless journey, and a fresh page view starts the
+  // consented one.
+  function onConsentGranted() {
+    queue.persistent = true;
+    saveQueue(queue.memory);
+    state.utmParams = {};
+    state.botIndicatorsSent = false;
+    trackPageView();
+    if (!recorder.startedAt) startRecording();  // Once per page - its listeners stay attached
+  }
+
+  // Consent withdrawn: stored data is already cleared, so stop using it
+  function onConsentDenied() {
+    stopRecording();
+    state.visitorId = null;
+    state.journeyId = null;
+    state.visitNumber = 1;
+    queue.persistent = false;
   }
 
   // ============ INITIALIZATION ============
   function init() {
+    consent.ready = true;
+
     // Setup cross-domain link decoration (must be first)
     setupCrossdomainLinks();
 
+    // Batched, persisted event delivery
+    setupEventQueue();
+
     // Core tracking
     trackPageView();
     trackPageLoad();
@@ -1309,7 +2518,8 @@
     trackErrors();
     trackTabSwitches();
 
-    // NEW: Advanced UX tracking
+    // @feature ux
+    // Advanced UX tracking
     trackDeadClicks();
     trackSectionVisibilityTime();
     trackSearchQueries();
@@ -1317,6 +2527,21 @@
     trackTextSelection();
     trackCTAHesitation();
     trackBackButton();
+    // @end ux
+
+    // @feature behaviour
+    trackBehaviourPatterns();
+    // @end behaviour
+
+    // @feature honeypot
+    injectHoneypots();
+    // @end honeypot
+
+    // Client-side routes as virtual pages
+    trackNavigation();
+
+    // Session replay (opt-in)
+    startRecording();
   }
 
   // Run when DOM is ready
@@ -1332,5 +2557,7 @@
   window.wjaGetJourneyId = getJourneyId;
   window.wjaGetVisitNumber = function() { return state.visitNumber; };
   window.wjaDecorateUrl = decorateUrl;  // For manual cross-domain link decoration
+  window.wjaStopRecording = stopRecording;  // e.g. before showing sensitive content
+  window.wjaConsent = setConsent;  // 'granted' / 'denied' from the site's own consent banner
 
 })();
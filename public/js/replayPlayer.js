@@ -0,0 +1,294 @@
+/**
+ * Session Replay Player
+ *
+ * Plays a journey's recording (GET /journeys/:id/replay) into a sandboxed
+ * iframe: the DOM is rebuilt from each page's snapshot, then mutation, scroll,
+ * input, mouse and viewport events are applied in time order. See
+ * src/services/sessionReplay.js for the event format.
+ *
+ *   const player = ReplayPlayer.create(container, replay, { onTime });
+ *   player.play(); player.pause(); player.seek(epochMs);
+ *
+ * onTime(epochMs) is called as playback moves, so the page can keep the
+ * event timeline in step.
+ */
+(function() {
+  const SPEEDS = [1, 2, 4, 8];
+  const INACTIVITY_MS = 5000;     // gaps longer than this are skipped when enabled
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  function formatTime(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const minutes = Math.floor(seconds / 60);
+    return minutes + ':' + String(seconds % 60).padStart(2, '0');
+  }
+
+  function create(container, replay, options) {
+    options = options || {};
+    const events = replay.events;
+    const start = events[0].t;
+    const end = events[events.length - 1].t;
+
+    // ============ MARKUP ============
+    container.innerHTML = `
+      <div class="replay-stage">
+        <div class="replay-frame">
+          <iframe sandbox="allow-same-origin" title="Session replay"></iframe>
+          <div class="replay-cursor"></div>
+        </div>
+      </div>
+      <div class="replay-controls">
+        <button type="button" class="btn btn-primary btn-sm replay-play">Play</button>
+        <input type="range" class="replay-scrubber" min="0" max="${end - start}" value="0" step="100">
+        <span class="replay-clock text-small text-muted">0:00 / ${formatTime(end - start)}</span>
+        <select class="replay-speed">
+          ${SPEEDS.map(s => `<option value="${s}">${s}x</option>`).join('')}
+        </select>
+        <label class="text-small text-muted replay-skip">
+          <input type="checkbox" checked> Skip inactivity
+        </label>
+      </div>
+    `;
+
+    const stage = container.querySelector('.replay-stage');
+    const frame = container.querySelector('.replay-frame');
+    const iframe = container.querySelector('iframe');
+    const cursor = container.querySelector('.replay-cursor');
+    const playBtn = container.querySelector('.replay-play');
+    const scrubber = container.querySelector('.replay-scrubber');
+    const clock = container.querySelector('.replay-clock');
+    const speedSelect = container.querySelector('.replay-speed');
+    const skipInput = container.querySelector('.replay-skip input');
+
+    let nodes = new Map();
+    let index = 0;           // next event to apply
+    let current = start;     // playback position (epoch ms)
+    let playing = false;
+    let lastFrame = 0;
+    let viewport = { width: 1280, height: 800 };
+
+    // ============ DOM REBUILD ============
+    function doc() {
+      return iframe.contentDocument;
+    }
+
+    function build(serialized, svg) {
+      const d = doc();
+      let node;
+      switch (serialized.type) {
+        case 10:
+          node = d.implementation.createDocumentType(serialized.name || 'html', '', '');
+          break;
+        case 3:
+          node = d.createTextNode(serialized.text || '');
+          break;
+        case 1: {
+          const inSvg = svg || serialized.svg;
+          node = inSvg ? d.createElementNS(SVG_NS, serialized.tag) : d.createElement(serialized.tag);
+          Object.keys(serialized.attrs || {}).forEach(name => {
+            try { node.setAttribute(name, serialized.attrs[name]); } catch (e) { /* invalid name */ }
+          });
+          (serialized.children || []).forEach(child => node.appendChild(build(child, inSvg && serialized.tag !== 'foreignObject')));
+          if (serialized.tag === 'input' && serialized.attrs && 'value' in serialized.attrs) {
+            node.value = serialized.attrs.value;
+          }
+          break;
+        }
+        default:
+          node = d.createComment('');
+      }
+      if (serialized.id) nodes.set(serialized.id, node);
+      return node;
+    }
+
+    function applySnapshot(data) {
+      const d = doc();
+      nodes = new Map();
+      while (d.firstChild) d.removeChild(d.firstChild);
+      (data.node.children || []).forEach(child => d.appendChild(build(child, false)));
+      if (data.node.id) nodes.set(data.node.id, d);
+      if (data.scroll) applyScroll({ id: 0, x: data.scroll.x, y: data.scroll.y });
+    }
+
+    function applyMutation(data) {
+      (data.removes || []).forEach(r => {
+        const node = nodes.get(r.id);
+        if (node && node.parentNode) node.parentNode.removeChild(node);
+        nodes.delete(r.id);
+      });
+      (data.adds || []).forEach(a => {
+        const parent = nodes.get(a.parentId);
+        if (!parent) return;
+        const next = a.nextId ? nodes.get(a.nextId) : null;
+        const inSvg = parent.namespaceURI === SVG_NS;
+        try {
+          parent.insertBefore(build(a.node, inSvg), next && next.parentNode === parent ? next : null);
+        } catch (e) { /* node moved elsewhere since */ }
+      });
+      (data.attrs || []).forEach(a => {
+        const node = nodes.get(a.id);
+        if (!node || !node.setAttribute) return;
+        try {
+          if (a.value === null) node.removeAttribute(a.name);
+          else node.setAttribute(a.name, a.value);
+        } catch (e) { /* invalid name */ }
+      });
+      (data.texts || []).forEach(t => {
+        const node = nodes.get(t.id);
+        if (node) node.textContent = t.text;
+      });
+    }
+
+    function applyScroll(data) {
+      if (data.id === 0) {
+        if (iframe.contentWindow) iframe.contentWindow.scrollTo(data.x, data.y);
+        return;
+      }
+      const node = nodes.get(data.id);
+      if (node) {
+        node.scrollLeft = data.x;
+        node.scrollTop = data.y;
+      }
+    }
+
+    function applyInput(data) {
+      const node = nodes.get(data.id);
+      if (!node) return;
+      if (typeof data.checked === 'boolean') node.checked = data.checked;
+      if (typeof data.value === 'string') node.value = data.value;
+    }
+
+    // ============ LAYOUT ============
+    function resize() {
+      const scale = Math.min(1, stage.clientWidth / viewport.width);
+      iframe.style.width = viewport.width + 'px';
+      iframe.style.height = viewport.height + 'px';
+      frame.style.width = viewport.width + 'px';
+      frame.style.height = viewport.height + 'px';
+      frame.style.transform = 'scale(' + scale + ')';
+      stage.style.height = Math.round(viewport.height * scale) + 'px';
+    }
+
+    function moveCursor(x, y) {
+      cursor.style.transform = 'translate(' + x + 'px, ' + y + 'px)';
+    }
+
+    function showClick(x, y) {
+      const ripple = document.createElement('div');
+      ripple.className = 'replay-click';
+      ripple.style.left = x + 'px';
+      ripple.style.top = y + 'px';
+      frame.appendChild(ripple);
+      setTimeout(() => ripple.remove(), 600);
+    }
+
+    // ============ PLAYBACK ============
+    function apply(event, live) {
+      switch (event.type) {
+        case 'meta':
+        case 'viewport':
+          viewport = { width: event.data.width || viewport.width, height: event.data.height || viewport.height };
+          resize();
+          break;
+        case 'snapshot':
+          applySnapshot(event.data);
+          break;
+        case 'mutation':
+          applyMutation(event.data);
+          break;
+        case 'scroll':
+          applyScroll(event.data);
+          break;
+        case 'input':
+          applyInput(event.data);
+          break;
+        case 'move':
+          moveCursor(event.data.x, event.data.y);
+          break;
+        case 'click':
+          moveCursor(event.data.x, event.data.y);
+          if (live) showClick(event.data.x, event.data.y);
+          break;
+      }
+    }
+
+    function advanceTo(t, live) {
+      while (index < events.length && events[index].t <= t) {
+        apply(events[index], live);
+        index++;
+      }
+      current = t;
+      scrubber.value = String(current - start);
+      clock.textContent = formatTime(current - start) + ' / ' + formatTime(end - start);
+      if (options.onTime) options.onTime(current);
+    }
+
+    function seek(t) {
+      t = Math.min(end, Math.max(start, t));
+      if (t < current || index === 0) {
+        // Rebuild from the last snapshot at or before t (with its page's meta)
+        let from = 0;
+        for (let i = 0; i < events.length && events[i].t <= t; i++) {
+          if (events[i].type === 'snapshot') from = i;
+        }
+        while (from > 0 && events[from - 1].type === 'meta') from--;
+        index = from;
+      }
+      advanceTo(t, false);
+    }
+
+    function tick(now) {
+      if (!playing) return;
+      const elapsed = lastFrame ? now - lastFrame : 0;
+      lastFrame = now;
+
+      let target = current + elapsed * Number(speedSelect.value);
+      if (skipInput.checked && index < events.length && events[index].t - current > INACTIVITY_MS) {
+        target = events[index].t;
+      }
+      advanceTo(Math.min(end, target), true);
+
+      if (current >= end) {
+        pause();
+        return;
+      }
+      requestAnimationFrame(tick);
+    }
+
+    function play() {
+      if (playing) return;
+      if (current >= end) seek(start);
+      playing = true;
+      lastFrame = 0;
+      playBtn.textContent = 'Pause';
+      requestAnimationFrame(tick);
+    }
+
+    function pause() {
+      playing = false;
+      playBtn.textContent = 'Play';
+    }
+
+    playBtn.addEventListener('click', () => (playing ? pause() : play()));
+    scrubber.addEventListener('input', () => seek(start + Number(scrubber.value)));
+    window.addEventListener('resize', resize);
+
+    resize();
+    seek(start);
+
+    return {
+      start,
+      end,
+      play,
+      pause,
+      seek,
+      destroy() {
+        pause();
+        window.removeEventListener('resize', resize);
+        container.innerHTML = '';
+      }
+    };
+  }
+
+  window.ReplayPlayer = { create };
+})();
@@ -4,12 +4,13 @@
  */
 
 require('dotenv').config();
-const { initializeSchema, getDb } = require('../src/db/database');
+const { getDb } = require('../src/db/database');
+const { migrateUp } = require('../src/db/migrator');
 const { insertEvent } = require('../src/db/queries');
 const { reconstructAllJourneys } = require('../src/services/journeyBuilder');
 
-// Initialize database
-initializeSchema();
+// Bring the schema up to date
+migrateUp();
 
 // Generate UUIDs
 function uuid() {
@@ -3,7 +3,6 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const rateLimit = require('express-rate-limit');
@@ -11,7 +10,8 @@ const morgan = require('morgan');
 const compression = require('compression');
 const helmet = require('helmet');
 const cron = require('node-cron');
-const { initializeSchema, getDb, closeDb } = require('./db/database');
+const { getDb, closeDb } = require('./db/database');
+const { assertNoPendingMigrations } = require('./db/migrator');
 
 // Import routes
 const eventsRouter = require('./routes/events');
@@ -26,15 +26,29 @@ const uxRouter = require('./routes/ux');
 const screenshotsRouter = require('./routes/screenshots');
 const exportRouter = require('./routes/export');
 const funnelRouter = require('./routes/funnel');
+const attributionRouter = require('./routes/attribution');
+const apiV1Router = require('./routes/apiV1');
+const alertsRouter = require('./routes/alerts');
+const digestsRouter = require('./routes/digests');
+const replayRouter = require('./routes/replay');
 
 // Import middleware
 const { requireAuth, attachUserContext } = require('./middleware/auth');
 
-// Import journey builder for background sync
-const { reconstructJourney } = require('./services/journeyBuilder');
-const { upsertJourney, getUniqueJourneyIds, insertEvent, getSiteByTrackingKey } = require('./db/queries');
-const { getClientIP, lookupIP, isPrivateIP } = require('./services/geoService');
-const { detectBotForEvent } = require('./services/botDetection');
+// Import background workers
+const { startJourneyRebuildWorker, stopJourneyRebuildWorker, getJourneyRebuildLag } = require('./services/journeyRebuild');
+const { enqueueEvents, getIngestQueueStats } = require('./db/queries');
+const { getClientIP } = require('./services/geoService');
+const { startIngestWorker, stopIngestWorker, wakeIngestWorker, MAX_ATTEMPTS: INGEST_MAX_ATTEMPTS } = require('./services/eventIngest');
+const { startWebhookWorker, stopWebhookWorker } = require('./services/webhooks');
+const { startAlertWorker, stopAlertWorker } = require('./services/alerts');
+const { startDigestWorker, stopDigestWorker } = require('./services/digests');
+const { startEmailOutboxWorker, stopEmailOutboxWorker } = require('./services/emailOutbox');
+const { startRealtime, stopRealtime } = require('./services/realtime');
+const { pruneReplays } = require('./services/sessionReplay');
+const { pruneQuarantine } = require('./services/customEvents');
+const { isCookieless, pruneConsentSalts } = require('./services/consent');
+const { getTrackingScript } = require('./services/trackerBuild');
 
 // 1x1 transparent GIF (smallest valid GIF - 43 bytes)
 const PIXEL_GIF = Buffer.from(
@@ -42,35 +56,6 @@ const PIXEL_GIF = Buffer.from(
   'base64'
 );
 
-// Cache for tracking key lookups (pixel endpoint)
-const pixelTrackingKeyCache = new Map();
-const PIXEL_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-async function resolvePixelSiteId(trackingKey) {
-  if (!trackingKey) return null;
-
-  const cached = pixelTrackingKeyCache.get(trackingKey);
-  if (cached && Date.now() - cached.timestamp < PIXEL_CACHE_TTL) {
-    return cached.siteId;
-  }
-
-  const site = await getSiteByTrackingKey(trackingKey);
-  const siteId = site ? site.id : null;
-
-  pixelTrackingKeyCache.set(trackingKey, { siteId, timestamp: Date.now() });
-
-  if (pixelTrackingKeyCache.size > 100) {
-    const now = Date.now();
-    for (const [key, value] of pixelTrackingKeyCache) {
-      if (now - value.timestamp > PIXEL_CACHE_TTL) {
-        pixelTrackingKeyCache.delete(key);
-      }
-    }
-  }
-
-  return siteId;
-}
-
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -125,6 +110,14 @@ const authLimiter = rateLimit({
   legacyHeaders: false
 });
 
+const apiLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 120,
+  message: { success: false, error: 'Too many requests', code: 'rate_limited' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 const analysisLimiter = rateLimit({
   windowMs: 5 * 60 * 1000,
   max: 5,
@@ -214,42 +207,18 @@ app.use((req, res, next) => {
 });
 
 // ============================================
-// TRACKING SCRIPT (cached in memory)
+// TRACKING SCRIPT (built per site, see services/trackerBuild.js)
 // ============================================
 
-let cachedTrackingScript = null;
-let trackingScriptMtime = 0;
-
-app.get('/tracking.js', (req, res) => {
-  const scriptPath = path.join(__dirname, '../gtm/trackingScript.js');
-
+app.get('/tracking.js', async (req, res) => {
+  let script;
   try {
-    const stat = fs.statSync(scriptPath);
-    if (!cachedTrackingScript || stat.mtimeMs > trackingScriptMtime) {
-      cachedTrackingScript = fs.readFileSync(scriptPath, 'utf8');
-      trackingScriptMtime = stat.mtimeMs;
-    }
+    script = await getTrackingScript(req.query.key || '');
   } catch (err) {
+    console.error('Error building tracking script:', err);
     return res.status(500).send('// Tracking script not found');
   }
 
-  let script = cachedTrackingScript;
-  const trackingKey = req.query.key || '';
-  const serverUrl = process.env.SERVER_URL || 'https://website-journey-analytics.onrender.com';
-
-  script = script.replace(
-    /endpoint: ['"][^'"]+['"]/,
-    `endpoint: '${serverUrl}/api/event'`
-  );
-  script = script.replace(
-    /pixelEndpoint: ['"][^'"]+['"]/,
-    `pixelEndpoint: '${serverUrl}/p.gif'`
-  );
-  script = script.replace(
-    /trackingKey: ['"][^'"]*['"]/,
-    `trackingKey: '${trackingKey}'`
-  );
-
   res.setHeader('Content-Type', 'application/javascript');
   res.setHeader('Cache-Control', 'public, max-age=3600');
   res.send(script);
@@ -266,67 +235,47 @@ app.get('/p.gif', async (req, res) => {
   res.setHeader('Expires', '0');
   res.send(PIXEL_GIF);
 
+  // Queue after responding - the ingest worker does geo lookup and bot scoring
   setImmediate(async () => {
     try {
       const trackingKey = req.query.k || req.query.key || null;
       const pageUrl = req.query.p || req.query.page || req.get('Referer') || 'unknown';
       const referrer = req.query.r || req.query.ref || null;
       const pageTitle = req.query.t || req.query.title || null;
-      const visitorId = req.query.v || req.query.visitor || `pxl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const journeyId = req.query.j || req.query.journey || `pxl_jrn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // c is the tracker's consent state; without consent the ingest worker hashes the ids
+      const consent = req.query.c || null;
+      const cookieless = isCookieless(consent);
+      const visitorId = cookieless ? null : req.query.v || req.query.visitor || `pxl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const journeyId = cookieless ? null : req.query.j || req.query.journey || `pxl_jrn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       const userAgent = req.get('User-Agent') || 'Unknown';
-      const clientIP = getClientIP(req);
 
       let deviceType = 'desktop';
       if (/mobile|android|iphone|ipad|ipod/i.test(userAgent)) {
         deviceType = /ipad|tablet/i.test(userAgent) ? 'tablet' : 'mobile';
       }
 
-      const botDetection = detectBotForEvent({
-        userAgent,
-        ipAddress: clientIP,
-        metadata: {}
-      });
-
-      const siteId = await resolvePixelSiteId(trackingKey);
-
-      let location = null;
-      if (clientIP && !isPrivateIP(clientIP)) {
-        try {
-          location = await lookupIP(clientIP);
-        } catch (err) {
-          // Silently ignore geo lookup failures
-        }
-      }
-
-      const metadata = {
-        tracking_method: 'pixel',
-        page_title: pageTitle,
-        location: location,
-        ip_address: clientIP
-      };
-
-      await insertEvent({
-        journey_id: journeyId,
-        visitor_id: visitorId,
-        event_type: 'pixel_view',
-        page_url: pageUrl,
-        referrer: referrer,
-        intent_type: null,
-        cta_label: null,
-        device_type: deviceType,
-        metadata: metadata,
-        occurred_at: new Date().toISOString(),
+      await enqueueEvents([{
+        payload: {
+          journey_id: journeyId,
+          visitor_id: visitorId,
+          event_type: 'pixel_view',
+          page_url: pageUrl,
+          referrer: referrer,
+          device_type: deviceType,
+          tracking_key: trackingKey,
+          consent,
+          metadata: {
+            tracking_method: 'pixel',
+            page_title: pageTitle
+          },
+          occurred_at: new Date().toISOString()
+        },
+        client_ip: getClientIP(req),
         user_agent: userAgent,
-        ip_address: clientIP,
-        is_bot: botDetection.isBot,
-        bot_score: botDetection.botScore,
-        bot_signals: botDetection.signals,
-        site_id: siteId
-      });
-
-      console.log(`[PIXEL] Tracked: ${pageUrl} (${botDetection.isBot ? 'bot' : 'human'}, score: ${botDetection.botScore})`);
+        source: 'pixel'
+      }]);
+      wakeIngestWorker();
     } catch (err) {
       console.error('[PIXEL] Tracking error:', err.message);
     }
@@ -337,11 +286,22 @@ app.get('/p.gif', async (req, res) => {
 // HEALTH CHECK
 // ============================================
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  let ingestQueue = null;
+  let journeyRebuild = null;
+  try {
+    ingestQueue = await getIngestQueueStats(INGEST_MAX_ATTEMPTS);
+    journeyRebuild = await getJourneyRebuildLag();
+  } catch (err) {
+    console.error('[HEALTH] Worker stats failed:', err.message);
+  }
+
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    version: '2.0.0'
+    version: '2.0.0',
+    ingestQueue,
+    journeyRebuild
   });
 });
 
@@ -372,31 +332,35 @@ const emailService = require('./services/emailService');
 app.get('/debug-email', requireAuth, async (req, res) => {
   const configured = emailService.isConfigured();
   const envCheck = {
+    EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'graph',
     MS_CLIENT_ID: !!process.env.MS_CLIENT_ID,
     MS_CLIENT_SECRET: !!process.env.MS_CLIENT_SECRET,
     MS_TENANT_ID: !!process.env.MS_TENANT_ID,
+    SMTP_HOST: !!process.env.SMTP_HOST,
     SENDER_EMAIL: !!process.env.SENDER_EMAIL,
     EMAIL_NOTIFY: !!process.env.EMAIL_NOTIFY
   };
 
   if (req.query.send === '1' && configured) {
     try {
-      const result = await emailService.sendNewVisitorNotification({
-        journey_id: 'debug_test_' + Date.now(),
-        entry_page: 'https://debug-test.com/test-page',
-        referrer: 'Debug test',
-        device_type: 'debug',
-        first_seen: new Date().toISOString(),
-        location: { city: 'Debug City', country: 'Test Land', flag: '🔧' },
-        isReturn: false
-      });
-      return res.json({ configured, envCheck, testEmail: result });
+      const to = res.locals.user?.email || process.env.EMAIL_NOTIFY;
+      const result = await emailService.sendAlertEmail(to, {
+        name: 'Test alert',
+        site_name: 'Debug',
+        timezone: 'Europe/London'
+      }, [{
+        title: 'Test alert email',
+        detail: 'Sent from /debug-email',
+        link: '/alerts',
+        created_at: new Date().toISOString()
+      }]);
+      return res.json({ configured, envCheck, to, testEmail: result });
     } catch (err) {
       return res.json({ configured, envCheck, testEmail: { error: err.message } });
     }
   }
 
-  res.json({ configured, envCheck, hint: 'Add ?send=1 to send a test email' });
+  res.json({ configured, envCheck, hint: 'Add ?send=1 to send a test alert email to yourself' });
 });
 
 app.get('/debug', requireAuth, async (req, res) => {
@@ -445,6 +409,10 @@ app.use('/', authLimiter, authRouter);
 // API Routes (public - tracking events with rate limiting)
 app.use('/api/event', eventLimiter, eventsRouter);
 app.use('/api/events', eventLimiter, eventsRouter);
+app.use('/api/replay', eventLimiter, replayRouter);
+
+// Public API (API key auth - see routes/apiV1.js)
+app.use('/api/v1', apiLimiter, apiV1Router);
 
 // Web Routes (protected - require authentication)
 app.use('/journeys', requireAuth, journeysRouter);
@@ -452,6 +420,9 @@ app.use('/families', requireAuth, familiesRouter);
 app.use('/realtime', requireAuth, realtimeRouter);
 app.use('/insights', requireAuth, insightsRouter);
 app.use('/funnel', requireAuth, funnelRouter);
+app.use('/attribution', requireAuth, attributionRouter);
+app.use('/alerts', requireAuth, alertsRouter);
+app.use('/digests', requireAuth, digestsRouter);
 app.use('/bots', requireAuth, botsRouter);
 app.use('/ux', requireAuth, uxRouter);
 app.use('/admin', requireAuth, adminRouter);
@@ -478,32 +449,6 @@ app.use((err, req, res, next) => {
   res.status(500).render('error', { error: 'Internal server error' });
 });
 
-// ============================================
-// BACKGROUND JOBS
-// ============================================
-
-async function rebuildRecentJourneys() {
-  try {
-    const db = getDb();
-    const cutoff = new Date(Date.now() - 5 * 60 * 1000).toISOString();
-    const result = await db.query(
-      `SELECT DISTINCT journey_id FROM journey_events WHERE occurred_at > $1`,
-      [cutoff]
-    );
-
-    for (const row of result.rows) {
-      try {
-        const journey = await reconstructJourney(row.journey_id);
-        if (journey) await upsertJourney(journey);
-      } catch (err) {
-        // Silently continue
-      }
-    }
-  } catch (err) {
-    console.error('Background journey rebuild failed:', err.message);
-  }
-}
-
 // ============================================
 // SERVER STARTUP
 // ============================================
@@ -512,7 +457,8 @@ let server;
 
 async function start() {
   try {
-    await initializeSchema();
+    // Refuse to start against an out-of-date schema (run `npm run migrate`)
+    await assertNoPendingMigrations();
 
     server = app.listen(PORT, () => {
       console.log(`
@@ -533,9 +479,62 @@ async function start() {
 ╚═══════════════════════════════════════════════════════╝
       `);
 
-      // Start background journey sync (every 30 seconds)
-      setInterval(rebuildRecentJourneys, 30000);
-      rebuildRecentJourneys();
+      // Process the event ingest queue in-process unless a dedicated
+      // worker (npm run worker:ingest) is running instead
+      if (process.env.INGEST_WORKER !== 'false') {
+        startIngestWorker();
+      }
+
+      // Incrementally rebuild journeys with new events, unless a dedicated
+      // worker (npm run worker:rebuild) is running instead
+      if (process.env.JOURNEY_REBUILD_WORKER !== 'false') {
+        startJourneyRebuildWorker();
+      }
+
+      // Send queued webhooks and check for bot spikes, unless a dedicated
+      // worker (npm run worker:webhooks) is running instead
+      if (process.env.WEBHOOK_WORKER !== 'false') {
+        startWebhookWorker();
+      }
+
+      // Evaluate alert rules and email matches, unless a dedicated worker
+      // (npm run worker:alerts) is running instead. Pending alerts are
+      // claimed before they are emailed, so several processes can run it.
+      if (process.env.ALERT_WORKER !== 'false') {
+        startAlertWorker();
+      }
+
+      // Send scheduled daily / weekly digests, unless a dedicated worker
+      // (npm run worker:digests) is running instead. Each due digest is
+      // claimed before it is sent, so several processes can run it.
+      if (process.env.DIGEST_WORKER !== 'false') {
+        startDigestWorker();
+      }
+
+      // Retry emails whose first send failed, unless a dedicated worker
+      // (npm run worker:email) is running instead
+      if (process.env.EMAIL_OUTBOX_WORKER !== 'false') {
+        startEmailOutboxWorker();
+      }
+
+      // Receive live dashboard updates from other processes over Postgres
+      // LISTEN (only when REALTIME_PG_NOTIFY=true)
+      startRealtime();
+
+      // Delete session recordings past REPLAY_RETENTION_DAYS, daily
+      const pruneReplaysSafely = () => pruneReplays().catch(err => console.error('[REPLAY] Pruning failed:', err.message));
+      pruneReplaysSafely();
+      setInterval(pruneReplaysSafely, 24 * 60 * 60 * 1000);
+
+      // Delete quarantined events past QUARANTINE_RETENTION_DAYS, daily
+      const pruneQuarantineSafely = () => pruneQuarantine().catch(err => console.error('[EVENTS] Quarantine pruning failed:', err.message));
+      pruneQuarantineSafely();
+      setInterval(pruneQuarantineSafely, 24 * 60 * 60 * 1000);
+
+      // Delete cookieless salts older than yesterday, hourly so none outlives its day by much
+      const pruneConsentSaltsSafely = () => pruneConsentSalts().catch(err => console.error('[CONSENT] Salt pruning failed:', err.message));
+      pruneConsentSaltsSafely();
+      setInterval(pruneConsentSaltsSafely, 60 * 60 * 1000);
 
       // Run pixel-only bot detection on startup and every 5 minutes
       if (botsRouter.runPixelOnlyBotDetection) {
@@ -581,6 +580,14 @@ async function start() {
 
 function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Shutting down gracefully...`);
+  stopIngestWorker();
+  stopJourneyRebuildWorker();
+  stopWebhookWorker();
+  stopAlertWorker();
+  stopDigestWorker();
+  stopEmailOutboxWorker();
+  // Ends open /realtime/stream responses so server.close can finish
+  stopRealtime();
 
   if (server) {
     server.close(() => {
@@ -600,9 +607,12 @@ function gracefulShutdown(signal) {
   }
 }
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+// Only boot the server when run directly (tests require the app without listening)
+if (require.main === module) {
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-start();
+  start();
+}
 
 module.exports = app;
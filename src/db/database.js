@@ -1,6 +1,4 @@
 const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
 
 let pool = null;
 
@@ -24,39 +22,6 @@ function getDb() {
   return pool;
 }
 
-async function initializeSchema() {
-  const database = getDb();
-  const schemaPath = path.join(__dirname, 'schema.sql');
-  const migrationsPath = path.join(__dirname, 'migrations.sql');
-  const schema = fs.readFileSync(schemaPath, 'utf-8');
-
-  try {
-    await database.query(schema);
-    console.log('Database schema initialized');
-  } catch (error) {
-    // Tables likely already exist
-    if (!error.message.includes('already exists')) {
-      console.error('Schema initialization error:', error.message);
-    } else {
-      console.log('Database schema already exists');
-    }
-  }
-
-  // Run migrations to add new columns
-  try {
-    if (fs.existsSync(migrationsPath)) {
-      const migrations = fs.readFileSync(migrationsPath, 'utf-8');
-      await database.query(migrations);
-      console.log('Database migrations applied');
-    }
-  } catch (error) {
-    // Columns likely already exist
-    if (!error.message.includes('already exists')) {
-      console.error('Migration error:', error.message);
-    }
-  }
-}
-
 async function closeDb() {
   if (pool) {
     await pool.end();
@@ -66,6 +31,5 @@ async function closeDb() {
 
 module.exports = {
   getDb,
-  initializeSchema,
   closeDb
 };
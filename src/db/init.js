@@ -1,7 +1,12 @@
 require('dotenv').config();
-const { initializeSchema, closeDb } = require('./database');
+const { closeDb } = require('./database');
+const { migrateUp } = require('./migrator');
 
 console.log('Initializing database...');
-initializeSchema();
-closeDb();
-console.log('Database initialization complete');
+migrateUp()
+  .then(() => console.log('Database initialization complete'))
+  .catch((error) => {
+    console.error('Database initialization failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDb());
@@ -0,0 +1,68 @@
+/**
+ * Migration CLI
+ * Usage:
+ *   node src/db/migrate.js up [--to <version>]
+ *   node src/db/migrate.js status
+ *   node src/db/migrate.js down [--steps <n>]
+ */
+
+require('dotenv').config();
+const { closeDb } = require('./database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('./migrator');
+
+function getFlag(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function printStatus() {
+  const { applied, pending, modified, missing } = await getMigrationStatus();
+  const modifiedVersions = new Set(modified.map(m => m.version));
+
+  for (const migration of applied) {
+    const flag = modifiedVersions.has(migration.version) ? '  (modified since applied)' : '';
+    console.log(`  [x] ${migration.file}  ${new Date(migration.applied_at).toISOString()}${flag}`);
+  }
+  for (const migration of pending) {
+    console.log(`  [ ] ${migration.file}`);
+  }
+  for (const row of missing) {
+    console.log(`  [?] ${row.version}_${row.name}.sql  (applied but file missing)`);
+  }
+
+  console.log(`\n${applied.length} applied, ${pending.length} pending`);
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(undefined, { to: getFlag(args, 'to') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    case 'down': {
+      const steps = parseInt(getFlag(args, 'steps') || '1', 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const reverted = await migrateDown(undefined, { steps });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, status or down)`);
+  }
+}
+
+main()
+  .then(() => closeDb())
+  .catch(async (error) => {
+    console.error('Migration failed:', error.message);
+    await closeDb();
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+-- Baseline schema
+-- Consolidates the old schema.sql + migrations.sql replay. Every statement is
+-- idempotent, so databases created by the old replay are adopted as-is.
+
+-- migrate:up
+
+-- ============================================
+-- MULTI-TENANCY TABLES
+-- ============================================
+
+-- Sites table - each customer site being tracked
+CREATE TABLE IF NOT EXISTS sites (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  domain TEXT NOT NULL UNIQUE,
+  tracking_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Users table - admin and customer users
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  name TEXT,
+  role TEXT NOT NULL DEFAULT 'customer',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login TIMESTAMP
+);
+
+-- User-Site mapping - which sites can each user access
+CREATE TABLE IF NOT EXISTS user_sites (
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  site_id INTEGER REFERENCES sites(id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, site_id)
+);
+
+-- Session store table for connect-pg-simple
+CREATE TABLE IF NOT EXISTS "session" (
+  "sid" varchar NOT NULL COLLATE "default" PRIMARY KEY,
+  "sess" json NOT NULL,
+  "expire" timestamp(6) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire");
+
+-- ============================================
+-- EVENTS (raw data from GTM / pixel)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS journey_events (
+  id SERIAL PRIMARY KEY,
+  journey_id TEXT NOT NULL,
+  visitor_id TEXT,
+  event_type TEXT NOT NULL,
+  page_url TEXT,
+  referrer TEXT,
+  intent_type TEXT,
+  cta_label TEXT,
+  device_type TEXT,
+  metadata JSONB,  -- Extra event data (scroll %, element selector, UTM params, etc.)
+  occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  site_id INTEGER REFERENCES sites(id),
+  is_bot BOOLEAN DEFAULT false,
+  bot_score REAL DEFAULT 0,
+  bot_signals TEXT[],
+  user_agent TEXT,
+  ip_address TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_journey_events_journey_id ON journey_events(journey_id);
+CREATE INDEX IF NOT EXISTS idx_journey_events_visitor_id ON journey_events(visitor_id);
+CREATE INDEX IF NOT EXISTS idx_journey_events_occurred_at ON journey_events(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_journey_events_site_id ON journey_events(site_id);
+CREATE INDEX IF NOT EXISTS idx_journey_events_metadata ON journey_events USING GIN (metadata);
+CREATE INDEX IF NOT EXISTS idx_journey_events_is_bot ON journey_events(is_bot);
+CREATE INDEX IF NOT EXISTS idx_journey_events_bot_score ON journey_events(bot_score);
+
+-- ============================================
+-- JOURNEYS (reconstructed from events)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS journeys (
+  journey_id TEXT PRIMARY KEY,
+  visitor_id TEXT,
+  visit_number INTEGER DEFAULT 1,
+  first_seen TIMESTAMP,
+  last_seen TIMESTAMP,
+  entry_page TEXT,
+  entry_referrer TEXT,
+  initial_intent TEXT,
+  page_sequence TEXT, -- JSON array
+  event_count INTEGER,
+  outcome TEXT,
+  time_to_action INTEGER, -- seconds
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  site_id INTEGER REFERENCES sites(id),
+  metadata JSONB, -- outcome_detail, friction, confidence, engagement_metrics
+  confidence INTEGER DEFAULT 0,
+  is_bot BOOLEAN DEFAULT false,
+  bot_score REAL DEFAULT 0,
+  bot_type TEXT, -- crawler, scraper, automation, unknown
+  primary_ip_address TEXT,
+  ai_analysis JSONB,
+  ai_analysed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journeys_visitor_id ON journeys(visitor_id);
+CREATE INDEX IF NOT EXISTS idx_journeys_site_id ON journeys(site_id);
+CREATE INDEX IF NOT EXISTS idx_journeys_is_bot ON journeys(is_bot);
+CREATE INDEX IF NOT EXISTS idx_journeys_bot_score ON journeys(bot_score);
+CREATE INDEX IF NOT EXISTS idx_journeys_bot_type ON journeys(bot_type);
+CREATE INDEX IF NOT EXISTS idx_journeys_primary_ip_address ON journeys(primary_ip_address);
+
+-- ============================================
+-- INSIGHTS (AI analysis results)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS insights (
+  id SERIAL PRIMARY KEY,
+  period_start DATE,
+  period_end DATE,
+  total_journeys INTEGER,
+  conversion_rate REAL,
+  analysis_result TEXT, -- JSON containing patterns, friction points, recommendations
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  site_id INTEGER REFERENCES sites(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_insights_created_at ON insights(created_at);
+CREATE INDEX IF NOT EXISTS idx_insights_site_id ON insights(site_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS insights;
+DROP TABLE IF EXISTS journeys;
+DROP TABLE IF EXISTS journey_events;
+DROP TABLE IF EXISTS "session";
+DROP TABLE IF EXISTS user_sites;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS sites;
@@ -0,0 +1,23 @@
+-- Durable ingest queue
+-- /api/event, /api/events/batch and /p.gif append raw events here and return
+-- immediately; the ingest worker enriches them and bulk-inserts into journey_events.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS event_ingest_queue (
+  id BIGSERIAL PRIMARY KEY,
+  payload JSONB NOT NULL,          -- validated event body as received
+  client_ip TEXT,
+  user_agent TEXT,
+  source TEXT NOT NULL DEFAULT 'api', -- api, batch, pixel
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Worker claims the oldest retryable rows first
+CREATE INDEX IF NOT EXISTS idx_event_ingest_queue_attempts_id ON event_ingest_queue(attempts, id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS event_ingest_queue;
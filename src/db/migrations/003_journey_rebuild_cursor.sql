@@ -0,0 +1,30 @@
+-- Incremental journey rebuild
+-- worker_cursors holds the journey_events.id high-water mark; journeys with
+-- events past it are copied into dirty_journeys and rebuilt by the worker.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS worker_cursors (
+  name TEXT PRIMARY KEY,
+  last_event_id BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dirty_journeys (
+  journey_id TEXT PRIMARY KEY,
+  marked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_dirty_journeys_marked_at ON dirty_journeys(marked_at);
+
+-- Existing journeys were built by the old 30s rescan, so start from the current tip
+INSERT INTO worker_cursors (name, last_event_id)
+SELECT 'journey_rebuild', COALESCE(MAX(id), 0) FROM journey_events
+ON CONFLICT (name) DO NOTHING;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS dirty_journeys;
+DROP TABLE IF EXISTS worker_cursors;
@@ -0,0 +1,36 @@
+-- Per-site goal definitions
+-- When a site has active goals, determineOutcome credits conversions from
+-- them instead of the built-in form_submit rules.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS site_goals (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  outcome TEXT NOT NULL,            -- journeys.outcome recorded when this goal is hit
+  match_type TEXT NOT NULL,         -- url, event, cta
+  url_pattern TEXT,                 -- url: regex against page_url
+  event_type TEXT,                  -- event: required; cta: optional click type
+  metadata_key TEXT,                -- event: optional metadata predicate
+  metadata_pattern TEXT,
+  cta_pattern TEXT,                 -- cta: regex against cta_label
+  value_weight REAL NOT NULL DEFAULT 1,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_goals_site_id ON site_goals(site_id);
+
+-- Which goal (if any) a journey converted on, and its value
+ALTER TABLE journeys ADD COLUMN IF NOT EXISTS goal_id INTEGER REFERENCES site_goals(id) ON DELETE SET NULL;
+ALTER TABLE journeys ADD COLUMN IF NOT EXISTS goal_value REAL;
+CREATE INDEX IF NOT EXISTS idx_journeys_goal_id ON journeys(goal_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_journeys_goal_id;
+ALTER TABLE journeys DROP COLUMN IF EXISTS goal_value;
+ALTER TABLE journeys DROP COLUMN IF EXISTS goal_id;
+DROP TABLE IF EXISTS site_goals;
@@ -0,0 +1,22 @@
+-- Saved custom funnels
+-- Each funnel is an ordered list of steps evaluated against journey_events by
+-- services/funnelBuilder.js. steps is a JSON array of
+--   { name, type: page|event|intent, page_pattern, event_type, intent_type, within_minutes }
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS site_funnels (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  scope TEXT NOT NULL DEFAULT 'session',   -- session: one journey; visitor: any journey by the visitor
+  steps JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_funnels_site_id ON site_funnels(site_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS site_funnels;
@@ -0,0 +1,30 @@
+-- Channel grouping
+-- journeys.channel is the marketing channel (Organic Search, Paid Search, Social,
+-- Email, AI Assistants, Referral, Direct, ...) classified by services/channels.js
+-- at rebuild time; channel_source is the matching "source / medium".
+
+-- migrate:up
+
+ALTER TABLE journeys ADD COLUMN IF NOT EXISTS channel TEXT;
+ALTER TABLE journeys ADD COLUMN IF NOT EXISTS channel_source TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_journeys_site_channel ON journeys(site_id, channel);
+
+-- Dirty journeys queued in bulk (backfills, site-wide re-marks) take
+-- priority 1; the rebuild worker claims priority 0 - journeys with new
+-- events - first, so a backfill never holds up live journeys.
+ALTER TABLE dirty_journeys ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_dirty_journeys_priority ON dirty_journeys(priority, marked_at);
+
+-- Backfill: queue every existing journey for the rebuild worker
+INSERT INTO dirty_journeys (journey_id, priority)
+SELECT journey_id, 1 FROM journeys
+ON CONFLICT (journey_id) DO NOTHING;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_dirty_journeys_priority;
+ALTER TABLE dirty_journeys DROP COLUMN IF EXISTS priority;
+DROP INDEX IF EXISTS idx_journeys_site_channel;
+ALTER TABLE journeys DROP COLUMN IF EXISTS channel_source;
+ALTER TABLE journeys DROP COLUMN IF EXISTS channel;
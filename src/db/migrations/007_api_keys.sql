@@ -0,0 +1,23 @@
+-- Per-site API keys for the public /api/v1 namespace
+-- Only a SHA-256 hash of each key is stored; the plaintext is shown once when
+-- the key is created. key_prefix is kept so admins can tell keys apart.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',   -- e.g. journeys:read, families:read
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_site_id ON api_keys(site_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS api_keys;
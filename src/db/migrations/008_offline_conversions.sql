@@ -0,0 +1,36 @@
+-- Offline conversions
+-- Enquiries and bookings recorded by the CRM / booking apps through
+-- POST /api/v1/conversions. A conversion is attached to a journey (given, or
+-- the visitor's latest journey before it) and sets that journey's outcome.
+-- upsertJourney re-applies it on every rebuild, so journeys built after the
+-- conversion arrived pick it up too.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS offline_conversions (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  external_id TEXT NOT NULL,            -- enquiry / booking ID in the calling system
+  conversion_type TEXT NOT NULL,        -- enquiry, visit_booked, application, ...
+  outcome TEXT NOT NULL,                -- journeys.outcome applied to the attached journey
+  value REAL,
+  occurred_at TIMESTAMP NOT NULL,
+  journey_id TEXT,
+  visitor_id TEXT,
+  email_hash TEXT,                      -- SHA-256 of the lowercased email; the email is never stored
+  source TEXT,                          -- API key name that recorded it
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (site_id, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_offline_conversions_visitor ON offline_conversions(site_id, visitor_id);
+CREATE INDEX IF NOT EXISTS idx_offline_conversions_email ON offline_conversions(site_id, email_hash);
+
+ALTER TABLE journeys ADD COLUMN IF NOT EXISTS offline_conversion_id INTEGER REFERENCES offline_conversions(id) ON DELETE SET NULL;
+
+-- migrate:down
+
+ALTER TABLE journeys DROP COLUMN IF EXISTS offline_conversion_id;
+DROP TABLE IF EXISTS offline_conversions;
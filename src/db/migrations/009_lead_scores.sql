@@ -0,0 +1,33 @@
+-- Visitor lead scores
+-- A 0-100 score per visitor (family) across all of their visits, computed by
+-- services/leadScoring.js. factors holds each factor's contribution so the
+-- family page can explain the score; the points always sum to score.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS visitor_lead_scores (
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  visitor_id TEXT NOT NULL,
+  score INTEGER NOT NULL,
+  factors JSONB NOT NULL,           -- [{ key, label, weight, signal, points, detail }]
+  last_seen TIMESTAMP,
+  computed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (site_id, visitor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_visitor_lead_scores_score ON visitor_lead_scores(site_id, score DESC);
+CREATE INDEX IF NOT EXISTS idx_visitor_lead_scores_computed_at ON visitor_lead_scores(computed_at);
+
+-- Per-site factor weights and recency half-life; NULL uses the defaults
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS lead_score_settings JSONB;
+
+-- Backfill: the rebuild worker scores each visitor whose journeys it rebuilds
+INSERT INTO dirty_journeys (journey_id)
+SELECT journey_id FROM journeys
+WHERE visitor_id IS NOT NULL AND last_seen >= NOW() - INTERVAL '90 days'
+ON CONFLICT (journey_id) DO UPDATE SET marked_at = CURRENT_TIMESTAMP;
+
+-- migrate:down
+
+ALTER TABLE sites DROP COLUMN IF EXISTS lead_score_settings;
+DROP TABLE IF EXISTS visitor_lead_scores;
@@ -0,0 +1,52 @@
+-- Alert rules
+-- Replaces the hard-wired "new visitor" email (and its in-memory
+-- notifiedJourneys Set) with per-user rules on a site. The alert worker
+-- evaluates each active rule, records every match once in alert_events
+-- (UNIQUE rule_id + dedupe_key, so restarts never re-send), and emails
+-- pending matches immediately or as an hourly / daily digest, holding them
+-- during the rule's quiet hours.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  rule_type TEXT NOT NULL,          -- new_visitor, returning_page_view, lead_score_above, form_abandoned, conversion_rate_drop
+  config JSONB NOT NULL DEFAULT '{}',
+  delivery TEXT NOT NULL DEFAULT 'immediate',  -- immediate, hourly, daily
+  quiet_start SMALLINT,             -- local hour quiet hours begin (0-23), NULL for none
+  quiet_end SMALLINT,               -- local hour quiet hours end
+  timezone TEXT NOT NULL DEFAULT 'Europe/London',
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_evaluated_at TIMESTAMP,
+  last_sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user_site ON alert_rules(user_id, site_id);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id BIGSERIAL PRIMARY KEY,
+  rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  dedupe_key TEXT NOT NULL,         -- e.g. the journey or visitor the alert is about
+  title TEXT NOT NULL,
+  detail TEXT,
+  link TEXT,                        -- dashboard path, e.g. /journeys/<id>
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending, sent, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP,
+  UNIQUE (rule_id, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_pending ON alert_events(rule_id, created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule_created ON alert_events(rule_id, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS alert_events;
+DROP TABLE IF EXISTS alert_rules;
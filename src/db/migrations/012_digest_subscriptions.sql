@@ -0,0 +1,32 @@
+-- Digest subscriptions
+-- A user's daily or weekly summary email for a site: journey stats, the
+-- conversion funnel, top pages, bot share and the latest AI insight, with an
+-- optional PDF copy attached. Each subscription has its own send time and
+-- timezone; the digest worker sends it once per local day (daily) or on the
+-- chosen weekday (weekly) and records the outcome here.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  frequency TEXT NOT NULL,          -- daily, weekly
+  send_hour SMALLINT NOT NULL DEFAULT 8,  -- local hour (0-23)
+  send_day SMALLINT NOT NULL DEFAULT 1,   -- weekly only: 0 = Sunday ... 6 = Saturday
+  timezone TEXT NOT NULL DEFAULT 'Europe/London',
+  include_pdf BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_sent_at TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, site_id, frequency)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_subscriptions_active ON digest_subscriptions(is_active);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS digest_subscriptions;
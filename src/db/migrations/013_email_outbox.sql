@@ -0,0 +1,62 @@
+-- Email outbox, site recipients and templates
+-- Every email is persisted in email_outbox before it is sent, with its
+-- status, attempts and last error, so failed sends are retried by the outbox
+-- worker and can be inspected (this replaces the in-memory email debug log).
+-- Sites keep a list of extra recipients for alert and digest emails, which
+-- alert rules and digest subscriptions opt into with notify_site, and may
+-- override the subject and intro of each email template.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS site_email_recipients (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  name TEXT,
+  categories TEXT[] NOT NULL DEFAULT '{alerts,digests}',  -- which emails they receive
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (site_id, email)
+);
+
+CREATE TABLE IF NOT EXISTS site_email_templates (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  template TEXT NOT NULL,           -- alert, digest
+  subject TEXT,                     -- NULL keeps the default subject
+  intro TEXT,                       -- optional paragraph shown above the email body
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (site_id, template)
+);
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  site_id INTEGER REFERENCES sites(id) ON DELETE SET NULL,
+  category TEXT NOT NULL,           -- alerts, digests, test, general
+  recipients TEXT[] NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT,
+  text TEXT,
+  attachments JSONB NOT NULL DEFAULT '[]',  -- [{ filename, contentType, content (base64) }]
+  status TEXT NOT NULL DEFAULT 'pending',   -- pending, sent, failed
+  transport TEXT,                   -- transport of the last attempt
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON email_outbox(created_at DESC);
+
+ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS notify_site BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE digest_subscriptions ADD COLUMN IF NOT EXISTS notify_site BOOLEAN NOT NULL DEFAULT false;
+
+-- migrate:down
+
+ALTER TABLE digest_subscriptions DROP COLUMN IF EXISTS notify_site;
+ALTER TABLE alert_rules DROP COLUMN IF EXISTS notify_site;
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS site_email_templates;
+DROP TABLE IF EXISTS site_email_recipients;
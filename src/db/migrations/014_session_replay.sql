@@ -0,0 +1,31 @@
+-- Session replay recordings
+-- Opt-in tracker recording (data-record="true") posts DOM snapshots and
+-- mutation / mouse / scroll / input deltas in numbered chunks per journey.
+-- Each chunk's events are stored gzipped JSON; the replay player on
+-- /journeys/:id decompresses and plays them in order. Chunks older than
+-- REPLAY_RETENTION_DAYS are deleted.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS session_replay_chunks (
+  id BIGSERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  journey_id TEXT NOT NULL,
+  visitor_id TEXT,
+  seq INTEGER NOT NULL,             -- chunk number within the journey, from the tracker
+  page_url TEXT,
+  started_at TIMESTAMP NOT NULL,    -- first and last event, on the server clock
+  ended_at TIMESTAMP NOT NULL,
+  event_count INTEGER NOT NULL,
+  has_snapshot BOOLEAN NOT NULL DEFAULT false,  -- starts a page: playback can seek from here
+  data BYTEA NOT NULL,              -- gzipped JSON array of recorder events
+  byte_size INTEGER NOT NULL,       -- uncompressed size of data
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (journey_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_replay_chunks_created ON session_replay_chunks(created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS session_replay_chunks;
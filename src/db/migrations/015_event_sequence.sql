@@ -0,0 +1,21 @@
+-- Tracker event sequence numbers
+-- The tracker now batches events and retries failed sends, so the same event
+-- can arrive more than once. Each event carries stream_id (one per page load)
+-- and seq (0, 1, 2... within the stream): a repeat of (journey_id, stream_id,
+-- seq) is dropped on insert, and missing numbers show events that were lost.
+-- Older tracker versions and pixel hits have neither and are never deduped.
+
+-- migrate:up
+
+ALTER TABLE journey_events ADD COLUMN IF NOT EXISTS stream_id TEXT;
+ALTER TABLE journey_events ADD COLUMN IF NOT EXISTS seq INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_events_stream_seq
+  ON journey_events(journey_id, stream_id, seq)
+  WHERE stream_id IS NOT NULL AND seq IS NOT NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_journey_events_stream_seq;
+ALTER TABLE journey_events DROP COLUMN IF EXISTS seq;
+ALTER TABLE journey_events DROP COLUMN IF EXISTS stream_id;
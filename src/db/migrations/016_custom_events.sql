@@ -0,0 +1,46 @@
+-- Custom event registry and quarantine
+-- Sites define their own event types (sent with window.wjaTrackEvent) in
+-- site_event_definitions, optionally with a JSON schema for the event's
+-- properties. Events the ingest worker cannot place - an event_type that is
+-- neither built in nor defined for the site, or a custom event whose
+-- properties fail its schema - go to event_quarantine instead of being
+-- dropped, and can be released back onto the ingest queue once defined.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS site_event_definitions (
+  id SERIAL PRIMARY KEY,
+  site_id INTEGER NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,                 -- the event_type the tracker sends
+  label TEXT,                         -- shown in journey timelines
+  description TEXT,
+  properties_schema JSONB,            -- JSON schema for the event's metadata, NULL = anything
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (site_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS event_quarantine (
+  id BIGSERIAL PRIMARY KEY,
+  site_id INTEGER REFERENCES sites(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  journey_id TEXT,
+  reason TEXT NOT NULL,               -- unknown_event | invalid_properties
+  errors JSONB NOT NULL DEFAULT '[]',
+  -- The queued row as received, so a release re-ingests it unchanged
+  payload JSONB NOT NULL,
+  client_ip TEXT,
+  user_agent TEXT,
+  source TEXT,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  quarantined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_quarantine_site_type ON event_quarantine(site_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_event_quarantine_quarantined_at ON event_quarantine(quarantined_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS event_quarantine;
+DROP TABLE IF EXISTS site_event_definitions;
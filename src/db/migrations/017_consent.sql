@@ -0,0 +1,23 @@
+-- Consent-aware tracking
+-- The tracker now records the visitor's consent state on each event
+-- (granted | denied | pending | cookieless; NULL from trackers without consent
+-- management). Events without consent carry no visitor or journey id: the
+-- ingest worker derives both from a hash of the site, IP address and user
+-- agent salted with consent_salts' random salt for the day. Salts older than
+-- yesterday are deleted, so a hash can never be recomputed or linked to
+-- another day's.
+
+-- migrate:up
+
+ALTER TABLE journey_events ADD COLUMN IF NOT EXISTS consent TEXT;
+
+CREATE TABLE IF NOT EXISTS consent_salts (
+  day DATE PRIMARY KEY,               -- UTC day the salt is used for
+  salt TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS consent_salts;
+ALTER TABLE journey_events DROP COLUMN IF EXISTS consent;
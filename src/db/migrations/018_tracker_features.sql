@@ -0,0 +1,12 @@
+-- Per-site tracker features
+-- /tracking.js?key= builds each site's tracker from gtm/trackingScript.js with
+-- only the optional collector modules the site has enabled (see
+-- services/trackerBuild.js). NULL uses the defaults.
+
+-- migrate:up
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS tracker_features TEXT[];
+
+-- migrate:down
+
+ALTER TABLE sites DROP COLUMN IF EXISTS tracker_features;
@@ -0,0 +1,13 @@
+-- Alert event claims
+-- Several processes may run the alert worker. Each leases the pending alerts
+-- it is about to email by setting claimed_until, so another worker skips them
+-- until the send is recorded (sent or failed, which clears the lease) or the
+-- lease runs out because the worker died mid-send.
+
+-- migrate:up
+
+ALTER TABLE alert_events ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMP;
+
+-- migrate:down
+
+ALTER TABLE alert_events DROP COLUMN IF EXISTS claimed_until;
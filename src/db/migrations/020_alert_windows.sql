@@ -0,0 +1,14 @@
+-- Alert windows on stored time
+-- Alert rules now look for journeys and events by when they were stored
+-- (created_at) rather than when they happened, so ingest or rebuild lag
+-- cannot push a match out of the window the alert worker reads.
+
+-- migrate:up
+
+CREATE INDEX IF NOT EXISTS idx_journeys_site_created ON journeys(site_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_journey_events_site_created ON journey_events(site_id, created_at);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_journey_events_site_created;
+DROP INDEX IF EXISTS idx_journeys_site_created;
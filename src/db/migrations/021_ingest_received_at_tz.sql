@@ -0,0 +1,13 @@
+-- Ingest queue received_at with time zone
+-- The ingest worker takes the cookieless salt's UTC day from received_at. As
+-- TIMESTAMP it came back as a zone-less wall time that node-postgres reads in
+-- the process's local zone, so outside UTC the day could be wrong; TIMESTAMPTZ
+-- is an absolute time. Existing rows are converted using the server's zone.
+
+-- migrate:up
+
+ALTER TABLE event_ingest_queue ALTER COLUMN received_at TYPE TIMESTAMPTZ;
+
+-- migrate:down
+
+ALTER TABLE event_ingest_queue ALTER COLUMN received_at TYPE TIMESTAMP;
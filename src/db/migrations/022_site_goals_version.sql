@@ -0,0 +1,13 @@
+-- Site goals version
+-- Every process caches a site's active goals for journey rebuilds. Creating,
+-- editing or deleting a goal bumps sites.goals_version in the same statement,
+-- so a rebuild worker in another process sees the change on its next journey
+-- instead of using the old goals until its cache expires.
+
+-- migrate:up
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS goals_version INTEGER NOT NULL DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE sites DROP COLUMN IF EXISTS goals_version;
@@ -0,0 +1,241 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in src/db/migrations as NNN_description.sql, each with a
+ * "-- migrate:up" section and an optional "-- migrate:down" section. Applied
+ * versions are recorded in schema_migrations; each migration runs in its own
+ * transaction together with its bookkeeping row, so a failure leaves the
+ * database exactly at the previous version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDb } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Arbitrary constant so concurrent deploys serialise on the same advisory lock
+const MIGRATION_LOCK_ID = 727274;
+
+/**
+ * Split a migration file into its up and down SQL
+ */
+function parseMigration(sql) {
+  const upMarker = sql.search(/^--\s*migrate:up\s*$/m);
+  const downMarker = sql.search(/^--\s*migrate:down\s*$/m);
+
+  if (upMarker === -1) {
+    return null;
+  }
+
+  const upEnd = downMarker > upMarker ? downMarker : sql.length;
+  const up = sql.slice(upMarker, upEnd).replace(/^--\s*migrate:up\s*$/m, '').trim();
+  const down = downMarker > upMarker
+    ? sql.slice(downMarker).replace(/^--\s*migrate:down\s*$/m, '').trim()
+    : '';
+
+  return { up, down };
+}
+
+/**
+ * Read all migration files, sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const migrations = [];
+  const seen = new Set();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const version = match[1];
+    if (seen.has(version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    seen.add(version);
+
+    const sql = fs.readFileSync(path.join(dir, file), 'utf-8');
+    const parsed = parseMigration(sql);
+    if (!parsed || !parsed.up) {
+      throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+    }
+
+    migrations.push({
+      version,
+      name: match[2],
+      file,
+      up: parsed.up,
+      down: parsed.down,
+      checksum: crypto.createHash('sha256').update(parsed.up).digest('hex')
+    });
+  }
+
+  return migrations.sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+/**
+ * Compare migration files against schema_migrations
+ * Returns applied, pending, modified (file changed after applying) and
+ * missing (recorded in the DB but no longer on disk) migrations.
+ */
+async function getMigrationStatus(db = getDb(), dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+  const applied = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const fileVersions = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: migrations
+      .filter(m => appliedByVersion.has(m.version))
+      .map(m => ({ ...m, applied_at: appliedByVersion.get(m.version).applied_at })),
+    pending: migrations.filter(m => !appliedByVersion.has(m.version)),
+    modified: migrations.filter(m =>
+      appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum
+    ),
+    missing: applied.filter(row => !fileVersions.has(row.version))
+  };
+}
+
+/**
+ * Run fn inside a transaction holding the migration lock
+ */
+async function withMigrationTransaction(db, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations in order
+ * Stops at the first failure; earlier migrations stay applied.
+ */
+async function migrateUp(db = getDb(), options = {}) {
+  const { to = null, dir = MIGRATIONS_DIR, log = console.log } = options;
+  const { pending } = await getMigrationStatus(db, dir);
+  const toApply = to
+    ? pending.filter(m => parseInt(m.version, 10) <= parseInt(to, 10))
+    : pending;
+
+  const appliedNow = [];
+  for (const migration of toApply) {
+    const ran = await withMigrationTransaction(db, async (client) => {
+      // Another process may have applied it while we waited on the lock
+      const existing = await client.query(
+        'SELECT 1 FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      );
+      if (existing.rows.length > 0) return false;
+
+      await client.query(migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+      return true;
+    });
+
+    if (ran) {
+      log(`[MIGRATE] Applied ${migration.file}`);
+      appliedNow.push(migration);
+    }
+  }
+
+  return appliedNow;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ */
+async function migrateDown(db = getDb(), options = {}) {
+  const { steps = 1, dir = MIGRATIONS_DIR, log = console.log } = options;
+  const { applied, missing } = await getMigrationStatus(db, dir);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Cannot roll back: migration files missing for version(s) ${missing.map(m => m.version).join(', ')}`
+    );
+  }
+
+  const toRevert = applied.slice(-steps).reverse();
+  const revertedNow = [];
+
+  for (const migration of toRevert) {
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.file} has no "-- migrate:down" section`);
+    }
+
+    await withMigrationTransaction(db, async (client) => {
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+
+    log(`[MIGRATE] Reverted ${migration.file}`);
+    revertedNow.push(migration);
+  }
+
+  return revertedNow;
+}
+
+/**
+ * Throw if any migration has not been applied
+ * Called at startup so the app never runs against an out-of-date schema.
+ */
+async function assertNoPendingMigrations(db = getDb(), dir = MIGRATIONS_DIR) {
+  const { pending, modified } = await getMigrationStatus(db, dir);
+
+  if (modified.length > 0) {
+    console.warn(`[MIGRATE] Applied migrations changed on disk: ${modified.map(m => m.file).join(', ')}`);
+  }
+
+  if (pending.length > 0) {
+    const error = new Error(
+      `${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}. Run "npm run migrate" first.`
+    );
+    error.code = 'PENDING_MIGRATIONS';
+    error.pending = pending.map(m => m.file);
+    throw error;
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  parseMigration,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertNoPendingMigrations
+};
@@ -29,6 +29,89 @@ async function insertEvent(event) {
   return { lastInsertRowid: result.rows[0].id };
 }
 
+const EVENT_INSERT_COLUMNS = 'journey_id, visitor_id, event_type, page_url, referrer, intent_type, cta_label, device_type, metadata, occurred_at, user_agent, ip_address, is_bot, bot_score, bot_signals, site_id, stream_id, seq, consent';
+
+// Column types for the VALUES list, which Postgres cannot infer inside a SELECT
+const EVENT_INSERT_TYPES = ['text', 'text', 'text', 'text', 'text', 'text', 'text', 'text', 'jsonb', 'timestamp', 'text', 'text', 'boolean', 'real', 'text[]', 'integer', 'text', 'integer', 'text'];
+
+/**
+ * Bulk insert events with a single multi-row INSERT ... SELECT
+ * Accepts an optional client so the ingest worker can run it inside its transaction.
+ * Events the tracker already sent (same journey, stream_id and seq - a retry)
+ * are skipped before the insert, so they never use up a journey_events id and
+ * leave a gap for the rebuild cursor to wait on; ON CONFLICT only catches two
+ * workers storing the same resend at once. Returns the inserted rows' id,
+ * journey_id, stream_id and seq.
+ */
+async function insertEvents(events, db = getDb()) {
+  const seen = new Set();
+  const fresh = events.filter((event) => {
+    if (!event.stream_id || !Number.isInteger(event.seq)) return true;
+    const key = `${event.journey_id}\n${event.stream_id}\n${event.seq}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (fresh.length === 0) return [];
+
+  const params = [];
+  const rows = fresh.map((event) => {
+    const values = [
+      event.journey_id,
+      event.visitor_id || null,
+      event.event_type,
+      event.page_url || null,
+      event.referrer || null,
+      event.intent_type || null,
+      event.cta_label || null,
+      event.device_type || null,
+      event.metadata ? JSON.stringify(event.metadata) : null,
+      event.occurred_at || new Date().toISOString(),
+      event.user_agent || null,
+      event.ip_address || null,
+      event.is_bot || false,
+      event.bot_score || 0,
+      event.bot_signals || null,
+      event.site_id || null,
+      event.stream_id || null,
+      Number.isInteger(event.seq) ? event.seq : null,
+      event.consent || null
+    ];
+    const placeholders = values.map((value, i) => {
+      params.push(value);
+      return `$${params.length}::${EVENT_INSERT_TYPES[i]}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  const result = await db.query(
+    `INSERT INTO journey_events (${EVENT_INSERT_COLUMNS})
+     SELECT * FROM (VALUES ${rows.join(', ')}) AS incoming (${EVENT_INSERT_COLUMNS})
+     WHERE incoming.stream_id IS NULL OR incoming.seq IS NULL OR NOT EXISTS (
+       SELECT 1 FROM journey_events e
+       WHERE e.journey_id = incoming.journey_id AND e.stream_id = incoming.stream_id AND e.seq = incoming.seq
+     )
+     ON CONFLICT (journey_id, stream_id, seq) WHERE stream_id IS NOT NULL AND seq IS NOT NULL DO NOTHING
+     RETURNING id, journey_id, stream_id, seq`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Which of these journeys already have events (the rest are arriving now)
+ * Accepts an optional client, like insertEvents. Returns a Set of journey ids.
+ */
+async function getKnownJourneyIds(journeyIds, db = getDb()) {
+  if (journeyIds.length === 0) return new Set();
+
+  const result = await db.query(
+    'SELECT DISTINCT journey_id FROM journey_events WHERE journey_id = ANY($1)',
+    [[...new Set(journeyIds)]]
+  );
+  return new Set(result.rows.map(row => row.journey_id));
+}
+
 async function getEventsByJourneyId(journeyId, siteId = null) {
   const db = getDb();
   let query = `SELECT * FROM journey_events WHERE journey_id = $1`;
@@ -44,6 +127,26 @@ async function getEventsByJourneyId(journeyId, siteId = null) {
   return result.rows;
 }
 
+/**
+ * A journey's events stored after afterId, in insert order
+ * The live follow view tails a journey with this (services/liveJourney.js).
+ */
+async function getJourneyEventsAfter(journeyId, afterId = 0, siteId = null, limit = 500) {
+  const db = getDb();
+  let query = `SELECT * FROM journey_events WHERE journey_id = $1 AND id > $2`;
+  const params = [journeyId, afterId];
+
+  if (siteId) {
+    query += ` AND site_id = $3`;
+    params.push(siteId);
+  }
+
+  params.push(limit);
+  query += ` ORDER BY id ASC LIMIT $${params.length}`;
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
 async function getUniqueJourneyIds(since = null, siteId = null) {
   const db = getDb();
   let query = 'SELECT DISTINCT journey_id FROM journey_events WHERE 1=1';
@@ -81,9 +184,11 @@ async function getEventsInDateRange(startDate, endDate, siteId = null) {
 }
 
 // Journey queries
-async function upsertJourney(journey) {
-  const db = getDb();
-
+/**
+ * Accepts an optional client so the rebuild worker can upsert inside the
+ * transaction that claimed the journey.
+ */
+async function upsertJourney(journey, db = getDb()) {
   // Build metadata object with new analytics fields
   const metadata = {
     outcome_detail: journey.outcome_detail || null,
@@ -93,9 +198,19 @@ async function upsertJourney(journey) {
     bot_signals: journey.bot_signals || []
   };
 
+  // An offline conversion recorded by the CRM (POST /api/v1/conversions)
+  // overrides the outcome derived from events, including on later rebuilds.
+  // inserted / converted / was_converted let callers emit lifecycle webhooks.
   const result = await db.query(
-    `INSERT INTO journeys (journey_id, visitor_id, visit_number, first_seen, last_seen, entry_page, entry_referrer, initial_intent, page_sequence, event_count, outcome, time_to_action, confidence, metadata, is_bot, bot_score, bot_type, site_id, primary_ip_address, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, CURRENT_TIMESTAMP)
+    `WITH offline AS (
+       SELECT id, outcome FROM offline_conversions
+       WHERE journey_id = $1
+       ORDER BY occurred_at DESC LIMIT 1
+     ), previous AS (
+       SELECT outcome, goal_id FROM journeys WHERE journey_id = $1
+     )
+     INSERT INTO journeys (journey_id, visitor_id, visit_number, first_seen, last_seen, entry_page, entry_referrer, initial_intent, page_sequence, event_count, outcome, time_to_action, confidence, metadata, is_bot, bot_score, bot_type, site_id, primary_ip_address, goal_id, goal_value, channel, channel_source, offline_conversion_id, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE((SELECT outcome FROM offline), $11), $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, (SELECT id FROM offline), CURRENT_TIMESTAMP)
      ON CONFLICT(journey_id) DO UPDATE SET
        visitor_id = EXCLUDED.visitor_id,
        visit_number = EXCLUDED.visit_number,
@@ -111,8 +226,16 @@ async function upsertJourney(journey) {
        bot_type = EXCLUDED.bot_type,
        site_id = COALESCE(journeys.site_id, EXCLUDED.site_id),
        primary_ip_address = COALESCE(EXCLUDED.primary_ip_address, journeys.primary_ip_address),
+       goal_id = EXCLUDED.goal_id,
+       goal_value = EXCLUDED.goal_value,
+       channel = EXCLUDED.channel,
+       channel_source = EXCLUDED.channel_source,
+       offline_conversion_id = EXCLUDED.offline_conversion_id,
        updated_at = CURRENT_TIMESTAMP
-     RETURNING journey_id`,
+     RETURNING journey_id,
+       (xmax = 0) as inserted,
+       (goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked')) as converted,
+       COALESCE((SELECT goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked') FROM previous), false) as was_converted`,
     [
       journey.journey_id,
       journey.visitor_id || null,
@@ -132,7 +255,11 @@ async function upsertJourney(journey) {
       journey.bot_score || 0,
       journey.bot_type || null,
       journey.site_id || null,
-      journey.primary_ip_address || null
+      journey.primary_ip_address || null,
+      journey.goal_id || null,
+      journey.goal_value ?? null,
+      journey.channel || null,
+      journey.channel_source || null
     ]
   );
   return result;
@@ -252,9 +379,9 @@ async function getJourneysInDateRange(startDate, endDate, siteId = null) {
   return result.rows;
 }
 
-async function getJourneyStats(siteId = null) {
+async function getJourneyStats(siteId = null, days = 7) {
   const db = getDb();
-  const dateFilter = `occurred_at >= NOW() - INTERVAL '7 days'`;
+  const dateFilter = `occurred_at >= NOW() - INTERVAL '${parseInt(days, 10)} days'`;
   const botFilter = '(is_bot = false OR is_bot IS NULL)';
   // Exclude journeys where entry page indicates existing parent (not prospective family)
   // Patterns: news, calendar, term-dates, image galleries (/160/), parents association (/90/),
@@ -329,11 +456,11 @@ async function getJourneyStats(siteId = null) {
 // ============================================
 
 /**
- * Get top pages by view count
+ * Get top pages by view count over the last `days` days
  */
-async function getTopPages(limit = 10, siteId = null) {
+async function getTopPages(limit = 10, siteId = null, days = 7) {
   const db = getDb();
-  const dateFilter = `occurred_at >= NOW() - INTERVAL '7 days'`;
+  const dateFilter = `occurred_at >= NOW() - INTERVAL '${parseInt(days, 10)} days'`;
   const botFilter = '(is_bot = false OR is_bot IS NULL)';
   // Exclude journeys where entry page indicates existing parent (not prospective family)
   // Patterns: news, calendar, term-dates, image galleries (/160/), parents association (/90/),
@@ -447,8 +574,7 @@ async function getDeviceBreakdown(siteId = null) {
 }
 
 /**
- * Get traffic sources breakdown from referrers
- * Uses journey_events for accurate data
+ * Get traffic sources breakdown by channel (journeys with events in the last 7 days)
  */
 async function getTrafficSources(siteId = null) {
   const db = getDb();
@@ -475,31 +601,19 @@ async function getTrafficSources(siteId = null) {
     params.push(siteId);
   }
 
-  // Get first referrer for each journey
+  // Channel is classified per journey at rebuild time (services/channels.js)
   const result = await db.query(`
-    WITH first_referrers AS (
-      SELECT DISTINCT ON (journey_id)
-        journey_id,
-        referrer
+    WITH recent_journeys AS (
+      SELECT DISTINCT journey_id
       FROM journey_events
       WHERE ${dateFilter} AND ${botFilter} ${siteFilter} ${excludeExistingParents}
-      ORDER BY journey_id, occurred_at ASC
     )
     SELECT
-      CASE
-        WHEN referrer IS NULL OR referrer = '' THEN 'Direct'
-        WHEN referrer LIKE '%google%' THEN 'Google'
-        WHEN referrer LIKE '%bing%' THEN 'Bing'
-        WHEN referrer LIKE '%facebook%' OR referrer LIKE '%fb.%' THEN 'Facebook'
-        WHEN referrer LIKE '%instagram%' THEN 'Instagram'
-        WHEN referrer LIKE '%twitter%' OR referrer LIKE '%x.com%' THEN 'Twitter/X'
-        WHEN referrer LIKE '%linkedin%' THEN 'LinkedIn'
-        WHEN referrer LIKE '%youtube%' THEN 'YouTube'
-        ELSE 'Other'
-      END as source,
+      COALESCE(j.channel, 'Unclassified') as source,
       COUNT(*) as count
-    FROM first_referrers
-    GROUP BY source
+    FROM recent_journeys r
+    LEFT JOIN journeys j ON j.journey_id = r.journey_id
+    GROUP BY 1
     ORDER BY count DESC
   `, params);
   return result.rows;
@@ -719,11 +833,12 @@ async function getOutcomeDistribution(siteId = null) {
 
 /**
  * Get conversion funnel stages
- * Uses journey_events for accurate data
+ * Uses journey_events for accurate data; sites with goals convert on goal hits.
+ * Covers the last `days` days (7 on the dashboard).
  */
-async function getConversionFunnel(siteId = null) {
+async function getConversionFunnel(siteId = null, days = 7) {
   const db = getDb();
-  const dateFilter = `occurred_at >= NOW() - INTERVAL '7 days'`;
+  const dateFilter = `occurred_at >= NOW() - INTERVAL '${parseInt(days, 10)} days'`;
   const botFilter = '(is_bot = false OR is_bot IS NULL)';
   // Exclude journeys where entry page indicates existing parent (not prospective family)
   // Patterns: news, calendar, term-dates, image galleries (/160/), parents association (/90/),
@@ -745,6 +860,10 @@ async function getConversionFunnel(siteId = null) {
     siteFilter = 'AND site_id = $1';
   }
 
+  // Sites with goals count a conversion as a journey that hit one
+  const goals = siteId ? await getSiteGoals(siteId, { activeOnly: true }) : [];
+  const convertedFilter = goals.length > 0 ? 'goal_hit' : 'form_submits > 0';
+
   // Get all funnel stages in one query for consistency
   const result = await db.query(`
     WITH filtered_journeys AS (
@@ -759,10 +878,12 @@ async function getConversionFunnel(siteId = null) {
         -- Only count Render app activity (enquiry/booking forms), not main website
         COUNT(*) FILTER (WHERE je.event_type = 'cta_click' AND je.page_url ~* 'onrender\\.com') as cta_clicks,
         COUNT(*) FILTER (WHERE je.event_type = 'form_start' AND je.page_url ~* 'onrender\\.com') as form_starts,
-        COUNT(*) FILTER (WHERE je.event_type = 'form_submit' AND je.page_url ~* 'onrender\\.com') as form_submits
+        COUNT(*) FILTER (WHERE je.event_type = 'form_submit' AND je.page_url ~* 'onrender\\.com') as form_submits,
+        BOOL_OR(j.goal_id IS NOT NULL) as goal_hit
       FROM journey_events je
       INNER JOIN filtered_journeys fj ON je.journey_id = fj.journey_id
-      WHERE ${dateFilter} ${siteFilter}
+      LEFT JOIN journeys j ON j.journey_id = je.journey_id
+      WHERE je.${dateFilter} ${siteId ? 'AND je.site_id = $1' : ''}
       GROUP BY je.journey_id
     )
     SELECT
@@ -770,7 +891,7 @@ async function getConversionFunnel(siteId = null) {
       COUNT(*) FILTER (WHERE event_count > 1) as engaged,
       COUNT(*) FILTER (WHERE cta_clicks > 0) as cta_clicked,
       COUNT(*) FILTER (WHERE form_starts > 0) as form_started,
-      COUNT(*) FILTER (WHERE form_submits > 0) as converted
+      COUNT(*) FILTER (WHERE ${convertedFilter}) as converted
     FROM journey_stats
   `, params);
 
@@ -945,6 +1066,8 @@ async function getActiveVisitors(withinSeconds = 300, siteId = null) {
        (SELECT je4.metadata FROM journey_events je4 WHERE je4.journey_id = je.journey_id AND je4.event_type = 'page_view' AND je4.metadata IS NOT NULL ORDER BY je4.occurred_at ASC LIMIT 1) as metadata,
        (SELECT MIN(je2.occurred_at) FROM journey_events je2 WHERE je2.journey_id = je.journey_id) as first_seen,
        (SELECT je3.referrer FROM journey_events je3 WHERE je3.journey_id = je.journey_id AND je3.referrer IS NOT NULL ORDER BY je3.occurred_at ASC LIMIT 1) as referrer,
+       (SELECT je5.page_url FROM journey_events je5 WHERE je5.journey_id = je.journey_id AND je5.event_type = 'page_view' ORDER BY je5.occurred_at ASC LIMIT 1) as landing_url,
+       (SELECT j.channel FROM journeys j WHERE j.journey_id = je.journey_id) as channel,
        (SELECT j.visitor_id FROM journeys j WHERE j.journey_id = je.journey_id) as visitor_id,
        (SELECT j.visit_number FROM journeys j WHERE j.journey_id = je.journey_id) as visit_number
      FROM journey_events je
@@ -1954,201 +2077,2109 @@ async function getReturnVisitorAnalytics(siteId = null) {
 }
 
 // ============================================
-// SITE LOOKUP FUNCTIONS
+// COHORT RETENTION
 // ============================================
 
 /**
- * Look up site by tracking key (used by event API)
+ * Every human journey by visitors whose first visit was on/after startDate
+ * One row per journey with the visitor's first-visit attributes, used by
+ * services/cohorts.js to build the weekly retention matrix.
  */
-async function getSiteByTrackingKey(trackingKey) {
+async function getCohortJourneys(siteId, startDate) {
   const db = getDb();
-  const result = await db.query(
-    'SELECT * FROM sites WHERE tracking_key = $1',
-    [trackingKey]
-  );
-  return result.rows[0] || null;
+  const params = [startDate];
+  let siteFilter = '';
+
+  if (siteId) {
+    siteFilter = 'AND site_id = $2';
+    params.push(siteId);
+  }
+
+  const result = await db.query(`
+    WITH human AS (
+      SELECT journey_id, visitor_id, first_seen, entry_referrer, channel, outcome, goal_id
+      FROM journeys
+      WHERE visitor_id IS NOT NULL ${siteFilter}
+        AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
+    ),
+    firsts AS (
+      SELECT DISTINCT ON (visitor_id) visitor_id, journey_id, first_seen, entry_referrer, channel
+      FROM human
+      ORDER BY visitor_id, first_seen
+    ),
+    cohort AS (
+      SELECT f.*,
+        (SELECT je.device_type FROM journey_events je WHERE je.journey_id = f.journey_id ORDER BY je.occurred_at LIMIT 1) as device_type
+      FROM firsts f
+      WHERE f.first_seen >= $1
+    )
+    SELECT
+      h.visitor_id,
+      h.journey_id,
+      h.first_seen,
+      (h.goal_id IS NOT NULL OR h.outcome IN ('enquiry_submitted', 'visit_booked')) as converted,
+      c.first_seen as first_visit,
+      c.entry_referrer as first_referrer,
+      c.channel as first_channel,
+      c.device_type as first_device
+    FROM human h
+    JOIN cohort c ON c.visitor_id = h.visitor_id
+    ORDER BY h.visitor_id, h.first_seen
+  `, params);
+  return result.rows;
 }
 
+// ============================================
+// ATTRIBUTION
+// ============================================
+
 /**
- * Get all sites
+ * Conversions since startDate with every earlier journey by the same visitor
+ * (within lookbackDays) as touchpoints, oldest first. UTM tags come from the
+ * first event in each journey that carried them.
  */
-async function getAllSites() {
+async function getAttributionTouchpoints(siteId, startDate, lookbackDays = 90) {
   const db = getDb();
-  const result = await db.query('SELECT * FROM sites ORDER BY name');
+  const params = [startDate, lookbackDays];
+  let siteFilter = '';
+  let touchSiteFilter = '';
+
+  if (siteId) {
+    siteFilter = 'AND site_id = $3';
+    touchSiteFilter = 'AND j.site_id = $3';
+    params.push(siteId);
+  }
+
+  const result = await db.query(`
+    WITH conversions AS (
+      SELECT journey_id, visitor_id, first_seen, outcome
+      FROM journeys
+      WHERE first_seen >= $1 ${siteFilter}
+        AND visitor_id IS NOT NULL
+        AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
+        AND (goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked'))
+    )
+    SELECT
+      c.journey_id as conversion_id,
+      c.outcome as conversion_outcome,
+      c.first_seen as converted_at,
+      j.journey_id,
+      j.first_seen,
+      j.entry_referrer,
+      j.channel,
+      j.channel_source,
+      (SELECT je.metadata->'utm' FROM journey_events je
+       WHERE je.journey_id = j.journey_id AND je.metadata ? 'utm'
+       ORDER BY je.occurred_at LIMIT 1) as utm
+    FROM conversions c
+    JOIN journeys j ON j.visitor_id = c.visitor_id
+      AND j.first_seen <= c.first_seen
+      AND j.first_seen >= c.first_seen - $2::int * INTERVAL '1 day'
+      AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
+      ${touchSiteFilter}
+    ORDER BY c.journey_id, j.first_seen
+  `, params);
   return result.rows;
 }
 
+// ============================================
+// API KEYS
+// ============================================
+
 /**
- * Get site by ID
+ * Active (unrevoked) key by its SHA-256 hash, with the site it belongs to
  */
-async function getSiteById(siteId) {
+async function getApiKeyByHash(keyHash) {
   const db = getDb();
-  const result = await db.query('SELECT * FROM sites WHERE id = $1', [siteId]);
+  const result = await db.query(
+    `SELECT k.id, k.site_id, k.name, k.scopes, s.name as site_name, s.domain as site_domain
+     FROM api_keys k
+     JOIN sites s ON s.id = k.site_id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL`,
+    [keyHash]
+  );
   return result.rows[0] || null;
 }
 
-/**
- * Save AI analysis for a journey
- */
-async function saveJourneyAnalysis(journeyId, analysis) {
+async function touchApiKey(keyId) {
+  const db = getDb();
+  await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [keyId]);
+}
+
+async function getSiteApiKeys(siteId) {
   const db = getDb();
   const result = await db.query(
-    `UPDATE journeys
-     SET ai_analysis = $2, ai_analysed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-     WHERE journey_id = $1
-     RETURNING journey_id, ai_analysed_at`,
-    [journeyId, JSON.stringify(analysis)]
+    `SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+     FROM api_keys WHERE site_id = $1
+     ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+    [siteId]
   );
-  return result.rows[0] || null;
+  return result.rows;
 }
 
-/**
- * Get AI analysis for a journey
- */
-async function getJourneyAnalysis(journeyId) {
+async function createApiKey(siteId, { name, keyPrefix, keyHash, scopes }) {
   const db = getDb();
   const result = await db.query(
-    `SELECT ai_analysis, ai_analysed_at FROM journeys WHERE journey_id = $1`,
-    [journeyId]
+    `INSERT INTO api_keys (site_id, name, key_prefix, key_hash, scopes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, key_prefix, scopes, created_at`,
+    [siteId, name, keyPrefix, keyHash, scopes]
   );
-  if (result.rows[0] && result.rows[0].ai_analysis) {
-    return {
-      analysis: typeof result.rows[0].ai_analysis === 'string'
-        ? JSON.parse(result.rows[0].ai_analysis)
-        : result.rows[0].ai_analysis,
-      analysed_at: result.rows[0].ai_analysed_at
-    };
-  }
-  return null;
+  return result.rows[0];
+}
+
+async function revokeApiKey(siteId, keyId) {
+  const db = getDb();
+  const result = await db.query(
+    'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE site_id = $1 AND id = $2 AND revoked_at IS NULL',
+    [siteId, keyId]
+  );
+  return result.rowCount > 0;
 }
 
 // ============================================
-// VISITOR JOURNEY COUNT
+// PUBLIC API (v1)
 // ============================================
 
-/**
- * Count how many journeys a visitor has (for return visitor detection)
- * Returns the visit number for a specific journey based on first event time
- * Uses IP address OR visitor_id to link visits (IP is more reliable than localStorage)
- */
-async function getVisitorJourneyNumber(visitorId, ipAddress, journeyFirstSeen, siteId = null) {
-  const db = getDb();
-
-  // Count distinct journey_ids that match either visitor_id OR ip_address
-  // This catches return visitors even if localStorage was cleared
-  let query = `
-    SELECT COUNT(DISTINCT journey_id) as visit_number
-    FROM journey_events
-    WHERE occurred_at <= $1
-      AND (
-        (visitor_id = $2 AND visitor_id IS NOT NULL)
-        OR (ip_address = $3 AND ip_address IS NOT NULL)
-      )
-  `;
-  const params = [journeyFirstSeen, visitorId, ipAddress];
+function apiJourneyFilters(siteId, { from, to, outcome = null, channel = null, includeBots = false }) {
+  const conditions = ['site_id = $1', 'first_seen >= $2', 'first_seen < $3'];
+  const params = [siteId, from, to];
 
-  if (siteId) {
-    query += ` AND site_id = $4`;
-    params.push(siteId);
+  if (!includeBots) {
+    conditions.push('is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30');
+  }
+  if (outcome) {
+    params.push(outcome);
+    conditions.push(`outcome = $${params.length}`);
+  }
+  if (channel) {
+    params.push(channel);
+    conditions.push(`channel = $${params.length}`);
   }
 
-  const result = await db.query(query, params);
-  return parseInt(result.rows[0]?.visit_number || 1);
+  return { where: conditions.join(' AND '), params };
 }
 
 /**
- * Get total journey count for a visitor (by visitor_id or IP)
+ * One page of a site's journeys (newest first) and the total matching count
  */
-async function getVisitorTotalJourneys(visitorId, ipAddress, siteId = null) {
+async function getApiJourneys(siteId, options) {
   const db = getDb();
-  let query = `
-    SELECT COUNT(DISTINCT journey_id) as total
-    FROM journey_events
-    WHERE (
-      (visitor_id = $1 AND visitor_id IS NOT NULL)
-      OR (ip_address = $2 AND ip_address IS NOT NULL)
-    )
-  `;
-  const params = [visitorId, ipAddress];
+  const { where, params } = apiJourneyFilters(siteId, options);
 
-  if (siteId) {
-    query += ` AND site_id = $3`;
-    params.push(siteId);
-  }
+  const countResult = await db.query(`SELECT COUNT(*) as total FROM journeys WHERE ${where}`, params);
+  const result = await db.query(
+    `SELECT journey_id, visitor_id, visit_number, first_seen, last_seen, entry_page, entry_referrer,
+            channel, channel_source, initial_intent, event_count, outcome, goal_id, goal_value,
+            time_to_action, confidence, is_bot, bot_score
+     FROM journeys WHERE ${where}
+     ORDER BY first_seen DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, options.limit, options.offset]
+  );
 
-  const result = await db.query(query, params);
-  return parseInt(result.rows[0]?.total || 1);
+  return { rows: result.rows, total: parseInt(countResult.rows[0].total) };
 }
 
 /**
- * Get unique IP addresses from events (for IP-based consolidation)
- * For each journey_id, finds the IP (even if only some events have it)
- * Then groups by IP to consolidate
+ * One page of a site's visitors active in the date range, with journey rollups
  */
-async function getUniqueIPsWithJourneys(siteId = null) {
+async function getApiFamilies(siteId, { from, to, limit, offset }) {
   const db = getDb();
+  const params = [siteId, from, to];
+  const where = `site_id = $1 AND visitor_id IS NOT NULL
+    AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
+    AND last_seen >= $2 AND first_seen < $3`;
 
-  // First, get the IP for each journey_id (prefer non-null IP)
-  // Then group journeys by their resolved IP
-  let query = `
-    WITH journey_ips AS (
-      -- For each journey, get the IP address (preferring non-null)
-      SELECT DISTINCT ON (journey_id)
-        journey_id,
-        ip_address,
-        site_id
-      FROM journey_events
-      WHERE ip_address IS NOT NULL AND ip_address != ''
-      ${siteId ? 'AND site_id = $1' : ''}
-      ORDER BY journey_id, occurred_at ASC
-    )
-    SELECT
-      ji.ip_address,
-      MIN(ji.journey_id) as primary_journey_id,
-      COUNT(DISTINCT ji.journey_id) as journey_count,
-      array_agg(DISTINCT ji.journey_id) as all_journey_ids
-    FROM journey_ips ji
-    GROUP BY ji.ip_address
-    ORDER BY MIN(ji.journey_id)
-  `;
-  const params = siteId ? [siteId] : [];
-  const result = await db.query(query, params);
-  return result.rows;
+  const countResult = await db.query(
+    `SELECT COUNT(DISTINCT visitor_id) as total FROM journeys WHERE ${where}`,
+    params
+  );
+  const result = await db.query(
+    `SELECT
+       visitor_id,
+       COUNT(*) as journey_count,
+       MIN(first_seen) as first_seen,
+       MAX(last_seen) as last_seen,
+       SUM(event_count) as event_count,
+       BOOL_OR(goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked')) as converted,
+       (ARRAY_AGG(channel ORDER BY first_seen))[1] as first_channel,
+       (SELECT ls.score FROM visitor_lead_scores ls
+        WHERE ls.site_id = $1 AND ls.visitor_id = journeys.visitor_id) as lead_score
+     FROM journeys WHERE ${where}
+     GROUP BY visitor_id
+     ORDER BY MAX(last_seen) DESC
+     LIMIT $4 OFFSET $5`,
+    [...params, limit, offset]
+  );
+
+  return { rows: result.rows, total: parseInt(countResult.rows[0].total) };
 }
 
 /**
- * Get all events for a given IP address (for consolidation)
- * Includes events from ANY journey_id that has this IP
+ * All journeys for one visitor on a site, oldest first
  */
-async function getEventsByIPAddress(ipAddress, siteId = null) {
+async function getApiFamilyJourneys(siteId, visitorId) {
   const db = getDb();
-
-  // Get ALL events from journey_ids that have at least one event with this IP
-  let query = `
-    SELECT * FROM journey_events
-    WHERE journey_id IN (
-      SELECT DISTINCT journey_id FROM journey_events WHERE ip_address = $1
-    )
-  `;
-  const params = [ipAddress];
-
-  if (siteId) {
-    query += ` AND site_id = $2`;
-    params.push(siteId);
-  }
-
-  query += ` ORDER BY occurred_at ASC`;
-  const result = await db.query(query, params);
+  const result = await db.query(
+    `SELECT journey_id, visit_number, first_seen, last_seen, entry_page, entry_referrer,
+            channel, channel_source, initial_intent, event_count, outcome, goal_id, goal_value,
+            time_to_action, is_bot, bot_score
+     FROM journeys
+     WHERE site_id = $1 AND visitor_id = $2
+     ORDER BY first_seen ASC`,
+    [siteId, visitorId]
+  );
   return result.rows;
 }
 
 /**
- * Delete journeys by journey_id (for consolidation cleanup)
+ * Bot vs human journey counts for a site in the date range
  */
-async function deleteJourneysByIds(journeyIds) {
-  if (!journeyIds || journeyIds.length === 0) return 0;
+async function getApiBotSummary(siteId, { from, to }) {
   const db = getDb();
-  const placeholders = journeyIds.map((_, i) => `$${i + 1}`).join(', ');
+  // Journeys the dashboards exclude as non-human: flagged bots plus bot_score >= 30
+  const result = await db.query(
+    `WITH ranged AS (
+       SELECT is_bot, bot_score, bot_type
+       FROM journeys
+       WHERE site_id = $1 AND first_seen >= $2 AND first_seen < $3
+     ),
+     types AS (
+       SELECT bot_type, COUNT(*) as count
+       FROM ranged
+       WHERE is_bot = true AND bot_type IS NOT NULL
+       GROUP BY bot_type
+     )
+     SELECT
+       (SELECT COUNT(*) FROM ranged) as total_journeys,
+       (SELECT COUNT(*) FROM ranged WHERE is_bot = true) as bot_journeys,
+       (SELECT COUNT(*) FROM ranged WHERE is_bot IS NOT TRUE AND COALESCE(bot_score, 0) >= 30) as suspicious_journeys,
+       (SELECT ROUND(AVG(bot_score)) FROM ranged WHERE is_bot = true) as avg_bot_score,
+       (SELECT COALESCE(JSON_OBJECT_AGG(bot_type, count), '{}') FROM types) as bot_types`,
+    [siteId, from, to]
+  );
+  return result.rows[0];
+}
+
+// ============================================
+// OFFLINE CONVERSIONS
+// ============================================
+
+/**
+ * Journey to attach a conversion to: the given journey, otherwise the
+ * visitor's latest journey that started before the conversion
+ */
+async function findConversionJourney(siteId, { journeyId = null, visitorId = null, before }) {
+  const db = getDb();
+
+  if (journeyId) {
+    const result = await db.query(
+      'SELECT journey_id, visitor_id FROM journeys WHERE site_id = $1 AND journey_id = $2',
+      [siteId, journeyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  if (!visitorId) return null;
+
+  const result = await db.query(
+    `SELECT journey_id, visitor_id FROM journeys
+     WHERE site_id = $1 AND visitor_id = $2 AND first_seen <= $3
+     ORDER BY first_seen DESC LIMIT 1`,
+    [siteId, visitorId, before]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Visitor previously linked to the same (hashed) email on this site
+ */
+async function findVisitorByEmailHash(siteId, emailHash) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT visitor_id FROM offline_conversions
+     WHERE site_id = $1 AND email_hash = $2 AND visitor_id IS NOT NULL
+     ORDER BY occurred_at DESC LIMIT 1`,
+    [siteId, emailHash]
+  );
+  return result.rows[0]?.visitor_id || null;
+}
+
+/**
+ * Insert or update (same site + external_id) an offline conversion
+ * Returns the row plus inserted = false when it already existed.
+ */
+async function upsertOfflineConversion(siteId, conversion) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO offline_conversions
+       (site_id, external_id, conversion_type, outcome, value, occurred_at, journey_id, visitor_id, email_hash, source, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (site_id, external_id) DO UPDATE SET
+       conversion_type = EXCLUDED.conversion_type,
+       outcome = EXCLUDED.outcome,
+       value = EXCLUDED.value,
+       occurred_at = EXCLUDED.occurred_at,
+       journey_id = COALESCE(EXCLUDED.journey_id, offline_conversions.journey_id),
+       visitor_id = COALESCE(EXCLUDED.visitor_id, offline_conversions.visitor_id),
+       email_hash = COALESCE(EXCLUDED.email_hash, offline_conversions.email_hash),
+       source = EXCLUDED.source,
+       metadata = EXCLUDED.metadata,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *, (xmax = 0) as inserted`,
+    [
+      siteId,
+      conversion.external_id,
+      conversion.conversion_type,
+      conversion.outcome,
+      conversion.value ?? null,
+      conversion.occurred_at,
+      conversion.journey_id || null,
+      conversion.visitor_id || null,
+      conversion.email_hash || null,
+      conversion.source || null,
+      conversion.metadata ? JSON.stringify(conversion.metadata) : null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Pin a journey's outcome to an offline conversion
+ */
+async function applyOfflineConversion(journeyId, conversionId, outcome) {
+  const db = getDb();
+  await db.query(
+    `UPDATE journeys SET outcome = $3, offline_conversion_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE journey_id = $1`,
+    [journeyId, conversionId, outcome]
+  );
+}
+
+/**
+ * A visitor's journeys up to a point in time (the converting journey is always included)
+ */
+async function getVisitorJourneysBefore(siteId, { visitorId = null, journeyId = null, before }) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT journey_id, first_seen, last_seen, page_sequence, event_count, channel, outcome, is_bot
+     FROM journeys
+     WHERE site_id = $1
+       AND ((visitor_id = $2 AND first_seen <= $4) OR journey_id = $3)
+     ORDER BY first_seen ASC`,
+    [siteId, visitorId, journeyId, before]
+  );
+  return result.rows;
+}
+
+async function getVisitorConversions(siteId, visitorId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT id, external_id, conversion_type, outcome, value, occurred_at, journey_id, source
+     FROM offline_conversions
+     WHERE site_id = $1 AND visitor_id = $2
+     ORDER BY occurred_at ASC`,
+    [siteId, visitorId]
+  );
+  return result.rows;
+}
+
+// ============================================
+// LEAD SCORES
+// ============================================
+
+async function getSiteLeadScoreSettings(siteId) {
+  const db = getDb();
+  const result = await db.query('SELECT lead_score_settings FROM sites WHERE id = $1', [siteId]);
+  return result.rows[0]?.lead_score_settings || null;
+}
+
+async function updateSiteLeadScoreSettings(siteId, settings) {
+  const db = getDb();
+  await db.query(
+    'UPDATE sites SET lead_score_settings = $2 WHERE id = $1',
+    [siteId, settings ? JSON.stringify(settings) : null]
+  );
+}
+
+/**
+ * A visitor's human events on a site, oldest first (input to scoreVisitor)
+ */
+async function getVisitorScoringEvents(siteId, visitorId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT journey_id, event_type, page_url, metadata, occurred_at
+     FROM journey_events
+     WHERE site_id = $1 AND visitor_id = $2 AND is_bot IS NOT TRUE
+     ORDER BY occurred_at ASC`,
+    [siteId, visitorId]
+  );
+  return result.rows;
+}
+
+async function upsertVisitorLeadScore(siteId, visitorId, { score, factors, lastSeen }) {
+  const db = getDb();
+  const result = await db.query(
+    `WITH previous AS (
+       SELECT score FROM visitor_lead_scores WHERE site_id = $1 AND visitor_id = $2
+     )
+     INSERT INTO visitor_lead_scores (site_id, visitor_id, score, factors, last_seen, computed_at)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+     ON CONFLICT (site_id, visitor_id) DO UPDATE SET
+       score = EXCLUDED.score,
+       factors = EXCLUDED.factors,
+       last_seen = EXCLUDED.last_seen,
+       computed_at = CURRENT_TIMESTAMP
+     RETURNING score, factors, last_seen, computed_at, (SELECT score FROM previous) as previous_score`,
+    [siteId, visitorId, score, JSON.stringify(factors), lastSeen]
+  );
+  return result.rows[0];
+}
+
+async function deleteVisitorLeadScore(siteId, visitorId) {
+  const db = getDb();
+  await db.query(
+    'DELETE FROM visitor_lead_scores WHERE site_id = $1 AND visitor_id = $2',
+    [siteId, visitorId]
+  );
+}
+
+async function getVisitorLeadScore(visitorId, siteId = null) {
+  const db = getDb();
+  const params = [visitorId];
+  let siteFilter = '';
+  if (siteId) {
+    siteFilter = ' AND site_id = $2';
+    params.push(siteId);
+  }
+
+  const result = await db.query(
+    `SELECT score, factors, last_seen, computed_at
+     FROM visitor_lead_scores
+     WHERE visitor_id = $1${siteFilter}
+     ORDER BY computed_at DESC
+     LIMIT 1`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Scores computed before a cutoff (recency decay has moved on since), oldest first
+ */
+async function getStaleLeadScores(before, limit) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT site_id, visitor_id FROM visitor_lead_scores
+     WHERE computed_at < $1
+     ORDER BY computed_at ASC
+     LIMIT $2`,
+    [before, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Mark every score on a site stale so the worker recomputes it (after a weights change)
+ */
+async function expireSiteLeadScores(siteId) {
+  const db = getDb();
+  await db.query(
+    `UPDATE visitor_lead_scores SET computed_at = TIMESTAMP 'epoch' WHERE site_id = $1`,
+    [siteId]
+  );
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+/**
+ * A site's subscriptions with a rollup of their deliveries
+ */
+async function getSiteWebhooks(siteId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT w.*,
+       (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = w.id AND d.status = 'delivered') as delivered_count,
+       (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = w.id AND d.status = 'pending') as pending_count,
+       (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = w.id AND d.status = 'failed') as failed_count,
+       (SELECT MAX(created_at) FROM webhook_deliveries d WHERE d.subscription_id = w.id) as last_event_at
+     FROM webhook_subscriptions w
+     WHERE w.site_id = $1
+     ORDER BY w.created_at ASC`,
+    [siteId]
+  );
+  return result.rows;
+}
+
+async function getWebhookById(siteId, webhookId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM webhook_subscriptions WHERE site_id = $1 AND id = $2',
+    [siteId, webhookId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createWebhook(siteId, { name, url, secret, event_types }) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO webhook_subscriptions (site_id, name, url, secret, event_types)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [siteId, name, url, secret, event_types]
+  );
+  return result.rows[0];
+}
+
+async function setWebhookActive(siteId, webhookId, isActive) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE webhook_subscriptions SET is_active = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE site_id = $1 AND id = $2`,
+    [siteId, webhookId, isActive]
+  );
+  return result.rowCount > 0;
+}
+
+async function deleteWebhook(siteId, webhookId) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM webhook_subscriptions WHERE site_id = $1 AND id = $2',
+    [siteId, webhookId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Active subscriptions on a site that want an event type
+ */
+async function getWebhooksForEvent(siteId, eventType) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT id FROM webhook_subscriptions
+     WHERE site_id = $1 AND is_active = true AND $2 = ANY(event_types)`,
+    [siteId, eventType]
+  );
+  return result.rows;
+}
+
+/**
+ * Queue one delivery of an event; a repeated event_id for the subscription is ignored
+ * Returns the new delivery, or null if it was already queued.
+ */
+async function createWebhookDelivery(subscriptionId, { eventId, eventType, payload }) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (subscription_id, event_id) DO NOTHING
+     RETURNING *`,
+    [subscriptionId, eventId, eventType, JSON.stringify(payload)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim due deliveries for active subscriptions by pushing next_attempt_at out
+ * by the lease, so other workers skip them while the HTTP request is in flight
+ */
+async function claimWebhookDeliveries(limit, leaseSeconds) {
+  const db = getDb();
+  const result = await db.query(
+    `WITH due AS (
+       SELECT d.id FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND s.is_active = true
+       ORDER BY d.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + ($2 * INTERVAL '1 second')
+     FROM due, webhook_subscriptions s
+     WHERE d.id = due.id AND s.id = d.subscription_id
+     RETURNING d.*, s.url, s.secret`,
+    [limit, leaseSeconds]
+  );
+  return result.rows;
+}
+
+async function recordWebhookAttempt(deliveryId, attempt) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE webhook_deliveries SET
+       status = $2,
+       attempts = attempts + 1,
+       next_attempt_at = COALESCE($3, next_attempt_at),
+       last_status_code = $4,
+       last_error = $5,
+       last_response = $6,
+       last_duration_ms = $7,
+       delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+     WHERE id = $1
+     RETURNING *`,
+    [
+      deliveryId,
+      attempt.status,
+      attempt.nextAttemptAt,
+      attempt.statusCode,
+      attempt.error,
+      attempt.response,
+      attempt.durationMs
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+async function getWebhookDeliveries(subscriptionId, limit = 100) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT * FROM webhook_deliveries
+     WHERE subscription_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [subscriptionId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Queue a failed (or stuck) delivery to be sent again straight away
+ */
+async function retryWebhookDelivery(subscriptionId, deliveryId) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE subscription_id = $1 AND id = $2 AND status <> 'delivered'`,
+    [subscriptionId, deliveryId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Bot journeys per site that started in the last hour, and over the week before it
+ */
+async function getBotJourneyCounts(since, baselineSince) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT site_id,
+       COUNT(*) FILTER (WHERE first_seen >= $1) as recent,
+       COUNT(*) FILTER (WHERE first_seen < $1) as baseline
+     FROM journeys
+     WHERE is_bot = true AND site_id IS NOT NULL AND first_seen >= $2
+     GROUP BY site_id`,
+    [since, baselineSince]
+  );
+  return result.rows;
+}
+
+// ============================================
+// ALERTS
+// ============================================
+
+async function getUserAlertRules(userId, siteId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT r.*,
+       (SELECT COUNT(*) FROM alert_events e WHERE e.rule_id = r.id AND e.status = 'pending') as pending_count,
+       (SELECT MAX(created_at) FROM alert_events e WHERE e.rule_id = r.id) as last_alert_at
+     FROM alert_rules r
+     WHERE r.user_id = $1 AND r.site_id = $2
+     ORDER BY r.created_at ASC`,
+    [userId, siteId]
+  );
+  return result.rows;
+}
+
+async function getAlertRuleById(userId, ruleId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM alert_rules WHERE user_id = $1 AND id = $2',
+    [userId, ruleId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createAlertRule(userId, siteId, rule) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO alert_rules (user_id, site_id, name, rule_type, config, delivery, quiet_start, quiet_end, timezone, notify_site)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      userId,
+      siteId,
+      rule.name,
+      rule.rule_type,
+      JSON.stringify(rule.config),
+      rule.delivery,
+      rule.quiet_start,
+      rule.quiet_end,
+      rule.timezone,
+      rule.notify_site
+    ]
+  );
+  return result.rows[0];
+}
+
+async function setAlertRuleActive(userId, ruleId, isActive) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE alert_rules SET is_active = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND id = $2`,
+    [userId, ruleId, isActive]
+  );
+  return result.rowCount > 0;
+}
+
+async function deleteAlertRule(userId, ruleId) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM alert_rules WHERE user_id = $1 AND id = $2',
+    [userId, ruleId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Active rules whose owner can still see the site, with the owner's email
+ */
+async function getActiveAlertRules() {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT r.*, u.email as user_email, u.name as user_name, s.name as site_name
+     FROM alert_rules r
+     JOIN users u ON u.id = r.user_id
+     JOIN sites s ON s.id = r.site_id
+     WHERE r.is_active = true
+       AND (u.role = 'admin' OR EXISTS (SELECT 1 FROM user_sites us WHERE us.user_id = r.user_id AND us.site_id = r.site_id))
+     ORDER BY r.id`
+  );
+  return result.rows;
+}
+
+async function markAlertRuleEvaluated(ruleId, evaluatedAt) {
+  const db = getDb();
+  await db.query(
+    'UPDATE alert_rules SET last_evaluated_at = $2 WHERE id = $1',
+    [ruleId, evaluatedAt]
+  );
+}
+
+async function markAlertRuleSent(ruleId, sentAt) {
+  const db = getDb();
+  await db.query(
+    'UPDATE alert_rules SET last_sent_at = $2 WHERE id = $1',
+    [ruleId, sentAt]
+  );
+}
+
+/**
+ * Record a rule match; a dedupe_key the rule has already seen is ignored
+ * Returns the new alert, or null if it was a repeat.
+ */
+async function createAlertEvent(ruleId, { dedupeKey, title, detail, link }) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO alert_events (rule_id, dedupe_key, title, detail, link)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (rule_id, dedupe_key) DO NOTHING
+     RETURNING *`,
+    [ruleId, dedupeKey, title, detail || null, link || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim a rule's oldest pending alerts by leasing them for leaseSeconds, so
+ * other alert workers skip them while the email is sent
+ */
+async function claimPendingAlertEvents(ruleId, limit, leaseSeconds) {
+  const db = getDb();
+  const result = await db.query(
+    `WITH due AS (
+       SELECT id FROM alert_events
+       WHERE rule_id = $1 AND status = 'pending' AND (claimed_until IS NULL OR claimed_until <= NOW())
+       ORDER BY created_at ASC, id ASC
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     ), claimed AS (
+       UPDATE alert_events a
+       SET claimed_until = NOW() + ($3 * INTERVAL '1 second')
+       FROM due
+       WHERE a.id = due.id
+       RETURNING a.*
+     )
+     SELECT * FROM claimed ORDER BY created_at ASC, id ASC`,
+    [ruleId, limit, leaseSeconds]
+  );
+  return result.rows;
+}
+
+async function markAlertEventsSent(ids) {
+  const db = getDb();
+  await db.query(
+    `UPDATE alert_events SET status = 'sent', sent_at = CURRENT_TIMESTAMP, attempts = attempts + 1, last_error = NULL, claimed_until = NULL
+     WHERE id = ANY($1)`,
+    [ids]
+  );
+}
+
+/**
+ * Count a failed send and release the claim; alerts that reach maxAttempts
+ * are marked failed
+ */
+async function recordAlertEventsFailure(ids, error, maxAttempts) {
+  const db = getDb();
+  await db.query(
+    `UPDATE alert_events SET
+       attempts = attempts + 1,
+       last_error = $2,
+       claimed_until = NULL,
+       status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE status END
+     WHERE id = ANY($1)`,
+    [ids, error, maxAttempts]
+  );
+}
+
+async function getRecentAlertEvents(userId, siteId, limit = 50) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT e.*, r.name as rule_name
+     FROM alert_events e
+     JOIN alert_rules r ON r.id = e.rule_id
+     WHERE r.user_id = $1 AND r.site_id = $2
+     ORDER BY e.created_at DESC, e.id DESC
+     LIMIT $3`,
+    [userId, siteId, limit]
+  );
+  return result.rows;
+}
+
+// The alert queries below page through their matches: pass the last row's
+// key as `after` for the next page, until a page comes back short.
+
+/**
+ * Human journeys recorded since a time, with the location of their first
+ * located event. The window is on created_at - when the rebuild first stored
+ * the journey - so journeys rebuilt late are still found.
+ */
+async function getNewJourneysSince(siteId, since, after = null, limit = 100) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT j.journey_id, j.visitor_id, j.visit_number, j.first_seen, j.entry_page, j.entry_referrer, j.channel,
+       (SELECT e.metadata->'location' FROM journey_events e
+        WHERE e.journey_id = j.journey_id AND e.metadata ? 'location'
+        ORDER BY e.occurred_at LIMIT 1) as location
+     FROM journeys j
+     WHERE j.site_id = $1 AND j.created_at >= $2
+       AND ($3::text IS NULL OR j.journey_id > $3)
+       AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
+     ORDER BY j.journey_id
+     LIMIT $4`,
+    [siteId, since, after, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * First matching page view per journey among events stored since a time,
+ * for visitors with an earlier journey
+ */
+async function getReturningPageViews(siteId, since, pagePattern, after = null, limit = 100) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT DISTINCT ON (e.journey_id) e.journey_id, e.visitor_id, e.page_url, e.occurred_at
+     FROM journey_events e
+     WHERE e.site_id = $1 AND e.created_at >= $2
+       AND ($4::text IS NULL OR e.journey_id > $4)
+       AND e.event_type = 'page_view' AND e.is_bot IS NOT TRUE
+       AND e.visitor_id IS NOT NULL AND e.page_url ~* $3
+       AND EXISTS (
+         SELECT 1 FROM journeys j
+         WHERE j.site_id = e.site_id AND j.visitor_id = e.visitor_id
+           AND j.journey_id <> e.journey_id AND j.first_seen < e.occurred_at
+       )
+     ORDER BY e.journey_id, e.occurred_at ASC
+     LIMIT $5`,
+    [siteId, since, pagePattern, after, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Visitors scored above a threshold since a time
+ */
+async function getLeadScoresAbove(siteId, since, threshold, after = null, limit = 100) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT visitor_id, score, last_seen FROM visitor_lead_scores
+     WHERE site_id = $1 AND computed_at >= $2 AND score > $3
+       AND ($4::text IS NULL OR visitor_id > $4)
+     ORDER BY visitor_id
+     LIMIT $5`,
+    [siteId, since, threshold, after, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Journeys that started a form on a matching page, never submitted one, and
+ * went quiet in [since, idleBefore): their last event was stored in that
+ * window. Windows that follow on from each other see every journey go quiet.
+ */
+async function getAbandonedForms(siteId, since, idleBefore, pagePattern, after = null, limit = 100) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT e.journey_id, MIN(e.visitor_id) as visitor_id, MIN(e.page_url) as page_url, MIN(e.occurred_at) as form_started_at
+     FROM journey_events e
+     WHERE e.site_id = $1
+       AND ($5::text IS NULL OR e.journey_id > $5)
+       AND e.event_type = 'form_start' AND e.is_bot IS NOT TRUE
+       AND e.page_url ~* $4
+       AND e.journey_id IN (
+         SELECT q.journey_id FROM journey_events q
+         WHERE q.site_id = $1 AND q.created_at >= $2
+         GROUP BY q.journey_id
+         HAVING MAX(q.created_at) < $3
+       )
+       AND NOT EXISTS (SELECT 1 FROM journey_events s WHERE s.journey_id = e.journey_id AND s.event_type = 'form_submit')
+     GROUP BY e.journey_id
+     ORDER BY e.journey_id
+     LIMIT $6`,
+    [siteId, since, idleBefore, pagePattern, after, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Human journeys and conversions in two back-to-back windows:
+ * current [currentStart, end) and previous [previousStart, currentStart)
+ */
+async function getConversionRateWindows(siteId, previousStart, currentStart, end) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE first_seen >= $3) as current_journeys,
+       COUNT(*) FILTER (WHERE first_seen >= $3 AND (goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked'))) as current_conversions,
+       COUNT(*) FILTER (WHERE first_seen < $3) as previous_journeys,
+       COUNT(*) FILTER (WHERE first_seen < $3 AND (goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked'))) as previous_conversions
+     FROM journeys
+     WHERE site_id = $1 AND first_seen >= $2 AND first_seen < $4
+       AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30`,
+    [siteId, previousStart, currentStart, end]
+  );
+  const row = result.rows[0] || {};
+  return {
+    currentJourneys: parseInt(row.current_journeys) || 0,
+    currentConversions: parseInt(row.current_conversions) || 0,
+    previousJourneys: parseInt(row.previous_journeys) || 0,
+    previousConversions: parseInt(row.previous_conversions) || 0
+  };
+}
+
+// ============================================
+// DIGESTS
+// ============================================
+
+async function getUserDigestSubscriptions(userId, siteId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT * FROM digest_subscriptions
+     WHERE user_id = $1 AND site_id = $2
+     ORDER BY frequency ASC`,
+    [userId, siteId]
+  );
+  return result.rows;
+}
+
+async function getDigestSubscriptionById(userId, subscriptionId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT d.*, u.email as user_email, u.name as user_name, s.name as site_name
+     FROM digest_subscriptions d
+     JOIN users u ON u.id = d.user_id
+     JOIN sites s ON s.id = d.site_id
+     WHERE d.user_id = $1 AND d.id = $2`,
+    [userId, subscriptionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * One subscription per user, site and frequency; saving again replaces its schedule
+ */
+async function saveDigestSubscription(userId, siteId, subscription) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO digest_subscriptions (user_id, site_id, frequency, send_hour, send_day, timezone, include_pdf, notify_site)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (user_id, site_id, frequency) DO UPDATE SET
+       send_hour = EXCLUDED.send_hour,
+       send_day = EXCLUDED.send_day,
+       timezone = EXCLUDED.timezone,
+       include_pdf = EXCLUDED.include_pdf,
+       notify_site = EXCLUDED.notify_site,
+       is_active = true,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      userId,
+      siteId,
+      subscription.frequency,
+      subscription.send_hour,
+      subscription.send_day,
+      subscription.timezone,
+      subscription.include_pdf,
+      subscription.notify_site
+    ]
+  );
+  return result.rows[0];
+}
+
+async function setDigestSubscriptionActive(userId, subscriptionId, isActive) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE digest_subscriptions SET is_active = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND id = $2`,
+    [userId, subscriptionId, isActive]
+  );
+  return result.rowCount > 0;
+}
+
+async function deleteDigestSubscription(userId, subscriptionId) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM digest_subscriptions WHERE user_id = $1 AND id = $2',
+    [userId, subscriptionId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Active subscriptions whose owner can still see the site, with the owner's email
+ */
+async function getActiveDigestSubscriptions() {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT d.*, u.email as user_email, u.name as user_name, s.name as site_name
+     FROM digest_subscriptions d
+     JOIN users u ON u.id = d.user_id
+     JOIN sites s ON s.id = d.site_id
+     WHERE d.is_active = true
+       AND (u.role = 'admin' OR EXISTS (SELECT 1 FROM user_sites us WHERE us.user_id = d.user_id AND us.site_id = d.site_id))
+     ORDER BY d.site_id, d.id`
+  );
+  return result.rows;
+}
+
+/**
+ * Claim a due subscription by stamping last_attempt_at, unless another digest
+ * worker has attempted it since retryBefore (i.e. just claimed it)
+ * Returns true if this worker should send it.
+ */
+async function claimDigestSubscription(subscriptionId, attemptedAt, retryBefore) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE digest_subscriptions SET last_attempt_at = $2
+     WHERE id = $1 AND is_active = true AND (last_attempt_at IS NULL OR last_attempt_at < $3)`,
+    [subscriptionId, attemptedAt, retryBefore]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a send attempt; a successful one (error null) also moves last_sent_at
+ */
+async function recordDigestAttempt(subscriptionId, attemptedAt, error = null) {
+  const db = getDb();
+  await db.query(
+    `UPDATE digest_subscriptions SET
+       last_attempt_at = $2,
+       last_sent_at = CASE WHEN $3::text IS NULL THEN $2 ELSE last_sent_at END,
+       last_error = $3
+     WHERE id = $1`,
+    [subscriptionId, attemptedAt, error]
+  );
+}
+
+// ============================================
+// EMAIL OUTBOX, RECIPIENTS AND TEMPLATES
+// ============================================
+
+async function getSiteEmailRecipients(siteId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_email_recipients WHERE site_id = $1 ORDER BY email',
+    [siteId]
+  );
+  return result.rows;
+}
+
+/**
+ * Addresses of a site's active recipients for one category of email (alerts, digests)
+ */
+async function getSiteRecipientEmails(siteId, category) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT email FROM site_email_recipients
+     WHERE site_id = $1 AND is_active = true AND $2 = ANY(categories)
+     ORDER BY email`,
+    [siteId, category]
+  );
+  return result.rows.map(row => row.email);
+}
+
+/**
+ * Add a recipient, or update the name and categories of an existing address
+ */
+async function saveSiteEmailRecipient(siteId, recipient) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO site_email_recipients (site_id, email, name, categories)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (site_id, email) DO UPDATE SET
+       name = EXCLUDED.name,
+       categories = EXCLUDED.categories,
+       is_active = true
+     RETURNING *`,
+    [siteId, recipient.email, recipient.name, recipient.categories]
+  );
+  return result.rows[0];
+}
+
+async function setSiteEmailRecipientActive(siteId, recipientId, isActive) {
+  const db = getDb();
+  const result = await db.query(
+    'UPDATE site_email_recipients SET is_active = $3 WHERE site_id = $1 AND id = $2',
+    [siteId, recipientId, isActive]
+  );
+  return result.rowCount > 0;
+}
+
+async function deleteSiteEmailRecipient(siteId, recipientId) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM site_email_recipients WHERE site_id = $1 AND id = $2',
+    [siteId, recipientId]
+  );
+  return result.rowCount > 0;
+}
+
+async function getSiteEmailTemplates(siteId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_email_templates WHERE site_id = $1',
+    [siteId]
+  );
+  return result.rows;
+}
+
+async function getSiteEmailTemplate(siteId, template) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_email_templates WHERE site_id = $1 AND template = $2',
+    [siteId, template]
+  );
+  return result.rows[0] || null;
+}
+
+async function saveSiteEmailTemplate(siteId, template, { subject, intro }) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO site_email_templates (site_id, template, subject, intro)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (site_id, template) DO UPDATE SET
+       subject = EXCLUDED.subject,
+       intro = EXCLUDED.intro,
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [siteId, template, subject, intro]
+  );
+  return result.rows[0];
+}
+
+async function deleteSiteEmailTemplate(siteId, template) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM site_email_templates WHERE site_id = $1 AND template = $2',
+    [siteId, template]
+  );
+  return result.rowCount > 0;
+}
+
+async function createOutboxEmail(email) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO email_outbox (site_id, category, recipients, subject, html, text, attachments)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      email.siteId || null,
+      email.category,
+      email.recipients,
+      email.subject,
+      email.html,
+      email.text,
+      JSON.stringify(email.attachments || [])
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Claim due pending emails for one worker: pushing next_attempt_at out by the
+ * lease stops other workers picking them up while they are being sent
+ */
+async function claimOutboxEmails(limit, leaseSeconds) {
+  const db = getDb();
+  const result = await db.query(
+    `WITH due AS (
+       SELECT id FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE email_outbox o
+     SET next_attempt_at = NOW() + ($2 * INTERVAL '1 second')
+     FROM due
+     WHERE o.id = due.id
+     RETURNING o.*`,
+    [limit, leaseSeconds]
+  );
+  return result.rows;
+}
+
+async function recordOutboxAttempt(emailId, attempt) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE email_outbox SET
+       status = $2,
+       attempts = attempts + 1,
+       next_attempt_at = COALESCE($3, next_attempt_at),
+       last_error = $4,
+       transport = $5,
+       sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+     WHERE id = $1
+     RETURNING *`,
+    [emailId, attempt.status, attempt.nextAttemptAt, attempt.error, attempt.transport]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Recent outbox emails, newest first, without their bodies
+ * Optional filters: status, siteId.
+ */
+async function getOutboxEmails({ status = null, siteId = null, limit = 100 } = {}) {
+  const db = getDb();
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`o.status = $${params.length}`);
+  }
+  if (siteId) {
+    params.push(siteId);
+    conditions.push(`o.site_id = $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await db.query(
+    `SELECT o.id, o.site_id, s.name as site_name, o.category, o.recipients, o.subject, o.status,
+       o.transport, o.attempts, o.next_attempt_at, o.last_error, o.created_at, o.sent_at,
+       jsonb_array_length(o.attachments) as attachment_count
+     FROM email_outbox o
+     LEFT JOIN sites s ON s.id = o.site_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY o.created_at DESC, o.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+async function getOutboxEmailById(emailId) {
+  const db = getDb();
+  const result = await db.query('SELECT * FROM email_outbox WHERE id = $1', [emailId]);
+  return result.rows[0] || null;
+}
+
+async function getOutboxStatusCounts() {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status'
+  );
+  return Object.fromEntries(result.rows.map(row => [row.status, parseInt(row.count)]));
+}
+
+/**
+ * Queue an unsent email to be sent again straight away
+ */
+async function retryOutboxEmail(emailId) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE email_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status <> 'sent'`,
+    [emailId]
+  );
+  return result.rowCount > 0;
+}
+
+// ============================================
+// SESSION REPLAY
+// ============================================
+
+/**
+ * Store one recording chunk; a resent chunk (same journey and seq) is ignored
+ * Returns the new id, or null for a duplicate.
+ */
+async function insertReplayChunk(chunk) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO session_replay_chunks
+       (site_id, journey_id, visitor_id, seq, page_url, started_at, ended_at, event_count, has_snapshot, data, byte_size)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (journey_id, seq) DO NOTHING
+     RETURNING id`,
+    [chunk.siteId, chunk.journeyId, chunk.visitorId, chunk.seq, chunk.pageUrl, chunk.startedAt, chunk.endedAt,
+      chunk.eventCount, chunk.hasSnapshot, chunk.data, chunk.byteSize]
+  );
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * A journey's recording chunks in order, with their compressed data
+ */
+async function getReplayChunks(journeyId, siteId = null) {
+  const db = getDb();
+  const params = [journeyId];
+  let siteFilter = '';
+  if (siteId) {
+    params.push(siteId);
+    siteFilter = 'AND site_id = $2';
+  }
+
+  const result = await db.query(
+    `SELECT seq, page_url, started_at, ended_at, event_count, has_snapshot, data
+     FROM session_replay_chunks
+     WHERE journey_id = $1 ${siteFilter}
+     ORDER BY seq ASC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a journey has a playable recording, and its extent
+ * Returns null when there is no recording with a DOM snapshot.
+ */
+async function getReplaySummary(journeyId, siteId = null) {
+  const db = getDb();
+  const params = [journeyId];
+  let siteFilter = '';
+  if (siteId) {
+    params.push(siteId);
+    siteFilter = 'AND site_id = $2';
+  }
+
+  const result = await db.query(
+    `SELECT COUNT(*) AS chunk_count,
+            COUNT(DISTINCT page_url) FILTER (WHERE has_snapshot) AS page_count,
+            MIN(started_at) AS started_at,
+            MAX(ended_at) AS ended_at,
+            SUM(byte_size) AS byte_size
+     FROM session_replay_chunks
+     WHERE journey_id = $1 ${siteFilter}
+     HAVING bool_or(has_snapshot)`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete recordings older than the cutoff; returns how many chunks went
+ */
+async function deleteReplayChunksBefore(cutoff) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM session_replay_chunks WHERE created_at < $1',
+    [cutoff]
+  );
+  return result.rowCount;
+}
+
+// ============================================
+// HEATMAPS
+// ============================================
+
+/**
+ * Click, scroll and page view events on one page of a site, for the heatmap
+ * pagePaths are the path variants to match (page_url minus origin, query and hash).
+ */
+async function getHeatmapEvents(siteId, pagePaths, since, limit = 20000) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT event_type, device_type, journey_id, metadata
+     FROM journey_events
+     WHERE site_id = $1
+       AND occurred_at >= $2
+       AND event_type IN ('page_view', 'scroll_depth', 'cta_click', 'download_click', 'dead_click', 'rage_click')
+       AND (is_bot = false OR is_bot IS NULL)
+       AND regexp_replace(split_part(split_part(page_url, '#', 1), '?', 1), '^https?://[^/]+', '') = ANY($3)
+     ORDER BY occurred_at DESC
+     LIMIT $4`,
+    [siteId, since, pagePaths, limit]
+  );
+  return result.rows;
+}
+
+// ============================================
+// EVENT INGEST QUEUE
+// ============================================
+
+/**
+ * Append raw, validated events to the durable ingest queue
+ * Each item: { payload, client_ip, user_agent, source }
+ */
+async function enqueueEvents(items) {
+  if (items.length === 0) return 0;
+
+  const db = getDb();
+  const params = [];
+  const rows = items.map((item) => {
+    params.push(JSON.stringify(item.payload), item.client_ip || null, item.user_agent || null, item.source || 'api');
+    const base = params.length - 4;
+    return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`;
+  });
+
+  const result = await db.query(
+    `INSERT INTO event_ingest_queue (payload, client_ip, user_agent, source)
+     VALUES ${rows.join(', ')}`,
+    params
+  );
+  return result.rowCount;
+}
+
+/**
+ * Queue depth and health for /health and the ingest worker logs
+ */
+async function getIngestQueueStats(maxAttempts) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE attempts < $1) as pending,
+       COUNT(*) FILTER (WHERE attempts >= $1) as failed,
+       EXTRACT(EPOCH FROM (NOW() - MIN(received_at) FILTER (WHERE attempts < $1))) as oldest_pending_seconds
+     FROM event_ingest_queue`,
+    [maxAttempts]
+  );
+  const row = result.rows[0];
+  return {
+    pending: parseInt(row.pending) || 0,
+    failed: parseInt(row.failed) || 0,
+    oldestPendingSeconds: row.oldest_pending_seconds !== null ? Math.round(parseFloat(row.oldest_pending_seconds)) : null
+  };
+}
+
+// ============================================
+// SITE GOALS
+// ============================================
+
+const GOAL_COLUMNS = ['name', 'outcome', 'match_type', 'url_pattern', 'event_type', 'metadata_key', 'metadata_pattern', 'cta_pattern', 'value_weight', 'is_active'];
+
+/**
+ * Goal definitions for a site, highest value first
+ */
+async function getSiteGoals(siteId, options = {}) {
+  const db = getDb();
+  const activeFilter = options.activeOnly ? 'AND is_active = true' : '';
+  const result = await db.query(
+    `SELECT * FROM site_goals WHERE site_id = $1 ${activeFilter} ORDER BY value_weight DESC, id`,
+    [siteId]
+  );
+  return result.rows;
+}
+
+/**
+ * Bumped in the same statement as every goal change, so the goal cache in
+ * each process (services/goals.js) can tell its copy is stale
+ */
+async function getSiteGoalsVersion(siteId) {
+  const db = getDb();
+  const result = await db.query('SELECT goals_version FROM sites WHERE id = $1', [siteId]);
+  return result.rows[0] ? result.rows[0].goals_version : 0;
+}
+
+async function getSiteGoalById(siteId, goalId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_goals WHERE site_id = $1 AND id = $2',
+    [siteId, goalId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createSiteGoal(siteId, goal) {
+  const db = getDb();
+  const values = GOAL_COLUMNS.map(column => goal[column] ?? null);
+  const placeholders = values.map((_, i) => `$${i + 2}`).join(', ');
+  const result = await db.query(
+    `WITH bumped AS (UPDATE sites SET goals_version = goals_version + 1 WHERE id = $1)
+     INSERT INTO site_goals (site_id, ${GOAL_COLUMNS.join(', ')})
+     VALUES ($1, ${placeholders})
+     RETURNING *`,
+    [siteId, ...values]
+  );
+  return result.rows[0];
+}
+
+async function updateSiteGoal(siteId, goalId, goal) {
+  const db = getDb();
+  const values = GOAL_COLUMNS.map(column => goal[column] ?? null);
+  const assignments = GOAL_COLUMNS.map((column, i) => `${column} = $${i + 3}`).join(', ');
+  const result = await db.query(
+    `WITH bumped AS (UPDATE sites SET goals_version = goals_version + 1 WHERE id = $1)
+     UPDATE site_goals SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+     WHERE site_id = $1 AND id = $2
+     RETURNING *`,
+    [siteId, goalId, ...values]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteSiteGoal(siteId, goalId) {
+  const db = getDb();
+  const result = await db.query(
+    `WITH bumped AS (UPDATE sites SET goals_version = goals_version + 1 WHERE id = $1)
+     DELETE FROM site_goals WHERE site_id = $1 AND id = $2`,
+    [siteId, goalId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Completions and total value per goal since startDate (bots excluded)
+ */
+async function getGoalCompletions(siteId, startDate) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT g.id, g.name, g.outcome, g.value_weight,
+       COUNT(j.journey_id) as completions,
+       COALESCE(SUM(j.goal_value), 0) as total_value
+     FROM site_goals g
+     LEFT JOIN journeys j ON j.goal_id = g.id
+       AND j.first_seen >= $2
+       AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
+     WHERE g.site_id = $1
+     GROUP BY g.id
+     ORDER BY completions DESC, g.value_weight DESC`,
+    [siteId, startDate]
+  );
+  return result.rows.map(row => ({
+    ...row,
+    completions: parseInt(row.completions) || 0,
+    total_value: parseFloat(row.total_value) || 0
+  }));
+}
+
+/**
+ * Queue a site's recent journeys for rebuild (e.g. after its goals change), behind
+ * journeys with new events
+ */
+async function markSiteJourneysDirty(siteId, days = 90) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO dirty_journeys (journey_id, priority)
+     SELECT journey_id, 1 FROM journeys
+     WHERE site_id = $1 AND first_seen >= NOW() - $2::int * INTERVAL '1 day'
+     ON CONFLICT (journey_id) DO UPDATE SET marked_at = CURRENT_TIMESTAMP, attempts = 0, last_error = NULL`,
+    [siteId, days]
+  );
+  return result.rowCount;
+}
+
+// ============================================
+// SITE FUNNELS
+// ============================================
+
+/**
+ * Saved custom funnels for a site
+ */
+async function getSiteFunnels(siteId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_funnels WHERE site_id = $1 ORDER BY name, id',
+    [siteId]
+  );
+  return result.rows;
+}
+
+async function getSiteFunnelById(siteId, funnelId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_funnels WHERE site_id = $1 AND id = $2',
+    [siteId, funnelId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createSiteFunnel(siteId, funnel) {
+  const db = getDb();
+  const result = await db.query(
+    `INSERT INTO site_funnels (site_id, name, scope, steps)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [siteId, funnel.name, funnel.scope, JSON.stringify(funnel.steps)]
+  );
+  return result.rows[0];
+}
+
+async function updateSiteFunnel(siteId, funnelId, funnel) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE site_funnels SET name = $3, scope = $4, steps = $5, updated_at = CURRENT_TIMESTAMP
+     WHERE site_id = $1 AND id = $2
+     RETURNING *`,
+    [siteId, funnelId, funnel.name, funnel.scope, JSON.stringify(funnel.steps)]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteSiteFunnel(siteId, funnelId) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM site_funnels WHERE site_id = $1 AND id = $2',
+    [siteId, funnelId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Human events a custom funnel could match since startDate
+ * Narrowed to the funnel's event types / intents so only the columns and
+ * rows the funnel walk needs are loaded.
+ */
+async function getFunnelEvents(siteId, startDate, { eventTypes = [], intentTypes = [] } = {}) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT journey_id, visitor_id, event_type, page_url, intent_type, occurred_at
+     FROM journey_events
+     WHERE site_id = $1 AND occurred_at >= $2
+       AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
+       AND (event_type = ANY($3) OR intent_type = ANY($4))
+     ORDER BY occurred_at`,
+    [siteId, startDate, eventTypes, intentTypes]
+  );
+  return result.rows;
+}
+
+// ============================================
+// CUSTOM EVENTS
+// ============================================
+
+const EVENT_DEFINITION_COLUMNS = ['name', 'label', 'description', 'properties_schema', 'is_active'];
+
+function eventDefinitionValues(definition) {
+  return EVENT_DEFINITION_COLUMNS.map(column => column === 'properties_schema'
+    ? (definition.properties_schema ? JSON.stringify(definition.properties_schema) : null)
+    : definition[column] ?? null);
+}
+
+/**
+ * A site's custom event definitions, by name
+ */
+async function getSiteEventDefinitions(siteId, options = {}) {
+  const db = getDb();
+  const activeFilter = options.activeOnly ? 'AND is_active = true' : '';
+  const result = await db.query(
+    `SELECT * FROM site_event_definitions WHERE site_id = $1 ${activeFilter} ORDER BY name`,
+    [siteId]
+  );
+  return result.rows;
+}
+
+async function getSiteEventDefinitionById(siteId, definitionId) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM site_event_definitions WHERE site_id = $1 AND id = $2',
+    [siteId, definitionId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createSiteEventDefinition(siteId, definition) {
+  const db = getDb();
+  const values = eventDefinitionValues(definition);
+  const placeholders = values.map((_, i) => `$${i + 2}`).join(', ');
+  const result = await db.query(
+    `INSERT INTO site_event_definitions (site_id, ${EVENT_DEFINITION_COLUMNS.join(', ')})
+     VALUES ($1, ${placeholders})
+     RETURNING *`,
+    [siteId, ...values]
+  );
+  return result.rows[0];
+}
+
+async function updateSiteEventDefinition(siteId, definitionId, definition) {
+  const db = getDb();
+  const values = eventDefinitionValues(definition);
+  const assignments = EVENT_DEFINITION_COLUMNS.map((column, i) => `${column} = $${i + 3}`).join(', ');
+  const result = await db.query(
+    `UPDATE site_event_definitions SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+     WHERE site_id = $1 AND id = $2
+     RETURNING *`,
+    [siteId, definitionId, ...values]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteSiteEventDefinition(siteId, definitionId) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM site_event_definitions WHERE site_id = $1 AND id = $2',
+    [siteId, definitionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Park events the ingest worker could not store
+ * Each item: { site_id, event_type, journey_id, reason, errors, payload,
+ * client_ip, user_agent, source, received_at }. Accepts an optional client so
+ * it can share the worker's transaction.
+ */
+async function insertQuarantinedEvents(items, db = getDb()) {
+  if (items.length === 0) return 0;
+
+  const params = [];
+  const rows = items.map((item) => {
+    const values = [
+      item.site_id || null,
+      item.event_type,
+      item.journey_id || null,
+      item.reason,
+      JSON.stringify(item.errors || []),
+      JSON.stringify(item.payload),
+      item.client_ip || null,
+      item.user_agent || null,
+      item.source || null,
+      item.received_at || new Date()
+    ];
+    const placeholders = values.map((value) => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+
+  const result = await db.query(
+    `INSERT INTO event_quarantine
+       (site_id, event_type, journey_id, reason, errors, payload, client_ip, user_agent, source, received_at)
+     VALUES ${rows.join(', ')}`,
+    params
+  );
+  return result.rowCount;
+}
+
+/**
+ * Quarantined events for a site grouped by type and reason, most recent first,
+ * with the latest example's errors and properties
+ */
+async function getQuarantineSummary(siteId, limit = 50) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT event_type, reason,
+       COUNT(*) as count,
+       MIN(received_at) as first_seen,
+       MAX(received_at) as last_seen,
+       (ARRAY_AGG(errors ORDER BY id DESC))[1] as sample_errors,
+       (ARRAY_AGG(payload->'metadata' ORDER BY id DESC))[1] as sample_metadata
+     FROM event_quarantine
+     WHERE site_id = $1
+     GROUP BY event_type, reason
+     ORDER BY last_seen DESC
+     LIMIT $2`,
+    [siteId, limit]
+  );
+  return result.rows.map(row => ({ ...row, count: parseInt(row.count) || 0 }));
+}
+
+/**
+ * Move a site's quarantined events of one type back onto the ingest queue,
+ * in arrival order (e.g. once the event has been defined)
+ */
+async function releaseQuarantinedEvents(siteId, eventType) {
+  const db = getDb();
+  const result = await db.query(
+    `WITH released AS (
+       DELETE FROM event_quarantine
+       WHERE site_id = $1 AND event_type = $2
+       RETURNING id, payload, client_ip, user_agent, source
+     )
+     INSERT INTO event_ingest_queue (payload, client_ip, user_agent, source)
+     SELECT payload, client_ip, user_agent, source FROM released ORDER BY id`,
+    [siteId, eventType]
+  );
+  return result.rowCount;
+}
+
+async function deleteQuarantinedEvents(siteId, eventType) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM event_quarantine WHERE site_id = $1 AND event_type = $2',
+    [siteId, eventType]
+  );
+  return result.rowCount;
+}
+
+async function deleteQuarantinedEventsBefore(cutoff) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM event_quarantine WHERE quarantined_at < $1',
+    [cutoff]
+  );
+  return result.rowCount;
+}
+
+// ============================================
+// CONSENT
+// ============================================
+
+/**
+ * The salt for hashing cookieless visitors on a UTC day ('YYYY-MM-DD')
+ * The first process to ask stores its candidate; everyone else gets that one.
+ */
+async function getOrCreateConsentSalt(day, candidate) {
+  const db = getDb();
+  await db.query(
+    'INSERT INTO consent_salts (day, salt) VALUES ($1, $2) ON CONFLICT (day) DO NOTHING',
+    [day, candidate]
+  );
+  const result = await db.query('SELECT salt FROM consent_salts WHERE day = $1', [day]);
+  return result.rows[0].salt;
+}
+
+async function deleteConsentSaltsBefore(day) {
+  const db = getDb();
+  const result = await db.query(
+    'DELETE FROM consent_salts WHERE day < $1',
+    [day]
+  );
+  return result.rowCount;
+}
+
+// ============================================
+// SITE LOOKUP FUNCTIONS
+// ============================================
+
+/**
+ * Look up site by tracking key (used by event API)
+ */
+async function getSiteByTrackingKey(trackingKey) {
+  const db = getDb();
+  const result = await db.query(
+    'SELECT * FROM sites WHERE tracking_key = $1',
+    [trackingKey]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get all sites
+ */
+async function getAllSites() {
+  const db = getDb();
+  const result = await db.query('SELECT * FROM sites ORDER BY name');
+  return result.rows;
+}
+
+/**
+ * Get site by ID
+ */
+async function getSiteById(siteId) {
+  const db = getDb();
+  const result = await db.query('SELECT * FROM sites WHERE id = $1', [siteId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Set the tracker features a site's /tracking.js includes (null for the defaults)
+ */
+async function updateSiteTrackerFeatures(siteId, features) {
+  const db = getDb();
+  await db.query('UPDATE sites SET tracker_features = $2 WHERE id = $1', [siteId, features]);
+}
+
+/**
+ * Save AI analysis for a journey
+ */
+async function saveJourneyAnalysis(journeyId, analysis) {
+  const db = getDb();
+  const result = await db.query(
+    `UPDATE journeys
+     SET ai_analysis = $2, ai_analysed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE journey_id = $1
+     RETURNING journey_id, ai_analysed_at`,
+    [journeyId, JSON.stringify(analysis)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get AI analysis for a journey
+ */
+async function getJourneyAnalysis(journeyId) {
+  const db = getDb();
+  const result = await db.query(
+    `SELECT ai_analysis, ai_analysed_at FROM journeys WHERE journey_id = $1`,
+    [journeyId]
+  );
+  if (result.rows[0] && result.rows[0].ai_analysis) {
+    return {
+      analysis: typeof result.rows[0].ai_analysis === 'string'
+        ? JSON.parse(result.rows[0].ai_analysis)
+        : result.rows[0].ai_analysis,
+      analysed_at: result.rows[0].ai_analysed_at
+    };
+  }
+  return null;
+}
+
+// ============================================
+// VISITOR JOURNEY COUNT
+// ============================================
+
+/**
+ * Count how many journeys a visitor has (for return visitor detection)
+ * Returns the visit number for a specific journey based on first event time
+ * Uses IP address OR visitor_id to link visits (IP is more reliable than localStorage)
+ */
+async function getVisitorJourneyNumber(visitorId, ipAddress, journeyFirstSeen, siteId = null) {
+  const db = getDb();
+
+  // Count distinct journey_ids that match either visitor_id OR ip_address
+  // This catches return visitors even if localStorage was cleared
+  let query = `
+    SELECT COUNT(DISTINCT journey_id) as visit_number
+    FROM journey_events
+    WHERE occurred_at <= $1
+      AND (
+        (visitor_id = $2 AND visitor_id IS NOT NULL)
+        OR (ip_address = $3 AND ip_address IS NOT NULL)
+      )
+  `;
+  const params = [journeyFirstSeen, visitorId, ipAddress];
+
+  if (siteId) {
+    query += ` AND site_id = $4`;
+    params.push(siteId);
+  }
+
+  const result = await db.query(query, params);
+  return parseInt(result.rows[0]?.visit_number || 1);
+}
+
+/**
+ * Get total journey count for a visitor (by visitor_id or IP)
+ */
+async function getVisitorTotalJourneys(visitorId, ipAddress, siteId = null) {
+  const db = getDb();
+  let query = `
+    SELECT COUNT(DISTINCT journey_id) as total
+    FROM journey_events
+    WHERE (
+      (visitor_id = $1 AND visitor_id IS NOT NULL)
+      OR (ip_address = $2 AND ip_address IS NOT NULL)
+    )
+  `;
+  const params = [visitorId, ipAddress];
+
+  if (siteId) {
+    query += ` AND site_id = $3`;
+    params.push(siteId);
+  }
+
+  const result = await db.query(query, params);
+  return parseInt(result.rows[0]?.total || 1);
+}
+
+/**
+ * Get unique IP addresses from events (for IP-based consolidation)
+ * For each journey_id, finds the IP (even if only some events have it)
+ * Then groups by IP to consolidate
+ */
+async function getUniqueIPsWithJourneys(siteId = null) {
+  const db = getDb();
+
+  // First, get the IP for each journey_id (prefer non-null IP)
+  // Then group journeys by their resolved IP
+  let query = `
+    WITH journey_ips AS (
+      -- For each journey, get the IP address (preferring non-null)
+      SELECT DISTINCT ON (journey_id)
+        journey_id,
+        ip_address,
+        site_id
+      FROM journey_events
+      WHERE ip_address IS NOT NULL AND ip_address != ''
+      ${siteId ? 'AND site_id = $1' : ''}
+      ORDER BY journey_id, occurred_at ASC
+    )
+    SELECT
+      ji.ip_address,
+      MIN(ji.journey_id) as primary_journey_id,
+      COUNT(DISTINCT ji.journey_id) as journey_count,
+      array_agg(DISTINCT ji.journey_id) as all_journey_ids
+    FROM journey_ips ji
+    GROUP BY ji.ip_address
+    ORDER BY MIN(ji.journey_id)
+  `;
+  const params = siteId ? [siteId] : [];
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Get all events for a given IP address (for consolidation)
+ * Includes events from ANY journey_id that has this IP
+ */
+async function getEventsByIPAddress(ipAddress, siteId = null) {
+  const db = getDb();
+
+  // Get ALL events from journey_ids that have at least one event with this IP
+  let query = `
+    SELECT * FROM journey_events
+    WHERE journey_id IN (
+      SELECT DISTINCT journey_id FROM journey_events WHERE ip_address = $1
+    )
+  `;
+  const params = [ipAddress];
+
+  if (siteId) {
+    query += ` AND site_id = $2`;
+    params.push(siteId);
+  }
+
+  query += ` ORDER BY occurred_at ASC`;
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Delete journeys by journey_id (for consolidation cleanup)
+ */
+async function deleteJourneysByIds(journeyIds) {
+  if (!journeyIds || journeyIds.length === 0) return 0;
+  const db = getDb();
+  const placeholders = journeyIds.map((_, i) => `$${i + 1}`).join(', ');
   const result = await db.query(
     `DELETE FROM journeys WHERE journey_id IN (${placeholders})`,
     journeyIds
@@ -2409,6 +4440,17 @@ async function getCombinedVisitorStats(siteId = null, days = 30) {
 // FAMILY PROFILES (IP-BASED GROUPING)
 // ============================================
 
+/**
+ * Each family's lead score as "ls" (site_id is $1 whenever a site is given)
+ */
+function leadScoreJoin(siteId) {
+  return `LEFT JOIN LATERAL (
+      SELECT score FROM visitor_lead_scores
+      WHERE visitor_id = fd.visitor_id ${siteId ? 'AND site_id = $1' : ''}
+      ORDER BY computed_at DESC LIMIT 1
+    ) ls ON true`;
+}
+
 /**
  * Get all families (grouped by IP address) with aggregated stats
  */
@@ -2467,7 +4509,23 @@ async function getAllFamilies(limit = 50, offset = 0, options = {}) {
     havingConditions.push('visit_count >= 4');
   }
 
+  // Lead score band filter (scores live in visitor_lead_scores)
+  const scoreJoin = leadScoreJoin(options.siteId);
+  if (options.minScore !== undefined && options.minScore !== null) {
+    havingConditions.push(`COALESCE(ls.score, 0) >= $${paramIndex}`);
+    params.push(options.minScore);
+    paramIndex++;
+  }
+  if (options.maxScore !== undefined && options.maxScore !== null) {
+    havingConditions.push(`COALESCE(ls.score, 0) <= $${paramIndex}`);
+    params.push(options.maxScore);
+    paramIndex++;
+  }
+
   const havingClause = havingConditions.length > 0 ? `WHERE ${havingConditions.join(' AND ')}` : '';
+  const orderBy = options.sort === 'score'
+    ? 'ls.score DESC NULLS LAST, last_visit DESC'
+    : 'last_visit DESC';
 
   params.push(limit);
   params.push(offset);
@@ -2505,14 +4563,16 @@ async function getAllFamilies(limit = 50, offset = 0, options = {}) {
       GROUP BY visitor_id
     )
     SELECT fd.*,
+      ls.score as lead_score,
       (SELECT je.metadata FROM journey_events je
        WHERE je.visitor_id = fd.visitor_id
        AND je.metadata IS NOT NULL
        AND je.metadata->>'location' IS NOT NULL
        ORDER BY je.occurred_at ASC LIMIT 1) as location_metadata
     FROM family_data fd
+    ${scoreJoin}
     ${havingClause}
-    ORDER BY last_visit DESC
+    ORDER BY ${orderBy}
     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
   `, params);
 
@@ -2574,6 +4634,17 @@ async function getFamilyCount(options = {}) {
     havingConditions.push('visit_count >= 4');
   }
 
+  if (options.minScore !== undefined && options.minScore !== null) {
+    havingConditions.push(`COALESCE(ls.score, 0) >= $${paramIndex}`);
+    params.push(options.minScore);
+    paramIndex++;
+  }
+  if (options.maxScore !== undefined && options.maxScore !== null) {
+    havingConditions.push(`COALESCE(ls.score, 0) <= $${paramIndex}`);
+    params.push(options.maxScore);
+    paramIndex++;
+  }
+
   const havingClause = havingConditions.length > 0 ? `WHERE ${havingConditions.join(' AND ')}` : '';
 
   const result = await db.query(`
@@ -2586,7 +4657,7 @@ async function getFamilyCount(options = {}) {
       ${whereClause}
       GROUP BY visitor_id
     )
-    SELECT COUNT(*) as count FROM family_data ${havingClause}
+    SELECT COUNT(*) as count FROM family_data fd ${leadScoreJoin(options.siteId)} ${havingClause}
   `, params);
 
   return parseInt(result.rows[0].count);
@@ -2862,7 +4933,10 @@ async function getFamilyStats(siteId = null) {
 module.exports = {
   // Events
   insertEvent,
+  insertEvents,
+  getKnownJourneyIds,
   getEventsByJourneyId,
+  getJourneyEventsAfter,
   getUniqueJourneyIds,
   getEventsInDateRange,
   // Journeys
@@ -2918,10 +4992,140 @@ module.exports = {
   getVideoEngagement,
   getRageClicks,
   getReturnVisitorAnalytics,
+  // Ingest Queue
+  enqueueEvents,
+  getIngestQueueStats,
+  // Site Goals
+  getSiteGoals,
+  getSiteGoalsVersion,
+  getSiteGoalById,
+  createSiteGoal,
+  updateSiteGoal,
+  deleteSiteGoal,
+  getGoalCompletions,
+  markSiteJourneysDirty,
+  // Site Funnels
+  getSiteFunnels,
+  getSiteFunnelById,
+  createSiteFunnel,
+  updateSiteFunnel,
+  deleteSiteFunnel,
+  getFunnelEvents,
+  // Custom Events
+  getSiteEventDefinitions,
+  getSiteEventDefinitionById,
+  createSiteEventDefinition,
+  updateSiteEventDefinition,
+  deleteSiteEventDefinition,
+  insertQuarantinedEvents,
+  getQuarantineSummary,
+  releaseQuarantinedEvents,
+  deleteQuarantinedEvents,
+  deleteQuarantinedEventsBefore,
+  // Consent
+  getOrCreateConsentSalt,
+  deleteConsentSaltsBefore,
+  // Cohorts
+  getCohortJourneys,
+  // Attribution
+  getAttributionTouchpoints,
+  // API Keys
+  getApiKeyByHash,
+  touchApiKey,
+  getSiteApiKeys,
+  createApiKey,
+  revokeApiKey,
+  // Public API (v1)
+  getApiJourneys,
+  getApiFamilies,
+  getApiFamilyJourneys,
+  getApiBotSummary,
+  // Offline Conversions
+  findConversionJourney,
+  findVisitorByEmailHash,
+  upsertOfflineConversion,
+  applyOfflineConversion,
+  getVisitorJourneysBefore,
+  getVisitorConversions,
+  // Lead Scores
+  getSiteLeadScoreSettings,
+  updateSiteLeadScoreSettings,
+  getVisitorScoringEvents,
+  upsertVisitorLeadScore,
+  deleteVisitorLeadScore,
+  getVisitorLeadScore,
+  getStaleLeadScores,
+  expireSiteLeadScores,
+  // Webhooks
+  getSiteWebhooks,
+  getWebhookById,
+  createWebhook,
+  setWebhookActive,
+  deleteWebhook,
+  getWebhooksForEvent,
+  createWebhookDelivery,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  getWebhookDeliveries,
+  retryWebhookDelivery,
+  getBotJourneyCounts,
+  // Alerts
+  getUserAlertRules,
+  getAlertRuleById,
+  createAlertRule,
+  setAlertRuleActive,
+  deleteAlertRule,
+  getActiveAlertRules,
+  markAlertRuleEvaluated,
+  markAlertRuleSent,
+  createAlertEvent,
+  claimPendingAlertEvents,
+  markAlertEventsSent,
+  recordAlertEventsFailure,
+  getRecentAlertEvents,
+  getNewJourneysSince,
+  getReturningPageViews,
+  getLeadScoresAbove,
+  getAbandonedForms,
+  getConversionRateWindows,
+  // Digests
+  getUserDigestSubscriptions,
+  getDigestSubscriptionById,
+  saveDigestSubscription,
+  setDigestSubscriptionActive,
+  deleteDigestSubscription,
+  getActiveDigestSubscriptions,
+  claimDigestSubscription,
+  recordDigestAttempt,
+  // Email outbox, recipients and templates
+  getSiteEmailRecipients,
+  getSiteRecipientEmails,
+  saveSiteEmailRecipient,
+  setSiteEmailRecipientActive,
+  deleteSiteEmailRecipient,
+  getSiteEmailTemplates,
+  getSiteEmailTemplate,
+  saveSiteEmailTemplate,
+  deleteSiteEmailTemplate,
+  createOutboxEmail,
+  claimOutboxEmails,
+  recordOutboxAttempt,
+  getOutboxEmails,
+  getOutboxEmailById,
+  getOutboxStatusCounts,
+  retryOutboxEmail,
+  // Session Replay
+  insertReplayChunk,
+  getReplayChunks,
+  getReplaySummary,
+  deleteReplayChunksBefore,
+  // Heatmaps
+  getHeatmapEvents,
   // Sites
   getSiteByTrackingKey,
   getAllSites,
   getSiteById,
+  updateSiteTrackerFeatures,
   // AI Analysis
   saveJourneyAnalysis,
   getJourneyAnalysis,
@@ -5,7 +5,8 @@
 
 require('dotenv').config();
 const bcrypt = require('bcrypt');
-const { getDb, initializeSchema } = require('./database');
+const { getDb } = require('./database');
+const { migrateUp } = require('./migrator');
 const crypto = require('crypto');
 
 function generateTrackingKey(prefix) {
@@ -16,8 +17,8 @@ function generateTrackingKey(prefix) {
 async function seed() {
   console.log('Starting database seed...');
 
-  // Initialize schema first (runs migrations)
-  await initializeSchema();
+  // Bring the schema up to date first
+  await migrateUp();
 
   const db = getDb();
 
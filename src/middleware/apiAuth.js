@@ -0,0 +1,62 @@
+/**
+ * API Key Authentication Middleware
+ * Authenticates /api/v1 requests by per-site API key instead of the session
+ */
+
+const { getApiKeyByHash, touchApiKey } = require('../db/queries');
+const { hashApiKey, extractApiKey, hasScope } = require('../services/apiKeys');
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ success: false, error: message, code });
+}
+
+/**
+ * Require a valid, unrevoked API key
+ * Sets req.apiKey = { id, site_id, name, scopes, site_name, site_domain }
+ */
+async function requireApiKey(req, res, next) {
+  const key = extractApiKey(req);
+  if (!key) {
+    return apiError(res, 401, 'missing_api_key', 'Send your API key as "Authorization: Bearer <key>"');
+  }
+
+  try {
+    const apiKey = await getApiKeyByHash(hashApiKey(key));
+    if (!apiKey) {
+      return apiError(res, 401, 'invalid_api_key', 'API key is invalid or has been revoked');
+    }
+
+    req.apiKey = apiKey;
+    touchApiKey(apiKey.id).catch(err => console.error('API key touch error:', err.message));
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    apiError(res, 500, 'server_error', 'Failed to authenticate API key');
+  }
+}
+
+/**
+ * Require the authenticated key to carry a scope, e.g. requireScope('journeys:read')
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.apiKey, scope)) {
+      return next();
+    }
+    apiError(res, 403, 'insufficient_scope', `This API key does not have the ${scope} scope`);
+  };
+}
+
+/**
+ * Site the authenticated API key belongs to
+ */
+function getApiSiteId(req) {
+  return req.apiKey?.site_id || null;
+}
+
+module.exports = {
+  apiError,
+  requireApiKey,
+  requireScope,
+  getApiSiteId
+};
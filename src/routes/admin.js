@@ -9,6 +9,84 @@ const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const { getDb } = require('../db/database');
 const { requireAdmin } = require('../middleware/auth');
+const {
+  getSiteGoals,
+  getSiteGoalById,
+  createSiteGoal,
+  updateSiteGoal,
+  deleteSiteGoal,
+  markSiteJourneysDirty,
+  getSiteEventDefinitions,
+  getSiteEventDefinitionById,
+  createSiteEventDefinition,
+  updateSiteEventDefinition,
+  deleteSiteEventDefinition,
+  getQuarantineSummary,
+  releaseQuarantinedEvents,
+  deleteQuarantinedEvents,
+  updateSiteTrackerFeatures,
+  getSiteApiKeys,
+  createApiKey,
+  revokeApiKey,
+  updateSiteLeadScoreSettings,
+  expireSiteLeadScores,
+  getSiteWebhooks,
+  getWebhookById,
+  createWebhook,
+  setWebhookActive,
+  deleteWebhook,
+  getWebhookDeliveries,
+  retryWebhookDelivery,
+  getSiteEmailRecipients,
+  saveSiteEmailRecipient,
+  setSiteEmailRecipientActive,
+  deleteSiteEmailRecipient,
+  getSiteEmailTemplates,
+  saveSiteEmailTemplate,
+  deleteSiteEmailTemplate,
+  getOutboxEmails,
+  getOutboxEmailById,
+  getOutboxStatusCounts
+} = require('../db/queries');
+const { GOAL_MATCH_TYPES, validateGoal, clearGoalCache } = require('../services/goals');
+const {
+  BUILT_IN_EVENT_TYPES,
+  QUARANTINE_REASONS,
+  QUARANTINE_RETENTION_DAYS,
+  validateEventDefinition,
+  clearEventDefinitionCache
+} = require('../services/customEvents');
+const { wakeIngestWorker } = require('../services/eventIngest');
+const { API_SCOPES, SCOPE_LABELS, generateApiKey, validateApiKey } = require('../services/apiKeys');
+const {
+  FACTORS,
+  FACTOR_LABELS,
+  DEFAULT_SETTINGS,
+  getLeadScoreSettings,
+  clearLeadScoreSettingsCache,
+  validateLeadScoreSettings
+} = require('../services/leadScoring');
+const {
+  WEBHOOK_EVENTS,
+  EVENT_LABELS,
+  generateWebhookSecret,
+  validateWebhook,
+  sendTestWebhook
+} = require('../services/webhooks');
+const { RECIPIENT_CATEGORIES, validateEmailRecipient } = require('../services/emailService');
+const { TEMPLATES: EMAIL_TEMPLATES, validateEmailTemplate } = require('../services/emailTemplates');
+const { MAX_ATTEMPTS: EMAIL_MAX_ATTEMPTS, resendOutboxEmail } = require('../services/emailOutbox');
+const {
+  FEATURES: TRACKER_FEATURES,
+  FEATURE_LABELS: TRACKER_FEATURE_LABELS,
+  FEATURE_DESCRIPTIONS: TRACKER_FEATURE_DESCRIPTIONS,
+  DEFAULT_FEATURES: DEFAULT_TRACKER_FEATURES,
+  siteTrackerFeatures,
+  trackerFeaturesFromForm,
+  clearTrackerCache
+} = require('../services/trackerBuild');
+
+const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
 
 // Apply admin check to all routes
 router.use(requireAdmin);
@@ -87,10 +165,60 @@ router.get('/sites/:id', async (req, res) => {
       return res.redirect('/admin/sites?error=Site+not+found');
     }
 
+    const [goals, eventDefinitions, quarantine, apiKeys, leadScoreSettings, webhooks, emailRecipients, emailTemplateOverrides] = await Promise.all([
+      getSiteGoals(req.params.id),
+      getSiteEventDefinitions(req.params.id),
+      getQuarantineSummary(req.params.id),
+      getSiteApiKeys(req.params.id),
+      getLeadScoreSettings(parseInt(req.params.id)),
+      getSiteWebhooks(req.params.id),
+      getSiteEmailRecipients(req.params.id),
+      getSiteEmailTemplates(req.params.id)
+    ]);
+    const editGoal = req.query.editGoal
+      ? goals.find(g => String(g.id) === req.query.editGoal) || null
+      : null;
+    // "Define" on a quarantined event prefills the form with its name
+    const editEvent = req.query.editEvent
+      ? eventDefinitions.find(d => String(d.id) === req.query.editEvent) || null
+      : null;
+    const draftEvent = editEvent || (req.query.defineEvent ? { name: req.query.defineEvent, is_active: true } : null);
+
     res.render('admin/siteForm', {
       title: 'Edit Site - SMART Journey',
       currentPage: 'admin',
       site: result.rows[0],
+      goals,
+      editGoal,
+      goalMatchTypes: GOAL_MATCH_TYPES,
+      eventDefinitions,
+      editEvent,
+      draftEvent,
+      quarantine,
+      quarantineReasons: QUARANTINE_REASONS,
+      quarantineRetentionDays: QUARANTINE_RETENTION_DAYS,
+      builtInEventTypes: BUILT_IN_EVENT_TYPES,
+      leadScoreSettings,
+      leadScoreFactors: FACTORS,
+      leadScoreLabels: FACTOR_LABELS,
+      defaultLeadScoreSettings: DEFAULT_SETTINGS,
+      trackerFeatures: siteTrackerFeatures(result.rows[0]),
+      allTrackerFeatures: TRACKER_FEATURES,
+      trackerFeatureLabels: TRACKER_FEATURE_LABELS,
+      trackerFeatureDescriptions: TRACKER_FEATURE_DESCRIPTIONS,
+      defaultTrackerFeatures: DEFAULT_TRACKER_FEATURES,
+      apiKeys,
+      apiScopes: API_SCOPES,
+      scopeLabels: SCOPE_LABELS,
+      newApiKey: takeNewApiKey(req, req.params.id),
+      webhooks,
+      webhookEvents: WEBHOOK_EVENTS,
+      eventLabels: EVENT_LABELS,
+      emailRecipients,
+      recipientCategories: RECIPIENT_CATEGORIES,
+      emailTemplates: EMAIL_TEMPLATES,
+      emailTemplateOverrides: Object.fromEntries(emailTemplateOverrides.map(t => [t.template, t])),
+      success: req.query.success || null,
       error: req.query.error || null
     });
   } catch (error) {
@@ -159,6 +287,545 @@ router.post('/sites/:id/delete', async (req, res) => {
   }
 });
 
+// ============================================
+// SITE GOALS
+// ============================================
+
+/**
+ * Goal changes alter outcomes for existing journeys, so the site's recent
+ * journeys are queued for the incremental rebuild to re-evaluate.
+ */
+async function afterGoalChange(siteId) {
+  clearGoalCache(parseInt(siteId));
+  await markSiteJourneysDirty(siteId);
+}
+
+function goalErrorRedirect(res, siteId, errors) {
+  res.redirect(`/admin/sites/${siteId}?error=${encodeURIComponent(errors.join('. '))}`);
+}
+
+// POST /admin/sites/:id/goals - Add a goal
+router.post('/sites/:id/goals', async (req, res) => {
+  try {
+    const { goal, errors } = validateGoal(req.body);
+    if (errors.length > 0) {
+      return goalErrorRedirect(res, req.params.id, errors);
+    }
+
+    await createSiteGoal(req.params.id, goal);
+    await afterGoalChange(req.params.id);
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Goal+added`);
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+add+goal`);
+  }
+});
+
+// POST /admin/sites/:id/goals/:goalId - Update a goal
+router.post('/sites/:id/goals/:goalId', async (req, res) => {
+  try {
+    const existing = await getSiteGoalById(req.params.id, req.params.goalId);
+    if (!existing) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Goal+not+found`);
+    }
+
+    const { goal, errors } = validateGoal(req.body);
+    if (errors.length > 0) {
+      return goalErrorRedirect(res, req.params.id, errors);
+    }
+
+    await updateSiteGoal(req.params.id, req.params.goalId, goal);
+    await afterGoalChange(req.params.id);
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Goal+updated`);
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+update+goal`);
+  }
+});
+
+// POST /admin/sites/:id/goals/:goalId/delete - Delete a goal
+router.post('/sites/:id/goals/:goalId/delete', async (req, res) => {
+  try {
+    await deleteSiteGoal(req.params.id, req.params.goalId);
+    await afterGoalChange(req.params.id);
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Goal+deleted`);
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+delete+goal`);
+  }
+});
+
+// ============================================
+// CUSTOM EVENTS
+// ============================================
+
+function eventErrorRedirect(res, siteId, errors) {
+  res.redirect(`/admin/sites/${siteId}?error=${encodeURIComponent(errors.join('. '))}#custom-events`);
+}
+
+// POST /admin/sites/:id/events - Define a custom event
+router.post('/sites/:id/events', async (req, res) => {
+  try {
+    const { definition, errors } = validateEventDefinition(req.body);
+    if (errors.length > 0) {
+      return eventErrorRedirect(res, req.params.id, errors);
+    }
+
+    const existing = await getSiteEventDefinitions(req.params.id);
+    if (existing.some(d => d.name === definition.name)) {
+      return eventErrorRedirect(res, req.params.id, [`${definition.name} is already defined`]);
+    }
+
+    await createSiteEventDefinition(req.params.id, definition);
+    clearEventDefinitionCache(parseInt(req.params.id));
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Custom+event+added#custom-events`);
+  } catch (error) {
+    console.error('Error creating event definition:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+add+custom+event`);
+  }
+});
+
+// POST /admin/sites/:id/events/:eventId - Update a custom event
+router.post('/sites/:id/events/:eventId', async (req, res) => {
+  try {
+    const existing = await getSiteEventDefinitionById(req.params.id, req.params.eventId);
+    if (!existing) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Custom+event+not+found`);
+    }
+
+    // Renaming would orphan the events already stored under the old name
+    const { definition, errors } = validateEventDefinition({ ...req.body, name: existing.name });
+    if (errors.length > 0) {
+      return eventErrorRedirect(res, req.params.id, errors);
+    }
+
+    await updateSiteEventDefinition(req.params.id, req.params.eventId, definition);
+    clearEventDefinitionCache(parseInt(req.params.id));
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Custom+event+updated#custom-events`);
+  } catch (error) {
+    console.error('Error updating event definition:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+update+custom+event`);
+  }
+});
+
+// POST /admin/sites/:id/events/:eventId/delete - Delete a custom event (stored events are kept)
+router.post('/sites/:id/events/:eventId/delete', async (req, res) => {
+  try {
+    await deleteSiteEventDefinition(req.params.id, req.params.eventId);
+    clearEventDefinitionCache(parseInt(req.params.id));
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Custom+event+deleted#custom-events`);
+  } catch (error) {
+    console.error('Error deleting event definition:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+delete+custom+event`);
+  }
+});
+
+// POST /admin/sites/:id/quarantine/release - Re-ingest quarantined events of one type
+router.post('/sites/:id/quarantine/release', async (req, res) => {
+  try {
+    // Clear first so the worker sees a definition saved moments ago
+    clearEventDefinitionCache(parseInt(req.params.id));
+    const released = await releaseQuarantinedEvents(req.params.id, req.body.event_type);
+    if (released > 0) wakeIngestWorker();
+
+    res.redirect(`/admin/sites/${req.params.id}?success=${encodeURIComponent(`${released} events released for ingestion`)}#quarantine`);
+  } catch (error) {
+    console.error('Error releasing quarantined events:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+release+events`);
+  }
+});
+
+// POST /admin/sites/:id/quarantine/discard - Delete quarantined events of one type
+router.post('/sites/:id/quarantine/discard', async (req, res) => {
+  try {
+    const deleted = await deleteQuarantinedEvents(req.params.id, req.body.event_type);
+
+    res.redirect(`/admin/sites/${req.params.id}?success=${encodeURIComponent(`${deleted} quarantined events discarded`)}#quarantine`);
+  } catch (error) {
+    console.error('Error discarding quarantined events:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+discard+events`);
+  }
+});
+
+// ============================================
+// LEAD SCORING
+// ============================================
+
+/**
+ * New weights apply to every visitor, so the site's scores are expired and
+ * the rebuild worker recomputes them in batches.
+ */
+async function afterLeadScoreChange(siteId) {
+  clearLeadScoreSettingsCache(parseInt(siteId));
+  await expireSiteLeadScores(siteId);
+}
+
+// POST /admin/sites/:id/lead-scoring - Save factor weights and half-life
+router.post('/sites/:id/lead-scoring', async (req, res) => {
+  try {
+    const { settings, errors } = validateLeadScoreSettings(req.body);
+    if (errors.length > 0) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=${encodeURIComponent(errors.join('. '))}#lead-scoring`);
+    }
+
+    await updateSiteLeadScoreSettings(req.params.id, settings);
+    await afterLeadScoreChange(req.params.id);
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Lead+scoring+saved#lead-scoring`);
+  } catch (error) {
+    console.error('Error saving lead scoring:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+save+lead+scoring`);
+  }
+});
+
+// POST /admin/sites/:id/lead-scoring/reset - Back to the default weights
+router.post('/sites/:id/lead-scoring/reset', async (req, res) => {
+  try {
+    await updateSiteLeadScoreSettings(req.params.id, null);
+    await afterLeadScoreChange(req.params.id);
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Lead+scoring+reset+to+defaults#lead-scoring`);
+  } catch (error) {
+    console.error('Error resetting lead scoring:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+reset+lead+scoring`);
+  }
+});
+
+// ============================================
+// TRACKER FEATURES
+// ============================================
+
+// POST /admin/sites/:id/tracker - Choose the collectors in the site's /tracking.js
+router.post('/sites/:id/tracker', async (req, res) => {
+  try {
+    await updateSiteTrackerFeatures(req.params.id, trackerFeaturesFromForm(req.body));
+    clearTrackerCache();
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Tracker+features+saved#tracker`);
+  } catch (error) {
+    console.error('Error saving tracker features:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+save+tracker+features`);
+  }
+});
+
+// POST /admin/sites/:id/tracker/reset - Back to the default features
+router.post('/sites/:id/tracker/reset', async (req, res) => {
+  try {
+    await updateSiteTrackerFeatures(req.params.id, null);
+    clearTrackerCache();
+
+    res.redirect(`/admin/sites/${req.params.id}?success=Tracker+features+reset+to+defaults#tracker`);
+  } catch (error) {
+    console.error('Error resetting tracker features:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+reset+tracker+features`);
+  }
+});
+
+// ============================================
+// API KEYS
+// ============================================
+
+/**
+ * The plaintext of a newly created key is kept in the session (never in the
+ * redirect URL) and shown exactly once on the site page.
+ */
+function takeNewApiKey(req, siteId) {
+  const pending = req.session.newApiKey;
+  if (!pending || String(pending.siteId) !== String(siteId)) return null;
+  delete req.session.newApiKey;
+  return pending.key;
+}
+
+// POST /admin/sites/:id/api-keys - Create an API key
+router.post('/sites/:id/api-keys', async (req, res) => {
+  try {
+    const { apiKey, errors } = validateApiKey(req.body);
+    if (errors.length > 0) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=${encodeURIComponent(errors.join('. '))}#api-keys`);
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    await createApiKey(req.params.id, { ...apiKey, keyPrefix, keyHash });
+    req.session.newApiKey = { siteId: req.params.id, key };
+
+    res.redirect(`/admin/sites/${req.params.id}?success=API+key+created#api-keys`);
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+create+API+key`);
+  }
+});
+
+// POST /admin/sites/:id/api-keys/:keyId/revoke - Revoke an API key
+router.post('/sites/:id/api-keys/:keyId/revoke', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.params.keyId);
+    const message = revoked ? 'API+key+revoked' : 'API+key+not+found';
+    res.redirect(`/admin/sites/${req.params.id}?${revoked ? 'success' : 'error'}=${message}#api-keys`);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+revoke+API+key`);
+  }
+});
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+// POST /admin/sites/:id/webhooks - Add a webhook subscription
+router.post('/sites/:id/webhooks', async (req, res) => {
+  try {
+    const { webhook, errors } = validateWebhook(req.body);
+    if (errors.length > 0) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=${encodeURIComponent(errors.join('. '))}#webhooks`);
+    }
+
+    const created = await createWebhook(req.params.id, { ...webhook, secret: generateWebhookSecret() });
+    res.redirect(`/admin/sites/${req.params.id}/webhooks/${created.id}?success=Webhook+added`);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+add+webhook#webhooks`);
+  }
+});
+
+// GET /admin/sites/:id/webhooks/:webhookId - Signing secret and delivery log
+router.get('/sites/:id/webhooks/:webhookId', async (req, res) => {
+  try {
+    const db = getDb();
+    const [siteResult, webhook] = await Promise.all([
+      db.query('SELECT * FROM sites WHERE id = $1', [req.params.id]),
+      getWebhookById(req.params.id, req.params.webhookId)
+    ]);
+
+    if (siteResult.rows.length === 0 || !webhook) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Webhook+not+found#webhooks`);
+    }
+
+    const deliveries = await getWebhookDeliveries(webhook.id);
+
+    res.render('admin/webhookDeliveries', {
+      title: 'Webhook Deliveries - SMART Journey',
+      currentPage: 'admin',
+      site: siteResult.rows[0],
+      webhook,
+      deliveries,
+      eventLabels: EVENT_LABELS,
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error loading webhook deliveries:', error);
+    res.status(500).render('error', { error: 'Failed to load webhook deliveries' });
+  }
+});
+
+// POST /admin/sites/:id/webhooks/:webhookId/toggle - Pause or resume a webhook
+router.post('/sites/:id/webhooks/:webhookId/toggle', async (req, res) => {
+  try {
+    const webhook = await getWebhookById(req.params.id, req.params.webhookId);
+    if (!webhook) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Webhook+not+found#webhooks`);
+    }
+
+    await setWebhookActive(req.params.id, webhook.id, !webhook.is_active);
+    res.redirect(`/admin/sites/${req.params.id}?success=Webhook+${webhook.is_active ? 'paused' : 'resumed'}#webhooks`);
+  } catch (error) {
+    console.error('Error toggling webhook:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+update+webhook#webhooks`);
+  }
+});
+
+// POST /admin/sites/:id/webhooks/:webhookId/delete - Delete a webhook and its log
+router.post('/sites/:id/webhooks/:webhookId/delete', async (req, res) => {
+  try {
+    const deleted = await deleteWebhook(req.params.id, req.params.webhookId);
+    const message = deleted ? 'Webhook+deleted' : 'Webhook+not+found';
+    res.redirect(`/admin/sites/${req.params.id}?${deleted ? 'success' : 'error'}=${message}#webhooks`);
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+delete+webhook#webhooks`);
+  }
+});
+
+// POST /admin/sites/:id/webhooks/:webhookId/test - Send a test event now
+router.post('/sites/:id/webhooks/:webhookId/test', async (req, res) => {
+  const logUrl = `/admin/sites/${req.params.id}/webhooks/${req.params.webhookId}`;
+  try {
+    const webhook = await getWebhookById(req.params.id, req.params.webhookId);
+    if (!webhook) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Webhook+not+found#webhooks`);
+    }
+
+    const delivery = await sendTestWebhook(webhook);
+    if (delivery.status === 'delivered') {
+      return res.redirect(`${logUrl}?success=${encodeURIComponent(`Test event delivered (HTTP ${delivery.last_status_code})`)}`);
+    }
+    res.redirect(`${logUrl}?error=${encodeURIComponent(`Test event failed: ${delivery.last_error}`)}`);
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.redirect(`${logUrl}?error=Failed+to+send+test+event`);
+  }
+});
+
+// POST /admin/sites/:id/webhooks/:webhookId/deliveries/:deliveryId/retry - Send a delivery again
+router.post('/sites/:id/webhooks/:webhookId/deliveries/:deliveryId/retry', async (req, res) => {
+  const logUrl = `/admin/sites/${req.params.id}/webhooks/${req.params.webhookId}`;
+  try {
+    const webhook = await getWebhookById(req.params.id, req.params.webhookId);
+    if (!webhook) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Webhook+not+found#webhooks`);
+    }
+
+    const queued = await retryWebhookDelivery(webhook.id, req.params.deliveryId);
+    res.redirect(`${logUrl}?${queued ? 'success=Delivery+queued+for+retry' : 'error=Delivery+not+found+or+already+delivered'}`);
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.redirect(`${logUrl}?error=Failed+to+retry+delivery`);
+  }
+});
+
+// ============================================
+// EMAIL RECIPIENTS, TEMPLATES AND OUTBOX
+// ============================================
+
+// POST /admin/sites/:id/email-recipients - Add (or update) a site email recipient
+router.post('/sites/:id/email-recipients', async (req, res) => {
+  try {
+    const { recipient, errors } = validateEmailRecipient(req.body);
+    if (errors.length > 0) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=${encodeURIComponent(errors.join('. '))}#email`);
+    }
+
+    await saveSiteEmailRecipient(req.params.id, recipient);
+    res.redirect(`/admin/sites/${req.params.id}?success=${encodeURIComponent(`${recipient.email} saved`)}#email`);
+  } catch (error) {
+    console.error('Error saving email recipient:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+save+recipient#email`);
+  }
+});
+
+// POST /admin/sites/:id/email-recipients/:recipientId/toggle - Pause or resume a recipient
+router.post('/sites/:id/email-recipients/:recipientId/toggle', async (req, res) => {
+  try {
+    const recipients = await getSiteEmailRecipients(req.params.id);
+    const recipient = recipients.find(r => String(r.id) === req.params.recipientId);
+    if (!recipient) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=Recipient+not+found#email`);
+    }
+
+    await setSiteEmailRecipientActive(req.params.id, recipient.id, !recipient.is_active);
+    res.redirect(`/admin/sites/${req.params.id}?success=Recipient+${recipient.is_active ? 'paused' : 'resumed'}#email`);
+  } catch (error) {
+    console.error('Error toggling email recipient:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+update+recipient#email`);
+  }
+});
+
+// POST /admin/sites/:id/email-recipients/:recipientId/delete - Remove a recipient
+router.post('/sites/:id/email-recipients/:recipientId/delete', async (req, res) => {
+  try {
+    const deleted = await deleteSiteEmailRecipient(req.params.id, req.params.recipientId);
+    const message = deleted ? 'Recipient+removed' : 'Recipient+not+found';
+    res.redirect(`/admin/sites/${req.params.id}?${deleted ? 'success' : 'error'}=${message}#email`);
+  } catch (error) {
+    console.error('Error deleting email recipient:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+remove+recipient#email`);
+  }
+});
+
+// POST /admin/sites/:id/email-templates/:template - Save a template's subject and intro
+// Leaving both blank goes back to the default template.
+router.post('/sites/:id/email-templates/:template', async (req, res) => {
+  try {
+    const { template, errors } = validateEmailTemplate(req.params.template, req.body);
+    if (errors.length > 0) {
+      return res.redirect(`/admin/sites/${req.params.id}?error=${encodeURIComponent(errors.join('. '))}#email`);
+    }
+
+    const label = EMAIL_TEMPLATES[req.params.template].label;
+    if (!template.subject && !template.intro) {
+      await deleteSiteEmailTemplate(req.params.id, req.params.template);
+      return res.redirect(`/admin/sites/${req.params.id}?success=${encodeURIComponent(`${label} reset to the default`)}#email`);
+    }
+
+    await saveSiteEmailTemplate(req.params.id, req.params.template, template);
+    res.redirect(`/admin/sites/${req.params.id}?success=${encodeURIComponent(`${label} template saved`)}#email`);
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.redirect(`/admin/sites/${req.params.id}?error=Failed+to+save+template#email`);
+  }
+});
+
+// GET /admin/email - Email outbox, newest first (?status=failed&siteId=1)
+router.get('/email', async (req, res) => {
+  try {
+    const status = OUTBOX_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const siteId = parseInt(req.query.siteId) || null;
+    const db = getDb();
+
+    const [emails, counts, sites] = await Promise.all([
+      getOutboxEmails({ status, siteId, limit: 200 }),
+      getOutboxStatusCounts(),
+      db.query('SELECT id, name FROM sites ORDER BY name')
+    ]);
+
+    res.render('admin/emailOutbox', {
+      title: 'Email Outbox - SMART Journey',
+      currentPage: 'admin',
+      emails,
+      counts,
+      sites: sites.rows,
+      statuses: OUTBOX_STATUSES,
+      status,
+      siteId,
+      maxAttempts: EMAIL_MAX_ATTEMPTS,
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Error loading email outbox:', error);
+    res.status(500).render('error', { error: 'Failed to load email outbox' });
+  }
+});
+
+// GET /admin/email/:emailId/preview - The email's HTML body, sandboxed
+router.get('/email/:emailId/preview', async (req, res) => {
+  try {
+    const email = await getOutboxEmailById(req.params.emailId);
+    if (!email) {
+      return res.status(404).render('error', { error: 'Email not found' });
+    }
+
+    res.setHeader('Content-Security-Policy', 'sandbox');
+    res.send(email.html || `<pre>${String(email.text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>`);
+  } catch (error) {
+    console.error('Error previewing email:', error);
+    res.status(500).render('error', { error: 'Failed to load email' });
+  }
+});
+
+// POST /admin/email/:emailId/retry - Send an unsent email again now
+router.post('/email/:emailId/retry', async (req, res) => {
+  try {
+    const email = await resendOutboxEmail(req.params.emailId);
+    if (!email) {
+      return res.redirect('/admin/email?error=Email+not+found+or+already+sent');
+    }
+    if (email.status === 'sent') {
+      return res.redirect(`/admin/email?success=${encodeURIComponent(`Email sent to ${email.recipients.join(', ')}`)}`);
+    }
+    res.redirect(`/admin/email?error=${encodeURIComponent(`Send failed: ${email.last_error}`)}`);
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.redirect('/admin/email?error=Failed+to+retry+email');
+  }
+});
+
 // ============================================
 // USER MANAGEMENT
 // ============================================
@@ -0,0 +1,114 @@
+/**
+ * Alert Routes
+ * Each user manages their own alert rules for the current site
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSiteId } = require('../middleware/auth');
+const {
+  getUserAlertRules,
+  getAlertRuleById,
+  createAlertRule,
+  setAlertRuleActive,
+  deleteAlertRule,
+  getRecentAlertEvents
+} = require('../db/queries');
+const { RULE_TYPES, DELIVERY_MODES, DEFAULT_TIMEZONE, validateAlertRule } = require('../services/alerts');
+const emailService = require('../services/emailService');
+
+function alertsRedirect(res, { success, error } = {}) {
+  const params = new URLSearchParams();
+  if (success) params.set('success', success);
+  if (error) params.set('error', error);
+  const query = params.toString();
+  res.redirect(`/alerts${query ? `?${query}` : ''}`);
+}
+
+/**
+ * GET /alerts - The user's rules for the current site and their recent alerts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const [rules, recentAlerts] = siteId
+      ? await Promise.all([
+        getUserAlertRules(req.session.userId, siteId),
+        getRecentAlertEvents(req.session.userId, siteId)
+      ])
+      : [[], []];
+
+    res.render('alerts', {
+      title: 'Alerts - SMART Journey',
+      currentPage: 'alerts',
+      siteId,
+      rules,
+      recentAlerts,
+      ruleTypes: RULE_TYPES,
+      deliveryModes: DELIVERY_MODES,
+      defaultTimezone: DEFAULT_TIMEZONE,
+      emailConfigured: emailService.isConfigured(),
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Alerts page error:', error);
+    res.status(500).render('error', { error: 'Failed to load alerts' });
+  }
+});
+
+/**
+ * POST /alerts/rules - Add a rule for the current site
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    if (!siteId) {
+      return alertsRedirect(res, { error: 'Select a site before adding an alert rule' });
+    }
+
+    const { rule, errors } = validateAlertRule(req.body);
+    if (errors.length > 0) {
+      return alertsRedirect(res, { error: errors.join('. ') });
+    }
+
+    await createAlertRule(req.session.userId, siteId, rule);
+    alertsRedirect(res, { success: 'Alert rule added' });
+  } catch (error) {
+    console.error('Alert rule save error:', error);
+    alertsRedirect(res, { error: 'Failed to add alert rule' });
+  }
+});
+
+/**
+ * POST /alerts/rules/:id/toggle - Pause or resume a rule
+ */
+router.post('/rules/:id/toggle', async (req, res) => {
+  try {
+    const rule = await getAlertRuleById(req.session.userId, req.params.id);
+    if (!rule) {
+      return alertsRedirect(res, { error: 'Alert rule not found' });
+    }
+
+    await setAlertRuleActive(req.session.userId, rule.id, !rule.is_active);
+    alertsRedirect(res, { success: rule.is_active ? 'Alert rule paused' : 'Alert rule resumed' });
+  } catch (error) {
+    console.error('Alert rule toggle error:', error);
+    alertsRedirect(res, { error: 'Failed to update alert rule' });
+  }
+});
+
+/**
+ * POST /alerts/rules/:id/delete - Delete a rule and its alert history
+ */
+router.post('/rules/:id/delete', async (req, res) => {
+  try {
+    const deleted = await deleteAlertRule(req.session.userId, req.params.id);
+    alertsRedirect(res, deleted ? { success: 'Alert rule deleted' } : { error: 'Alert rule not found' });
+  } catch (error) {
+    console.error('Alert rule delete error:', error);
+    alertsRedirect(res, { error: 'Failed to delete alert rule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+/**
+ * Public API (v1)
+ * API-key authenticated access to a site's journey data for server-to-server
+ * integrations (CRM, prospectus and booking apps). Everything is read-only
+ * except recording offline conversions.
+ *
+ * Every response uses the same envelope:
+ *   { success: true, data, meta }            - meta carries pagination / filters
+ *   { success: false, error, code }          - code is machine readable
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getApiJourneys,
+  getApiFamilies,
+  getApiFamilyJourneys,
+  getApiBotSummary,
+  getJourneyById,
+  getEventsByJourneyId,
+  getUXOverview,
+  getVisitorConversions,
+  getVisitorLeadScore
+} = require('../db/queries');
+const { apiError, requireApiKey, requireScope, getApiSiteId } = require('../middleware/apiAuth');
+const { validateConversion, recordConversion } = require('../services/conversions');
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(requireApiKey);
+
+// ============================================
+// REQUEST PARSING
+// ============================================
+
+class ApiParamError extends Error {}
+
+/**
+ * ?page=&per_page= -> { page, perPage, limit, offset }
+ */
+function parsePagination(query) {
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const perPage = query.per_page === undefined ? DEFAULT_PER_PAGE : parseInt(query.per_page, 10);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ApiParamError('page must be a positive integer');
+  }
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+    throw new ApiParamError(`per_page must be between 1 and ${MAX_PER_PAGE}`);
+  }
+
+  return { page, perPage, limit: perPage, offset: (page - 1) * perPage };
+}
+
+/**
+ * ?from=&to= (ISO dates or timestamps) -> { from, to } as ISO strings
+ * Defaults to the last 30 days; a bare date for "to" includes that whole day.
+ */
+function parseDateRange(query, now = new Date()) {
+  const parse = (value, name, endOfDay) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ApiParamError(`${name} must be an ISO 8601 date`);
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setTime(date.getTime() + DAY_MS);
+    }
+    return date;
+  };
+
+  const to = query.to ? parse(query.to, 'to', true) : now;
+  const from = query.from ? parse(query.from, 'from', false) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from >= to) {
+    throw new ApiParamError('from must be before to');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ApiParamError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+function paginationMeta({ page, perPage }, total) {
+  return {
+    page,
+    per_page: perPage,
+    total,
+    total_pages: Math.ceil(total / perPage)
+  };
+}
+
+/**
+ * Wrap a handler so parameter errors become 400s and anything else a 500
+ */
+function handle(label, fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (error instanceof ApiParamError) {
+        return apiError(res, 400, 'invalid_parameter', error.message);
+      }
+      console.error(`API v1 error (${label}):`, error);
+      apiError(res, 500, 'server_error', `Failed to ${label}`);
+    }
+  };
+}
+
+// ============================================
+// RESPONSE SHAPES
+// ============================================
+
+function serializeJourney(row) {
+  return {
+    journey_id: row.journey_id,
+    visitor_id: row.visitor_id,
+    visit_number: row.visit_number,
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+    entry_page: row.entry_page,
+    entry_referrer: row.entry_referrer,
+    channel: row.channel || null,
+    channel_source: row.channel_source || null,
+    initial_intent: row.initial_intent,
+    event_count: row.event_count,
+    outcome: row.outcome,
+    goal_id: row.goal_id || null,
+    goal_value: row.goal_value ?? null,
+    time_to_action: row.time_to_action,
+    confidence: row.confidence,
+    is_bot: !!row.is_bot,
+    bot_score: row.bot_score || 0
+  };
+}
+
+function serializeEvent(event) {
+  return {
+    event_type: event.event_type,
+    occurred_at: event.occurred_at,
+    page_url: event.page_url,
+    referrer: event.referrer,
+    intent_type: event.intent_type,
+    cta_label: event.cta_label,
+    device_type: event.device_type,
+    metadata: event.metadata
+  };
+}
+
+function serializeConversion(row) {
+  return {
+    id: row.id,
+    enquiry_id: row.external_id,
+    type: row.conversion_type,
+    outcome: row.outcome,
+    value: row.value ?? null,
+    occurred_at: row.occurred_at,
+    journey_id: row.journey_id || null,
+    source: row.source || null
+  };
+}
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/v1/site - The site and scopes this key grants
+ */
+router.get('/site', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      id: req.apiKey.site_id,
+      name: req.apiKey.site_name,
+      domain: req.apiKey.site_domain,
+      key_name: req.apiKey.name,
+      scopes: req.apiKey.scopes
+    }
+  });
+});
+
+/**
+ * GET /api/v1/journeys - Journeys that started in the date range, newest first
+ * Filters: from, to, outcome, channel, include_bots=true
+ */
+router.get('/journeys', requireScope('journeys:read'), handle('fetch journeys', async (req, res) => {
+  const pagination = parsePagination(req.query);
+  const range = parseDateRange(req.query);
+  const filters = {
+    ...range,
+    outcome: req.query.outcome || null,
+    channel: req.query.channel || null,
+    includeBots: req.query.include_bots === 'true'
+  };
+
+  const { rows, total } = await getApiJourneys(getApiSiteId(req), { ...filters, ...pagination });
+
+  res.json({
+    success: true,
+    data: rows.map(serializeJourney),
+    meta: { ...paginationMeta(pagination, total), filters }
+  });
+}));
+
+/**
+ * GET /api/v1/journeys/:journeyId - One journey with its events
+ */
+router.get('/journeys/:journeyId', requireScope('journeys:read'), handle('fetch journey', async (req, res) => {
+  const siteId = getApiSiteId(req);
+  const journey = await getJourneyById(req.params.journeyId, siteId);
+  if (!journey) {
+    return apiError(res, 404, 'not_found', 'Journey not found');
+  }
+
+  const events = await getEventsByJourneyId(req.params.journeyId, siteId);
+
+  res.json({
+    success: true,
+    data: { ...serializeJourney(journey), events: events.map(serializeEvent) }
+  });
+}));
+
+/**
+ * GET /api/v1/families - Human visitors active in the date range, most recent first
+ */
+router.get('/families', requireScope('families:read'), handle('fetch families', async (req, res) => {
+  const pagination = parsePagination(req.query);
+  const range = parseDateRange(req.query);
+
+  const { rows, total } = await getApiFamilies(getApiSiteId(req), { ...range, ...pagination });
+
+  res.json({
+    success: true,
+    data: rows.map(row => ({
+      visitor_id: row.visitor_id,
+      journey_count: parseInt(row.journey_count),
+      first_seen: row.first_seen,
+      last_seen: row.last_seen,
+      event_count: parseInt(row.event_count) || 0,
+      converted: !!row.converted,
+      first_channel: row.first_channel || null,
+      lead_score: row.lead_score ?? null
+    })),
+    meta: { ...paginationMeta(pagination, total), filters: range }
+  });
+}));
+
+/**
+ * GET /api/v1/families/:visitorId - One visitor with all of their journeys
+ * lead_score carries the per-factor breakdown shown on /families/:visitorId.
+ */
+router.get('/families/:visitorId', requireScope('families:read'), handle('fetch family', async (req, res) => {
+  const siteId = getApiSiteId(req);
+  const [journeys, conversions, leadScore] = await Promise.all([
+    getApiFamilyJourneys(siteId, req.params.visitorId),
+    getVisitorConversions(siteId, req.params.visitorId),
+    getVisitorLeadScore(req.params.visitorId, siteId)
+  ]);
+  if (journeys.length === 0) {
+    return apiError(res, 404, 'not_found', 'Visitor not found');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      visitor_id: req.params.visitorId,
+      journey_count: journeys.length,
+      first_seen: journeys[0].first_seen,
+      last_seen: journeys[journeys.length - 1].last_seen,
+      lead_score: leadScore
+        ? { score: leadScore.score, factors: leadScore.factors, computed_at: leadScore.computed_at }
+        : null,
+      journeys: journeys.map(j => serializeJourney({ ...j, visitor_id: req.params.visitorId })),
+      conversions: conversions.map(serializeConversion)
+    }
+  });
+}));
+
+/**
+ * GET /api/v1/ux/overview - UX analytics summary (same as the /ux dashboard cards)
+ */
+router.get('/ux/overview', requireScope('ux:read'), handle('fetch UX overview', async (req, res) => {
+  const data = await getUXOverview(getApiSiteId(req));
+  res.json({ success: true, data });
+}));
+
+/**
+ * GET /api/v1/bots/summary - Bot vs human journey counts in the date range
+ */
+router.get('/bots/summary', requireScope('bots:read'), handle('fetch bot summary', async (req, res) => {
+  const range = parseDateRange(req.query);
+  const row = await getApiBotSummary(getApiSiteId(req), range);
+
+  res.json({
+    success: true,
+    data: {
+      total_journeys: parseInt(row.total_journeys) || 0,
+      bot_journeys: parseInt(row.bot_journeys) || 0,
+      suspicious_journeys: parseInt(row.suspicious_journeys) || 0,
+      avg_bot_score: parseInt(row.avg_bot_score) || 0,
+      bot_types: row.bot_types || {}
+    },
+    meta: { filters: range }
+  });
+}));
+
+/**
+ * POST /api/v1/conversions - Record an offline conversion (enquiry, booking, ...)
+ * Attaches it to the journey / visitor, sets the journey outcome and returns
+ * the family's pre-enquiry summary. Re-posting the same enquiry_id updates it.
+ */
+router.post('/conversions', requireScope('conversions:write'), handle('record conversion', async (req, res) => {
+  const { conversion, errors } = validateConversion(req.body || {});
+  if (errors.length > 0) {
+    return apiError(res, 400, 'invalid_parameter', errors.join('. '));
+  }
+
+  const result = await recordConversion(getApiSiteId(req), conversion, req.apiKey.name);
+
+  res.status(result.created ? 201 : 200).json({
+    success: true,
+    data: {
+      conversion: serializeConversion(result.conversion),
+      matched: !!result.journeyId,
+      journey_id: result.journeyId,
+      visitor_id: result.visitorId,
+      summary: result.summary
+    }
+  });
+}));
+
+// Unknown /api/v1 paths get a JSON 404 rather than the HTML error page
+router.use((req, res) => {
+  apiError(res, 404, 'not_found', 'Unknown API endpoint');
+});
+
+module.exports = router;
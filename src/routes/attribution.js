@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { getSiteId } = require('../middleware/auth');
+const {
+  ATTRIBUTION_MODELS,
+  MODEL_LABELS,
+  DIMENSIONS,
+  DIMENSION_LABELS,
+  parseAttributionQuery,
+  getAttributionReport
+} = require('../services/attribution');
+
+/**
+ * GET /attribution - Compare attribution models by channel, source or campaign
+ */
+router.get('/', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const options = parseAttributionQuery(req.query);
+    const report = await getAttributionReport(siteId, options);
+
+    res.render('attribution', {
+      report,
+      options,
+      models: ATTRIBUTION_MODELS,
+      modelLabels: MODEL_LABELS,
+      dimensions: DIMENSIONS,
+      dimensionLabels: DIMENSION_LABELS,
+      currentPage: 'attribution',
+      title: 'Attribution - SMART Journey'
+    });
+  } catch (error) {
+    console.error('Attribution error:', error);
+    res.status(500).render('error', { error: 'Failed to load attribution report' });
+  }
+});
+
+module.exports = router;
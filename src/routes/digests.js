@@ -0,0 +1,193 @@
+/**
+ * Digest Routes
+ * Each user manages their own daily / weekly digest subscriptions for the
+ * current site, and can preview the digest or download it as a PDF
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getSiteId } = require('../middleware/auth');
+const {
+  getSiteById,
+  getUserDigestSubscriptions,
+  getDigestSubscriptionById,
+  saveDigestSubscription,
+  setDigestSubscriptionActive,
+  deleteDigestSubscription
+} = require('../db/queries');
+const {
+  FREQUENCIES,
+  WEEKDAYS,
+  DEFAULT_SEND_HOUR,
+  DEFAULT_SEND_DAY,
+  validateDigestSubscription,
+  buildDigest,
+  digestFilename,
+  renderDigest,
+  sendDigest
+} = require('../services/digests');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../services/alerts');
+const emailService = require('../services/emailService');
+const pdfService = require('../services/pdfService');
+
+function digestsRedirect(res, { success, error } = {}) {
+  const params = new URLSearchParams();
+  if (success) params.set('success', success);
+  if (error) params.set('error', error);
+  const query = params.toString();
+  res.redirect(`/digests${query ? `?${query}` : ''}`);
+}
+
+/**
+ * The current site and requested frequency for a preview or download
+ */
+async function previewDigest(req) {
+  const siteId = getSiteId(req);
+  const site = siteId ? await getSiteById(siteId) : null;
+  if (!site) return null;
+
+  const frequency = FREQUENCIES[req.query.frequency] ? req.query.frequency : 'weekly';
+  const timezone = req.query.timezone && isValidTimezone(req.query.timezone) ? req.query.timezone : DEFAULT_TIMEZONE;
+  return { digest: await buildDigest(site, frequency), timezone };
+}
+
+/**
+ * GET /digests - The user's digest subscriptions for the current site
+ */
+router.get('/', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const subscriptions = siteId ? await getUserDigestSubscriptions(req.session.userId, siteId) : [];
+
+    res.render('digests', {
+      title: 'Digests - SMART Journey',
+      currentPage: 'digests',
+      siteId,
+      subscriptions,
+      frequencies: FREQUENCIES,
+      weekdays: WEEKDAYS,
+      defaultSendHour: DEFAULT_SEND_HOUR,
+      defaultSendDay: DEFAULT_SEND_DAY,
+      defaultTimezone: DEFAULT_TIMEZONE,
+      emailConfigured: emailService.isConfigured(),
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error('Digests page error:', error);
+    res.status(500).render('error', { error: 'Failed to load digests' });
+  }
+});
+
+/**
+ * GET /digests/preview?frequency=weekly - The digest email as HTML
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const preview = await previewDigest(req);
+    if (!preview) {
+      return res.status(404).render('error', { error: 'Select a site to preview its digest' });
+    }
+    res.send((await renderDigest(preview.digest, preview.timezone, false)).html);
+  } catch (error) {
+    console.error('Digest preview error:', error);
+    res.status(500).render('error', { error: 'Failed to build digest' });
+  }
+});
+
+/**
+ * GET /digests/pdf?frequency=weekly - Download the digest as a PDF
+ */
+router.get('/pdf', async (req, res) => {
+  try {
+    const preview = await previewDigest(req);
+    if (!preview) {
+      return res.status(404).render('error', { error: 'Select a site to download its digest' });
+    }
+    const rendered = await renderDigest(preview.digest, preview.timezone, false);
+    const pdf = await pdfService.renderPdf(rendered.html);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${digestFilename(preview.digest, preview.timezone)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Digest PDF error:', error);
+    res.status(500).render('error', { error: 'Failed to generate digest PDF' });
+  }
+});
+
+/**
+ * POST /digests/subscriptions - Subscribe to (or reschedule) a digest for the current site
+ */
+router.post('/subscriptions', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    if (!siteId) {
+      return digestsRedirect(res, { error: 'Select a site before subscribing to a digest' });
+    }
+
+    const { subscription, errors } = validateDigestSubscription(req.body);
+    if (errors.length > 0) {
+      return digestsRedirect(res, { error: errors.join('. ') });
+    }
+
+    await saveDigestSubscription(req.session.userId, siteId, subscription);
+    digestsRedirect(res, { success: `${FREQUENCIES[subscription.frequency].label} digest saved` });
+  } catch (error) {
+    console.error('Digest subscription save error:', error);
+    digestsRedirect(res, { error: 'Failed to save digest subscription' });
+  }
+});
+
+/**
+ * POST /digests/subscriptions/:id/toggle - Pause or resume a digest
+ */
+router.post('/subscriptions/:id/toggle', async (req, res) => {
+  try {
+    const subscription = await getDigestSubscriptionById(req.session.userId, req.params.id);
+    if (!subscription) {
+      return digestsRedirect(res, { error: 'Digest subscription not found' });
+    }
+
+    await setDigestSubscriptionActive(req.session.userId, subscription.id, !subscription.is_active);
+    digestsRedirect(res, { success: subscription.is_active ? 'Digest paused' : 'Digest resumed' });
+  } catch (error) {
+    console.error('Digest subscription toggle error:', error);
+    digestsRedirect(res, { error: 'Failed to update digest subscription' });
+  }
+});
+
+/**
+ * POST /digests/subscriptions/:id/send - Send the digest now, outside its schedule
+ */
+router.post('/subscriptions/:id/send', async (req, res) => {
+  try {
+    const subscription = await getDigestSubscriptionById(req.session.userId, req.params.id);
+    if (!subscription) {
+      return digestsRedirect(res, { error: 'Digest subscription not found' });
+    }
+
+    const sent = await sendDigest(subscription);
+    digestsRedirect(res, sent
+      ? { success: `Digest sent to ${subscription.user_email}` }
+      : { error: 'Digest could not be sent - check the email configuration' });
+  } catch (error) {
+    console.error('Digest send error:', error);
+    digestsRedirect(res, { error: 'Failed to send digest' });
+  }
+});
+
+/**
+ * POST /digests/subscriptions/:id/delete - Unsubscribe
+ */
+router.post('/subscriptions/:id/delete', async (req, res) => {
+  try {
+    const deleted = await deleteDigestSubscription(req.session.userId, req.params.id);
+    digestsRedirect(res, deleted ? { success: 'Digest subscription deleted' } : { error: 'Digest subscription not found' });
+  } catch (error) {
+    console.error('Digest subscription delete error:', error);
+    digestsRedirect(res, { error: 'Failed to delete digest subscription' });
+  }
+});
+
+module.exports = router;
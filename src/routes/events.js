@@ -1,131 +1,26 @@
 const express = require('express');
 const router = express.Router();
 
-const { insertEvent, getEventsByJourneyId, getSiteByTrackingKey, getVisitorTotalJourneys } = require('../db/queries');
-const { getClientIP, lookupIP, isPrivateIP } = require('../services/geoService');
-const emailService = require('../services/emailService');
-const { detectBotForEvent } = require('../services/botDetection');
+const { enqueueEvents } = require('../db/queries');
+const { getClientIP } = require('../services/geoService');
+const { wakeIngestWorker } = require('../services/eventIngest');
+const { getEmailStatus } = require('../services/emailService');
+const { EVENT_NAME_PATTERN } = require('../services/customEvents');
+const { CONSENT_STATES, isCookieless } = require('../services/consent');
 
 // Excluded IPs loaded from environment (comma-separated)
 const EXCLUDED_IPS = (process.env.EXCLUDED_IPS || '').split(',').filter(Boolean);
 
-// Cache for tracking key -> site_id lookups (avoids DB hit on every event)
-const trackingKeyCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-async function resolveSiteId(trackingKey) {
-  if (!trackingKey) return null;
-
-  // Check cache
-  const cached = trackingKeyCache.get(trackingKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.siteId;
-  }
-
-  // Look up in database
-  const site = await getSiteByTrackingKey(trackingKey);
-  const siteId = site ? site.id : null;
-
-  // Cache the result
-  trackingKeyCache.set(trackingKey, { siteId, timestamp: Date.now() });
-
-  // Clean old cache entries periodically
-  if (trackingKeyCache.size > 100) {
-    const now = Date.now();
-    for (const [key, value] of trackingKeyCache) {
-      if (now - value.timestamp > CACHE_TTL) {
-        trackingKeyCache.delete(key);
-      }
-    }
-  }
-
-  return siteId;
-}
-
-/**
- * Track which journeys we've already emailed about
- * (in-memory; resets on restart by design)
- */
-const notifiedJourneys = new Set();
-
-/**
- * Debug log buffer for troubleshooting
- */
-const emailDebugLog = [];
-const MAX_LOG_SIZE = 50;
-
-function logEmail(message) {
-  const entry = `[${new Date().toISOString()}] ${message}`;
-  console.log(entry);
-  emailDebugLog.push(entry);
-  if (emailDebugLog.length > MAX_LOG_SIZE) {
-    emailDebugLog.shift();
+// Debug endpoint for the email transport and outbox totals (emails are listed at /admin/email)
+router.get('/debug-email-log', async (req, res) => {
+  try {
+    res.json(await getEmailStatus());
+  } catch (error) {
+    console.error('Email status error:', error);
+    res.status(500).json({ error: 'Failed to load email status' });
   }
-}
-
-// Debug endpoint to see email logs
-router.get('/debug-email-log', (req, res) => {
-  res.json({
-    notifiedJourneys: Array.from(notifiedJourneys).slice(-20),
-    notifiedCount: notifiedJourneys.size,
-    recentLogs: emailDebugLog
-  });
 });
 
-/**
- * VALID EVENT TYPES
- * Must match what the tracker ACTUALLY sends
- */
-const VALID_EVENT_TYPES = [
-  // Core
-  'page_view',
-  'page_exit',
-  'heartbeat',
-
-  // Engagement
-  'scroll_depth',
-  'section_view',
-  'element_hover',
-  'rage_click',
-  'exit_intent',
-
-  // Interactions
-  'cta_click',
-  'download_click',
-  'external_link',
-  'accordion_open',
-  'tab_switch',
-  'copy_text',
-
-  // Forms
-  'form_start',
-  'form_field_focus',
-  'form_field_blur',
-  'form_abandon',
-  'form_submit',
-
-  // Media / technical
-  'video_play',
-  'video_pause',
-  'video_complete',
-  'page_load',
-  'error',
-
-  // Advanced UX tracking (must match tracking script event names)
-  'dead_click',
-  'cta_hover',
-  'quick_back',
-  'text_selection',
-  'site_search',
-  'section_visibility',
-  'pdf_download',
-  'rage_click',
-  'return_visitor',
-
-  // Pixel tracking (server-side, no JavaScript required)
-  'pixel_view'
-];
-
 /**
  * VALID INTENT TYPES
  * MUST include what the tracker emits
@@ -148,16 +43,21 @@ const VALID_INTENT_TYPES = [
 
 /**
  * Basic validation — permissive by design
- * We never reject useful data
+ * We never reject useful data: any well-formed event_type is queued, and the
+ * ingest worker quarantines types the site has not defined
+ * (services/customEvents.js) rather than dropping them.
  */
 function validateEvent(body) {
   const errors = [];
 
-  if (!body.journey_id || typeof body.journey_id !== 'string') {
+  // Cookieless events have no ids - the ingest worker hashes them
+  if (body.consent !== undefined && body.consent !== null && !CONSENT_STATES.includes(body.consent)) {
+    errors.push(`invalid consent: ${body.consent}`);
+  } else if (!isCookieless(body.consent) && (!body.journey_id || typeof body.journey_id !== 'string')) {
     errors.push('journey_id is required');
   }
 
-  if (!body.event_type || !VALID_EVENT_TYPES.includes(body.event_type)) {
+  if (typeof body.event_type !== 'string' || !EVENT_NAME_PATTERN.test(body.event_type)) {
     errors.push(`invalid event_type: ${body.event_type}`);
   }
 
@@ -178,29 +78,20 @@ function validateEvent(body) {
 }
 
 /**
- * Add geolocation data to metadata (page_view only)
+ * Build a queue item for a validated event
+ * occurred_at is stamped now so queue delay never shifts event times;
+ * enrichment (geo, bot scoring, site resolution) happens in the ingest worker.
  */
-async function enrichWithLocation(req, metadata) {
-  const ip = getClientIP(req);
-
-  if (!ip || isPrivateIP(ip)) {
-    return metadata;
-  }
-
-  try {
-    const location = await lookupIP(ip);
-    if (location) {
-      return {
-        ...metadata,
-        location,
-        ip_address: ip
-      };
-    }
-  } catch (err) {
-    console.error('Geo lookup failed:', err.message);
-  }
-
-  return metadata;
+function toQueueItem(req, body, source) {
+  return {
+    payload: {
+      ...body,
+      occurred_at: body.occurred_at || new Date().toISOString()
+    },
+    client_ip: getClientIP(req),
+    user_agent: req.get('User-Agent') || null,
+    source
+  };
 }
 
 /**
@@ -217,105 +108,17 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ success: false, errors });
     }
 
-    let metadata = body.metadata || {};
-
-    // Enrich location only for first page_view
-    if (body.event_type === 'page_view') {
-      metadata = await enrichWithLocation(req, metadata);
-    }
-
-    // Extract User-Agent from request headers or body
-    const userAgent = body.user_agent || req.get('User-Agent') || null;
-
-    // Extract client IP
-    const clientIP = getClientIP(req);
-
     // Skip excluded IPs (owner/admin traffic)
-    if (EXCLUDED_IPS.includes(clientIP)) {
+    if (EXCLUDED_IPS.includes(getClientIP(req))) {
       return res.status(200).json({ success: true, skipped: true, reason: 'excluded_ip' });
     }
 
-    // Run bot detection
-    const botDetection = detectBotForEvent({
-      userAgent,
-      ipAddress: clientIP,
-      metadata
-    });
-
-    // Resolve site_id from tracking_key (if provided)
-    const siteId = await resolveSiteId(body.tracking_key);
-
-    const event = {
-      journey_id: body.journey_id,
-      visitor_id: body.visitor_id || null,
-      event_type: body.event_type,
-      page_url: body.page_url || null,
-      referrer: body.referrer || null,
-      intent_type: body.intent_type || null,
-      cta_label: body.cta_label || null,
-      device_type: body.device_type || null,
-      metadata,
-      occurred_at: body.occurred_at || new Date().toISOString(),
-      // Bot detection fields
-      user_agent: userAgent,
-      ip_address: clientIP,
-      is_bot: botDetection.isBot,
-      bot_score: botDetection.botScore,
-      bot_signals: botDetection.signals,
-      // Multi-tenant field
-      site_id: siteId
-    };
-
-    const result = await insertEvent(event);
-
-    /**
-     * Visitor email logic
-     * Fire once per journey per server session (covers new AND returning visitors)
-     */
-    logEmail(`EVENT: ${event.event_type} for ${event.journey_id.substring(0,8)}, notified=${notifiedJourneys.has(event.journey_id)}, size=${notifiedJourneys.size}`);
-
-    const location = metadata.location || null;
-
-    // Only send email if we have location data and NOT a bot (skip bots and empty notifications)
-    if (event.event_type === 'page_view' && !notifiedJourneys.has(event.journey_id) && location && !event.is_bot) {
-      notifiedJourneys.add(event.journey_id);
-      logEmail(`TRIGGER: ${event.journey_id.substring(0,8)} with location`);
-
-      // Keep memory bounded
-      if (notifiedJourneys.size > 5000) {
-        Array.from(notifiedJourneys).slice(0, 2500)
-          .forEach(id => notifiedJourneys.delete(id));
-      }
-
-      // Check if this visitor has previous journeys (true returning visitor, not just multiple pages in this session)
-      const totalJourneys = await getVisitorTotalJourneys(event.visitor_id, event.ip_address, event.site_id);
-      const isReturn = totalJourneys > 1;
+    await enqueueEvents([toQueueItem(req, body, 'api')]);
+    wakeIngestWorker();
 
-      logEmail(`SENDING: ${event.journey_id.substring(0,8)} (${isReturn ? 'return' : 'new'}, journeys=${totalJourneys}), page=${event.page_url?.substring(0,50)}`);
-
-      emailService.sendNewVisitorNotification({
-        journey_id: event.journey_id,
-        entry_page: event.page_url,
-        referrer: event.referrer,
-        device_type: event.device_type,
-        first_seen: event.occurred_at,
-        location,
-        isReturn
-      }).then(result => {
-        logEmail(`SUCCESS: ${event.journey_id.substring(0,8)} - ${JSON.stringify(result)}`);
-      }).catch(err => {
-        logEmail(`FAILED: ${event.journey_id.substring(0,8)} - ${err.message}`);
-      });
-    } else if (event.event_type === 'page_view') {
-      logEmail(`SKIPPED: ${event.journey_id.substring(0,8)} - already notified`);
-    }
-
-    res.status(201).json({
-      success: true,
-      event_id: result?.lastInsertRowid || null
-    });
+    res.status(202).json({ success: true, queued: 1 });
   } catch (err) {
-    console.error('Event insert failed:', err);
+    console.error('Event enqueue failed:', err);
     res.status(500).json({
       success: false,
       error: 'Failed to store event'
@@ -337,103 +140,35 @@ router.post('/batch', async (req, res) => {
     }
 
     // Skip excluded IPs (owner/admin traffic)
-    const batchClientIP = getClientIP(req);
-    if (EXCLUDED_IPS.includes(batchClientIP)) {
-      return res.status(200).json({ success: true, skipped: true, reason: 'excluded_ip', inserted: 0 });
+    if (EXCLUDED_IPS.includes(getClientIP(req))) {
+      return res.status(200).json({ success: true, skipped: true, reason: 'excluded_ip', queued: 0 });
     }
 
-    const results = [];
+    const items = [];
     const errors = [];
 
-    for (let i = 0; i < req.body.events.length; i++) {
-      const e = req.body.events[i];
-      const validationErrors = validateEvent(e);
+    req.body.events.forEach((e, i) => {
+      const validationErrors = validateEvent(e || {});
 
       if (validationErrors.length > 0) {
         errors.push({ index: i, errors: validationErrors });
-        continue;
+        return;
       }
 
-      let metadata = e.metadata || {};
-      if (e.event_type === 'page_view') {
-        metadata = await enrichWithLocation(req, metadata);
-      }
-
-      // Extract User-Agent and IP for batch events
-      const userAgent = e.user_agent || req.get('User-Agent') || null;
-      const clientIP = getClientIP(req);
-
-      // Run bot detection
-      const botDetection = detectBotForEvent({
-        userAgent,
-        ipAddress: clientIP,
-        metadata
-      });
-
-      // Resolve site_id from tracking_key
-      const siteId = await resolveSiteId(e.tracking_key);
-
-      try {
-        await insertEvent({
-          journey_id: e.journey_id,
-          visitor_id: e.visitor_id || null,
-          event_type: e.event_type,
-          page_url: e.page_url || null,
-          referrer: e.referrer || null,
-          intent_type: e.intent_type || null,
-          cta_label: e.cta_label || null,
-          device_type: e.device_type || null,
-          metadata,
-          occurred_at: e.occurred_at || new Date().toISOString(),
-          user_agent: userAgent,
-          ip_address: clientIP,
-          is_bot: botDetection.isBot,
-          bot_score: botDetection.botScore,
-          bot_signals: botDetection.signals,
-          site_id: siteId
-        });
-
-        // Email notification for batch events (same logic as single endpoint)
-        const location = metadata.location || null;
-
-        // Only send email if we have location data and NOT a bot (skip bots and empty notifications)
-        if (e.event_type === 'page_view' && !notifiedJourneys.has(e.journey_id) && location && !botDetection.isBot) {
-          notifiedJourneys.add(e.journey_id);
-          logEmail(`BATCH TRIGGER: ${e.journey_id.substring(0,8)} with location`);
-          // Check if this visitor has previous journeys (true returning visitor)
-          const totalJourneys = await getVisitorTotalJourneys(e.visitor_id, clientIP, siteId);
-          const isReturn = totalJourneys > 1;
-
-          logEmail(`BATCH SENDING: ${e.journey_id.substring(0,8)} (${isReturn ? 'return' : 'new'}, journeys=${totalJourneys}), page=${e.page_url?.substring(0,50)}`);
-
-          emailService.sendNewVisitorNotification({
-            journey_id: e.journey_id,
-            entry_page: e.page_url,
-            referrer: e.referrer,
-            device_type: e.device_type,
-            first_seen: e.occurred_at || new Date().toISOString(),
-            location,
-            isReturn
-          }).then(result => {
-            logEmail(`BATCH SUCCESS: ${e.journey_id.substring(0,8)} - ${JSON.stringify(result)}`);
-          }).catch(err => {
-            logEmail(`BATCH FAILED: ${e.journey_id.substring(0,8)} - ${err.message}`);
-          });
-        }
+      items.push(toQueueItem(req, e, 'batch'));
+    });
 
-        results.push({ index: i, success: true });
-      } catch (err) {
-        errors.push({ index: i, error: err.message });
-      }
-    }
+    // One multi-row INSERT for the whole batch
+    await enqueueEvents(items);
+    if (items.length > 0) wakeIngestWorker();
 
     res.json({
       success: errors.length === 0,
-      inserted: results.length,
+      queued: items.length,
       errors
     });
   } catch (err) {
-    console.error('Batch insert failed:', err);
+    console.error('Batch enqueue failed:', err);
     res.status(500).json({
       success: false,
       error: 'Batch insert failed'
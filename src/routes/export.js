@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/database');
 const { getSiteId } = require('../middleware/auth');
+const {
+  ATTRIBUTION_MODELS,
+  parseAttributionQuery,
+  getAttributionReport
+} = require('../services/attribution');
+const { EVENT_NAME_PATTERN, isBuiltInEventType, eventProperties } = require('../services/customEvents');
 
 /**
  * GET /export/journeys - Export journeys as CSV
@@ -15,7 +21,7 @@ router.get('/journeys', async (req, res) => {
     const db = getDb();
     let query = `
       SELECT journey_id, visitor_id, visit_number, first_seen, last_seen,
-             entry_page, entry_referrer, initial_intent, event_count,
+             entry_page, entry_referrer, channel, channel_source, initial_intent, event_count,
              outcome, time_to_action, confidence, is_bot, bot_score, bot_type
       FROM journeys
       WHERE first_seen >= $1
@@ -65,6 +71,8 @@ router.get('/journeys', async (req, res) => {
 
 /**
  * GET /export/events - Export events as CSV
+ * ?event_type=a,b limits the export to those event types (built-in or custom).
+ * Custom events include their properties as a JSON column.
  */
 router.get('/events', async (req, res) => {
   try {
@@ -76,15 +84,24 @@ router.get('/events', async (req, res) => {
     let query = `
       SELECT journey_id, visitor_id, event_type, page_url, referrer,
              intent_type, cta_label, device_type, occurred_at,
-             is_bot, bot_score
+             is_bot, bot_score, metadata
       FROM journey_events
       WHERE occurred_at >= $1
     `;
     const params = [startDate];
 
     if (siteId) {
-      query += ` AND site_id = $2`;
       params.push(siteId);
+      query += ` AND site_id = $${params.length}`;
+    }
+
+    const eventTypes = String(req.query.event_type || '')
+      .split(',')
+      .map(type => type.trim())
+      .filter(type => EVENT_NAME_PATTERN.test(type));
+    if (eventTypes.length > 0) {
+      params.push(eventTypes);
+      query += ` AND event_type = ANY($${params.length})`;
     }
 
     query += ` ORDER BY occurred_at DESC LIMIT 50000`;
@@ -95,10 +112,14 @@ router.get('/events', async (req, res) => {
       return res.status(404).json({ error: 'No events found in the specified period' });
     }
 
-    const headers = Object.keys(result.rows[0]);
+    const rows = result.rows.map(({ metadata, ...row }) => ({
+      ...row,
+      properties: isBuiltInEventType(row.event_type) ? null : JSON.stringify(eventProperties(metadata))
+    }));
+    const headers = Object.keys(rows[0]);
     const csvLines = [headers.join(',')];
 
-    for (const row of result.rows) {
+    for (const row of rows) {
       const values = headers.map(h => {
         const val = row[h];
         if (val === null || val === undefined) return '';
@@ -151,4 +172,44 @@ router.get('/insights', async (req, res) => {
   }
 });
 
+/**
+ * GET /export/attribution - Export attribution model comparison as CSV
+ * One row per channel, source / medium or campaign with credited conversions per model.
+ */
+router.get('/attribution', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const options = parseAttributionQuery(req.query);
+    const report = await getAttributionReport(siteId, options);
+
+    if (report.rows.length === 0) {
+      return res.status(404).json({ error: 'No conversions found in the specified period' });
+    }
+
+    const headers = [options.dimension, ...ATTRIBUTION_MODELS, ...ATTRIBUTION_MODELS.map(m => `${m}_share_pct`)];
+    const csvLines = [headers.join(',')];
+
+    for (const row of report.rows) {
+      const values = [row.key, ...ATTRIBUTION_MODELS.map(m => row.credits[m]), ...ATTRIBUTION_MODELS.map(m => row.shares[m])]
+        .map(val => {
+          const str = String(val);
+          if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+            return '"' + str.replace(/"/g, '""') + '"';
+          }
+          return str;
+        });
+      csvLines.push(values.join(','));
+    }
+
+    const csv = csvLines.join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="attribution-${options.dimension}-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
 module.exports = router;
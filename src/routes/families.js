@@ -7,9 +7,20 @@ const {
   getFamilyByVisitorId,
   getFamilyStats,
   getTopLocations,
-  getEventsByIPAddress
+  getEventsByIPAddress,
+  getVisitorLeadScore
 } = require('../db/queries');
 const { getSiteId } = require('../middleware/auth');
+const { getCohortRetention } = require('../services/cohorts');
+const { SCORE_BANDS, getScoreBand, rescoreVisitor } = require('../services/leadScoring');
+
+function cohortOptions(query) {
+  return {
+    weeks: query.weeks,
+    source: query.source || null,
+    device: query.device || null
+  };
+}
 
 // GET /families - Family list view
 router.get('/', async (req, res) => {
@@ -20,6 +31,8 @@ router.get('/', async (req, res) => {
     const filter = req.query.filter || 'humans'; // 'humans' (default), 'all', 'bots'
     const engagement = req.query.engagement || 'all'; // 'all', 'high', 'medium', 'low'
     const visits = req.query.visits || 'all'; // 'all', '1', '2-3', '4+'
+    const score = SCORE_BANDS[req.query.score] ? req.query.score : 'all'; // 'all', 'hot', 'warm', 'cold'
+    const sort = req.query.sort === 'score' ? 'score' : 'recent';
     const siteId = getSiteId(req);
 
     // Build filter options
@@ -28,7 +41,10 @@ router.get('/', async (req, res) => {
       botsOnly: filter === 'bots',
       siteId: siteId,
       engagement: engagement !== 'all' ? engagement : null,
-      visits: visits !== 'all' ? visits : null
+      visits: visits !== 'all' ? visits : null,
+      minScore: score !== 'all' ? SCORE_BANDS[score].min : null,
+      maxScore: score !== 'all' ? SCORE_BANDS[score].max : null,
+      sort
     };
 
     const [rawFamilies, totalCount, stats, topLocations] = await Promise.all([
@@ -49,7 +65,7 @@ router.get('/', async (req, res) => {
           location = metadata?.location || null;
         }
       } catch (e) {}
-      return { ...f, location };
+      return { ...f, location, score_band: getScoreBand(f.lead_score) };
     });
 
     // Parse stats
@@ -68,6 +84,9 @@ router.get('/', async (req, res) => {
       filter,
       engagement,
       visits,
+      score,
+      sort,
+      scoreBands: SCORE_BANDS,
       pagination: {
         page,
         limit,
@@ -85,6 +104,23 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /families/cohorts - Weekly cohort retention matrix
+router.get('/cohorts', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const retention = await getCohortRetention(siteId, cohortOptions(req.query));
+
+    res.render('cohorts', {
+      retention,
+      currentPage: 'families',
+      title: 'Cohort Retention - SMART Journey'
+    });
+  } catch (error) {
+    console.error('Error building cohorts:', error);
+    res.status(500).render('error', { error: 'Failed to load cohort retention' });
+  }
+});
+
 // GET /families/:visitorId - Family detail view (by visitor_id)
 router.get('/:visitorId', async (req, res) => {
   try {
@@ -97,8 +133,16 @@ router.get('/:visitorId', async (req, res) => {
       return res.status(404).render('error', { error: 'Family not found' });
     }
 
+    // Rescore on view so the breakdown reflects today's recency decay
+    const leadScore = siteId
+      ? await rescoreVisitor(siteId, visitorId)
+      : await getVisitorLeadScore(visitorId);
+
     res.render('familyDetail', {
       family,
+      leadScore,
+      scoreBand: getScoreBand(leadScore?.score),
+      scoreBands: SCORE_BANDS,
       currentPage: 'families',
       title: `Family ${visitorId.substring(0, 8)}... - SMART Journey`
     });
@@ -120,4 +164,16 @@ router.get('/api/stats', async (req, res) => {
   }
 });
 
+// API endpoint for the cohort retention matrix
+router.get('/api/cohorts', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const retention = await getCohortRetention(siteId, cohortOptions(req.query));
+    res.json(retention);
+  } catch (error) {
+    console.error('Error fetching cohorts:', error);
+    res.status(500).json({ error: 'Failed to fetch cohorts' });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,28 @@ const express = require('express');
 const router = express.Router();
 const { getDb } = require('../db/database');
 const { getSiteId } = require('../middleware/auth');
+const {
+  getGoalCompletions,
+  getSiteFunnels,
+  getSiteFunnelById,
+  createSiteFunnel,
+  updateSiteFunnel,
+  deleteSiteFunnel,
+  getFunnelEvents
+} = require('../db/queries');
+const { getActiveGoals } = require('../services/goals');
+const {
+  FUNNEL_SCOPES,
+  STEP_TYPES,
+  MAX_STEPS,
+  validateFunnel,
+  buildFunnelReport,
+  getFunnelEventFilter
+} = require('../services/funnelBuilder');
+const { getSiteEventTypes } = require('../services/customEvents');
+
+// Journeys converted by a site goal or, for sites without goals, the built-in outcomes
+const CONVERTED_JOURNEY = "(goal_id IS NOT NULL OR outcome IN ('enquiry_submitted', 'visit_booked', 'form_submitted'))";
 
 /**
  * GET /funnel - Conversion funnel visualisation
@@ -61,22 +83,33 @@ router.get('/', async (req, res) => {
         AND je.event_type = 'form_start'
     `, params);
 
-    // Form submitted (conversions)
-    const formSubmitResult = await db.query(`
-      SELECT COUNT(DISTINCT je.journey_id) as count
-      FROM journey_events je
-      JOIN journeys j ON j.journey_id = je.journey_id
-      WHERE je.occurred_at >= $1 ${eventSiteFilter}
-        AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
-        AND je.event_type = 'form_submit'
-    `, params);
+    // Conversions - the site's goals when it has any, otherwise form submits
+    const goals = siteId ? await getActiveGoals(siteId) : [];
+    const useGoals = goals.length > 0;
+
+    const formSubmitResult = useGoals
+      ? await db.query(`
+        SELECT COUNT(*) as count
+        FROM journeys
+        WHERE first_seen >= $1 ${siteFilter}
+          AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
+          AND goal_id IS NOT NULL
+      `, params)
+      : await db.query(`
+        SELECT COUNT(DISTINCT je.journey_id) as count
+        FROM journey_events je
+        JOIN journeys j ON j.journey_id = je.journey_id
+        WHERE je.occurred_at >= $1 ${eventSiteFilter}
+          AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
+          AND je.event_type = 'form_submit'
+      `, params);
 
     // Page drop-off data
     const pageDropoff = await db.query(`
       SELECT
         entry_page,
         COUNT(*) as total_journeys,
-        COUNT(CASE WHEN outcome IN ('enquiry_submitted', 'visit_booked', 'form_submitted') THEN 1 END) as conversions,
+        COUNT(CASE WHEN ${CONVERTED_JOURNEY} THEN 1 END) as conversions,
         COUNT(CASE WHEN outcome = 'no_action' OR outcome IS NULL THEN 1 END) as bounces,
         ROUND(AVG(event_count)) as avg_events,
         ROUND(AVG(CASE WHEN confidence > 0 THEN confidence END)) as avg_confidence
@@ -103,22 +136,31 @@ router.get('/', async (req, res) => {
         AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
     `, prevParams);
 
-    const prevConversionsResult = await db.query(`
-      SELECT COUNT(DISTINCT je.journey_id) as count
-      FROM journey_events je
-      JOIN journeys j ON j.journey_id = je.journey_id
-      WHERE je.occurred_at >= $1 AND je.occurred_at < $2
-        ${siteId ? 'AND je.site_id = $3' : ''}
-        AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
-        AND je.event_type = 'form_submit'
-    `, prevParams);
+    const prevConversionsResult = useGoals
+      ? await db.query(`
+        SELECT COUNT(*) as count
+        FROM journeys
+        WHERE first_seen >= $1 AND first_seen < $2
+          AND site_id = $3
+          AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
+          AND goal_id IS NOT NULL
+      `, prevParams)
+      : await db.query(`
+        SELECT COUNT(DISTINCT je.journey_id) as count
+        FROM journey_events je
+        JOIN journeys j ON j.journey_id = je.journey_id
+        WHERE je.occurred_at >= $1 AND je.occurred_at < $2
+          ${siteId ? 'AND je.site_id = $3' : ''}
+          AND j.is_bot IS NOT TRUE AND COALESCE(j.bot_score, 0) < 30
+          AND je.event_type = 'form_submit'
+      `, prevParams);
 
     // Daily trend data for chart
     const dailyTrend = await db.query(`
       SELECT
         DATE(first_seen) as date,
         COUNT(*) as visitors,
-        COUNT(CASE WHEN outcome IN ('enquiry_submitted', 'visit_booked', 'form_submitted') THEN 1 END) as conversions
+        COUNT(CASE WHEN ${CONVERTED_JOURNEY} THEN 1 END) as conversions
       FROM journeys
       WHERE first_seen >= $1 ${siteFilter}
         AND is_bot IS NOT TRUE AND COALESCE(bot_score, 0) < 30
@@ -142,11 +184,36 @@ router.get('/', async (req, res) => {
         currentTotal: parseInt(totalResult.rows[0]?.count || 0),
         currentConversions: parseInt(formSubmitResult.rows[0]?.count || 0)
       },
-      dailyTrend: dailyTrend.rows
+      dailyTrend: dailyTrend.rows,
+      goalCompletions: useGoals ? await getGoalCompletions(siteId, startDate) : []
     };
 
+    // Saved custom funnels for this site
+    const savedFunnels = siteId ? await getSiteFunnels(siteId) : [];
+    const selected = req.query.funnel
+      ? savedFunnels.find(f => String(f.id) === req.query.funnel) || null
+      : null;
+    let customReport = null;
+    if (selected) {
+      const events = await getFunnelEvents(siteId, startDate, getFunnelEventFilter(selected));
+      customReport = buildFunnelReport(selected, events);
+    }
+    const editFunnel = req.query.editFunnel
+      ? savedFunnels.find(f => String(f.id) === req.query.editFunnel) || null
+      : null;
+    const eventTypes = await getSiteEventTypes(siteId);
+
     res.render('funnel', {
       funnel: funnelData,
+      savedFunnels,
+      customReport,
+      editFunnel,
+      funnelScopes: FUNNEL_SCOPES,
+      stepTypes: STEP_TYPES,
+      eventTypes,
+      maxSteps: MAX_STEPS,
+      success: req.query.success || null,
+      error: req.query.error || null,
       currentPage: 'funnel',
       title: 'Conversion Funnel - SMART Journey',
       siteId
@@ -157,4 +224,75 @@ router.get('/', async (req, res) => {
   }
 });
 
+// ============================================
+// CUSTOM FUNNELS
+// ============================================
+
+function funnelRedirect(res, params) {
+  res.redirect(`/funnel?${new URLSearchParams(params)}`);
+}
+
+/**
+ * POST /funnel/custom - Save a new custom funnel for the current site
+ */
+router.post('/custom', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    if (!siteId) {
+      return funnelRedirect(res, { error: 'Select a site before saving a funnel' });
+    }
+
+    const { funnel, errors } = validateFunnel(req.body);
+    if (errors.length > 0) {
+      return funnelRedirect(res, { error: errors.join('. ') });
+    }
+
+    const created = await createSiteFunnel(siteId, funnel);
+    funnelRedirect(res, { funnel: created.id, success: 'Funnel saved' });
+  } catch (error) {
+    console.error('Funnel save error:', error);
+    funnelRedirect(res, { error: 'Failed to save funnel' });
+  }
+});
+
+/**
+ * POST /funnel/custom/:id - Update a saved funnel
+ */
+router.post('/custom/:id', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    const existing = siteId ? await getSiteFunnelById(siteId, req.params.id) : null;
+    if (!existing) {
+      return funnelRedirect(res, { error: 'Funnel not found' });
+    }
+
+    const { funnel, errors } = validateFunnel(req.body);
+    if (errors.length > 0) {
+      return funnelRedirect(res, { editFunnel: existing.id, error: errors.join('. ') });
+    }
+
+    await updateSiteFunnel(siteId, existing.id, funnel);
+    funnelRedirect(res, { funnel: existing.id, success: 'Funnel updated' });
+  } catch (error) {
+    console.error('Funnel update error:', error);
+    funnelRedirect(res, { error: 'Failed to update funnel' });
+  }
+});
+
+/**
+ * POST /funnel/custom/:id/delete - Delete a saved funnel
+ */
+router.post('/custom/:id/delete', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    if (siteId) {
+      await deleteSiteFunnel(siteId, req.params.id);
+    }
+    funnelRedirect(res, { success: 'Funnel deleted' });
+  } catch (error) {
+    console.error('Funnel delete error:', error);
+    funnelRedirect(res, { error: 'Failed to delete funnel' });
+  }
+});
+
 module.exports = router;
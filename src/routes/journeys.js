@@ -21,6 +21,8 @@ const {
 const { reconstructAllJourneys, getJourneyWithEvents } = require('../services/journeyBuilder');
 const { getSiteId } = require('../middleware/auth');
 const { analyseSingleJourney } = require('../services/aiAnalysis');
+const { loadReplay, getReplayInfo } = require('../services/sessionReplay');
+const { getEventLabels, eventProperties } = require('../services/customEvents');
 
 // GET /journeys - Journey list view
 router.get('/', async (req, res) => {
@@ -190,10 +192,20 @@ router.get('/:id', async (req, res) => {
 
     // Get existing AI analysis if any
     const existingAnalysis = await getJourneyAnalysis(journeyId);
+    const replay = await getReplayInfo(journeyId, siteId);
+
+    // Custom events show under their label, with their properties
+    const eventSite = siteId || (journey.events.find(e => e.site_id) || {}).site_id;
+    const customEventLabels = await getEventLabels(eventSite);
+    const events = journey.events.map(event => customEventLabels[event.event_type]
+      ? { ...event, properties: eventProperties(event.metadata) }
+      : event);
 
     res.render('journeyDetail', {
-      journey: { ...journey, location },
+      journey: { ...journey, events, location },
+      customEventLabels,
       existingAnalysis,
+      replay,
       currentPage: 'journeys',
       title: `Journey ${journeyId.substring(0, 8)} - SMART Journey`
     });
@@ -215,6 +227,22 @@ router.get('/api/stats', async (req, res) => {
   }
 });
 
+// GET /journeys/:id/replay - Session recording for the replay player
+router.get('/:id/replay', async (req, res) => {
+  try {
+    const replay = await loadReplay(req.params.id, getSiteId(req));
+
+    if (!replay) {
+      return res.status(404).json({ success: false, error: 'No recording for this journey' });
+    }
+
+    res.json({ success: true, ...replay });
+  } catch (error) {
+    console.error('Error loading replay:', error);
+    res.status(500).json({ success: false, error: 'Failed to load recording' });
+  }
+});
+
 // POST /journeys/:id/analyse - AI analysis of a single journey
 router.post('/:id/analyse', async (req, res) => {
   try {
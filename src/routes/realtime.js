@@ -1,11 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const { getActiveVisitors, getRecentNewJourneys, getActiveVisitorCount, getVisitorLocations, getRecentInactiveSessions } = require('../db/queries');
+const { getActiveVisitors, getRecentNewJourneys, getActiveVisitorCount, getVisitorLocations, getRecentInactiveSessions, getEventsByJourneyId } = require('../db/queries');
 const emailService = require('../services/emailService');
 const { getSiteId } = require('../middleware/auth');
+const { classifyChannel } = require('../services/channels');
+const { subscribe, formatSse } = require('../services/realtime');
+const { followJourney } = require('../services/liveJourney');
 
-// Track which journeys we've already notified about (in-memory, resets on restart)
-const notifiedJourneys = new Set();
+// Comment line that keeps idle streams open through proxies
+const STREAM_KEEPALIVE_MS = 25000;
+// How long the browser waits before reconnecting a dropped stream
+const STREAM_RETRY_MS = 5000;
+
+// Live journeys are usually not rebuilt yet, so classify from the landing event
+function visitorChannel(visitor, metadata) {
+  return visitor.channel || classifyChannel({
+    referrer: visitor.referrer,
+    utm: metadata?.utm || null,
+    pageUrl: visitor.landing_url || visitor.page_url
+  }).channel;
+}
+
+/**
+ * Start a Server-Sent Events response; returns a function that stops its keep-alive
+ */
+function openStream(res) {
+  // no-transform keeps the compression middleware from buffering the stream
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), STREAM_KEEPALIVE_MS);
+  return () => clearInterval(keepAlive);
+}
 
 // GET /realtime - Dashboard view
 router.get('/', async (req, res) => {
@@ -17,13 +48,14 @@ router.get('/', async (req, res) => {
     // Parse location from metadata for each visitor
     const visitorsWithLocation = visitors.map(v => {
       let location = null;
+      let metadata = null;
       try {
         if (v.metadata) {
-          const metadata = typeof v.metadata === 'string' ? JSON.parse(v.metadata) : v.metadata;
+          metadata = typeof v.metadata === 'string' ? JSON.parse(v.metadata) : v.metadata;
           location = metadata.location || null;
         }
       } catch (e) {}
-      return { ...v, location };
+      return { ...v, location, channel: visitorChannel(v, metadata) };
     });
 
     res.render('realtime', {
@@ -39,7 +71,78 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /realtime/api/visitors - JSON endpoint for polling
+// GET /realtime/stream - Server-Sent Events: arrival, page_view, cta_click and
+// conversion messages for the current site as they happen (services/realtime.js)
+router.get('/stream', (req, res) => {
+  const siteId = getSiteId(req);
+
+  const stopKeepAlive = openStream(res);
+  res.write(formatSse({ type: 'ready', site_id: siteId || null, timestamp: new Date().toISOString() }));
+  const unsubscribe = subscribe(siteId, message => res.write(formatSse(message)), () => res.end());
+
+  req.on('close', () => {
+    stopKeepAlive();
+    unsubscribe();
+  });
+});
+
+// GET /realtime/journeys/:journeyId - Follow one visitor's journey live
+router.get('/journeys/:journeyId', async (req, res) => {
+  try {
+    const journeyId = req.params.journeyId;
+    const events = await getEventsByJourneyId(journeyId, getSiteId(req));
+
+    if (events.length === 0) {
+      return res.status(404).render('error', { error: 'Journey not found' });
+    }
+
+    // Header details from the landing event
+    const landing = events.find(e => e.event_type === 'page_view') || events[0];
+    let metadata = null;
+    try {
+      metadata = typeof landing.metadata === 'string' ? JSON.parse(landing.metadata) : landing.metadata;
+    } catch (e) {}
+    const location = events.map(e => e.metadata?.location).find(Boolean) || null;
+
+    res.render('realtimeJourney', {
+      title: `Following ${journeyId.substring(0, 8)} - SMART Journey`,
+      currentPage: 'realtime',
+      journeyId,
+      visitor: {
+        visitor_id: landing.visitor_id,
+        device_type: landing.device_type,
+        referrer: landing.referrer,
+        landing_url: landing.page_url,
+        first_seen: events[0].occurred_at,
+        location,
+        channel: visitorChannel({ referrer: landing.referrer, page_url: landing.page_url }, metadata),
+        is_bot: events.some(e => e.is_bot)
+      }
+    });
+  } catch (error) {
+    console.error('Error loading live journey:', error);
+    res.status(500).render('error', { error: 'Failed to load journey' });
+  }
+});
+
+// GET /realtime/journeys/:journeyId/stream - Server-Sent Events for one journey:
+// a snapshot, then each new event and status change (services/liveJourney.js)
+router.get('/journeys/:journeyId/stream', (req, res) => {
+  const stopKeepAlive = openStream(res);
+  const stopFollowing = followJourney(
+    req.params.journeyId,
+    getSiteId(req),
+    message => res.write(formatSse(message)),
+    () => res.end()
+  );
+
+  req.on('close', () => {
+    stopKeepAlive();
+    stopFollowing();
+  });
+});
+
+// GET /realtime/api/visitors - Active visitors (page load and stream resync)
 router.get('/api/visitors', async (req, res) => {
   try {
     const withinSeconds = parseInt(req.query.seconds) || 300;
@@ -49,9 +152,10 @@ router.get('/api/visitors', async (req, res) => {
     // Parse location from metadata for each visitor
     const visitorsWithLocation = visitors.map(v => {
       let location = null;
+      let metadata = null;
       try {
         if (v.metadata) {
-          const metadata = typeof v.metadata === 'string' ? JSON.parse(v.metadata) : v.metadata;
+          metadata = typeof v.metadata === 'string' ? JSON.parse(v.metadata) : v.metadata;
           location = metadata.location || null;
         }
       } catch (e) {}
@@ -62,6 +166,7 @@ router.get('/api/visitors', async (req, res) => {
         last_activity: v.last_activity,
         first_seen: v.first_seen,
         referrer: v.referrer,
+        channel: visitorChannel(v, metadata),
         visitor_id: v.visitor_id,
         visit_number: v.visit_number,
         location
@@ -122,42 +227,19 @@ router.get('/api/locations', async (req, res) => {
   }
 });
 
-// GET /realtime/api/new-journeys - Check for new journeys and send notifications
+// GET /realtime/api/new-journeys - Journeys that started recently
+// (emails about them are sent by alert rules - services/alerts.js)
 router.get('/api/new-journeys', async (req, res) => {
   try {
     const sinceSeconds = parseInt(req.query.seconds) || 300;
     const siteId = getSiteId(req);
     const newJourneys = await getRecentNewJourneys(sinceSeconds, siteId);
 
-    // Find journeys we haven't notified about yet
-    const unnotified = newJourneys.filter(j => !notifiedJourneys.has(j.journey_id));
-
-    // Send email notifications for new journeys
-    const notificationResults = [];
-    for (const journey of unnotified) {
-      // Mark as notified immediately to prevent duplicates
-      notifiedJourneys.add(journey.journey_id);
-
-      // Clean up old entries (keep last 1000)
-      if (notifiedJourneys.size > 1000) {
-        const entries = Array.from(notifiedJourneys);
-        entries.slice(0, 500).forEach(id => notifiedJourneys.delete(id));
-      }
-
-      // Send notification
-      const result = await emailService.sendNewVisitorNotification(journey);
-      notificationResults.push({
-        journey_id: journey.journey_id,
-        ...result
-      });
-    }
-
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
       total_new: newJourneys.length,
-      notified: unnotified.length,
-      notifications: notificationResults
+      journeys: newJourneys
     });
   } catch (error) {
     console.error('Error checking new journeys:', error);
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+const { getSiteByTrackingKey } = require('../db/queries');
+const { getClientIP } = require('../services/geoService');
+const { isCookieless } = require('../services/consent');
+const {
+  MAX_BODY_BYTES,
+  parseReplayBody,
+  validateReplayChunk,
+  storeReplayChunk
+} = require('../services/sessionReplay');
+
+// Excluded IPs loaded from environment (comma-separated), as for events
+const EXCLUDED_IPS = (process.env.EXCLUDED_IPS || '').split(',').filter(Boolean);
+
+/**
+ * POST /api/replay
+ * Store one chunk of a session recording (services/sessionReplay.js)
+ * The tracker posts application/octet-stream - gzipped JSON with
+ * ?encoding=gzip - so the 100kb JSON body limit does not apply.
+ */
+router.post('/', express.raw({ type: 'application/octet-stream', limit: MAX_BODY_BYTES }), async (req, res) => {
+  let body;
+  try {
+    body = await parseReplayBody(req.body, req.query.encoding === 'gzip' ? 'gzip' : null);
+  } catch (err) {
+    return res.status(400).json({ success: false, errors: ['body must be JSON (optionally gzipped)'] });
+  }
+
+  try {
+    const { chunk, errors } = validateReplayChunk(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    if (EXCLUDED_IPS.includes(getClientIP(req))) {
+      return res.status(200).json({ success: true, skipped: true, reason: 'excluded_ip' });
+    }
+
+    // Recording needs consent; the tracker does not record without it
+    if (isCookieless(chunk.consent)) {
+      return res.status(200).json({ success: true, skipped: true, reason: 'no_consent' });
+    }
+
+    const site = await getSiteByTrackingKey(chunk.trackingKey);
+    if (!site) {
+      return res.status(400).json({ success: false, errors: ['unknown tracking_key'] });
+    }
+
+    const stored = await storeReplayChunk(site.id, chunk);
+    res.status(202).json({ success: true, stored });
+  } catch (err) {
+    console.error('Replay chunk failed:', err);
+    res.status(500).json({ success: false, error: 'Failed to store recording' });
+  }
+});
+
+module.exports = router;
@@ -21,6 +21,7 @@ const {
   getReturnVisitorAnalytics
 } = require('../db/queries');
 const { getSiteId } = require('../middleware/auth');
+const { DEVICES, getHeatmapPages, getHeatmap } = require('../services/heatmaps');
 
 // GET /ux - UX Analytics dashboard
 router.get('/', async (req, res) => {
@@ -81,6 +82,53 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /ux/heatmap - Click and scroll heatmaps over page screenshots
+router.get('/heatmap', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    if (!siteId) {
+      return res.status(400).render('error', { error: 'Select a site to view heatmaps' });
+    }
+
+    const pages = getHeatmapPages(siteId);
+    const selected = pages.find(p => p.path === req.query.page) || pages[0] || null;
+    const device = DEVICES.includes(req.query.device) ? req.query.device : 'desktop';
+
+    res.render('heatmap', {
+      siteId,
+      pages,
+      selected,
+      device,
+      currentPage: 'ux',
+      title: 'Heatmaps - SMART Journey'
+    });
+  } catch (error) {
+    console.error('Error loading heatmap page:', error);
+    res.status(500).render('error', { error: 'Failed to load heatmaps' });
+  }
+});
+
+// API: Heatmap data for a page (?page=/path&device=desktop|mobile&days=30)
+router.get('/api/heatmap', async (req, res) => {
+  try {
+    const siteId = getSiteId(req);
+    if (!siteId) {
+      return res.status(400).json({ error: 'Select a site to view heatmaps' });
+    }
+    if (!req.query.page) {
+      return res.status(400).json({ error: 'page is required' });
+    }
+
+    const device = DEVICES.includes(req.query.device) ? req.query.device : 'desktop';
+    const days = Math.min(90, Math.max(1, parseInt(req.query.days, 10) || 30));
+    const data = await getHeatmap(siteId, req.query.page, device, days);
+    res.json({ page: req.query.page, device, days, ...data });
+  } catch (error) {
+    console.error('Error fetching heatmap:', error);
+    res.status(500).json({ error: 'Failed to fetch heatmap' });
+  }
+});
+
 // API: Overview stats
 router.get('/api/overview', async (req, res) => {
   try {
@@ -0,0 +1,502 @@
+/**
+ * Alert Rules
+ *
+ * Each user keeps their own alert rules per site (alert_rules). Rule types:
+ *   new_visitor          - a human visitor starts a journey
+ *   returning_page_view  - a returning visitor views a page matching a pattern (fees by default)
+ *   lead_score_above     - a family's lead score goes above a threshold
+ *   form_abandoned       - a form is started on a matching page, never
+ *                          submitted, and the journey goes quiet
+ *   conversion_rate_drop - the last 7 days' conversion rate is down N% on the 7 days before
+ *
+ * The alert worker evaluates every active rule once a minute over the rows
+ * stored since its last run, page by page, and records each match once in
+ * alert_events (keyed by the journey / visitor / week it is about), so
+ * restarts and overlapping windows never repeat an alert. Pending alerts are
+ * then emailed to the rule's owner (and the site's alert recipients, if the
+ * rule opts in with notify_site) straight away or as an hourly / daily digest,
+ * and are held during the rule's quiet hours and sent together once they end.
+ */
+
+const {
+  getActiveAlertRules,
+  markAlertRuleEvaluated,
+  markAlertRuleSent,
+  createAlertEvent,
+  claimPendingAlertEvents,
+  getSiteRecipientEmails,
+  markAlertEventsSent,
+  recordAlertEventsFailure,
+  getNewJourneysSince,
+  getReturningPageViews,
+  getLeadScoresAbove,
+  getAbandonedForms,
+  getConversionRateWindows
+} = require('../db/queries');
+const emailService = require('./emailService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const RULE_TYPES = {
+  new_visitor: {
+    label: 'New visitor',
+    description: 'A human visitor starts a journey',
+    defaults: {}
+  },
+  returning_page_view: {
+    label: 'Returning visitor viewed a page',
+    description: 'A visitor on their second or later visit views a page matching the pattern',
+    defaults: { page_pattern: 'fee' }
+  },
+  lead_score_above: {
+    label: 'Lead score above threshold',
+    description: "A family's lead score goes above the threshold",
+    defaults: { threshold: 70 }
+  },
+  form_abandoned: {
+    label: 'Form abandoned',
+    description: 'A form is started on a matching page but not submitted, and the visitor goes quiet',
+    defaults: { page_pattern: 'apply|admission|enquir', idle_minutes: 30 }
+  },
+  conversion_rate_drop: {
+    label: 'Conversion rate dropped',
+    description: "The last 7 days' conversion rate is down on the 7 days before",
+    defaults: { drop_percent: 30, min_journeys: 50 },
+    // Week-over-week rates barely move minute to minute
+    intervalMs: HOUR_MS
+  }
+};
+const DELIVERY_MODES = {
+  immediate: 'Immediately',
+  hourly: 'Hourly digest',
+  daily: 'Daily digest'
+};
+const DEFAULT_TIMEZONE = 'Europe/London';
+const DIGEST_HOUR = 8; // daily digests go out at 08:00 local time
+
+const INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS || '60000', 10);
+const MAX_SEND_ATTEMPTS = 5;
+const MAX_ALERTS_PER_EMAIL = 50;
+// How long a worker holds the alerts it is emailing before another may retry them
+const CLAIM_LEASE_SECONDS = 5 * 60;
+// Windows are on when rows were stored, so ingest / rebuild lag cannot push a
+// match out of them; they overlap the previous run by OVERLAP_MS for rows
+// committed after it read them. Repeats are deduped.
+const OVERLAP_MS = 5 * MINUTE_MS;
+const PAGE_SIZE = 100;
+// A new rule looks back this far on its first run
+const INITIAL_LOOKBACK_MS = HOUR_MS;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate the "add alert rule" form
+ * Only the settings the chosen rule type uses are kept in config.
+ * Returns { rule, errors }
+ */
+function validateAlertRule(input) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+  const wholeNumber = (value) => (clean(String(value ?? '')) !== null ? Number(value) : null);
+
+  const ruleType = clean(input.rule_type);
+  const type = RULE_TYPES[ruleType];
+  const config = {};
+
+  if (!type) {
+    errors.push('Choose a rule type');
+  } else {
+    if ('page_pattern' in type.defaults) {
+      config.page_pattern = clean(input.page_pattern) || type.defaults.page_pattern;
+      try {
+        new RegExp(config.page_pattern, 'i');
+      } catch (err) {
+        errors.push(`Invalid page pattern: ${config.page_pattern}`);
+      }
+    }
+    if ('threshold' in type.defaults) {
+      config.threshold = wholeNumber(input.threshold) ?? type.defaults.threshold;
+      if (!Number.isInteger(config.threshold) || config.threshold < 1 || config.threshold > 99) {
+        errors.push('Threshold must be a whole number between 1 and 99');
+      }
+    }
+    if ('idle_minutes' in type.defaults) {
+      config.idle_minutes = wholeNumber(input.idle_minutes) ?? type.defaults.idle_minutes;
+      if (!Number.isInteger(config.idle_minutes) || config.idle_minutes < 5 || config.idle_minutes > 1440) {
+        errors.push('Idle time must be between 5 and 1440 minutes');
+      }
+    }
+    if ('drop_percent' in type.defaults) {
+      config.drop_percent = wholeNumber(input.drop_percent) ?? type.defaults.drop_percent;
+      config.min_journeys = type.defaults.min_journeys;
+      if (!Number.isInteger(config.drop_percent) || config.drop_percent < 1 || config.drop_percent > 100) {
+        errors.push('Drop must be a whole percentage between 1 and 100');
+      }
+    }
+  }
+
+  const delivery = clean(input.delivery) || 'immediate';
+  if (!DELIVERY_MODES[delivery]) errors.push('Delivery must be immediate, hourly or daily');
+
+  const quietStart = wholeNumber(input.quiet_start);
+  const quietEnd = wholeNumber(input.quiet_end);
+  if ((quietStart === null) !== (quietEnd === null)) {
+    errors.push('Set both the start and end of quiet hours, or neither');
+  } else if (quietStart !== null) {
+    const validHour = (hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+    if (!validHour(quietStart) || !validHour(quietEnd) || quietStart === quietEnd) {
+      errors.push('Quiet hours must be two different hours between 0 and 23');
+    }
+  }
+
+  const timezone = clean(input.timezone) || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) errors.push(`Unknown timezone: ${timezone}`);
+
+  const rule = {
+    name: clean(input.name) || type?.label || null,
+    rule_type: ruleType,
+    config,
+    delivery,
+    quiet_start: quietStart,
+    quiet_end: quietEnd,
+    timezone,
+    notify_site: input.notify_site === true || input.notify_site === 'on' || input.notify_site === 'true'
+  };
+
+  return { rule, errors };
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Local calendar date (YYYY-MM-DD), hour and weekday (0 = Sunday) of a moment in a timezone
+ */
+function localTime(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date));
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    hour: parseInt(part('hour'), 10),
+    weekday: WEEKDAYS.indexOf(part('weekday'))
+  };
+}
+
+/**
+ * Quiet hours run from quiet_start up to (not including) quiet_end local
+ * time, wrapping past midnight when start > end (e.g. 22 -> 7)
+ */
+function isQuietHours(rule, now = new Date()) {
+  if (rule.quiet_start === null || rule.quiet_start === undefined ||
+      rule.quiet_end === null || rule.quiet_end === undefined) {
+    return false;
+  }
+  const { hour } = localTime(now, rule.timezone);
+  return rule.quiet_start < rule.quiet_end
+    ? hour >= rule.quiet_start && hour < rule.quiet_end
+    : hour >= rule.quiet_start || hour < rule.quiet_end;
+}
+
+/**
+ * Whether a rule's pending alerts may be sent now (ignoring quiet hours)
+ */
+function isDeliveryDue(rule, now = new Date()) {
+  const lastSent = rule.last_sent_at ? new Date(rule.last_sent_at) : null;
+
+  if (rule.delivery === 'hourly') {
+    return !lastSent || now - lastSent >= HOUR_MS;
+  }
+  if (rule.delivery === 'daily') {
+    const local = localTime(now, rule.timezone);
+    return local.hour >= DIGEST_HOUR && (!lastSent || localTime(lastSent, rule.timezone).date !== local.date);
+  }
+  return true;
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (err) {
+    return url || 'an unknown page';
+  }
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Every row of a paged alert query: fetchPage(after) returns up to PAGE_SIZE
+ * rows after the key `after` (null for the first page), in key order
+ */
+async function readAllPages(fetchPage, keyOf) {
+  const rows = [];
+  let after = null;
+  for (;;) {
+    const page = await fetchPage(after);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+    after = keyOf(page[page.length - 1]);
+  }
+}
+
+const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+
+/**
+ * One function per rule type: (rule, config, since, now) => [{ dedupeKey, title, detail, link }]
+ */
+const EVALUATORS = {
+  async new_visitor(rule, config, since) {
+    const journeys = await readAllPages(
+      after => getNewJourneysSince(rule.site_id, since.toISOString(), after, PAGE_SIZE),
+      j => j.journey_id
+    );
+    return journeys.sort(byTime('first_seen')).map(j => {
+      const location = j.location || null;
+      const place = location ? location.city || location.country : null;
+      const kind = j.visit_number > 1 ? 'Returning visitor' : 'New visitor';
+      return {
+        dedupeKey: `journey:${j.journey_id}`,
+        title: `${kind}${place ? ` from ${place}` : ''} on ${pathOf(j.entry_page)}`,
+        detail: [
+          `Referrer: ${j.entry_referrer || 'Direct visit'}`,
+          j.channel ? `Channel: ${j.channel}` : null
+        ].filter(Boolean).join(' · '),
+        link: `/journeys/${j.journey_id}`
+      };
+    });
+  },
+
+  async returning_page_view(rule, config, since) {
+    const views = await readAllPages(
+      after => getReturningPageViews(rule.site_id, since.toISOString(), config.page_pattern, after, PAGE_SIZE),
+      v => v.journey_id
+    );
+    return views.sort(byTime('occurred_at')).map(v => ({
+      dedupeKey: `journey:${v.journey_id}`,
+      title: `Returning visitor viewed ${pathOf(v.page_url)}`,
+      detail: `Matched "${config.page_pattern}"`,
+      link: `/families/${encodeURIComponent(v.visitor_id)}`
+    }));
+  },
+
+  async lead_score_above(rule, config, since) {
+    const scores = await readAllPages(
+      after => getLeadScoresAbove(rule.site_id, since.toISOString(), config.threshold, after, PAGE_SIZE),
+      s => s.visitor_id
+    );
+    return scores.sort((a, b) => b.score - a.score).map(s => ({
+      dedupeKey: `visitor:${s.visitor_id}`,
+      title: `Lead score ${s.score} for a family`,
+      detail: `Above your threshold of ${config.threshold}`,
+      link: `/families/${encodeURIComponent(s.visitor_id)}`
+    }));
+  },
+
+  async form_abandoned(rule, config, since, now) {
+    const idleMs = config.idle_minutes * MINUTE_MS;
+    const forms = await readAllPages(
+      after => getAbandonedForms(
+        rule.site_id,
+        new Date(since.getTime() - idleMs).toISOString(),
+        new Date(now.getTime() - idleMs).toISOString(),
+        config.page_pattern,
+        after,
+        PAGE_SIZE
+      ),
+      f => f.journey_id
+    );
+    return forms.sort(byTime('form_started_at')).map(f => ({
+      dedupeKey: `journey:${f.journey_id}`,
+      title: `Form abandoned on ${pathOf(f.page_url)}`,
+      detail: `Started but not submitted, no activity for ${config.idle_minutes}+ minutes`,
+      link: `/journeys/${f.journey_id}`
+    }));
+  },
+
+  async conversion_rate_drop(rule, config, since, now) {
+    const currentStart = new Date(now.getTime() - WEEK_MS);
+    const previousStart = new Date(now.getTime() - 2 * WEEK_MS);
+    const w = await getConversionRateWindows(rule.site_id, previousStart.toISOString(), currentStart.toISOString(), now.toISOString());
+
+    if (w.previousJourneys < config.min_journeys || w.currentJourneys < config.min_journeys) return [];
+    const previousRate = w.previousConversions / w.previousJourneys;
+    const currentRate = w.currentConversions / w.currentJourneys;
+    if (previousRate === 0) return [];
+
+    const drop = ((previousRate - currentRate) / previousRate) * 100;
+    if (drop < config.drop_percent) return [];
+
+    return [{
+      // At most once per week
+      dedupeKey: `week:${Math.floor(now.getTime() / WEEK_MS)}`,
+      title: `Conversion rate down ${Math.round(drop)}% week-over-week`,
+      detail: `${percent(currentRate)} of ${w.currentJourneys} journeys in the last 7 days, ` +
+        `against ${percent(previousRate)} of ${w.previousJourneys} the week before`,
+      link: '/funnel'
+    }];
+  }
+};
+
+/**
+ * Record new matches for one rule since its last evaluation
+ * Returns the number of new alerts.
+ */
+async function evaluateRule(rule, now = new Date()) {
+  const type = RULE_TYPES[rule.rule_type];
+  if (!type) return 0;
+
+  const lastEvaluated = rule.last_evaluated_at ? new Date(rule.last_evaluated_at) : null;
+  if (type.intervalMs && lastEvaluated && now - lastEvaluated < type.intervalMs) return 0;
+
+  const since = lastEvaluated
+    ? new Date(lastEvaluated.getTime() - OVERLAP_MS)
+    : new Date(now.getTime() - INITIAL_LOOKBACK_MS);
+  const config = { ...type.defaults, ...(rule.config || {}) };
+
+  const matches = await EVALUATORS[rule.rule_type](rule, config, since, now);
+  let created = 0;
+  for (const match of matches) {
+    if (await createAlertEvent(rule.id, match)) created++;
+  }
+
+  await markAlertRuleEvaluated(rule.id, now.toISOString());
+  return created;
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * The rule owner, plus the site's alert recipients when the rule opts in
+ */
+async function alertRecipients(rule) {
+  const siteRecipients = rule.notify_site ? await getSiteRecipientEmails(rule.site_id, 'alerts') : [];
+  return [...new Set([rule.user_email, ...siteRecipients].filter(Boolean))];
+}
+
+/**
+ * Email a rule's pending alerts if it is due and outside quiet hours
+ * The alerts are claimed first, so alert workers running side by side never
+ * email the same alert twice. An email the outbox has queued for retry
+ * counts as sent; emails that could not be queued at all are retried on
+ * later runs until MAX_SEND_ATTEMPTS. Returns the number of alerts sent.
+ */
+async function deliverAlerts(rule, now = new Date()) {
+  if (isQuietHours(rule, now) || !isDeliveryDue(rule, now)) return 0;
+
+  const pending = await claimPendingAlertEvents(rule.id, MAX_ALERTS_PER_EMAIL, CLAIM_LEASE_SECONDS);
+  if (pending.length === 0) return 0;
+
+  const ids = pending.map(alert => alert.id);
+  const result = await emailService.sendAlertEmail(await alertRecipients(rule), rule, pending);
+
+  if (!result.success && !result.queued) {
+    await recordAlertEventsFailure(ids, result.reason || 'Send failed', MAX_SEND_ATTEMPTS);
+    return 0;
+  }
+
+  await markAlertEventsSent(ids);
+  await markAlertRuleSent(rule.id, now.toISOString());
+  return pending.length;
+}
+
+/**
+ * Evaluate and deliver every active rule, logging (not throwing) per-rule failures
+ * Returns { rules, created, sent }.
+ */
+async function runAlertRules(now = new Date()) {
+  const rules = await getActiveAlertRules();
+  const totals = { rules: rules.length, created: 0, sent: 0 };
+
+  for (const rule of rules) {
+    try {
+      totals.created += await evaluateRule(rule, now);
+      totals.sent += await deliverAlerts(rule, now);
+    } catch (err) {
+      console.error(`[ALERTS] Rule ${rule.id} failed:`, err.message);
+    }
+  }
+
+  return totals;
+}
+
+// ============================================
+// WORKER LOOP
+// ============================================
+
+let workerTimer = null;
+let workerRunning = false;
+
+async function tick() {
+  try {
+    const totals = await runAlertRules();
+    if (totals.created > 0 || totals.sent > 0) {
+      console.log(`[ALERTS] ${totals.created} new alerts, ${totals.sent} sent`);
+    }
+  } catch (err) {
+    console.error('[ALERTS] Worker error:', err.message);
+  } finally {
+    if (workerRunning) {
+      workerTimer = setTimeout(tick, INTERVAL_MS);
+    }
+  }
+}
+
+function startAlertWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[ALERTS] Worker started (every ${INTERVAL_MS}ms)`);
+  tick();
+}
+
+function stopAlertWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+module.exports = {
+  RULE_TYPES,
+  DELIVERY_MODES,
+  DEFAULT_TIMEZONE,
+  validateAlertRule,
+  isValidTimezone,
+  localTime,
+  isQuietHours,
+  isDeliveryDue,
+  evaluateRule,
+  deliverAlerts,
+  runAlertRules,
+  startAlertWorker,
+  stopAlertWorker
+};
@@ -0,0 +1,80 @@
+/**
+ * API Keys
+ *
+ * Per-site keys for the public /api/v1 namespace, so the CRM and booking apps
+ * can read journey data server-to-server without a dashboard session. Keys
+ * look like sk_<48 hex chars>; only a SHA-256 hash is stored (the key itself
+ * has 192 bits of randomness, so a slow hash adds nothing) and the plaintext
+ * is shown to the admin once. Each key is scoped to one site and a list of
+ * scopes, e.g. journeys:read or conversions:write.
+ */
+
+const crypto = require('crypto');
+
+const API_SCOPES = ['journeys:read', 'families:read', 'ux:read', 'bots:read', 'conversions:write'];
+const SCOPE_LABELS = {
+  'journeys:read': 'Journeys',
+  'families:read': 'Families (visitors)',
+  'ux:read': 'UX analytics',
+  'bots:read': 'Bot traffic',
+  'conversions:write': 'Record conversions'
+};
+const KEY_PREFIX = 'sk_';
+const DISPLAY_PREFIX_LENGTH = 10;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * New random key: { key, keyPrefix, keyHash } - only keyPrefix and keyHash are stored
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  return {
+    key,
+    keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key)
+  };
+}
+
+/**
+ * Key from an Authorization: Bearer <key> or X-API-Key header
+ */
+function extractApiKey(req) {
+  const auth = req.headers.authorization || '';
+  const match = auth.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return req.headers['x-api-key'] || null;
+}
+
+function hasScope(apiKey, scope) {
+  return Array.isArray(apiKey?.scopes) && apiKey.scopes.includes(scope);
+}
+
+/**
+ * Validate the admin "create key" form
+ * scopes arrives as a string (one checkbox) or an array (several)
+ */
+function validateApiKey(input) {
+  const errors = [];
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const requested = [].concat(input.scopes || []);
+  const scopes = API_SCOPES.filter(scope => requested.includes(scope));
+
+  if (!name) errors.push('Key name is required');
+  if (scopes.length === 0) errors.push('Select at least one scope');
+  if (scopes.length !== new Set(requested).size) errors.push('Unknown scope requested');
+
+  return { apiKey: { name, scopes }, errors };
+}
+
+module.exports = {
+  API_SCOPES,
+  SCOPE_LABELS,
+  hashApiKey,
+  generateApiKey,
+  extractApiKey,
+  hasScope,
+  validateApiKey
+};
@@ -0,0 +1,211 @@
+/**
+ * Multi-touch Attribution
+ *
+ * Credits each conversion (enquiry, visit booking or site goal) across all of
+ * the visitor's journeys leading up to it, not just the converting session.
+ * Every journey is a touchpoint labelled by its channel (the channel grouping
+ * stored on the journey), source / medium and campaign (utm_campaign).
+ *
+ * Models - the credits for one conversion always sum to 1:
+ *   first_touch    - all credit to the first journey
+ *   last_touch     - all credit to the converting journey
+ *   linear         - equal credit to every journey
+ *   time_decay     - credit halves for every HALF_LIFE_DAYS before the conversion
+ *   position_based - 40% first, 40% last, 20% shared by the journeys between
+ */
+
+const { getAttributionTouchpoints } = require('../db/queries');
+const { classifyChannel, parseUtm } = require('./channels');
+
+const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay', 'position_based'];
+const MODEL_LABELS = {
+  first_touch: 'First touch',
+  last_touch: 'Last touch',
+  linear: 'Linear',
+  time_decay: 'Time decay',
+  position_based: 'Position based'
+};
+const DIMENSIONS = ['channel', 'source', 'campaign'];
+const DIMENSION_LABELS = {
+  channel: 'Channel',
+  source: 'Source / medium',
+  campaign: 'Campaign'
+};
+const HALF_LIFE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// TOUCHPOINT LABELS
+// ============================================
+
+function classifyTouchpoint(touchpoint) {
+  return classifyChannel({ referrer: touchpoint.entry_referrer, utm: parseUtm(touchpoint.utm) });
+}
+
+/**
+ * Channel grouping for a journey (stored at rebuild time, else classified here)
+ */
+function touchpointChannel(touchpoint) {
+  return touchpoint.channel || classifyTouchpoint(touchpoint).channel;
+}
+
+/**
+ * Source / medium for a journey: tagged traffic first, then click ids, then referrer
+ */
+function touchpointSource(touchpoint) {
+  const { source, medium } = classifyTouchpoint(touchpoint);
+  return `${source} / ${medium}`;
+}
+
+function touchpointCampaign(touchpoint) {
+  return parseUtm(touchpoint.utm).utm_campaign || '(not set)';
+}
+
+// ============================================
+// MODELS
+// ============================================
+
+/**
+ * Credit weights for a conversion's touchpoints (oldest first)
+ */
+function modelWeights(model, touchpoints) {
+  const n = touchpoints.length;
+  if (n === 0) return [];
+  if (n === 1) return [1];
+
+  switch (model) {
+    case 'first_touch':
+      return touchpoints.map((_, i) => (i === 0 ? 1 : 0));
+
+    case 'last_touch':
+      return touchpoints.map((_, i) => (i === n - 1 ? 1 : 0));
+
+    case 'linear':
+      return touchpoints.map(() => 1 / n);
+
+    case 'time_decay': {
+      const convertedAt = new Date(touchpoints[n - 1].first_seen).getTime();
+      const raw = touchpoints.map(tp => {
+        const daysBefore = (convertedAt - new Date(tp.first_seen).getTime()) / DAY_MS;
+        return Math.pow(0.5, daysBefore / HALF_LIFE_DAYS);
+      });
+      const total = raw.reduce((sum, w) => sum + w, 0);
+      return raw.map(w => w / total);
+    }
+
+    case 'position_based': {
+      if (n === 2) return [0.5, 0.5];
+      const middle = 0.2 / (n - 2);
+      return touchpoints.map((_, i) => (i === 0 || i === n - 1 ? 0.4 : middle));
+    }
+
+    default:
+      throw new Error(`Unknown attribution model: ${model}`);
+  }
+}
+
+/**
+ * Group touchpoint rows (getAttributionTouchpoints) into conversions
+ */
+function groupConversions(rows) {
+  const conversions = new Map();
+  for (const row of rows) {
+    if (!conversions.has(row.conversion_id)) {
+      conversions.set(row.conversion_id, {
+        id: row.conversion_id,
+        outcome: row.conversion_outcome,
+        convertedAt: row.converted_at,
+        touchpoints: []
+      });
+    }
+    conversions.get(row.conversion_id).touchpoints.push(row);
+  }
+  for (const conversion of conversions.values()) {
+    conversion.touchpoints.sort((a, b) => new Date(a.first_seen) - new Date(b.first_seen));
+  }
+  return Array.from(conversions.values());
+}
+
+/**
+ * Credited conversions per channel, source / medium or campaign under every model
+ * Returns { dimension, outcome, outcomes, conversions, avgTouchpoints, rows }
+ * where each row is { key, credits: { model: n }, shares: { model: pct } }.
+ */
+function buildAttributionReport(rows, { dimension = 'channel', outcome = null } = {}) {
+  const labelFor = { channel: touchpointChannel, source: touchpointSource, campaign: touchpointCampaign }[dimension] || touchpointChannel;
+  const allConversions = groupConversions(rows);
+  const conversions = outcome ? allConversions.filter(c => c.outcome === outcome) : allConversions;
+
+  const byKey = new Map();
+  let touchpointCount = 0;
+
+  for (const conversion of conversions) {
+    touchpointCount += conversion.touchpoints.length;
+    const labels = conversion.touchpoints.map(labelFor);
+
+    for (const model of ATTRIBUTION_MODELS) {
+      modelWeights(model, conversion.touchpoints).forEach((weight, i) => {
+        if (!byKey.has(labels[i])) {
+          byKey.set(labels[i], Object.fromEntries(ATTRIBUTION_MODELS.map(m => [m, 0])));
+        }
+        byKey.get(labels[i])[model] += weight;
+      });
+    }
+  }
+
+  const total = conversions.length;
+  const reportRows = Array.from(byKey.entries())
+    .map(([key, credits]) => ({
+      key,
+      credits: Object.fromEntries(ATTRIBUTION_MODELS.map(m => [m, Math.round(credits[m] * 100) / 100])),
+      shares: Object.fromEntries(ATTRIBUTION_MODELS.map(m => [m, total ? Math.round(credits[m] / total * 1000) / 10 : 0]))
+    }))
+    .sort((a, b) => b.credits.linear - a.credits.linear || a.key.localeCompare(b.key));
+
+  return {
+    dimension,
+    outcome,
+    outcomes: Array.from(new Set(allConversions.map(c => c.outcome))).sort(),
+    conversions: total,
+    avgTouchpoints: total ? Math.round(touchpointCount / total * 10) / 10 : 0,
+    rows: reportRows
+  };
+}
+
+/**
+ * Report options from a query string (?days=&lookback=&dimension=&outcome=)
+ */
+function parseAttributionQuery(query) {
+  return {
+    days: parseInt(query.days || '30', 10),
+    lookbackDays: parseInt(query.lookback || '90', 10),
+    dimension: DIMENSIONS.includes(query.dimension) ? query.dimension : 'channel',
+    outcome: query.outcome || null
+  };
+}
+
+/**
+ * Attribution report for conversions in the last N days
+ */
+async function getAttributionReport(siteId, { days = 30, lookbackDays = 90, dimension = 'channel', outcome = null } = {}) {
+  const startDate = new Date(Date.now() - days * DAY_MS).toISOString();
+  const rows = await getAttributionTouchpoints(siteId, startDate, lookbackDays);
+  return buildAttributionReport(rows, {
+    dimension: DIMENSIONS.includes(dimension) ? dimension : 'channel',
+    outcome: outcome || null
+  });
+}
+
+module.exports = {
+  ATTRIBUTION_MODELS,
+  MODEL_LABELS,
+  DIMENSIONS,
+  DIMENSION_LABELS,
+  touchpointChannel,
+  touchpointSource,
+  touchpointCampaign,
+  modelWeights,
+  buildAttributionReport,
+  parseAttributionQuery,
+  getAttributionReport
+};
@@ -897,6 +897,12 @@ function calculateJourneyBotScore(events) {
     return { isBot: false, botScore: 0, botType: null, signals: [] };
   }
 
+  // A honeypot sprung anywhere in the journey is a certain bot
+  const honeypotEvent = events.find(e => analyseHoneypot(e.metadata).isBot);
+  if (honeypotEvent) {
+    return { isBot: true, botScore: 100, botType: 'scraper', signals: ['honeypot_triggered'] };
+  }
+
   const allSignals = [];
   let totalScore = 0;
   let detectedType = null;
@@ -935,6 +941,18 @@ function calculateJourneyBotScore(events) {
     }
   }
 
+  // 4. Tracker collector modules (weight: 15% each): the fingerprint from the
+  // first page view, and the latest mouse patterns, which cover the most movement
+  const fingerprintEvent = events.find(e => e.metadata?.botIndicators?.fingerprint);
+  const mouseEvent = [...events].reverse().find(e => e.metadata?.botIndicators?.mousePatterns);
+  for (const result of [analyseFingerprint(fingerprintEvent?.metadata), analyseMousePatterns(mouseEvent?.metadata)]) {
+    allSignals.push(...result.signals);
+    totalScore += result.confidence * 0.15;
+    if (result.isBot && !detectedType) {
+      detectedType = 'automation';
+    }
+  }
+
   const finalScore = Math.min(Math.round(totalScore), 100);
 
   // If we detected known bot from User-Agent, ensure high score
@@ -0,0 +1,208 @@
+/**
+ * Channel Grouping
+ *
+ * Classifies a journey's traffic into a marketing channel (Organic Search,
+ * Paid Search, Social, Email, AI Assistants, Referral, Direct, ...) from its
+ * UTM tags, ad click ids and referrer host. Rules live in
+ * src/config/channelRules.json (override with CHANNEL_RULES_FILE):
+ *   sources  - known hosts grouped by type (search, social, email, ai); hosts
+ *              match the domain and its subdomains, "google.*" matches any TLD
+ *   mediums  - utm_medium patterns for paid / email / social / referral traffic
+ *   clickIds - ad click parameters and the channel / source / medium they imply
+ * The channel is stored on journeys at rebuild time (journeys.channel).
+ */
+
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/channelRules.json');
+
+const TYPE_CHANNELS = {
+  ai: 'AI Assistants',
+  search: 'Organic Search',
+  social: 'Social',
+  email: 'Email'
+};
+
+let rules = null;
+
+// ============================================
+// RULES
+// ============================================
+
+function hostPattern(host) {
+  const escaped = host.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const tld = escaped.endsWith('\\.*') ? escaped.slice(0, -3) + '\\.[a-z.]+' : escaped;
+  return new RegExp(`(^|\\.)${tld}$`);
+}
+
+/**
+ * Compile a rules object (same shape as channelRules.json)
+ */
+function compileRules(raw) {
+  const mediums = {};
+  for (const [name, pattern] of Object.entries(raw.mediums || {})) {
+    mediums[name] = new RegExp(pattern, 'i');
+  }
+
+  return {
+    channels: raw.channels || [],
+    mediums,
+    clickIds: raw.clickIds || {},
+    sources: (raw.sources || []).map(source => ({
+      name: source.name,
+      type: source.type,
+      hosts: (source.hosts || []).map(hostPattern)
+    }))
+  };
+}
+
+function setChannelRules(raw) {
+  rules = compileRules(raw);
+}
+
+function getRules() {
+  if (!rules) {
+    setChannelRules(require(process.env.CHANNEL_RULES_FILE || DEFAULT_RULES_FILE));
+  }
+  return rules;
+}
+
+function getChannels() {
+  return getRules().channels;
+}
+
+// ============================================
+// CLASSIFICATION
+// ============================================
+
+/**
+ * Hostname of a URL without www., e.g. android-app://com.google.android.gm/ -> com.google.android.gm
+ */
+function hostOf(url) {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * A journey's metadata.utm, stored as JSON text or an object; {} when missing or unreadable
+ */
+function parseUtm(utm) {
+  if (!utm) return {};
+  if (typeof utm === 'string') {
+    try {
+      return JSON.parse(utm) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+  return utm;
+}
+
+/**
+ * UTM tags and click ids from a landing page URL (pixel hits carry no metadata.utm)
+ */
+function utmFromUrl(url, clickIds) {
+  if (!url) return {};
+  try {
+    const params = new URL(url).searchParams;
+    const utm = {};
+    for (const [key, value] of params) {
+      if (key.startsWith('utm_') || clickIds[key]) utm[key] = value;
+    }
+    return utm;
+  } catch (err) {
+    return {};
+  }
+}
+
+function findSource(value, compiled) {
+  if (!value) return null;
+  const lower = value.toLowerCase();
+  return compiled.sources.find(source =>
+    source.name === lower || source.hosts.some(pattern => pattern.test(lower))
+  ) || null;
+}
+
+/**
+ * Classify one visit
+ * Returns { channel, source, medium }; source is the search engine / network
+ * name when known, otherwise the utm_source or referrer host.
+ */
+function classifyChannel({ referrer = null, utm = null, pageUrl = null } = {}) {
+  const compiled = getRules();
+  const tags = { ...utmFromUrl(pageUrl, compiled.clickIds), ...parseUtm(utm) };
+  const medium = (tags.utm_medium || '').trim().toLowerCase();
+  const utmSource = (tags.utm_source || '').trim().toLowerCase();
+
+  // Navigation within the site itself is not a referral
+  let refHost = hostOf(referrer);
+  const pageHost = hostOf(pageUrl);
+  if (refHost && pageHost && (refHost === pageHost || refHost.endsWith('.' + pageHost) || pageHost.endsWith('.' + refHost))) {
+    refHost = null;
+  }
+
+  const known = findSource(utmSource, compiled) || findSource(refHost, compiled);
+  const source = known?.name || utmSource || refHost || '(direct)';
+  const is = (name) => !!compiled.mediums[name] && compiled.mediums[name].test(medium);
+
+  if (utmSource || medium) {
+    let channel;
+    if (is('paidSocial') || (is('paidSearch') && known?.type === 'social')) channel = 'Paid Social';
+    else if (is('paidSearch')) channel = 'Paid Search';
+    else if (is('display')) channel = 'Display';
+    else if (is('email') || known?.type === 'email') channel = 'Email';
+    else if (is('social') || known?.type === 'social') channel = 'Social';
+    else if (known?.type === 'ai') channel = 'AI Assistants';
+    else if (is('organic') || known?.type === 'search') channel = 'Organic Search';
+    else if (is('referral')) channel = 'Referral';
+    else channel = 'Other';
+    return { channel, source, medium: medium || '(not set)' };
+  }
+
+  const clickId = Object.keys(compiled.clickIds).find(key => tags[key]);
+  if (clickId) {
+    const rule = compiled.clickIds[clickId];
+    return { channel: rule.channel, source: rule.source || known?.name || clickId, medium: rule.medium || 'cpc' };
+  }
+
+  if (known) {
+    return { channel: TYPE_CHANNELS[known.type] || 'Referral', source, medium: known.type === 'search' ? 'organic' : 'referral' };
+  }
+
+  if (refHost) {
+    return { channel: 'Referral', source, medium: 'referral' };
+  }
+
+  return { channel: 'Direct', source: '(direct)', medium: '(none)' };
+}
+
+/**
+ * Classify a journey from its events (sorted by time)
+ * Uses the landing page, entry referrer and the first UTM tags captured.
+ */
+function classifyJourneyChannel(events) {
+  if (!events || events.length === 0) return classifyChannel();
+
+  const landing = events.find(e => e.event_type === 'page_view' || e.event_type === 'pixel_view') || events[0];
+  const tagged = events.find(e => e.metadata?.utm);
+
+  return classifyChannel({
+    referrer: events[0].referrer || landing.referrer,
+    utm: tagged?.metadata?.utm || null,
+    pageUrl: landing.page_url
+  });
+}
+
+module.exports = {
+  compileRules,
+  setChannelRules,
+  getChannels,
+  hostOf,
+  parseUtm,
+  classifyChannel,
+  classifyJourneyChannel
+};
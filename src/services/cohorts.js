@@ -0,0 +1,136 @@
+/**
+ * Weekly Cohort Retention
+ *
+ * Groups visitors by the week of their first visit and, for each week since,
+ * counts how many came back and how many converted. Admissions decisions take
+ * weeks, so this shows whether families keep returning after the first look.
+ * Cohorts can be filtered by the channel and device of the first visit.
+ */
+
+const { getCohortJourneys } = require('../db/queries');
+const { getChannels, classifyChannel } = require('./channels');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 52;
+
+/**
+ * Channel of a visitor's first journey (stored at rebuild time; classified from
+ * the referrer for journeys not yet rebuilt)
+ */
+function firstChannel(row) {
+  return row.first_channel || classifyChannel({ referrer: row.first_referrer }).channel;
+}
+
+/**
+ * Monday 00:00 UTC of the week containing date
+ */
+function startOfWeek(date) {
+  const d = new Date(date);
+  const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day));
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 10 : 0;
+}
+
+/**
+ * Build the cohort matrix from getCohortJourneys rows
+ * Each cohort row has one cell per week since first visit (up to now):
+ *   returning   - visitors with a journey that week (week 0: everyone)
+ *   conversions - visitors converting for the first time that week
+ *   cumulativeConversions - visitors converted by the end of that week
+ */
+function buildCohortMatrix(rows, { weeks = DEFAULT_WEEKS, now = new Date(), source = null, device = null } = {}) {
+  const currentWeek = startOfWeek(now).getTime();
+  const firstWeek = currentWeek - (weeks - 1) * WEEK_MS;
+
+  // visitor_id -> { cohortWeek, activeWeeks, firstConversionWeek }
+  const visitors = new Map();
+  const devices = new Set();
+
+  for (const row of rows) {
+    const firstDevice = row.first_device || 'unknown';
+    devices.add(firstDevice);
+
+    if (source && firstChannel(row) !== source) continue;
+    if (device && firstDevice !== device) continue;
+
+    const cohortWeek = startOfWeek(row.first_visit).getTime();
+    if (cohortWeek < firstWeek || cohortWeek > currentWeek) continue;
+
+    let visitor = visitors.get(row.visitor_id);
+    if (!visitor) {
+      visitor = { cohortWeek, activeWeeks: new Set(), firstConversionWeek: null };
+      visitors.set(row.visitor_id, visitor);
+    }
+
+    const offset = Math.round((startOfWeek(row.first_seen).getTime() - cohortWeek) / WEEK_MS);
+    visitor.activeWeeks.add(offset);
+    if (row.converted && (visitor.firstConversionWeek === null || offset < visitor.firstConversionWeek)) {
+      visitor.firstConversionWeek = offset;
+    }
+  }
+
+  const cohorts = [];
+  for (let week = firstWeek; week <= currentWeek; week += WEEK_MS) {
+    const members = Array.from(visitors.values()).filter(v => v.cohortWeek === week);
+    const size = members.length;
+    const span = Math.round((currentWeek - week) / WEEK_MS);
+
+    let cumulative = 0;
+    const cells = [];
+    for (let offset = 0; offset <= span; offset++) {
+      const returning = offset === 0 ? size : members.filter(v => v.activeWeeks.has(offset)).length;
+      const conversions = members.filter(v => v.firstConversionWeek === offset).length;
+      cumulative += conversions;
+      cells.push({
+        week: offset,
+        returning,
+        returningRate: rate(returning, size),
+        conversions,
+        cumulativeConversions: cumulative,
+        cumulativeRate: rate(cumulative, size)
+      });
+    }
+
+    cohorts.push({
+      weekStart: new Date(week).toISOString().slice(0, 10),
+      visitors: size,
+      cells
+    });
+  }
+
+  return {
+    weeks,
+    filters: { source, device },
+    sources: getChannels(),
+    devices: Array.from(devices).sort(),
+    totalVisitors: visitors.size,
+    cohorts
+  };
+}
+
+/**
+ * Cohort matrix for a site (or all sites) over the last N weeks
+ */
+async function getCohortRetention(siteId, options = {}) {
+  const weeks = Math.min(Math.max(parseInt(options.weeks) || DEFAULT_WEEKS, 1), MAX_WEEKS);
+  const now = options.now || new Date();
+  const start = new Date(startOfWeek(now).getTime() - (weeks - 1) * WEEK_MS);
+
+  const rows = await getCohortJourneys(siteId, start.toISOString());
+  return buildCohortMatrix(rows, {
+    weeks,
+    now,
+    source: getChannels().includes(options.source) ? options.source : null,
+    device: options.device || null
+  });
+}
+
+module.exports = {
+  startOfWeek,
+  buildCohortMatrix,
+  getCohortRetention
+};
@@ -0,0 +1,120 @@
+/**
+ * Consent
+ *
+ * The tracker records the visitor's consent state on every event it sends
+ * (data-consent on the script tag, see CONSENT in gtm/trackingScript.js):
+ *   granted     consent given - persistent visitor and journey ids as before
+ *   pending     consent required but not yet given
+ *   denied      consent refused or withdrawn
+ *   cookieless  the site never stores identifiers on the device
+ * Events from trackers without consent management carry no state and are
+ * stored unchanged.
+ *
+ * Anything other than granted is cookieless: the tracker stores nothing on
+ * the device and sends no ids, and the ingest worker takes both ids from a
+ * hash of the tracking key, IP address and user agent salted with a random
+ * salt for the UTC day (consent_salts, shared by every process). Salts older
+ * than yesterday are deleted, so a visitor cannot be followed across days and
+ * a hash cannot be recomputed later. The worker also keeps these events'
+ * IP address out of storage and cuts their location down to the country,
+ * and session recordings without consent are refused.
+ */
+
+const crypto = require('crypto');
+const { getOrCreateConsentSalt, deleteConsentSaltsBefore } = require('../db/queries');
+
+const CONSENT_STATES = ['granted', 'denied', 'pending', 'cookieless'];
+// Yesterday's salt is kept so events queued just before midnight still hash
+// into the same journey
+const SALT_RETENTION_DAYS = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// CONSENT STATE
+// ============================================
+
+/**
+ * The consent state an event was sent under, or null when it has none
+ */
+function consentOf(body) {
+  return body && CONSENT_STATES.includes(body.consent) ? body.consent : null;
+}
+
+/**
+ * Whether an event must be tracked without persistent identifiers
+ */
+function isCookieless(consent) {
+  return CONSENT_STATES.includes(consent) && consent !== 'granted';
+}
+
+// ============================================
+// COOKIELESS IDS
+// ============================================
+
+// UTC day -> salt; only today's and yesterday's are ever used
+const saltCache = new Map();
+
+// UTC calendar day of an absolute time (queue received_at is TIMESTAMPTZ, so
+// this does not depend on the process's time zone)
+function saltDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+async function getDailySalt(day) {
+  if (saltCache.has(day)) return saltCache.get(day);
+
+  const salt = await getOrCreateConsentSalt(day, crypto.randomBytes(32).toString('hex'));
+  saltCache.set(day, salt);
+  if (saltCache.size > SALT_RETENTION_DAYS + 1) {
+    saltCache.delete(saltCache.keys().next().value);
+  }
+  return salt;
+}
+
+/**
+ * The id a cookieless event is stored under, as both visitor and journey id
+ * Stable for one browser on one site for the day the event was received.
+ */
+async function cookielessId({ trackingKey, ip, userAgent, receivedAt }) {
+  const salt = await getDailySalt(saltDay(receivedAt || Date.now()));
+  const hash = crypto.createHash('sha256')
+    .update([salt, trackingKey || '', ip || '', userAgent || ''].join('|'))
+    .digest('hex');
+  return `cl_${hash.slice(0, 32)}`;
+}
+
+/**
+ * A geo lookup cut down to the country for events without consent
+ */
+function countryOnly(location) {
+  if (!location) return null;
+  return {
+    country: location.country,
+    countryCode: location.countryCode,
+    flag: location.flag,
+    displayName: location.country
+  };
+}
+
+/**
+ * Delete salts older than yesterday, so their hashes can never be recomputed
+ */
+async function pruneConsentSalts(now = new Date()) {
+  const deleted = await deleteConsentSaltsBefore(saltDay(now.getTime() - SALT_RETENTION_DAYS * DAY_MS));
+  if (deleted > 0) console.log(`[CONSENT] Deleted ${deleted} expired cookieless salts`);
+  return deleted;
+}
+
+function clearSaltCache() {
+  saltCache.clear();
+}
+
+module.exports = {
+  CONSENT_STATES,
+  consentOf,
+  isCookieless,
+  cookielessId,
+  countryOnly,
+  pruneConsentSalts,
+  clearSaltCache
+};
@@ -0,0 +1,191 @@
+/**
+ * Offline Conversions
+ *
+ * The prospectus and booking apps receive journey_id / visitor_id from the
+ * tracker and report the resulting enquiry back through
+ * POST /api/v1/conversions. A conversion is matched to a journey by
+ * journey_id, else by visitor_id, else by a hashed email seen on an earlier
+ * conversion, and the journey's outcome is set from the conversion type.
+ * The response carries a pre-enquiry summary for the CRM card, and a new
+ * conversion on a journey emits the journey.converted webhook.
+ */
+
+const crypto = require('crypto');
+const {
+  findConversionJourney,
+  findVisitorByEmailHash,
+  upsertOfflineConversion,
+  applyOfflineConversion,
+  getVisitorJourneysBefore,
+  getVisitorLeadScore
+} = require('../db/queries');
+const { emitWebhookEvent } = require('./webhooks');
+
+// Conversion types that map onto the built-in journey outcomes
+const TYPE_OUTCOMES = {
+  enquiry: 'enquiry_submitted',
+  visit_booked: 'visit_booked'
+};
+const MAX_EXTERNAL_ID_LENGTH = 200;
+const TOP_PAGES = 5;
+
+/**
+ * SHA-256 of a trimmed, lowercased email (the same hash callers may send as email_sha256)
+ */
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Validate a conversion request body
+ * Returns { conversion, errors }; conversion.email_hash replaces any plain email.
+ */
+function validateConversion(input, now = new Date()) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+  const externalId = clean(input.enquiry_id) || clean(input.external_id);
+  const type = clean(input.type);
+  const email = clean(input.email);
+  const emailSha = clean(input.email_sha256);
+
+  const conversion = {
+    external_id: externalId,
+    conversion_type: type,
+    outcome: type ? TYPE_OUTCOMES[type] || type : null,
+    value: input.value === undefined || input.value === null || input.value === '' ? null : Number(input.value),
+    occurred_at: input.occurred_at ? new Date(input.occurred_at) : now,
+    journey_id: clean(input.journey_id),
+    visitor_id: clean(input.visitor_id),
+    email_hash: email ? hashEmail(email) : emailSha ? emailSha.toLowerCase() : null,
+    metadata: input.metadata && typeof input.metadata === 'object' && !Array.isArray(input.metadata) ? input.metadata : null
+  };
+
+  if (!externalId) errors.push('enquiry_id is required');
+  if (externalId && externalId.length > MAX_EXTERNAL_ID_LENGTH) {
+    errors.push(`enquiry_id must be at most ${MAX_EXTERNAL_ID_LENGTH} characters`);
+  }
+  if (!type || !/^[a-z0-9_]+$/.test(type)) {
+    errors.push('type must be lowercase letters, numbers and underscores (e.g. enquiry, visit_booked)');
+  }
+  if (conversion.value !== null && (!Number.isFinite(conversion.value) || conversion.value < 0)) {
+    errors.push('value must be zero or more');
+  }
+  if (Number.isNaN(conversion.occurred_at.getTime())) {
+    errors.push('occurred_at must be an ISO 8601 timestamp');
+  }
+  if (emailSha && !email && !/^[0-9a-f]{64}$/i.test(emailSha)) {
+    errors.push('email_sha256 must be a hex SHA-256 hash');
+  }
+  if (!conversion.journey_id && !conversion.visitor_id && !conversion.email_hash) {
+    errors.push('One of journey_id, visitor_id, email or email_sha256 is required');
+  }
+
+  return { conversion, errors };
+}
+
+/**
+ * What the family did before converting, from their journeys (oldest first)
+ * leadScore is the visitor's current stored score, if they have one.
+ */
+function buildPreConversionSummary(journeys, leadScore = null) {
+  const human = journeys.filter(j => !j.is_bot);
+  const pageCounts = new Map();
+  let pageViews = 0;
+  let timeOnSite = 0;
+
+  for (const journey of human) {
+    const sequence = typeof journey.page_sequence === 'string'
+      ? JSON.parse(journey.page_sequence)
+      : journey.page_sequence || [];
+    for (const page of sequence) {
+      if (!page.url) continue;
+      pageViews++;
+      pageCounts.set(page.url, (pageCounts.get(page.url) || 0) + 1);
+    }
+    timeOnSite += Math.max(0, (new Date(journey.last_seen) - new Date(journey.first_seen)) / 1000);
+  }
+
+  const topPages = Array.from(pageCounts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_PAGES)
+    .map(([url, views]) => ({ url, views }));
+
+  return {
+    sessions: human.length,
+    first_seen: human[0]?.first_seen || null,
+    first_channel: human[0]?.channel || null,
+    page_views: pageViews,
+    unique_pages: pageCounts.size,
+    time_on_site_seconds: Math.round(timeOnSite),
+    top_pages: topPages,
+    lead_score: leadScore
+  };
+}
+
+/**
+ * Record a validated conversion for a site and attach it to a journey
+ * Returns { conversion, created, journeyId, visitorId, summary }
+ */
+async function recordConversion(siteId, conversion, source = null) {
+  const occurredAt = conversion.occurred_at.toISOString();
+
+  let visitorId = conversion.visitor_id;
+  if (!visitorId && !conversion.journey_id && conversion.email_hash) {
+    visitorId = await findVisitorByEmailHash(siteId, conversion.email_hash);
+  }
+
+  const journey = await findConversionJourney(siteId, {
+    journeyId: conversion.journey_id,
+    visitorId,
+    before: occurredAt
+  });
+  const journeyId = journey?.journey_id || null;
+  visitorId = visitorId || journey?.visitor_id || null;
+
+  const saved = await upsertOfflineConversion(siteId, {
+    ...conversion,
+    occurred_at: occurredAt,
+    journey_id: journeyId || conversion.journey_id,
+    visitor_id: visitorId,
+    source
+  });
+
+  const created = saved.inserted !== false;
+  if (journeyId) {
+    await applyOfflineConversion(journeyId, saved.id, conversion.outcome);
+    if (created) {
+      await emitWebhookEvent(siteId, 'journey.converted', {
+        journey_id: journeyId,
+        visitor_id: visitorId,
+        outcome: conversion.outcome,
+        conversion_type: conversion.conversion_type,
+        enquiry_id: conversion.external_id,
+        value: conversion.value ?? null,
+        occurred_at: occurredAt,
+        source: 'offline'
+      }, { dedupeKey: `journey.converted:${journeyId}` });
+    }
+  }
+
+  const journeys = journeyId || visitorId
+    ? await getVisitorJourneysBefore(siteId, { visitorId, journeyId, before: occurredAt })
+    : [];
+  const leadScore = visitorId && journeys.length > 0 ? await getVisitorLeadScore(visitorId, siteId) : null;
+
+  return {
+    conversion: saved,
+    created,
+    journeyId,
+    visitorId,
+    summary: journeys.length > 0 ? buildPreConversionSummary(journeys, leadScore?.score ?? null) : null
+  };
+}
+
+module.exports = {
+  TYPE_OUTCOMES,
+  hashEmail,
+  validateConversion,
+  buildPreConversionSummary,
+  recordConversion
+};
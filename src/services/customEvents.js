@@ -0,0 +1,405 @@
+/**
+ * Custom Events
+ *
+ * Which event types the ingest worker stores. The tracker's own types are
+ * built in; anything else a site sends (window.wjaTrackEvent('name', props))
+ * must be defined for the site in site_event_definitions, optionally with a
+ * JSON schema its properties are checked against. Events that are neither -
+ * or custom events whose properties fail the schema - are quarantined
+ * (event_quarantine) with the reason, for admins to define and release.
+ *
+ * A custom event's properties are its metadata minus the fields the tracker
+ * adds to every event (visit number, device, UTM parameters...). Only a
+ * subset of JSON schema is understood: type, enum, properties, required,
+ * additionalProperties, items, minimum / maximum, minLength / maxLength and
+ * pattern. Schemas using anything else are refused when saved.
+ */
+
+const { getSiteEventDefinitions, deleteQuarantinedEventsBefore } = require('../db/queries');
+
+/**
+ * Event types the trackers and pixel send
+ * Must match what the tracker ACTUALLY sends
+ */
+const BUILT_IN_EVENT_TYPES = [
+  // Core
+  'page_view',
+  'page_exit',
+  'heartbeat',
+  'time_on_page',
+
+  // Engagement
+  'scroll_depth',
+  'section_view',
+  'section_visibility',
+  'element_hover',
+  'exit_intent',
+
+  // Interactions
+  'cta_click',
+  'cta_hover',
+  'download_click',
+  'pdf_download',
+  'external_link',
+  'accordion_open',
+  'tab_switch',
+  'copy_text',
+  'text_selection',
+  'site_search',
+
+  // Forms
+  'form_start',
+  'form_field_focus',
+  'form_field_blur',
+  'form_abandon',
+  'form_submit',
+
+  // Media
+  'video_view',
+  'video_play',
+  'video_pause',
+  'video_complete',
+  'image_view',
+
+  // Frustration and navigation
+  'dead_click',
+  'rage_click',
+  'quick_back',
+  'back_button',
+  'return_visitor',
+
+  // Technical
+  'page_load',
+  'error',
+
+  // Pixel tracking (server-side, no JavaScript required)
+  'pixel_view'
+];
+
+// Letters, digits and _ . : - so names are safe in URLs, CSV and SQL filters
+const EVENT_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// Added by the tracker (or the ingest worker) to every event's metadata
+const TRACKER_METADATA_KEYS = ['visit_number', 'device', 'utm', 'botIndicators', 'location', 'ip_address'];
+
+const QUARANTINE_REASONS = {
+  unknown_event: 'Unknown event type',
+  invalid_properties: 'Properties failed schema'
+};
+
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const SCHEMA_KEYWORDS = [
+  'type', 'enum', 'properties', 'required', 'additionalProperties', 'items',
+  'minimum', 'maximum', 'minLength', 'maxLength', 'pattern',
+  // Annotations, accepted and ignored
+  '$schema', 'title', 'description', 'default', 'examples'
+];
+const MAX_PROPERTY_ERRORS = 10;
+const QUARANTINE_RETENTION_DAYS = parseInt(process.env.QUARANTINE_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Active definitions per site (the ingest worker checks every custom event)
+const definitionCache = new Map();
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+function isBuiltInEventType(eventType) {
+  return BUILT_IN_EVENT_TYPES.includes(eventType);
+}
+
+/**
+ * An event's own properties: its metadata without the tracker's fields
+ */
+function eventProperties(metadata) {
+  const source = typeof metadata === 'string' ? safeParse(metadata) : metadata;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return {};
+
+  const properties = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (!TRACKER_METADATA_KEYS.includes(key) && value !== undefined) properties[key] = value;
+  }
+  return properties;
+}
+
+function safeParse(json) {
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    return null;
+  }
+}
+
+// ============================================
+// PROPERTY SCHEMAS
+// ============================================
+
+function toRegex(pattern) {
+  try {
+    return new RegExp(pattern);
+  } catch (err) {
+    return null;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema; returns error messages naming the path
+ * (e.g. properties.plan must be one of: "monthly", "annual")
+ */
+function validateProperties(schema, value, path = 'properties') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isInteger(schema.minLength) && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (Number.isInteger(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string') {
+      const regex = toRegex(schema.pattern);
+      if (regex && !regex.test(value)) errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateProperties(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const declared = schema.properties || {};
+
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (declared[key]) {
+        errors.push(...validateProperties(declared[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateProperties(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Problems with a schema an admin entered (unknown keywords, bad types or patterns)
+ */
+function checkSchema(schema, path = 'schema') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path} must be a JSON object`];
+  }
+
+  for (const key of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.includes(key)) errors.push(`${path}: unsupported keyword "${key}"`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types) {
+      if (!SCHEMA_TYPES.includes(type)) errors.push(`${path}: unknown type "${type}"`);
+    }
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) errors.push(`${path}: enum must be an array`);
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(k => typeof k === 'string'))) {
+    errors.push(`${path}: required must be an array of property names`);
+  }
+  if (schema.pattern !== undefined && (typeof schema.pattern !== 'string' || !toRegex(schema.pattern))) {
+    errors.push(`${path}: invalid pattern`);
+  }
+  for (const key of ['minimum', 'maximum']) {
+    if (schema[key] !== undefined && typeof schema[key] !== 'number') errors.push(`${path}: ${key} must be a number`);
+  }
+  for (const key of ['minLength', 'maxLength']) {
+    if (schema[key] !== undefined && !(Number.isInteger(schema[key]) && schema[key] >= 0)) {
+      errors.push(`${path}: ${key} must be a whole number`);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      errors.push(`${path}: properties must be an object`);
+    } else {
+      for (const [key, child] of Object.entries(schema.properties)) {
+        errors.push(...checkSchema(child, `${path}.properties.${key}`));
+      }
+    }
+  }
+  if (schema.items !== undefined) errors.push(...checkSchema(schema.items, `${path}.items`));
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    errors.push(...checkSchema(schema.additionalProperties, `${path}.additionalProperties`));
+  }
+
+  return errors;
+}
+
+// ============================================
+// DEFINITIONS
+// ============================================
+
+/**
+ * Validate and normalise event definition form input
+ * properties_schema arrives as JSON text; blank means any properties.
+ * Returns { definition, errors }
+ */
+function validateEventDefinition(input) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+  const definition = {
+    name: clean(input.name),
+    label: clean(input.label),
+    description: clean(input.description),
+    properties_schema: null,
+    is_active: input.is_active === true || input.is_active === 'on' || input.is_active === 'true'
+  };
+
+  if (!definition.name) {
+    errors.push('Event name is required');
+  } else if (!EVENT_NAME_PATTERN.test(definition.name)) {
+    errors.push('Event name must be up to 64 letters, numbers, underscores, dots, colons or hyphens');
+  } else if (isBuiltInEventType(definition.name)) {
+    errors.push(`${definition.name} is a built-in event`);
+  }
+
+  const schemaText = clean(input.properties_schema);
+  if (schemaText) {
+    const schema = safeParse(schemaText);
+    if (schema === null) {
+      errors.push('Properties schema must be valid JSON');
+    } else {
+      const schemaErrors = checkSchema(schema);
+      if (schemaErrors.length > 0) errors.push(...schemaErrors);
+      else definition.properties_schema = schema;
+    }
+  }
+
+  return { definition, errors };
+}
+
+/**
+ * Active definitions for a site keyed by name, cached briefly
+ */
+async function getActiveEventDefinitions(siteId) {
+  if (!siteId) return new Map();
+
+  const cached = definitionCache.get(siteId);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.definitions;
+  }
+
+  const rows = await getSiteEventDefinitions(siteId, { activeOnly: true });
+  const definitions = new Map(rows.map(row => [row.name, row]));
+  definitionCache.set(siteId, { definitions, timestamp: Date.now() });
+  return definitions;
+}
+
+function clearEventDefinitionCache(siteId) {
+  definitionCache.delete(siteId);
+}
+
+/**
+ * Built-in and the site's custom event types, for funnel and goal pickers
+ */
+async function getSiteEventTypes(siteId) {
+  const custom = siteId ? await getSiteEventDefinitions(siteId) : [];
+  return [
+    ...custom.map(d => ({ name: d.name, label: d.label || d.name, custom: true })),
+    ...BUILT_IN_EVENT_TYPES.map(name => ({ name, label: name, custom: false }))
+  ];
+}
+
+/**
+ * Timeline labels for a site's custom events (name -> label, or the name
+ * when it has none), inactive ones included since their events are stored
+ */
+async function getEventLabels(siteId) {
+  if (!siteId) return {};
+  const definitions = await getSiteEventDefinitions(siteId);
+  return Object.fromEntries(definitions.map(d => [d.name, d.label || d.name]));
+}
+
+// ============================================
+// INGEST SCREENING
+// ============================================
+
+/**
+ * Why an event cannot be stored, or null when it can
+ * Returns { reason: 'unknown_event' | 'invalid_properties', errors }.
+ */
+async function screenEvent(event) {
+  if (isBuiltInEventType(event.event_type)) return null;
+
+  const definitions = await getActiveEventDefinitions(event.site_id);
+  const definition = definitions.get(event.event_type);
+  if (!definition) {
+    return { reason: 'unknown_event', errors: [`${event.event_type} is not defined for this site`] };
+  }
+
+  if (!definition.properties_schema) return null;
+  const errors = validateProperties(definition.properties_schema, eventProperties(event.metadata));
+  return errors.length > 0
+    ? { reason: 'invalid_properties', errors: errors.slice(0, MAX_PROPERTY_ERRORS) }
+    : null;
+}
+
+/**
+ * Delete quarantined events past QUARANTINE_RETENTION_DAYS
+ */
+async function pruneQuarantine(now = new Date(), retentionDays = QUARANTINE_RETENTION_DAYS) {
+  const deleted = await deleteQuarantinedEventsBefore(new Date(now.getTime() - retentionDays * DAY_MS));
+  if (deleted > 0) console.log(`[EVENTS] Deleted ${deleted} quarantined events older than ${retentionDays} days`);
+  return deleted;
+}
+
+module.exports = {
+  BUILT_IN_EVENT_TYPES,
+  EVENT_NAME_PATTERN,
+  QUARANTINE_REASONS,
+  QUARANTINE_RETENTION_DAYS,
+  isBuiltInEventType,
+  eventProperties,
+  validateProperties,
+  checkSchema,
+  validateEventDefinition,
+  getActiveEventDefinitions,
+  clearEventDefinitionCache,
+  getSiteEventTypes,
+  getEventLabels,
+  screenEvent,
+  pruneQuarantine
+};
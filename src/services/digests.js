@@ -0,0 +1,409 @@
+/**
+ * Digest Reports
+ *
+ * Users subscribe to a daily or weekly digest per site (digest_subscriptions).
+ * A digest summarises the period - journey stats and bot share
+ * (getJourneyStats), the conversion funnel (getConversionFunnel), top pages
+ * (getTopPages) and the latest AI insight - as an HTML email, optionally with
+ * the same report attached as a PDF. The PDF can also be downloaded from the
+ * Digests page.
+ *
+ * The subject and an optional intro come from the site's digest email
+ * template. Subscriptions with notify_site also go to the site's digest
+ * recipients.
+ *
+ * Each subscription is sent at its own local hour and timezone: daily once
+ * per local day, weekly on the chosen weekday. The digest worker checks every
+ * few minutes; a failed send is retried after RETRY_MS while the send day
+ * lasts, so a missed day is skipped rather than sent late. A worker claims a
+ * due subscription before building it, so workers running side by side send
+ * each digest once.
+ */
+
+const path = require('path');
+const ejs = require('ejs');
+const {
+  getJourneyStats,
+  getConversionFunnel,
+  getTopPages,
+  getLatestInsight,
+  getActiveDigestSubscriptions,
+  claimDigestSubscription,
+  getSiteRecipientEmails,
+  recordDigestAttempt
+} = require('../db/queries');
+const { DEFAULT_TIMEZONE, isValidTimezone, localTime } = require('./alerts');
+const { loadEmailTemplate, renderEmailTemplate } = require('./emailTemplates');
+const emailService = require('./emailService');
+const pdfService = require('./pdfService');
+
+const FREQUENCIES = {
+  daily: { label: 'Daily', days: 1, period: 'Last 24 hours' },
+  weekly: { label: 'Weekly', days: 7, period: 'Last 7 days' }
+};
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_SEND_HOUR = 8;
+const DEFAULT_SEND_DAY = 1; // Monday
+const TOP_PAGES = 10;
+
+const TEMPLATE_PATH = path.join(__dirname, '../../public/views/emails/digest.ejs');
+const INTERVAL_MS = parseInt(process.env.DIGEST_INTERVAL_MS || '300000', 10);
+const RETRY_MS = 30 * 60 * 1000;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate the digest subscription form
+ * Returns { subscription, errors }
+ */
+function validateDigestSubscription(input) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+  const wholeNumber = (value, fallback) => (clean(String(value ?? '')) !== null ? Number(value) : fallback);
+  const checked = (value) => value === true || value === 'on' || value === 'true';
+
+  const frequency = clean(input.frequency);
+  if (!FREQUENCIES[frequency]) errors.push('Frequency must be daily or weekly');
+
+  const sendHour = wholeNumber(input.send_hour, DEFAULT_SEND_HOUR);
+  if (!Number.isInteger(sendHour) || sendHour < 0 || sendHour > 23) {
+    errors.push('Send time must be an hour between 0 and 23');
+  }
+
+  const sendDay = wholeNumber(input.send_day, DEFAULT_SEND_DAY);
+  if (!Number.isInteger(sendDay) || sendDay < 0 || sendDay > 6) {
+    errors.push('Choose a day of the week');
+  }
+
+  const timezone = clean(input.timezone) || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) errors.push(`Unknown timezone: ${timezone}`);
+
+  const subscription = {
+    frequency,
+    send_hour: sendHour,
+    send_day: sendDay,
+    timezone,
+    include_pdf: checked(input.include_pdf),
+    notify_site: checked(input.notify_site)
+  };
+
+  return { subscription, errors };
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Whether a subscription should be sent now: on or after its local send hour
+ * (on its weekday, for weekly digests), not already sent that local day, and
+ * not attempted within RETRY_MS
+ */
+function isDigestDue(subscription, now = new Date()) {
+  const timezone = subscription.timezone || DEFAULT_TIMEZONE;
+  const local = localTime(now, timezone);
+
+  if (local.hour < subscription.send_hour) return false;
+  if (subscription.frequency === 'weekly' && local.weekday !== subscription.send_day) return false;
+  if (subscription.last_sent_at && localTime(subscription.last_sent_at, timezone).date === local.date) return false;
+  if (subscription.last_attempt_at && now - new Date(subscription.last_attempt_at) < RETRY_MS) return false;
+  return true;
+}
+
+// ============================================
+// BUILDING AND RENDERING
+// ============================================
+
+/**
+ * The headline, recommendations and quick wins of a stored insight
+ */
+function summariseInsight(insight) {
+  if (!insight || !insight.analysis_result) return null;
+
+  let result;
+  try {
+    result = typeof insight.analysis_result === 'string' ? JSON.parse(insight.analysis_result) : insight.analysis_result;
+  } catch (err) {
+    return null;
+  }
+
+  return {
+    created_at: insight.created_at,
+    summary: result.summary || null,
+    recommendations: (result.recommendations || []).slice(0, 3).map(r => ({ action: r.action, why: r.why })),
+    quickWins: (result.quickWins || []).slice(0, 3)
+  };
+}
+
+/**
+ * Gather a site's digest data for the period the frequency covers
+ */
+async function buildDigest(site, frequency, now = new Date()) {
+  const { label, days, period } = FREQUENCIES[frequency];
+  const [rawStats, funnel, topPages, insight] = await Promise.all([
+    getJourneyStats(site.id, days),
+    getConversionFunnel(site.id, days),
+    getTopPages(TOP_PAGES, site.id, days),
+    getLatestInsight(site.id)
+  ]);
+
+  const stats = {
+    total_journeys: parseInt(rawStats?.total_journeys) || 0,
+    human_visitors: parseInt(rawStats?.human_visitors) || 0,
+    bot_count: parseInt(rawStats?.bot_count) || 0,
+    return_visitors: parseInt(rawStats?.return_visitors) || 0,
+    enquiries: parseInt(rawStats?.enquiries) || 0,
+    visits_booked: parseInt(rawStats?.visits_booked) || 0
+  };
+  const visitors = funnel[0]?.count || 0;
+  const converted = funnel[funnel.length - 1]?.count || 0;
+
+  return {
+    site: { id: site.id, name: site.name },
+    frequency,
+    label,
+    period,
+    generatedAt: now,
+    stats,
+    botShare: stats.total_journeys > 0 ? stats.bot_count / stats.total_journeys : 0,
+    conversionRate: visitors > 0 ? converted / visitors : 0,
+    funnel: funnel.map((stage, i) => ({
+      ...stage,
+      percent: visitors > 0 ? stage.count / visitors : 0,
+      fromPrevious: i > 0 && funnel[i - 1].count > 0 ? stage.count / funnel[i - 1].count : null
+    })),
+    topPages: topPages.map(p => ({
+      page_url: p.page_url,
+      views: parseInt(p.views) || 0,
+      unique_visitors: parseInt(p.unique_visitors) || 0
+    })),
+    insight: summariseInsight(insight)
+  };
+}
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatDate(date, timezone) {
+  return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: timezone });
+}
+
+/**
+ * Values for the digest email template's placeholders
+ */
+function digestTemplateValues(digest, timezone = DEFAULT_TIMEZONE) {
+  return {
+    site: digest.site.name,
+    frequency: digest.label,
+    period: digest.period,
+    date: formatDate(digest.generatedAt, timezone)
+  };
+}
+
+function digestFilename(digest, timezone = DEFAULT_TIMEZONE) {
+  const slug = digest.site.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug}-${digest.frequency}-digest-${localTime(digest.generatedAt, timezone).date}.pdf`;
+}
+
+/**
+ * The digest as a self-contained HTML document (used for the email body and the PDF)
+ * intro is the site template's optional opening paragraph.
+ */
+function renderDigestHtml(digest, timezone = DEFAULT_TIMEZONE, intro = null) {
+  return ejs.renderFile(TEMPLATE_PATH, {
+    digest,
+    timezone,
+    intro,
+    appUrl: process.env.APP_URL || 'https://website-journey-analytics.onrender.com',
+    formatPercent,
+    formatDate
+  });
+}
+
+function renderDigestText(digest, timezone = DEFAULT_TIMEZONE, intro = null) {
+  const { stats } = digest;
+  const lines = [
+    `${digest.label} digest - ${digest.site.name}`,
+    `${digest.period} to ${formatDate(digest.generatedAt, timezone)}`,
+    '',
+    ...(intro ? [intro, ''] : []),
+    `Visitors: ${stats.human_visitors} (${stats.return_visitors} returning)`,
+    `Journeys: ${stats.total_journeys}, of which bots: ${stats.bot_count} (${formatPercent(digest.botShare)})`,
+    `Enquiries: ${stats.enquiries}, visits booked: ${stats.visits_booked}`,
+    `Conversion rate: ${formatPercent(digest.conversionRate)}`,
+    '',
+    'Funnel:',
+    ...digest.funnel.map(stage => `  ${stage.stage}: ${stage.count} (${formatPercent(stage.percent)})`),
+    '',
+    'Top pages:',
+    ...(digest.topPages.length > 0
+      ? digest.topPages.map(p => `  ${p.page_url} - ${p.views} views, ${p.unique_visitors} journeys`)
+      : ['  No page views'])
+  ];
+
+  if (digest.insight) {
+    lines.push('', `Latest insight (${formatDate(digest.insight.created_at, timezone)}):`);
+    if (digest.insight.summary) lines.push(`  ${digest.insight.summary}`);
+    digest.insight.recommendations.forEach((r, i) => lines.push(`  ${i + 1}. ${r.action}`));
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Render a digest for a timezone with the site's template: subject, HTML,
+ * text and (optionally) the PDF
+ * A PDF failure is logged and the digest goes out without it.
+ */
+async function renderDigest(digest, timezone, includePdf) {
+  const template = await loadEmailTemplate(digest.site.id, 'digest');
+  const { subject, intro } = renderEmailTemplate(template, digestTemplateValues(digest, timezone));
+  const html = await renderDigestHtml(digest, timezone, intro);
+  let pdf = null;
+
+  if (includePdf) {
+    try {
+      pdf = await pdfService.renderPdf(html);
+    } catch (err) {
+      console.error(`[DIGESTS] PDF render failed for site ${digest.site.id}:`, err.message);
+    }
+  }
+
+  return { subject, html, text: renderDigestText(digest, timezone, intro), pdf };
+}
+
+/**
+ * Email a rendered digest to the subscription's owner (and the site's digest
+ * recipients, with notify_site) and record the attempt
+ * Returns true when sent or queued by the outbox for retry.
+ */
+async function deliverDigest(subscription, digest, rendered, now = new Date()) {
+  const attachments = subscription.include_pdf && rendered.pdf
+    ? [{ filename: digestFilename(digest, subscription.timezone), contentType: 'application/pdf', content: rendered.pdf }]
+    : [];
+  const siteRecipients = subscription.notify_site ? await getSiteRecipientEmails(subscription.site_id, 'digests') : [];
+
+  const result = await emailService.sendEmail(
+    rendered.subject,
+    rendered.html,
+    rendered.text,
+    [subscription.user_email, ...siteRecipients],
+    { attachments, siteId: subscription.site_id, category: 'digests' }
+  );
+
+  const handedOff = result.success || result.queued;
+  await recordDigestAttempt(subscription.id, now.toISOString(), handedOff ? null : (result.reason || 'Send failed'));
+  return handedOff;
+}
+
+/**
+ * Build and send one subscription's digest now, whatever its schedule
+ */
+async function sendDigest(subscription, now = new Date()) {
+  const digest = await buildDigest({ id: subscription.site_id, name: subscription.site_name }, subscription.frequency, now);
+  const rendered = await renderDigest(digest, subscription.timezone, subscription.include_pdf);
+  return deliverDigest(subscription, digest, rendered, now);
+}
+
+/**
+ * Send every subscription that is due and not claimed by another worker
+ * Subscriptions for the same site, frequency and timezone share one build
+ * and render. Returns { due, sent, failed } for the subscriptions this run
+ * claimed.
+ */
+async function runDueDigests(now = new Date()) {
+  const subscriptions = (await getActiveDigestSubscriptions()).filter(s => isDigestDue(s, now));
+  const totals = { due: 0, sent: 0, failed: 0 };
+  const digests = new Map();
+  const renders = new Map();
+  const retryBefore = new Date(now.getTime() - RETRY_MS).toISOString();
+
+  for (const subscription of subscriptions) {
+    if (!(await claimDigestSubscription(subscription.id, now.toISOString(), retryBefore))) continue;
+    totals.due++;
+
+    try {
+      const digestKey = `${subscription.site_id}:${subscription.frequency}`;
+      if (!digests.has(digestKey)) {
+        digests.set(digestKey, await buildDigest({ id: subscription.site_id, name: subscription.site_name }, subscription.frequency, now));
+      }
+      const digest = digests.get(digestKey);
+
+      const renderKey = `${digestKey}:${subscription.timezone}:${subscription.include_pdf}`;
+      if (!renders.has(renderKey)) {
+        renders.set(renderKey, await renderDigest(digest, subscription.timezone, subscription.include_pdf));
+      }
+
+      if (await deliverDigest(subscription, digest, renders.get(renderKey), now)) {
+        totals.sent++;
+      } else {
+        totals.failed++;
+      }
+    } catch (err) {
+      totals.failed++;
+      console.error(`[DIGESTS] Subscription ${subscription.id} failed:`, err.message);
+      await recordDigestAttempt(subscription.id, now.toISOString(), err.message).catch(() => {});
+    }
+  }
+
+  return totals;
+}
+
+// ============================================
+// WORKER LOOP
+// ============================================
+
+let workerTimer = null;
+let workerRunning = false;
+
+async function tick() {
+  try {
+    const totals = await runDueDigests();
+    if (totals.due > 0) {
+      console.log(`[DIGESTS] ${totals.sent} sent, ${totals.failed} failed`);
+    }
+  } catch (err) {
+    console.error('[DIGESTS] Worker error:', err.message);
+  } finally {
+    if (workerRunning) {
+      workerTimer = setTimeout(tick, INTERVAL_MS);
+    }
+  }
+}
+
+function startDigestWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[DIGESTS] Worker started (every ${INTERVAL_MS}ms)`);
+  tick();
+}
+
+function stopDigestWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  DEFAULT_SEND_HOUR,
+  DEFAULT_SEND_DAY,
+  validateDigestSubscription,
+  isDigestDue,
+  buildDigest,
+  digestFilename,
+  renderDigestHtml,
+  renderDigestText,
+  renderDigest,
+  sendDigest,
+  runDueDigests,
+  startDigestWorker,
+  stopDigestWorker
+};
@@ -0,0 +1,199 @@
+/**
+ * Email Outbox
+ *
+ * Every email is written to email_outbox before it is sent, so each one has
+ * a record of its recipients, status, attempts and last error that can be
+ * inspected from the admin outbox page. sendEmail (services/emailService.js)
+ * tries the transport straight away; failures are retried by the outbox
+ * worker with exponential backoff (1m, 2m, 4m... capped at an hour) until
+ * EMAIL_MAX_ATTEMPTS, after which the email is marked failed and can be
+ * retried by hand.
+ *
+ * Attachments are stored base64 encoded so retries send the same files.
+ */
+
+const { getTransport } = require('./emailTransports');
+const {
+  createOutboxEmail,
+  claimOutboxEmails,
+  recordOutboxAttempt,
+  getOutboxEmailById,
+  retryOutboxEmail
+} = require('../db/queries');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5', 10);
+const INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || '60000', 10);
+const BATCH_SIZE = 20;
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 500;
+// Claimed emails are hidden from other workers for this long
+const LEASE_SECONDS = 120;
+
+// ============================================
+// QUEUEING
+// ============================================
+
+function encodeAttachments(attachments = []) {
+  return attachments.map(a => ({
+    filename: a.filename,
+    contentType: a.contentType,
+    content: Buffer.from(a.content).toString('base64')
+  }));
+}
+
+function decodeAttachments(stored) {
+  const attachments = typeof stored === 'string' ? JSON.parse(stored) : (stored || []);
+  return attachments.map(a => ({
+    filename: a.filename,
+    contentType: a.contentType,
+    content: Buffer.from(a.content, 'base64')
+  }));
+}
+
+/**
+ * Persist an email as pending; returns the outbox row
+ * attachments are { filename, contentType, content: Buffer }.
+ */
+async function queueEmail({ siteId = null, category, recipients, subject, html, text, attachments = [] }) {
+  return createOutboxEmail({
+    siteId,
+    category,
+    recipients,
+    subject,
+    html,
+    text,
+    attachments: encodeAttachments(attachments)
+  });
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+function backoffMs(attempt) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Send one outbox email through the configured transport and record the outcome
+ * Failures (including an unconfigured transport) are rescheduled with
+ * backoff until maxAttempts, then marked failed. Returns the updated row.
+ */
+async function attemptOutboxEmail(email, { maxAttempts = MAX_ATTEMPTS, now = Date.now() } = {}) {
+  const transport = getTransport();
+  const attempt = (email.attempts || 0) + 1;
+  let error = null;
+
+  try {
+    if (!transport.isConfigured()) {
+      throw new Error(`${transport.name} email transport not configured`);
+    }
+    await transport.send({
+      from: process.env.SENDER_EMAIL,
+      to: email.recipients,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      attachments: decodeAttachments(email.attachments)
+    });
+  } catch (err) {
+    error = String(err.message || 'Send failed').slice(0, MAX_ERROR_LENGTH);
+  }
+
+  let status = 'sent';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempt >= maxAttempts ? 'failed' : 'pending';
+    if (status === 'pending') nextAttemptAt = new Date(now + backoffMs(attempt)).toISOString();
+  }
+
+  console.log(`[EMAIL] ${status === 'sent' ? 'SENT' : 'FAILED'}: "${email.subject}" to ${email.recipients.join(', ')} via ${transport.name}` +
+    (error ? ` - ${error}${status === 'pending' ? ` (attempt ${attempt}, will retry)` : ''}` : ''));
+
+  return recordOutboxAttempt(email.id, {
+    status,
+    nextAttemptAt,
+    error,
+    transport: transport.name
+  });
+}
+
+/**
+ * Claim and send one batch of due emails
+ * Returns { sent, retrying, failed }.
+ */
+async function processEmailOutbox(limit = BATCH_SIZE) {
+  const emails = await claimOutboxEmails(limit, LEASE_SECONDS);
+  const results = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const email of emails) {
+    try {
+      const updated = await attemptOutboxEmail(email);
+      if (updated.status === 'sent') results.sent++;
+      else if (updated.status === 'failed') results.failed++;
+      else results.retrying++;
+    } catch (err) {
+      results.retrying++;
+      console.error(`[EMAIL] Outbox email ${email.id} failed:`, err.message);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Reset an unsent email's attempts and send it again now
+ * Returns the updated row, or null when it was not found or already sent.
+ */
+async function resendOutboxEmail(emailId) {
+  if (!(await retryOutboxEmail(emailId))) return null;
+  return attemptOutboxEmail(await getOutboxEmailById(emailId));
+}
+
+// ============================================
+// WORKER LOOP
+// ============================================
+
+let workerTimer = null;
+let workerRunning = false;
+
+async function tick() {
+  try {
+    let results;
+    do {
+      results = await processEmailOutbox();
+      if (results.sent + results.retrying + results.failed > 0) {
+        console.log(`[EMAIL] Outbox sent ${results.sent}, retrying ${results.retrying}, failed ${results.failed}`);
+      }
+    } while (results.sent + results.retrying + results.failed >= BATCH_SIZE && workerRunning);
+  } catch (err) {
+    console.error('[EMAIL] Outbox worker error:', err.message);
+  } finally {
+    if (workerRunning) {
+      workerTimer = setTimeout(tick, INTERVAL_MS);
+    }
+  }
+}
+
+function startEmailOutboxWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[EMAIL] Outbox worker started (every ${INTERVAL_MS}ms)`);
+  tick();
+}
+
+function stopEmailOutboxWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  queueEmail,
+  attemptOutboxEmail,
+  processEmailOutbox,
+  resendOutboxEmail,
+  startEmailOutboxWorker,
+  stopEmailOutboxWorker
+};
@@ -1,185 +1,157 @@
 /**
- * Email Service - Microsoft Graph API Integration
- * Sends email notifications for new visitors
+ * Email Service
+ * Sends alert emails (services/alerts.js) and digests (services/digests.js)
+ * through the persisted outbox (services/emailOutbox.js) and the configured
+ * transport (services/emailTransports.js)
  */
 
-const { ClientSecretCredential } = require('@azure/identity');
-const { Client } = require('@microsoft/microsoft-graph-client');
-const { TokenCredentialAuthenticationProvider } = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
+const path = require('path');
+const ejs = require('ejs');
+const { getTransport } = require('./emailTransports');
+const { loadEmailTemplate, renderEmailTemplate } = require('./emailTemplates');
+const { getOutboxStatusCounts } = require('../db/queries');
+const emailOutbox = require('./emailOutbox');
+
+const ALERT_TEMPLATE_PATH = path.join(__dirname, '../../public/views/emails/alert.ejs');
+
+// Emails a site's extra recipients can receive (site_email_recipients.categories)
+const RECIPIENT_CATEGORIES = {
+  alerts: 'Alert emails',
+  digests: 'Digest emails'
+};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 // Configuration from environment variables
 const config = {
-  clientId: process.env.MS_CLIENT_ID,
-  clientSecret: process.env.MS_CLIENT_SECRET,
-  tenantId: process.env.MS_TENANT_ID,
-  senderEmail: process.env.SENDER_EMAIL,
   notifyEmail: process.env.EMAIL_NOTIFY
 };
 
-let graphClient = null;
-
 /**
- * Initialise the Microsoft Graph client
+ * Validate the admin "add recipient" form
+ * categories arrives as a string (one checkbox) or an array (several)
  */
-function getGraphClient() {
-  if (graphClient) {
-    return graphClient;
-  }
-
-  // Check if credentials are configured
-  if (!config.clientId || !config.clientSecret || !config.tenantId) {
-    console.warn('Microsoft Graph credentials not configured. Email notifications disabled.');
-    return null;
-  }
-
-  try {
-    const credential = new ClientSecretCredential(
-      config.tenantId,
-      config.clientId,
-      config.clientSecret
-    );
-
-    const authProvider = new TokenCredentialAuthenticationProvider(credential, {
-      scopes: ['https://graph.microsoft.com/.default']
-    });
-
-    graphClient = Client.initWithMiddleware({
-      authProvider: authProvider
-    });
-
-    return graphClient;
-  } catch (error) {
-    console.error('Failed to initialise Graph client:', error.message);
-    return null;
-  }
+function validateEmailRecipient(input) {
+  const errors = [];
+  const email = typeof input.email === 'string' ? input.email.trim().toLowerCase() : '';
+  const name = typeof input.name === 'string' && input.name.trim() !== '' ? input.name.trim() : null;
+  const requested = [].concat(input.categories || []);
+  const categories = Object.keys(RECIPIENT_CATEGORIES).filter(category => requested.includes(category));
+
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) errors.push('Enter a valid email address');
+  if (categories.length === 0) errors.push('Select at least one kind of email');
+  if (categories.length !== new Set(requested).size) errors.push('Unknown email category');
+
+  return { recipient: { email, name, categories }, errors };
 }
 
 /**
- * Send an email via Microsoft Graph API
+ * Send an email through the outbox (services/emailOutbox.js)
+ * The email is persisted and tried once straight away; if that fails it
+ * stays queued for the outbox worker to retry. to is an address or list of
+ * addresses (duplicates are dropped); defaults to EMAIL_NOTIFY. attachments
+ * are { filename, contentType, content: Buffer }; siteId and category
+ * (alerts, digests, test...) label the email in the outbox.
+ * Returns { success, queued, reason, outboxId }: queued means the first
+ * attempt failed but the email will be retried.
  */
-async function sendEmail(subject, htmlBody, textBody) {
-  const client = getGraphClient();
+async function sendEmail(subject, htmlBody, textBody, to = null, { attachments = [], siteId = null, category = 'general' } = {}) {
+  const transport = getTransport();
+  const recipients = [...new Set([].concat(to || config.notifyEmail || []).filter(Boolean))];
 
-  if (!client) {
-    console.log('Email service not configured, skipping notification');
-    return { success: false, reason: 'not_configured' };
+  if (!transport.isConfigured()) {
+    console.log(`[EMAIL] SKIPPED: "${subject}" - ${transport.name} email transport not configured`);
+    return { success: false, queued: false, reason: 'not_configured' };
   }
 
-  if (!config.senderEmail || !config.notifyEmail) {
-    console.warn('Sender or recipient email not configured');
-    return { success: false, reason: 'missing_emails' };
+  if (recipients.length === 0) {
+    console.log(`[EMAIL] SKIPPED: "${subject}" - no recipient email`);
+    return { success: false, queued: false, reason: 'missing_emails' };
   }
 
-  try {
-    const message = {
-      subject: subject,
-      body: {
-        contentType: 'HTML',
-        content: htmlBody
-      },
-      toRecipients: [
-        {
-          emailAddress: {
-            address: config.notifyEmail
-          }
-        }
-      ]
-    };
-
-    await client.api(`/users/${config.senderEmail}/sendMail`).post({
-      message: message,
-      saveToSentItems: false
-    });
-
-    console.log(`Email sent: ${subject}`);
-    return { success: true };
-  } catch (error) {
-    console.error('Failed to send email:', error.message);
-    return { success: false, reason: error.message };
-  }
+  const email = await emailOutbox.queueEmail({
+    siteId,
+    category,
+    recipients,
+    subject,
+    html: htmlBody,
+    text: textBody,
+    attachments
+  });
+  const sent = await emailOutbox.attemptOutboxEmail(email);
+
+  return {
+    success: sent.status === 'sent',
+    queued: sent.status === 'pending',
+    reason: sent.last_error || null,
+    outboxId: email.id
+  };
 }
 
 /**
- * Send notification for new website visitor
+ * Send one email for an alert rule's pending alerts
+ * The subject and intro come from the site's alert template; by default a
+ * single alert uses its own title as the subject and several go out together.
  */
-async function sendNewVisitorNotification(visitor) {
-  // Build subject with location if available
-  let subjectLocation = '';
-  if (visitor.location) {
-    const loc = visitor.location;
-    subjectLocation = loc.city ? ` from ${loc.city}` : (loc.country ? ` from ${loc.country}` : '');
-  }
-  const visitorType = visitor.isReturn ? 'Returning Visitor' : 'New Visitor';
-  const subject = `${visitorType}${subjectLocation} - ${visitor.entry_page || 'Unknown page'}`;
-
-  const referrerText = visitor.referrer
-    ? `<p><strong>Referrer:</strong> ${visitor.referrer}</p>`
-    : '<p><strong>Referrer:</strong> Direct visit</p>';
-
-  // Format location if available
-  let locationText = '';
-  if (visitor.location) {
-    const loc = visitor.location;
-    const locationParts = [loc.city, loc.region, loc.country].filter(Boolean);
-    const locationString = locationParts.join(', ') || 'Unknown';
-    const flag = loc.flag || '';
-    locationText = `<p style="margin: 0 0 12px 0;"><strong>Location:</strong> ${flag} ${locationString}</p>`;
-  }
-
-  const headerText = visitor.isReturn ? 'Returning Visitor' : 'New Website Visitor';
-  const headerColor = visitor.isReturn ? '#10B981' : '#FF9F1C';
-
-  const htmlBody = `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto;">
-      <div style="background: #091825; color: white; padding: 20px; border-bottom: 3px solid ${headerColor};">
-        <h1 style="margin: 0; font-size: 20px;">${headerText}</h1>
-      </div>
-      <div style="padding: 24px; background: #f8fafc; border: 1px solid #e5e7eb;">
-        <p style="margin: 0 0 12px 0;"><strong>Entry Page:</strong> <a href="${visitor.entry_page || '#'}" style="color: #034674;">${visitor.entry_page || 'Unknown'}</a></p>
-        ${referrerText}
-        ${locationText}
-        <p style="margin: 0 0 12px 0;"><strong>Device:</strong> ${visitor.device_type || 'Unknown'}</p>
-        <p style="margin: 0 0 12px 0;"><strong>Time:</strong> ${new Date(visitor.first_seen).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' })}</p>
-        <p style="margin: 0;"><strong>Journey ID:</strong> <code style="background: #e5e7eb; padding: 2px 6px; border-radius: 4px;">${visitor.journey_id}</code></p>
-      </div>
-      <div style="padding: 16px; background: white; border: 1px solid #e5e7eb; border-top: none; text-align: center;">
-        <a href="${process.env.APP_URL || 'https://website-journey-analytics.onrender.com'}/realtime" style="display: inline-block; background: linear-gradient(135deg, #FF9F1C 0%, #E88A00 100%); color: white; padding: 10px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">View Real-time Dashboard</a>
-      </div>
-    </div>
-  `;
-
-  // Format location for plain text
-  let locationPlainText = '';
-  if (visitor.location) {
-    const loc = visitor.location;
-    const locationParts = [loc.city, loc.region, loc.country].filter(Boolean);
-    locationPlainText = `Location: ${loc.flag || ''} ${locationParts.join(', ') || 'Unknown'}\n`;
-  }
-
-  const textBody = `
-New Website Visitor
-
-Entry Page: ${visitor.entry_page || 'Unknown'}
-Referrer: ${visitor.referrer || 'Direct visit'}
-${locationPlainText}Device: ${visitor.device_type || 'Unknown'}
-Time: ${new Date(visitor.first_seen).toLocaleString('en-GB')}
-Journey ID: ${visitor.journey_id}
-
-View dashboard: ${process.env.APP_URL || 'https://website-journey-analytics.onrender.com'}/realtime
-  `;
-
-  return sendEmail(subject, htmlBody, textBody);
+async function sendAlertEmail(to, rule, alerts) {
+  const appUrl = process.env.APP_URL || 'https://website-journey-analytics.onrender.com';
+  const template = await loadEmailTemplate(rule.site_id, 'alert');
+  const { subject, intro } = renderEmailTemplate(template, {
+    site: rule.site_name,
+    rule: rule.name,
+    headline: alerts.length === 1 ? alerts[0].title : `${rule.name}: ${alerts.length} alerts`,
+    count: alerts.length
+  });
+
+  const htmlBody = await ejs.renderFile(ALERT_TEMPLATE_PATH, {
+    rule,
+    alerts,
+    intro,
+    timezone: rule.timezone,
+    appUrl
+  });
+
+  const textBody = [
+    rule.name,
+    rule.site_name,
+    '',
+    ...(intro ? [intro, ''] : []),
+    ...alerts.map(alert => [
+      `- ${alert.title}`,
+      alert.detail ? `  ${alert.detail}` : null,
+      alert.link ? `  ${appUrl}${alert.link}` : null
+    ].filter(Boolean).join('\n')),
+    '',
+    `Manage your alert rules: ${appUrl}/alerts`
+  ].join('\n');
+
+  return sendEmail(subject, htmlBody, textBody, to, { siteId: rule.site_id || null, category: 'alerts' });
 }
 
 /**
- * Check if email service is configured
+ * Check if the email transport is configured (recipients come from alert rules and digests)
  */
 function isConfigured() {
-  return !!(config.clientId && config.clientSecret && config.tenantId && config.senderEmail && config.notifyEmail);
+  return getTransport().isConfigured();
+}
+
+/**
+ * Transport and outbox totals for troubleshooting (GET /api/event/debug-email-log)
+ * Individual emails are only shown on the admin outbox page.
+ */
+async function getEmailStatus() {
+  const transport = getTransport();
+  return {
+    configured: transport.isConfigured(),
+    transport: transport.name,
+    outbox: await getOutboxStatusCounts()
+  };
 }
 
 module.exports = {
+  RECIPIENT_CATEGORIES,
+  validateEmailRecipient,
   sendEmail,
-  sendNewVisitorNotification,
-  isConfigured
+  sendAlertEmail,
+  isConfigured,
+  getEmailStatus
 };
@@ -0,0 +1,116 @@
+/**
+ * Email Templates
+ *
+ * Alert and digest emails have a default subject, which a site can override
+ * (site_email_templates) along with an optional intro paragraph shown above
+ * the email body. Both may use {{placeholders}}; each template lists the
+ * ones it supports, and unknown placeholders are rejected when saving.
+ *
+ * The intro is plain text - the email views escape it and keep its line
+ * breaks.
+ */
+
+const { getSiteEmailTemplate } = require('../db/queries');
+
+const TEMPLATES = {
+  alert: {
+    label: 'Alert emails',
+    subject: '{{headline}} - {{site}}',
+    placeholders: {
+      site: 'Site name',
+      rule: 'Alert rule name',
+      headline: 'The alert title, or "<rule>: N alerts" when several are sent together',
+      count: 'Number of alerts in the email'
+    }
+  },
+  digest: {
+    label: 'Digest emails',
+    subject: '{{frequency}} digest: {{site}} - {{date}}',
+    placeholders: {
+      site: 'Site name',
+      frequency: 'Daily or Weekly',
+      period: 'The period covered, e.g. "Last 7 days"',
+      date: 'Date the digest was generated'
+    }
+  }
+};
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_INTRO_LENGTH = 2000;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Replace {{placeholders}} with values; unknown or missing values become empty
+ */
+function fillPlaceholders(text, values) {
+  return String(text ?? '').replace(PLACEHOLDER, (match, name) => String(values[name] ?? ''));
+}
+
+/**
+ * Validate a site's template override form
+ * Blank fields fall back to the defaults. Returns { template, errors }
+ */
+function validateEmailTemplate(name, input) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+  const definition = TEMPLATES[name];
+
+  if (!definition) {
+    return { template: null, errors: [`Unknown email template: ${name}`] };
+  }
+
+  const subject = clean(input.subject);
+  const intro = clean(input.intro);
+
+  if (subject && subject.length > MAX_SUBJECT_LENGTH) {
+    errors.push(`Subject must be ${MAX_SUBJECT_LENGTH} characters or fewer`);
+  }
+  if (subject && /[\r\n]/.test(subject)) {
+    errors.push('Subject must be a single line');
+  }
+  if (intro && intro.length > MAX_INTRO_LENGTH) {
+    errors.push(`Intro must be ${MAX_INTRO_LENGTH} characters or fewer`);
+  }
+
+  const unknown = new Set();
+  for (const text of [subject, intro]) {
+    for (const [, placeholder] of String(text || '').matchAll(PLACEHOLDER)) {
+      if (!(placeholder in definition.placeholders)) unknown.add(placeholder);
+    }
+  }
+  if (unknown.size > 0) {
+    errors.push(`Unknown placeholder${unknown.size > 1 ? 's' : ''}: ${[...unknown].map(p => `{{${p}}}`).join(', ')}`);
+  }
+
+  return { template: { subject, intro }, errors };
+}
+
+/**
+ * A site's template with its overrides applied: { subject, intro }
+ * Without a site (e.g. the debug test email) the defaults are used.
+ */
+async function loadEmailTemplate(siteId, name) {
+  const override = siteId ? await getSiteEmailTemplate(siteId, name) : null;
+  return {
+    subject: override?.subject || TEMPLATES[name].subject,
+    intro: override?.intro || null
+  };
+}
+
+/**
+ * Fill a loaded template's placeholders: { subject, intro }
+ */
+function renderEmailTemplate(template, values) {
+  return {
+    subject: fillPlaceholders(template.subject, values).replace(/\s+/g, ' ').trim(),
+    intro: template.intro ? fillPlaceholders(template.intro, values) : null
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  fillPlaceholders,
+  validateEmailTemplate,
+  loadEmailTemplate,
+  renderEmailTemplate
+};
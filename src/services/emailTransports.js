@@ -0,0 +1,191 @@
+/**
+ * Email Transports
+ * How emails leave the app, chosen with EMAIL_TRANSPORT:
+ *   graph - Microsoft Graph sendMail as SENDER_EMAIL (default)
+ *   smtp  - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+ *           SMTP_PASS), sending from SENDER_EMAIL
+ *   file  - writes each message to a folder under EMAIL_FILE_DIR instead of
+ *           sending it, for local testing
+ *
+ * Every transport has the same shape:
+ *   { name, isConfigured(), send({ from, to, subject, html, text, attachments }) }
+ * where to is a list of addresses and attachments are
+ * { filename, contentType, content: Buffer }. send() throws on failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ClientSecretCredential } = require('@azure/identity');
+const { Client } = require('@microsoft/microsoft-graph-client');
+const { TokenCredentialAuthenticationProvider } = require('@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FILE_DIR = path.join(__dirname, '../../data/mail');
+
+// ============================================
+// MICROSOFT GRAPH
+// ============================================
+
+function createGraphTransport(options = {}) {
+  const config = {
+    clientId: options.clientId ?? process.env.MS_CLIENT_ID,
+    clientSecret: options.clientSecret ?? process.env.MS_CLIENT_SECRET,
+    tenantId: options.tenantId ?? process.env.MS_TENANT_ID,
+    senderEmail: options.senderEmail ?? process.env.SENDER_EMAIL
+  };
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      const credential = new ClientSecretCredential(config.tenantId, config.clientId, config.clientSecret);
+      const authProvider = new TokenCredentialAuthenticationProvider(credential, {
+        scopes: ['https://graph.microsoft.com/.default']
+      });
+      client = Client.initWithMiddleware({ authProvider });
+    }
+    return client;
+  }
+
+  return {
+    name: 'graph',
+
+    isConfigured() {
+      return !!(config.clientId && config.clientSecret && config.tenantId && config.senderEmail);
+    },
+
+    async send({ to, subject, html, attachments = [] }) {
+      // Graph always sends as the mailbox in the URL, so `from` is ignored
+      const message = {
+        subject,
+        body: { contentType: 'HTML', content: html },
+        toRecipients: to.map(address => ({ emailAddress: { address } }))
+      };
+      if (attachments.length > 0) {
+        message.attachments = attachments.map(a => ({
+          '@odata.type': '#microsoft.graph.fileAttachment',
+          name: a.filename,
+          contentType: a.contentType,
+          contentBytes: Buffer.from(a.content).toString('base64')
+        }));
+      }
+
+      await getClient().api(`/users/${config.senderEmail}/sendMail`).post({
+        message,
+        saveToSentItems: false
+      });
+    }
+  };
+}
+
+// ============================================
+// SMTP
+// ============================================
+
+function createSmtpTransport(options = {}) {
+  const config = {
+    host: options.host ?? process.env.SMTP_HOST,
+    port: parseInt(options.port ?? process.env.SMTP_PORT ?? '587', 10),
+    secure: String(options.secure ?? process.env.SMTP_SECURE) === 'true', // true for port 465
+    user: options.user ?? process.env.SMTP_USER,
+    pass: options.pass ?? process.env.SMTP_PASS,
+    senderEmail: options.senderEmail ?? process.env.SENDER_EMAIL
+  };
+  let mailer = null;
+
+  return {
+    name: 'smtp',
+
+    isConfigured() {
+      return !!(config.host && config.senderEmail);
+    },
+
+    async send({ from, to, subject, html, text, attachments = [] }) {
+      if (!mailer) {
+        mailer = nodemailer.createTransport({
+          host: config.host,
+          port: config.port,
+          secure: config.secure,
+          auth: config.user ? { user: config.user, pass: config.pass } : undefined
+        });
+      }
+      await mailer.sendMail({ from: from || config.senderEmail, to, subject, html, text, attachments });
+    }
+  };
+}
+
+// ============================================
+// FILE SINK
+// ============================================
+
+/**
+ * Writes message.json (headers and text), message.html and any attachments
+ * to a new folder per message, named <timestamp>-<subject>
+ */
+function createFileTransport(options = {}) {
+  const dir = options.dir ?? process.env.EMAIL_FILE_DIR ?? DEFAULT_FILE_DIR;
+
+  return {
+    name: 'file',
+    dir,
+
+    isConfigured() {
+      return true;
+    },
+
+    async send({ from, to, subject, html, text, attachments = [] }) {
+      const slug = String(subject).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const folder = path.join(dir, `${stamp}-${crypto.randomBytes(3).toString('hex')}-${slug || 'message'}`);
+
+      await fs.promises.mkdir(folder, { recursive: true });
+      await fs.promises.writeFile(path.join(folder, 'message.json'), JSON.stringify({
+        from: from || null,
+        to,
+        subject,
+        text: text || null,
+        attachments: attachments.map(a => a.filename)
+      }, null, 2));
+      await fs.promises.writeFile(path.join(folder, 'message.html'), html || '');
+      for (const attachment of attachments) {
+        await fs.promises.writeFile(path.join(folder, path.basename(attachment.filename)), attachment.content);
+      }
+      return folder;
+    }
+  };
+}
+
+// ============================================
+// SELECTION
+// ============================================
+
+const TRANSPORTS = {
+  graph: createGraphTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+/**
+ * The transport named by EMAIL_TRANSPORT, created on first use
+ */
+function getTransport() {
+  if (!transport) {
+    const name = (process.env.EMAIL_TRANSPORT || 'graph').toLowerCase();
+    const create = TRANSPORTS[name];
+    if (!create) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    transport = create();
+  }
+  return transport;
+}
+
+module.exports = {
+  TRANSPORTS,
+  createGraphTransport,
+  createSmtpTransport,
+  createFileTransport,
+  getTransport
+};
@@ -0,0 +1,395 @@
+/**
+ * Event Ingest Worker
+ *
+ * The tracking endpoints only validate and append raw events to
+ * event_ingest_queue. This worker claims queued rows (FOR UPDATE SKIP LOCKED,
+ * so several processes can share the queue), does the slow parts - geo lookup,
+ * bot scoring, tracking key resolution - bulk-inserts into journey_events and
+ * deletes the claimed rows in the same transaction. A crash mid-batch simply
+ * rolls back and the rows are picked up again. Events the tracker resent
+ * (same journey, stream_id and seq) are skipped by the insert, and event
+ * types the site has not defined (services/customEvents.js) are moved to
+ * event_quarantine in the same transaction instead. Events sent without
+ * consent are stored under a hashed id (services/consent.js). Once a batch
+ * commits, the arrivals, page views and CTA clicks it inserted are published
+ * to the live dashboard (services/realtime.js).
+ */
+
+const { getDb } = require('../db/database');
+const {
+  insertEvents,
+  insertQuarantinedEvents,
+  getKnownJourneyIds,
+  getSiteByTrackingKey
+} = require('../db/queries');
+const { lookupIP, isPrivateIP } = require('./geoService');
+const { detectBotForEvent } = require('./botDetection');
+const { screenEvent } = require('./customEvents');
+const { consentOf, isCookieless, cookielessId, countryOnly } = require('./consent');
+const realtime = require('./realtime');
+
+const BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE || '500', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.INGEST_POLL_INTERVAL_MS || '1000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.INGEST_MAX_ATTEMPTS || '5', 10);
+const MAX_STREAM_ID_LENGTH = 64;
+
+// ============================================
+// SITE RESOLUTION
+// ============================================
+
+// Cache for tracking key -> site_id lookups (avoids DB hit on every event)
+const trackingKeyCache = new Map();
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+async function resolveSiteId(trackingKey) {
+  if (!trackingKey) return null;
+
+  const cached = trackingKeyCache.get(trackingKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.siteId;
+  }
+
+  const site = await getSiteByTrackingKey(trackingKey);
+  const siteId = site ? site.id : null;
+
+  trackingKeyCache.set(trackingKey, { siteId, timestamp: Date.now() });
+
+  // Clean old cache entries periodically
+  if (trackingKeyCache.size > 100) {
+    const now = Date.now();
+    for (const [key, value] of trackingKeyCache) {
+      if (now - value.timestamp > CACHE_TTL) {
+        trackingKeyCache.delete(key);
+      }
+    }
+  }
+
+  return siteId;
+}
+
+// ============================================
+// ENRICHMENT
+// ============================================
+
+async function lookupLocation(ip) {
+  if (!ip || isPrivateIP(ip)) return null;
+
+  try {
+    return await lookupIP(ip);
+  } catch (err) {
+    console.error('Geo lookup failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Turn a queued row into a journey_events row
+ * Pixel hits always get a location lookup; JS events only on page_view.
+ * Events sent without consent (services/consent.js) get ids hashed from the
+ * request instead of the tracker's, no stored IP address and a country-only
+ * location.
+ */
+async function buildEvent(row) {
+  const body = row.payload || {};
+  const clientIP = row.client_ip || null;
+  const userAgent = body.user_agent || row.user_agent || null;
+  const consent = consentOf(body);
+  const cookieless = isCookieless(consent);
+  let metadata = body.metadata || {};
+
+  if (row.source === 'pixel' || body.event_type === 'page_view') {
+    const location = await lookupLocation(clientIP);
+    if (cookieless) {
+      if (location) metadata = { ...metadata, location: countryOnly(location) };
+    } else if (location || row.source === 'pixel') {
+      metadata = { ...metadata, location, ip_address: clientIP };
+    }
+  }
+
+  const botDetection = detectBotForEvent({
+    userAgent,
+    ipAddress: clientIP,
+    metadata: row.source === 'pixel' ? {} : metadata
+  });
+
+  let ids = { journey_id: body.journey_id, visitor_id: body.visitor_id || null };
+  if (cookieless) {
+    const id = await cookielessId({
+      trackingKey: body.tracking_key,
+      ip: clientIP,
+      userAgent,
+      receivedAt: row.received_at
+    });
+    ids = { journey_id: id, visitor_id: id };
+  }
+
+  return {
+    ...ids,
+    event_type: body.event_type,
+    page_url: body.page_url || null,
+    referrer: body.referrer || null,
+    intent_type: body.intent_type || null,
+    cta_label: body.cta_label || null,
+    device_type: body.device_type || null,
+    metadata,
+    occurred_at: body.occurred_at || new Date(row.received_at).toISOString(),
+    user_agent: userAgent,
+    ip_address: cookieless ? null : clientIP,
+    is_bot: botDetection.isBot,
+    bot_score: botDetection.botScore,
+    bot_signals: botDetection.signals,
+    site_id: await resolveSiteId(body.tracking_key),
+    consent,
+    ...sequenceOf(body)
+  };
+}
+
+/**
+ * The tracker's stream_id / seq, when both are usable; otherwise neither
+ * (the event is still stored, just never deduped)
+ */
+function sequenceOf(body) {
+  const valid = typeof body.stream_id === 'string' &&
+    body.stream_id.length > 0 && body.stream_id.length <= MAX_STREAM_ID_LENGTH &&
+    Number.isInteger(body.seq) && body.seq >= 0 && body.seq <= 2147483647;
+  return valid ? { stream_id: body.stream_id, seq: body.seq } : { stream_id: null, seq: null };
+}
+
+// ============================================
+// QUARANTINE
+// ============================================
+
+/**
+ * Split built events into those to store and quarantine items for the rest
+ * (rows and events are parallel arrays)
+ */
+async function screenEvents(rows, events) {
+  const accepted = [];
+  const quarantined = [];
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    const problem = await screenEvent(event);
+    if (!problem) {
+      accepted.push(event);
+      continue;
+    }
+    quarantined.push({
+      site_id: event.site_id,
+      event_type: event.event_type,
+      journey_id: event.journey_id,
+      reason: problem.reason,
+      errors: problem.errors,
+      payload: rows[i].payload,
+      client_ip: rows[i].client_ip,
+      user_agent: rows[i].user_agent,
+      source: rows[i].source,
+      received_at: rows[i].received_at
+    });
+  }
+
+  return { accepted, quarantined };
+}
+
+// ============================================
+// REAL-TIME
+// ============================================
+
+/**
+ * Journeys in the batch that already had events, checked before the insert;
+ * null when nobody is watching the live dashboard
+ */
+async function knownJourneysForRealtime(events, client) {
+  if (!realtime.hasSubscribers()) return null;
+  return getKnownJourneyIds(events.map(e => e.journey_id), client);
+}
+
+/**
+ * The events an insert actually stored (resent ones come back without a row)
+ */
+function insertedEvents(events, rows) {
+  const sequenced = new Set(rows.filter(r => r.seq !== null).map(r => `${r.journey_id}:${r.stream_id}:${r.seq}`));
+  return events.filter(e => e.seq === null || sequenced.has(`${e.journey_id}:${e.stream_id}:${e.seq}`));
+}
+
+/**
+ * Runs after COMMIT, so it must never throw - that would retry inserted rows
+ */
+async function publishRealtime(events, knownJourneys) {
+  if (!knownJourneys) return;
+  try {
+    await realtime.publish(realtime.ingestMessages(events, knownJourneys));
+  } catch (err) {
+    console.error('[INGEST] Real-time publish failed:', err.message);
+  }
+}
+
+// ============================================
+// QUEUE PROCESSING
+// ============================================
+
+const CLAIM_COLUMNS = 'id, payload, client_ip, user_agent, source, received_at';
+
+/**
+ * Claim, enrich and insert one batch inside a single transaction
+ * If the batch fails, each row is retried on its own so one bad event
+ * cannot hold up the rest. Returns the number of events processed.
+ */
+async function processQueueBatch(db = getDb(), batchSize = BATCH_SIZE) {
+  const client = await db.connect();
+  let rows = [];
+
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(
+      `SELECT ${CLAIM_COLUMNS} FROM event_ingest_queue
+       WHERE attempts < $1
+       ORDER BY id
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [MAX_ATTEMPTS, batchSize]
+    );
+    rows = claimed.rows;
+
+    if (rows.length === 0) {
+      await client.query('COMMIT');
+      return 0;
+    }
+
+    const events = [];
+    for (const row of rows) {
+      events.push(await buildEvent(row));
+    }
+    const { accepted, quarantined } = await screenEvents(rows, events);
+
+    const knownJourneys = await knownJourneysForRealtime(accepted, client);
+    const inserted = await insertEvents(accepted, client);
+    await insertQuarantinedEvents(quarantined, client);
+    await client.query('DELETE FROM event_ingest_queue WHERE id = ANY($1)', [rows.map(r => r.id)]);
+    await client.query('COMMIT');
+    await publishRealtime(insertedEvents(accepted, inserted), knownJourneys);
+    return events.length;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (rows.length === 0) throw err;
+    console.error(`[INGEST] Batch of ${rows.length} failed, retrying rows individually:`, err.message);
+  } finally {
+    client.release();
+  }
+
+  let inserted = 0;
+  for (const row of rows) {
+    if (await processQueueRow(db, row.id)) inserted++;
+  }
+  return inserted;
+}
+
+/**
+ * Process a single queued row; on failure bump attempts and record the error
+ * Rows that reach INGEST_MAX_ATTEMPTS stay in the table for inspection.
+ */
+async function processQueueRow(db, id) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(
+      `SELECT ${CLAIM_COLUMNS} FROM event_ingest_queue
+       WHERE id = $1 AND attempts < $2
+       FOR UPDATE SKIP LOCKED`,
+      [id, MAX_ATTEMPTS]
+    );
+    if (claimed.rows.length === 0) {
+      await client.query('COMMIT');
+      return false;
+    }
+
+    const event = await buildEvent(claimed.rows[0]);
+    const { accepted, quarantined } = await screenEvents(claimed.rows, [event]);
+    const knownJourneys = await knownJourneysForRealtime(accepted, client);
+    const inserted = await insertEvents(accepted, client);
+    await insertQuarantinedEvents(quarantined, client);
+    await client.query('DELETE FROM event_ingest_queue WHERE id = $1', [id]);
+    await client.query('COMMIT');
+    await publishRealtime(insertedEvents(accepted, inserted), knownJourneys);
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`[INGEST] Queue row ${id} failed:`, err.message);
+    await db.query(
+      'UPDATE event_ingest_queue SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+      [id, err.message]
+    ).catch(() => {});
+    return false;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// WORKER LOOP
+// ============================================
+
+let workerTimer = null;
+let workerRunning = false;
+let workerBusy = false;
+let wakeScheduled = false;
+
+async function drainQueue() {
+  if (workerBusy) return;
+  workerBusy = true;
+  clearTimeout(workerTimer);
+
+  try {
+    // Keep going while batches come back full - we're behind
+    let inserted;
+    do {
+      inserted = await processQueueBatch();
+    } while (inserted >= BATCH_SIZE && workerRunning);
+  } catch (err) {
+    console.error('[INGEST] Worker error:', err.message);
+  } finally {
+    workerBusy = false;
+    if (workerRunning) {
+      workerTimer = setTimeout(drainQueue, POLL_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * Start polling the queue in this process
+ */
+function startIngestWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[INGEST] Worker started (batch ${BATCH_SIZE}, poll ${POLL_INTERVAL_MS}ms)`);
+  drainQueue();
+}
+
+function stopIngestWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+/**
+ * Ask an idle in-process worker to drain now rather than at the next poll
+ */
+function wakeIngestWorker() {
+  if (workerRunning && !workerBusy && !wakeScheduled) {
+    wakeScheduled = true;
+    setImmediate(() => {
+      wakeScheduled = false;
+      drainQueue();
+    });
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  resolveSiteId,
+  buildEvent,
+  processQueueBatch,
+  startIngestWorker,
+  stopIngestWorker,
+  wakeIngestWorker
+};
@@ -0,0 +1,267 @@
+/**
+ * Custom Funnel Builder
+ *
+ * Evaluates saved per-site funnels (site_funnels) against raw journey_events.
+ * A funnel is an ordered list of steps, each matching one of:
+ *   page   - a page view whose URL matches page_pattern
+ *   event  - an event of event_type
+ *   intent - any event carrying intent_type (CTA clicks, form submits)
+ * A step may require that it happens within N minutes of the previous one.
+ * Scope "session" walks each journey on its own; scope "visitor" joins all of
+ * a visitor's journeys so a step can be completed on a later visit.
+ */
+
+const FUNNEL_SCOPES = ['session', 'visitor'];
+const STEP_TYPES = ['page', 'event', 'intent'];
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+const DROP_OFF_LIMIT = 25;
+
+const PAGE_EVENT_TYPES = ['page_view', 'pixel_view'];
+
+function toRegex(pattern) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    return null;
+  }
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate and normalise funnel form input
+ * steps arrives as steps[0][name]=... which qs parses into an array (or an
+ * object once there are many indices). Blank step rows are dropped.
+ * Returns { funnel, errors }
+ */
+function validateFunnel(input) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+  const rawSteps = Array.isArray(input.steps) ? input.steps : Object.values(input.steps || {});
+  const steps = rawSteps
+    .map(step => ({
+      name: clean(step.name),
+      type: clean(step.type),
+      page_pattern: clean(step.page_pattern),
+      event_type: clean(step.event_type),
+      intent_type: clean(step.intent_type),
+      within_minutes: clean(String(step.within_minutes ?? '')) ? parseFloat(step.within_minutes) : null
+    }))
+    .filter(step => step.name || step.page_pattern || step.event_type || step.intent_type);
+
+  const funnel = {
+    name: clean(input.name),
+    scope: clean(input.scope) || 'session',
+    steps
+  };
+
+  if (!funnel.name) errors.push('Funnel name is required');
+  if (!FUNNEL_SCOPES.includes(funnel.scope)) errors.push('Scope must be session or visitor');
+  if (steps.length < MIN_STEPS || steps.length > MAX_STEPS) {
+    errors.push(`A funnel needs between ${MIN_STEPS} and ${MAX_STEPS} steps`);
+  }
+
+  steps.forEach((step, idx) => {
+    const label = `Step ${idx + 1}`;
+    if (!STEP_TYPES.includes(step.type)) {
+      errors.push(`${label}: type must be page, event or intent`);
+      return;
+    }
+    if (step.type === 'page' && !step.page_pattern) errors.push(`${label}: page URL pattern is required`);
+    if (step.type === 'page' && step.page_pattern && !toRegex(step.page_pattern)) {
+      errors.push(`${label}: invalid regular expression: ${step.page_pattern}`);
+    }
+    if (step.type === 'event' && !step.event_type) errors.push(`${label}: event type is required`);
+    if (step.type === 'intent' && !step.intent_type) errors.push(`${label}: CTA intent is required`);
+    if (step.within_minutes !== null && (!Number.isFinite(step.within_minutes) || step.within_minutes <= 0)) {
+      errors.push(`${label}: "within" must be a positive number of minutes`);
+    }
+    if (idx === 0) step.within_minutes = null;
+    if (!step.name) step.name = describeStep(step);
+  });
+
+  return { funnel, errors };
+}
+
+/**
+ * Human label for a step with no name
+ */
+function describeStep(step) {
+  if (step.type === 'page') return `Visited ${step.page_pattern}`;
+  if (step.type === 'event') return `Fired ${step.event_type}`;
+  if (step.type === 'intent') return `Intent: ${step.intent_type}`;
+  return 'Step';
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+function matchesStep(step, event) {
+  switch (step.type) {
+    case 'page': {
+      const regex = toRegex(step.page_pattern);
+      return !!regex && PAGE_EVENT_TYPES.includes(event.event_type) && regex.test(event.page_url || '');
+    }
+    case 'event':
+      return event.event_type === step.event_type;
+    case 'intent':
+      return event.intent_type === step.intent_type;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Walk one journey (or one visitor's journeys) through the steps
+ * Expects events sorted by time. Returns, per reached step,
+ * { at, gapMs, journeyId } where gapMs is the time since the previous step.
+ *
+ * Each step anchors on the LATEST qualifying completion of the previous
+ * step, so a "within N minutes" rule is met if any earlier attempt fits.
+ */
+function walkFunnel(steps, events) {
+  const anchors = new Array(steps.length).fill(null);
+  const reached = [];
+
+  for (const event of events) {
+    const t = new Date(event.occurred_at).getTime();
+
+    // Backwards so one event can never complete two consecutive steps
+    for (let k = steps.length - 1; k >= 0; k--) {
+      if (!matchesStep(steps[k], event)) continue;
+
+      if (k === 0) {
+        anchors[0] = t;
+        if (!reached[0]) reached[0] = { at: t, gapMs: null, journeyId: event.journey_id };
+        continue;
+      }
+
+      const prev = anchors[k - 1];
+      if (prev === null) continue;
+
+      const within = steps[k].within_minutes;
+      if (within && t - prev > within * 60 * 1000) continue;
+
+      anchors[k] = t;
+      if (!reached[k]) reached[k] = { at: t, gapMs: t - prev, journeyId: event.journey_id };
+    }
+  }
+
+  return reached;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Group events by journey or by visitor depending on the funnel scope
+ */
+function groupEvents(events, scope) {
+  const groups = new Map();
+  for (const event of events) {
+    const key = scope === 'visitor' ? (event.visitor_id || event.journey_id) : event.journey_id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  }
+  for (const rows of groups.values()) {
+    rows.sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  }
+  return groups;
+}
+
+/**
+ * Step counts, conversion, median time between steps and drop-offs
+ * Drop-offs for a step are the journeys that reached the previous step but
+ * never this one (for visitor scope, the journey where they reached it).
+ */
+function buildFunnelReport(funnel, events) {
+  const steps = funnel.steps || [];
+  const groups = groupEvents(events, funnel.scope);
+
+  const perStep = steps.map(() => ({ count: 0, gaps: [], dropoffs: [], dropoffCount: 0 }));
+
+  for (const [key, rows] of groups) {
+    const reached = walkFunnel(steps, rows);
+
+    reached.forEach((hit, idx) => {
+      perStep[idx].count++;
+      if (hit.gapMs !== null) perStep[idx].gaps.push(hit.gapMs);
+    });
+
+    const next = reached.length;
+    if (next > 0 && next < steps.length) {
+      perStep[next].dropoffCount++;
+      if (perStep[next].dropoffs.length < DROP_OFF_LIMIT) {
+        const last = reached[next - 1];
+        perStep[next].dropoffs.push({
+          journey_id: last.journeyId,
+          visitor_id: funnel.scope === 'visitor' ? key : (rows[0].visitor_id || null),
+          reached_at: new Date(last.at).toISOString()
+        });
+      }
+    }
+  }
+
+  const entered = perStep[0]?.count || 0;
+
+  return {
+    id: funnel.id,
+    name: funnel.name,
+    scope: funnel.scope,
+    entered,
+    converted: perStep[steps.length - 1]?.count || 0,
+    steps: steps.map((step, idx) => {
+      const prevCount = idx > 0 ? perStep[idx - 1].count : null;
+      const gap = median(perStep[idx].gaps);
+      return {
+        name: step.name || describeStep(step),
+        description: describeStep(step),
+        within_minutes: step.within_minutes || null,
+        count: perStep[idx].count,
+        stepRate: prevCount ? Math.round(perStep[idx].count / prevCount * 1000) / 10 : null,
+        overallRate: entered ? Math.round(perStep[idx].count / entered * 1000) / 10 : 0,
+        medianSecondsFromPrev: gap === null ? null : Math.round(gap / 1000),
+        dropoffCount: perStep[idx].dropoffCount,
+        dropoffs: perStep[idx].dropoffs
+      };
+    })
+  };
+}
+
+/**
+ * Event types and intents a funnel can match, used to narrow the event query
+ */
+function getFunnelEventFilter(funnel) {
+  const eventTypes = new Set();
+  const intentTypes = new Set();
+
+  for (const step of funnel.steps || []) {
+    if (step.type === 'page') PAGE_EVENT_TYPES.forEach(type => eventTypes.add(type));
+    if (step.type === 'event') eventTypes.add(step.event_type);
+    if (step.type === 'intent') intentTypes.add(step.intent_type);
+  }
+
+  return { eventTypes: Array.from(eventTypes), intentTypes: Array.from(intentTypes) };
+}
+
+module.exports = {
+  FUNNEL_SCOPES,
+  STEP_TYPES,
+  MAX_STEPS,
+  validateFunnel,
+  describeStep,
+  matchesStep,
+  walkFunnel,
+  buildFunnelReport,
+  getFunnelEventFilter
+};
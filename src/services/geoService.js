@@ -145,8 +145,8 @@ function cleanupCache() {
   }
 }
 
-// Run cache cleanup every hour
-setInterval(cleanupCache, 60 * 60 * 1000);
+// Run cache cleanup every hour (unref'd so it never keeps the process alive on its own)
+setInterval(cleanupCache, 60 * 60 * 1000).unref();
 
 module.exports = {
   lookupIP,
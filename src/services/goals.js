@@ -0,0 +1,190 @@
+/**
+ * Site Goals
+ *
+ * Per-site conversion definitions used by determineOutcome, /funnel and
+ * getConversionFunnel. A goal matches one of:
+ *   url   - a page view whose URL matches url_pattern (e.g. a thank-you page)
+ *   event - an event_type, optionally with metadata[metadata_key] matching metadata_pattern
+ *   cta   - a click whose cta_label matches cta_pattern
+ * When several goals are hit in one journey, the highest value_weight wins.
+ */
+
+const { getSiteGoals, getSiteGoalsVersion } = require('../db/queries');
+
+const GOAL_MATCH_TYPES = ['url', 'event', 'cta'];
+const PAGE_EVENT_TYPES = ['page_view', 'pixel_view'];
+const CLICK_EVENT_TYPES = ['cta_click', 'download_click', 'external_link', 'pdf_download'];
+// The pattern column each match type tests
+const PATTERN_COLUMNS = { url: 'url_pattern', event: 'metadata_pattern', cta: 'cta_pattern' };
+
+// Site id -> { goals, version }: active goals, compiled, and the
+// sites.goals_version they were loaded at. Checking the version costs one
+// primary-key lookup but catches goal edits made in any process (the admin
+// runs in the web process, the rebuild may run in a worker).
+const goalCache = new Map();
+
+/**
+ * Compile a stored pattern; invalid patterns never match
+ */
+function toRegex(pattern) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The goal with its pattern compiled once, as `regex`, for matchesGoal
+ */
+function compileGoal(goal) {
+  return { ...goal, regex: toRegex(goal[PATTERN_COLUMNS[goal.match_type]]) };
+}
+
+function goalRegex(goal) {
+  return 'regex' in goal ? goal.regex : toRegex(goal[PATTERN_COLUMNS[goal.match_type]]);
+}
+
+/**
+ * Does a single event satisfy this goal?
+ * Goals from getActiveGoals come compiled; others are compiled per call.
+ */
+function matchesGoal(goal, event) {
+  switch (goal.match_type) {
+    case 'url': {
+      const regex = goalRegex(goal);
+      return !!regex && PAGE_EVENT_TYPES.includes(event.event_type) && regex.test(event.page_url || '');
+    }
+
+    case 'event': {
+      if (event.event_type !== goal.event_type) return false;
+      if (!goal.metadata_key) return true;
+
+      const value = event.metadata?.[goal.metadata_key];
+      if (value === undefined || value === null) return false;
+      if (!goal.metadata_pattern) return true;
+
+      const regex = goalRegex(goal);
+      return !!regex && regex.test(String(value));
+    }
+
+    case 'cta': {
+      const regex = goalRegex(goal);
+      const typeMatches = goal.event_type
+        ? event.event_type === goal.event_type
+        : CLICK_EVENT_TYPES.includes(event.event_type);
+      return !!regex && typeMatches && regex.test(event.cta_label || '');
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the goal conversion for a journey
+ * Expects events sorted by time. Returns { goal, event } or null.
+ */
+function findGoalConversion(events, goals) {
+  let best = null;
+
+  for (const event of events) {
+    for (const goal of goals) {
+      if (!matchesGoal(goal, event)) continue;
+
+      // Highest value wins; on a tie the later hit wins (latest meaningful action)
+      if (!best || goal.value_weight >= best.goal.value_weight) {
+        best = { goal, event };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Active goals for a site, cached until its goals change
+ */
+async function getActiveGoals(siteId) {
+  if (!siteId) return [];
+
+  const version = await getSiteGoalsVersion(siteId);
+  const cached = goalCache.get(siteId);
+  if (cached && cached.version === version) {
+    return cached.goals;
+  }
+
+  const goals = (await getSiteGoals(siteId, { activeOnly: true })).map(compileGoal);
+  goalCache.set(siteId, { goals, version });
+  return goals;
+}
+
+function clearGoalCache(siteId) {
+  goalCache.delete(siteId);
+}
+
+/**
+ * Validate and normalise goal form input
+ * Returns { goal, errors }
+ */
+function validateGoal(input) {
+  const errors = [];
+  const clean = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+  const goal = {
+    name: clean(input.name),
+    outcome: clean(input.outcome),
+    match_type: clean(input.match_type),
+    url_pattern: clean(input.url_pattern),
+    event_type: clean(input.event_type),
+    metadata_key: clean(input.metadata_key),
+    metadata_pattern: clean(input.metadata_pattern),
+    cta_pattern: clean(input.cta_pattern),
+    value_weight: input.value_weight === undefined || input.value_weight === '' ? 1 : parseFloat(input.value_weight),
+    is_active: input.is_active === true || input.is_active === 'on' || input.is_active === 'true'
+  };
+
+  if (!goal.name) errors.push('Name is required');
+
+  // Outcome defaults to a slug of the name, e.g. "Prospectus download" -> prospectus_download
+  if (!goal.outcome && goal.name) {
+    goal.outcome = goal.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+  if (!goal.outcome || !/^[a-z0-9_]+$/.test(goal.outcome)) {
+    errors.push('Outcome must be lowercase letters, numbers and underscores');
+  }
+
+  if (!GOAL_MATCH_TYPES.includes(goal.match_type)) {
+    errors.push('Match type must be url, event or cta');
+  }
+
+  if (goal.match_type === 'url' && !goal.url_pattern) errors.push('URL pattern is required');
+  if (goal.match_type === 'event' && !goal.event_type) errors.push('Event type is required');
+  if (goal.match_type === 'event' && goal.metadata_pattern && !goal.metadata_key) {
+    errors.push('Metadata pattern needs a metadata key');
+  }
+  if (goal.match_type === 'cta' && !goal.cta_pattern) errors.push('CTA label pattern is required');
+
+  for (const field of ['url_pattern', 'metadata_pattern', 'cta_pattern']) {
+    if (goal[field] && !toRegex(goal[field])) {
+      errors.push(`Invalid regular expression: ${goal[field]}`);
+    }
+  }
+
+  if (!Number.isFinite(goal.value_weight) || goal.value_weight < 0) {
+    errors.push('Value weight must be a positive number');
+  }
+
+  return { goal, errors };
+}
+
+module.exports = {
+  GOAL_MATCH_TYPES,
+  compileGoal,
+  matchesGoal,
+  findGoalConversion,
+  getActiveGoals,
+  clearGoalCache,
+  validateGoal
+};
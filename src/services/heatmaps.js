@@ -0,0 +1,196 @@
+/**
+ * Heatmaps
+ *
+ * Overlays what visitors did on a page onto the screenshot screenshotService
+ * captured of it (desktop or mobile):
+ *   - click density from CTA, download and dead clicks
+ *   - dead and rage click markers
+ *   - scroll reach: the share of page views whose fold got past each of the
+ *     tracker's scroll thresholds
+ * The tracker sends each click's document-relative position with the page
+ * size it was measured against (metadata.click), and scroll_depth events carry
+ * page and viewport height. Positions are stored as fractions of the page so
+ * they land in the right place on a screenshot of a different size.
+ */
+
+const { getHeatmapEvents } = require('../db/queries');
+const {
+  getSiteConfig,
+  screenshotExists,
+  encodePathForFilename
+} = require('./screenshotService');
+
+const DEVICES = ['desktop', 'mobile'];
+const SCROLL_THRESHOLDS = [25, 50, 75, 90, 100];
+const DENSITY_CLICK_TYPES = ['cta_click', 'download_click', 'dead_click'];
+const MAX_MARKERS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// PAGES
+// ============================================
+
+/**
+ * Match both /fees and /fees/ (and '' for the homepage) against page_url paths
+ */
+function pathVariants(pagePath) {
+  const trimmed = (pagePath || '/').replace(/\/+$/, '');
+  return [trimmed, trimmed + '/'];
+}
+
+/**
+ * The site's configured pages, with which screenshots have been captured
+ */
+function getHeatmapPages(siteId) {
+  const config = getSiteConfig(siteId);
+  if (!config) return [];
+
+  return Object.entries(config.pages || {})
+    .filter(([, info]) => info.captureScreenshot !== false)
+    .map(([path, info]) => ({
+      path,
+      name: info.name || path,
+      pageName: encodePathForFilename(path),
+      screenshots: {
+        desktop: screenshotExists(siteId, path, false),
+        mobile: screenshotExists(siteId, path, true)
+      }
+    }));
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+/**
+ * Screenshots are desktop or mobile; tablets are shown on the desktop one
+ */
+function deviceBucket(deviceType) {
+  return deviceType === 'mobile' ? 'mobile' : 'desktop';
+}
+
+function ratio(value, total) {
+  const v = Number(value);
+  const t = Number(total);
+  if (!Number.isFinite(v) || !Number.isFinite(t) || t <= 0) return null;
+  return Math.min(1, Math.max(0, v / t));
+}
+
+/**
+ * A click as fractions of the page, or null for events sent before the
+ * tracker recorded document positions
+ */
+function clickPoint(metadata) {
+  const click = metadata && metadata.click;
+  if (!click) return null;
+  const x = ratio(click.x, click.page_width);
+  const y = ratio(click.y, click.page_height);
+  if (x === null || y === null) return null;
+  return { x: Math.round(x * 10000) / 10000, y: Math.round(y * 10000) / 10000 };
+}
+
+/**
+ * Where the bottom of the viewport was, as a fraction of the page, when a
+ * scroll_depth threshold was crossed (depth is % of the scrollable range)
+ */
+function foldRatio(metadata, depth) {
+  const pageHeight = Number(metadata && metadata.page_height);
+  const viewportHeight = Number(metadata && metadata.viewport_height);
+  if (!(pageHeight > 0) || !(viewportHeight > 0) || viewportHeight >= pageHeight) return null;
+  return ((depth / 100) * (pageHeight - viewportHeight) + viewportHeight) / pageHeight;
+}
+
+/**
+ * Aggregate heatmap events (newest first, as getHeatmapEvents returns them)
+ * for one device
+ * Returns { clicks, deadClicks, rageClicks, scroll, totals }.
+ */
+function buildHeatmap(rows, device) {
+  const clicks = [];
+  const deadClicks = [];
+  const rageClicks = [];
+  const pageViews = new Set();
+  const reachedBy = new Map(SCROLL_THRESHOLDS.map(t => [t, new Set()]));
+  const folds = new Map(SCROLL_THRESHOLDS.map(t => [t, []]));
+  let clicksWithoutPosition = 0;
+
+  for (const row of rows) {
+    if (deviceBucket(row.device_type) !== device) continue;
+    const metadata = row.metadata || {};
+
+    if (row.event_type === 'page_view') {
+      pageViews.add(row.journey_id);
+      continue;
+    }
+
+    if (row.event_type === 'scroll_depth') {
+      const depth = Number(metadata.depth_percent);
+      if (!reachedBy.has(depth)) continue;
+      reachedBy.get(depth).add(row.journey_id);
+      const fold = foldRatio(metadata, depth);
+      if (fold !== null) folds.get(depth).push(fold);
+      continue;
+    }
+
+    const point = clickPoint(metadata);
+    if (!point) {
+      clicksWithoutPosition++;
+      continue;
+    }
+    if (DENSITY_CLICK_TYPES.includes(row.event_type)) clicks.push(point);
+    if (row.event_type === 'dead_click' && deadClicks.length < MAX_MARKERS) {
+      deadClicks.push({ ...point, element: metadata.element || null });
+    }
+    if (row.event_type === 'rage_click' && rageClicks.length < MAX_MARKERS) {
+      rageClicks.push({ ...point, element: metadata.element || null, count: metadata.click_count || null });
+    }
+  }
+
+  // Page views are counted per journey, like scroll thresholds, so repeat
+  // visits to the page within a journey count once
+  const views = pageViews.size;
+  const scroll = SCROLL_THRESHOLDS.map(depth => {
+    const reached = reachedBy.get(depth).size;
+    const measured = folds.get(depth);
+    return {
+      depth,
+      reached,
+      percent: views > 0 ? Math.min(100, Math.round((reached / views) * 100)) : 0,
+      // Without measurements, assume the fold is the threshold itself
+      y: measured.length > 0
+        ? Math.round((measured.reduce((sum, f) => sum + f, 0) / measured.length) * 10000) / 10000
+        : depth / 100
+    };
+  });
+
+  return {
+    clicks,
+    deadClicks,
+    rageClicks,
+    scroll,
+    totals: {
+      pageViews: views,
+      clicks: clicks.length,
+      deadClicks: deadClicks.length,
+      rageClicks: rageClicks.length,
+      clicksWithoutPosition
+    }
+  };
+}
+
+/**
+ * Heatmap for a page of a site over the last `days` days
+ */
+async function getHeatmap(siteId, pagePath, device = 'desktop', days = 30, now = new Date()) {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const rows = await getHeatmapEvents(siteId, pathVariants(pagePath), since);
+  return buildHeatmap(rows, device);
+}
+
+module.exports = {
+  DEVICES,
+  pathVariants,
+  getHeatmapPages,
+  buildHeatmap,
+  getHeatmap
+};
@@ -11,6 +11,8 @@ const {
   getAllUniqueIPs
 } = require('../db/queries');
 const { calculateJourneyBotScore } = require('./botDetection');
+const { findGoalConversion, getActiveGoals } = require('./goals');
+const { classifyJourneyChannel } = require('./channels');
 
 /**
  * Sort events chronologically - never trust upstream ordering.
@@ -109,6 +111,30 @@ function getUniquePages(events) {
   return new Set(pageViews.map(e => e.page_url).filter(Boolean)).size;
 }
 
+/**
+ * Events the tracker numbered but that never arrived.
+ * Each page load is a stream numbered from 0, so within a stream every seq
+ * below the highest received should be present. Returns null when no event
+ * carries a sequence number (older tracker versions, pixel hits).
+ */
+function findSequenceGaps(events) {
+  const streams = new Map();
+  for (const e of events) {
+    if (!e.stream_id || e.seq === null || e.seq === undefined) continue;
+    if (!streams.has(e.stream_id)) streams.set(e.stream_id, new Set());
+    streams.get(e.stream_id).add(Number(e.seq));
+  }
+  if (streams.size === 0) return null;
+
+  let expected = 0;
+  let received = 0;
+  for (const seqs of streams.values()) {
+    expected += Math.max(...seqs) + 1;
+    received += seqs.size;
+  }
+  return { streams: streams.size, received, missing: expected - received };
+}
+
 /**
  * Engagement metrics used for strength/confidence scoring.
  */
@@ -130,10 +156,10 @@ function calculateEngagementMetrics(events) {
 }
 
 /**
- * Intent strength scoring.
- * Returns: 'low' | 'medium' | 'high'
+ * Intent points behind the strength (the live follow view shows them as the
+ * journey unfolds). Ranges from -2 to 12.
  */
-function calculateIntentStrength(events, timeToAction) {
+function calculateIntentScore(events, timeToAction) {
   const metrics = calculateEngagementMetrics(events);
 
   let score = 0;
@@ -166,6 +192,18 @@ function calculateIntentStrength(events, timeToAction) {
   // Volume
   if (metrics.totalEvents >= 15) score += 1;
 
+  return score;
+}
+
+/**
+ * Intent strength scoring.
+ * Returns: 'low' | 'medium' | 'high'
+ */
+function calculateIntentStrength(events, timeToAction) {
+  return intentStrengthForScore(calculateIntentScore(events, timeToAction));
+}
+
+function intentStrengthForScore(score) {
   if (score >= 7) return 'high';
   if (score >= 3) return 'medium';
   return 'low';
@@ -363,41 +401,60 @@ function determineInitialIntent(events) {
   return urlIntent || 'browsing';
 }
 
+/**
+ * Was this form_submit really a site search?
+ * True when a site_search event follows within 2 seconds, or the next
+ * page view is a search results page (?s=).
+ */
+function isSearchFormSubmit(sorted, submit) {
+  const submitIndex = sorted.indexOf(submit);
+  const submitTime = new Date(submit.occurred_at).getTime();
+
+  // Check if there's a site_search event within 2 seconds after this submit
+  const followingSearch = sorted.find((e, idx) => {
+    if (idx <= submitIndex) return false;
+    if (e.event_type !== 'site_search') return false;
+    const timeDiff = new Date(e.occurred_at).getTime() - submitTime;
+    return timeDiff >= 0 && timeDiff < 2000; // Within 2 seconds
+  });
+
+  // Also check if the page URL after submit contains ?s= (search results)
+  const followingPage = sorted.find((e, idx) => {
+    if (idx <= submitIndex) return false;
+    return e.event_type === 'page_view';
+  });
+  const isSearchResult = followingPage?.page_url?.includes('?s=') || followingPage?.page_url?.includes('search');
+
+  return !!followingSearch || !!isSearchResult;
+}
+
 /**
  * Determine outcome using the LATEST meaningful action.
  * Returns object with outcome + details for dashboards/AI.
+ *
+ * When the site has goal definitions (see services/goals.js) they replace the
+ * built-in form_submit conversion rules; abandonment and engagement
+ * classification still apply to journeys that hit no goal.
  */
-function determineOutcome(events) {
+function determineOutcome(events, goals = []) {
   const sorted = sortEventsByTime(events);
 
   // 1) Form submit (highest value) - but exclude search forms
   const submits = sorted.filter(e => e.event_type === 'form_submit');
-
-  // Filter out search form submissions
-  const realFormSubmits = submits.filter(submit => {
-    const submitIndex = sorted.indexOf(submit);
-    const submitTime = new Date(submit.occurred_at).getTime();
-
-    // Check if there's a site_search event within 2 seconds after this submit
-    const followingSearch = sorted.find((e, idx) => {
-      if (idx <= submitIndex) return false;
-      if (e.event_type !== 'site_search') return false;
-      const timeDiff = new Date(e.occurred_at).getTime() - submitTime;
-      return timeDiff >= 0 && timeDiff < 2000; // Within 2 seconds
-    });
-
-    // Also check if the page URL after submit contains ?s= (search results)
-    const followingPage = sorted.find((e, idx) => {
-      if (idx <= submitIndex) return false;
-      return e.event_type === 'page_view';
-    });
-    const isSearchResult = followingPage?.page_url?.includes('?s=') || followingPage?.page_url?.includes('search');
-
-    // Exclude if it was a search form
-    return !followingSearch && !isSearchResult;
-  });
-
-  if (realFormSubmits.length > 0) {
+  const realFormSubmits = submits.filter(submit => !isSearchFormSubmit(sorted, submit));
+
+  if (goals.length > 0) {
+    const candidates = sorted.filter(e => e.event_type !== 'form_submit' || realFormSubmits.includes(e));
+    const hit = findGoalConversion(candidates, goals);
+    if (hit) {
+      return {
+        outcome: hit.goal.outcome,
+        raw_outcome: 'goal_completed',
+        intent_type: hit.event.intent_type || null,
+        goal: { id: hit.goal.id, name: hit.goal.name, value: hit.goal.value_weight }
+      };
+    }
+  } else if (realFormSubmits.length > 0) {
     const last = realFormSubmits[realFormSubmits.length - 1];
     if (last.intent_type === 'book_visit') {
       return { outcome: 'visit_booked', raw_outcome: 'visit_booked', intent_type: last.intent_type };
@@ -464,13 +521,15 @@ async function reconstructJourney(journeyId, siteId = null) {
   const timeToAction = calculateTimeToAction(events);
   const metrics = calculateEngagementMetrics(events);
 
-  const outcomeResult = determineOutcome(events);
+  const goals = await getActiveGoals(siteId || firstEvent.site_id);
+  const outcomeResult = determineOutcome(events, goals);
   const strength = calculateIntentStrength(events, timeToAction);
   const friction = detectFriction(events, loops);
   const confidence = calculateConfidence(events, metrics);
 
   // Calculate bot score for the entire journey
   const botResult = calculateJourneyBotScore(events);
+  const channel = classifyJourneyChannel(events);
 
   // Calculate visit_number by counting journeys from same visitor_id OR same IP address
   // IP address is more reliable than localStorage-based visitor_id
@@ -500,8 +559,13 @@ async function reconstructJourney(journeyId, siteId = null) {
     outcome_detail: {
       raw: outcomeResult.raw_outcome,
       intent_type: outcomeResult.intent_type || null,
-      strength
+      strength,
+      ...(outcomeResult.goal && { goal: outcomeResult.goal.name })
     },
+    goal_id: outcomeResult.goal?.id || null,
+    goal_value: outcomeResult.goal?.value ?? null,
+    channel: channel.channel,
+    channel_source: `${channel.source} / ${channel.medium}`,
     time_to_action: timeToAction,
     loops,
     friction,
@@ -535,12 +599,14 @@ async function buildJourneyFromEvents(primaryJourneyId, events, visitNumber, sit
   const timeToAction = calculateTimeToAction(sortedEvents);
   const metrics = calculateEngagementMetrics(sortedEvents);
 
-  const outcomeResult = determineOutcome(sortedEvents);
+  const goals = await getActiveGoals(siteId || firstEvent.site_id);
+  const outcomeResult = determineOutcome(sortedEvents, goals);
   const strength = calculateIntentStrength(sortedEvents, timeToAction);
   const friction = detectFriction(sortedEvents, loops);
   const confidence = calculateConfidence(sortedEvents, metrics);
 
   const botResult = calculateJourneyBotScore(sortedEvents);
+  const channel = classifyJourneyChannel(sortedEvents);
 
   // Get IP address from any event (prefer first, fall back to any non-null)
   const primaryIP = firstEvent.ip_address ||
@@ -561,8 +627,13 @@ async function buildJourneyFromEvents(primaryJourneyId, events, visitNumber, sit
     outcome_detail: {
       raw: outcomeResult.raw_outcome,
       intent_type: outcomeResult.intent_type || null,
-      strength
+      strength,
+      ...(outcomeResult.goal && { goal: outcomeResult.goal.name })
     },
+    goal_id: outcomeResult.goal?.id || null,
+    goal_value: outcomeResult.goal?.value ?? null,
+    channel: channel.channel,
+    channel_source: `${channel.source} / ${channel.medium}`,
     time_to_action: timeToAction,
     loops,
     friction,
@@ -760,7 +831,8 @@ async function getJourneyWithEvents(journeyId, siteId = null) {
 
   return {
     ...journey,
-    events
+    events,
+    sequence_gaps: findSequenceGaps(events)
   };
 }
 
@@ -773,8 +845,12 @@ module.exports = {
   buildPageSequence,
   detectLoops,
   calculateTimeToAction,
+  calculateIntentScore,
   calculateIntentStrength,
+  intentStrengthForScore,
   detectFriction,
   calculateConfidence,
-  calculateEngagementMetrics
+  calculateEngagementMetrics,
+  findSequenceGaps,
+  isSearchFormSubmit
 };
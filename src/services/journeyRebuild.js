@@ -0,0 +1,299 @@
+/**
+ * Incremental Journey Rebuild
+ *
+ * Replaces the old "rebuild everything touched in the last 5 minutes" loop.
+ * Two steps per tick:
+ *   1. collect - advance the journey_events.id high-water mark in
+ *      worker_cursors and mark the journeys those events belong to as dirty
+ *   2. rebuild - claim dirty journeys (FOR UPDATE SKIP LOCKED), reconstruct
+ *      and upsert them, then clear them from dirty_journeys. Journeys with
+ *      new events (priority 0) go before ones queued in bulk by a backfill
+ *      or site-wide re-mark (priority 1).
+ * Rebuilt journeys' visitors are then rescored (services/leadScoring.js),
+ * lifecycle webhooks are queued for journeys that started or converted
+ * (services/webhooks.js), conversions are pushed to the live dashboard
+ * (services/realtime.js), and a batch of day-old lead scores is refreshed
+ * so recency decay applies.
+ * The cursor row is locked while collecting and dirty rows are claimed with
+ * SKIP LOCKED, so any number of web processes or workers can run this
+ * without duplicating work.
+ */
+
+const { getDb } = require('../db/database');
+const { upsertJourney } = require('../db/queries');
+const { reconstructJourney } = require('./journeyBuilder');
+const { rescoreVisitors, refreshStaleLeadScores } = require('./leadScoring');
+const { journeyLifecycleEvents, emitWebhookEvents } = require('./webhooks');
+const realtime = require('./realtime');
+
+const CURSOR_NAME = 'journey_rebuild';
+const SCAN_LIMIT = parseInt(process.env.REBUILD_SCAN_LIMIT || '5000', 10);
+const BATCH_SIZE = parseInt(process.env.REBUILD_BATCH_SIZE || '100', 10);
+const INTERVAL_MS = parseInt(process.env.REBUILD_INTERVAL_MS || '5000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.REBUILD_MAX_ATTEMPTS || '5', 10);
+
+// Sequence values are handed out before commit, so a lower id can become
+// visible after a higher one. The cursor never skips a missing id until it
+// has stayed missing this long (rolled-back inserts leave permanent gaps).
+const GAP_TIMEOUT_MS = parseInt(process.env.REBUILD_GAP_TIMEOUT_MS || '30000', 10);
+const gapsFirstSeen = new Map();
+
+// ============================================
+// COLLECT
+// ============================================
+
+/**
+ * Walk ids past the cursor, stopping at the first gap that is still young
+ * Returns the new high-water mark and the journeys seen up to it.
+ */
+function advanceCursor(cursor, rows, now = Date.now()) {
+  let highWater = cursor;
+  const journeyIds = new Set();
+
+  for (const row of rows) {
+    const id = Number(row.id);
+
+    if (id !== highWater + 1) {
+      const gapStart = highWater + 1;
+      const firstSeen = gapsFirstSeen.get(gapStart);
+      if (firstSeen === undefined) {
+        gapsFirstSeen.set(gapStart, now);
+        break;
+      }
+      if (now - firstSeen < GAP_TIMEOUT_MS) break;
+    }
+
+    highWater = id;
+    journeyIds.add(row.journey_id);
+  }
+
+  // Gaps at or below the cursor have been filled or given up on
+  for (const gapStart of gapsFirstSeen.keys()) {
+    if (gapStart <= highWater) gapsFirstSeen.delete(gapStart);
+  }
+
+  return { highWater, journeyIds: Array.from(journeyIds) };
+}
+
+/**
+ * Move new events past the cursor into the dirty set
+ * Returns the number of journeys marked dirty.
+ */
+async function collectDirtyJourneys(db = getDb()) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `INSERT INTO worker_cursors (name, last_event_id) VALUES ($1, 0)
+       ON CONFLICT (name) DO NOTHING`,
+      [CURSOR_NAME]
+    );
+    const cursorResult = await client.query(
+      'SELECT last_event_id FROM worker_cursors WHERE name = $1 FOR UPDATE',
+      [CURSOR_NAME]
+    );
+    const cursor = parseInt(cursorResult.rows[0].last_event_id, 10);
+
+    const eventsResult = await client.query(
+      `SELECT id, journey_id FROM journey_events
+       WHERE id > $1
+       ORDER BY id
+       LIMIT $2`,
+      [cursor, SCAN_LIMIT]
+    );
+
+    const { highWater, journeyIds } = advanceCursor(cursor, eventsResult.rows);
+
+    if (highWater > cursor) {
+      if (journeyIds.length > 0) {
+        await client.query(
+          `INSERT INTO dirty_journeys (journey_id)
+           SELECT UNNEST($1::text[])
+           ON CONFLICT (journey_id) DO UPDATE SET marked_at = CURRENT_TIMESTAMP, attempts = 0, last_error = NULL, priority = 0`,
+          [journeyIds]
+        );
+      }
+      await client.query(
+        'UPDATE worker_cursors SET last_event_id = $2, updated_at = CURRENT_TIMESTAMP WHERE name = $1',
+        [CURSOR_NAME, highWater]
+      );
+    }
+
+    await client.query('COMMIT');
+    return journeyIds.length;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================
+// REBUILD
+// ============================================
+
+/**
+ * Rebuild one batch of dirty journeys, then rescore their visitors and
+ * queue lifecycle webhooks once the batch has committed
+ * Each journey is upserted on the claiming client under its own savepoint,
+ * so its dirty row is cleared in the same commit as the upsert and a failure
+ * undoes only that journey. Failed journeys stay dirty with
+ * attempts/last_error and are retried until REBUILD_MAX_ATTEMPTS.
+ * Returns { rebuilt, failed }.
+ */
+async function rebuildDirtyJourneys(db = getDb(), batchSize = BATCH_SIZE) {
+  const client = await db.connect();
+  const results = { rebuilt: 0, failed: 0 };
+  const visitors = new Map();
+  const lifecycleEvents = [];
+
+  try {
+    await client.query('BEGIN');
+    const claimed = await client.query(
+      `SELECT journey_id FROM dirty_journeys
+       WHERE attempts < $1
+       ORDER BY priority, marked_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [MAX_ATTEMPTS, batchSize]
+    );
+
+    const done = [];
+    for (const { journey_id: journeyId } of claimed.rows) {
+      await client.query('SAVEPOINT rebuild_journey');
+      try {
+        const journey = await reconstructJourney(journeyId);
+        if (journey) {
+          const upserted = await upsertJourney(journey, client);
+          lifecycleEvents.push(...journeyLifecycleEvents(journey, upserted.rows[0]));
+        }
+        await client.query('RELEASE SAVEPOINT rebuild_journey');
+        if (journey?.site_id && journey.visitor_id) {
+          visitors.set(`${journey.site_id}:${journey.visitor_id}`, { siteId: journey.site_id, visitorId: journey.visitor_id });
+        }
+        done.push(journeyId);
+        results.rebuilt++;
+      } catch (err) {
+        results.failed++;
+        console.error(`[REBUILD] Journey ${journeyId} failed:`, err.message);
+        await client.query('ROLLBACK TO SAVEPOINT rebuild_journey');
+        await client.query(
+          'UPDATE dirty_journeys SET attempts = attempts + 1, last_error = $2 WHERE journey_id = $1',
+          [journeyId, err.message]
+        );
+      }
+    }
+
+    if (done.length > 0) {
+      await client.query('DELETE FROM dirty_journeys WHERE journey_id = ANY($1)', [done]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await emitWebhookEvents(lifecycleEvents);
+  await realtime.publish(realtime.lifecycleMessages(lifecycleEvents));
+  await rescoreVisitors(Array.from(visitors.values()));
+  return results;
+}
+
+/**
+ * One collect + rebuild pass, draining the dirty set while batches are full
+ */
+async function runJourneyRebuild(db = getDb()) {
+  const marked = await collectDirtyJourneys(db);
+  const totals = { marked, rebuilt: 0, failed: 0 };
+
+  let batch;
+  do {
+    batch = await rebuildDirtyJourneys(db);
+    totals.rebuilt += batch.rebuilt;
+    totals.failed += batch.failed;
+  } while (batch.rebuilt + batch.failed >= BATCH_SIZE && workerRunning);
+
+  await refreshStaleLeadScores();
+  return totals;
+}
+
+// ============================================
+// LAG REPORTING
+// ============================================
+
+/**
+ * How far the rebuild is behind ingestion
+ */
+async function getJourneyRebuildLag(db = getDb()) {
+  const result = await db.query(
+    `SELECT
+       (SELECT last_event_id FROM worker_cursors WHERE name = $1) as cursor,
+       (SELECT MAX(id) FROM journey_events) as max_event_id,
+       (SELECT COUNT(*) FROM dirty_journeys WHERE attempts < $2) as dirty,
+       (SELECT COUNT(*) FROM dirty_journeys WHERE attempts >= $2) as failed,
+       (SELECT EXTRACT(EPOCH FROM (NOW() - MIN(marked_at))) FROM dirty_journeys WHERE attempts < $2) as oldest_dirty_seconds`,
+    [CURSOR_NAME, MAX_ATTEMPTS]
+  );
+  const row = result.rows[0];
+  const cursor = parseInt(row.cursor) || 0;
+  const maxEventId = parseInt(row.max_event_id) || 0;
+
+  return {
+    cursor,
+    maxEventId,
+    eventLag: Math.max(0, maxEventId - cursor),
+    dirtyJourneys: parseInt(row.dirty) || 0,
+    failedJourneys: parseInt(row.failed) || 0,
+    oldestDirtySeconds: row.oldest_dirty_seconds !== null ? Math.round(parseFloat(row.oldest_dirty_seconds)) : null
+  };
+}
+
+// ============================================
+// WORKER LOOP
+// ============================================
+
+let workerTimer = null;
+let workerRunning = false;
+
+async function tick() {
+  try {
+    const totals = await runJourneyRebuild();
+    if (totals.rebuilt > 0 || totals.failed > 0) {
+      console.log(`[REBUILD] Marked ${totals.marked}, rebuilt ${totals.rebuilt}, failed ${totals.failed}`);
+    }
+  } catch (err) {
+    console.error('Background journey rebuild failed:', err.message);
+  } finally {
+    if (workerRunning) {
+      workerTimer = setTimeout(tick, INTERVAL_MS);
+    }
+  }
+}
+
+function startJourneyRebuildWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[REBUILD] Worker started (every ${INTERVAL_MS}ms)`);
+  tick();
+}
+
+function stopJourneyRebuildWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+module.exports = {
+  advanceCursor,
+  collectDirtyJourneys,
+  rebuildDirtyJourneys,
+  runJourneyRebuild,
+  getJourneyRebuildLag,
+  startJourneyRebuildWorker,
+  stopJourneyRebuildWorker
+};
@@ -0,0 +1,409 @@
+/**
+ * Visitor Lead Scoring
+ *
+ * calculateIntentStrength / calculateConfidence describe a single journey;
+ * this scores a family across all of their visits. Each factor turns the
+ * visitor's human events into a 0-1 signal:
+ *   visits          - return visits (1 visit = 0, 4+ = 1)
+ *   fees_dwell      - time spent on fees / admissions pages
+ *   cta_hesitation  - hovers on CTAs without clicking (cta_hover)
+ *   video           - furthest any video was watched
+ *   form_progress   - fields completed, or a submitted form
+ * The weighted signals give 0-100 points, which then decay by recency
+ * (halving every half_life_days since the visitor was last seen). Weights
+ * and half-life are configurable per site in sites.lead_score_settings.
+ *
+ * Scores are stored with each factor's points (summing exactly to the score)
+ * so the family page can explain them. The rebuild worker rescores visitors
+ * whose journeys it rebuilds and refreshes scores older than a day. A score
+ * rising into the hot band emits lead.score_threshold_crossed.
+ */
+
+const {
+  getSiteLeadScoreSettings,
+  getVisitorScoringEvents,
+  upsertVisitorLeadScore,
+  deleteVisitorLeadScore,
+  getStaleLeadScores
+} = require('../db/queries');
+const { isSearchFormSubmit } = require('./journeyBuilder');
+const { emitWebhookEvent } = require('./webhooks');
+
+const FACTORS = ['visits', 'fees_dwell', 'cta_hesitation', 'video', 'form_progress'];
+const FACTOR_LABELS = {
+  visits: 'Return visits',
+  fees_dwell: 'Fees & admissions pages',
+  cta_hesitation: 'CTA hesitations',
+  video: 'Video completion',
+  form_progress: 'Form progress',
+  recency: 'Recency decay'
+};
+const DEFAULT_SETTINGS = {
+  weights: { visits: 20, fees_dwell: 25, cta_hesitation: 10, video: 15, form_progress: 30 },
+  half_life_days: 14
+};
+
+// Score bands for the /families filter and badges
+const SCORE_BANDS = {
+  hot: { min: 70, max: 100, label: 'Hot' },
+  warm: { min: 40, max: 69, label: 'Warm' },
+  cold: { min: 0, max: 39, label: 'Cold' }
+};
+
+const FEES_PAGE_PATTERN = /(fee|admission|apply|application|bursar|scholarship|tuition)/i;
+const FULL_VISITS = 4;
+const FULL_FEES_DWELL_SECONDS = 300;
+const FULL_HESITATIONS = 3;
+const FULL_FORM_FIELDS = 5;
+const MAX_PAGE_DWELL_SECONDS = 600;
+const MAX_HALF_LIFE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REFRESH_AFTER_MS = DAY_MS;
+const REFRESH_BATCH_SIZE = parseInt(process.env.LEAD_SCORE_REFRESH_BATCH || '200', 10);
+
+// Settings per site (avoids a DB hit for every visitor the worker rescores)
+const settingsCache = new Map();
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+// ============================================
+// FACTORS
+// ============================================
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return rest > 0 ? `${minutes}m ${rest}s` : `${minutes}m`;
+}
+
+/**
+ * Seconds on pages matching FEES_PAGE_PATTERN. A page's dwell runs from its
+ * page_view to the next page_view in the same journey (or the journey's last
+ * event), capped so a forgotten tab does not count for hours.
+ */
+function getFeesDwellSeconds(events) {
+  const byJourney = new Map();
+  for (const event of events) {
+    if (!byJourney.has(event.journey_id)) byJourney.set(event.journey_id, []);
+    byJourney.get(event.journey_id).push(event);
+  }
+
+  let seconds = 0;
+  for (const journeyEvents of byJourney.values()) {
+    const lastEventTime = new Date(journeyEvents[journeyEvents.length - 1].occurred_at).getTime();
+    const pageViews = journeyEvents.filter(e => e.event_type === 'page_view');
+
+    pageViews.forEach((view, i) => {
+      if (!FEES_PAGE_PATTERN.test(view.page_url || '')) return;
+      const start = new Date(view.occurred_at).getTime();
+      const end = pageViews[i + 1] ? new Date(pageViews[i + 1].occurred_at).getTime() : lastEventTime;
+      seconds += Math.min(MAX_PAGE_DWELL_SECONDS, Math.max(0, (end - start) / 1000));
+    });
+  }
+  return seconds;
+}
+
+/**
+ * Furthest any video was watched, 0-100
+ */
+function getVideoCompletion(events) {
+  let best = 0;
+  for (const event of events) {
+    if (event.event_type === 'video_complete') return 100;
+    if (event.event_type === 'video_pause') {
+      const percent = Number(event.metadata?.percent_watched);
+      if (Number.isFinite(percent)) best = Math.max(best, Math.min(100, percent));
+    }
+  }
+  return best;
+}
+
+/**
+ * { submitted, started, fieldsCompleted } across the visitor's forms (sorted
+ * events), ignoring site search forms
+ */
+function getFormProgress(events) {
+  const searchForms = new Set(events
+    .filter(e => e.event_type === 'form_submit' && isSearchFormSubmit(events, e))
+    .map(e => e.metadata?.form_id)
+    .filter(Boolean));
+  const completedFields = new Set();
+  let abandonedFields = 0;
+  let started = false;
+  let submitted = false;
+
+  for (const event of events) {
+    if (!event.event_type.startsWith('form_') || searchForms.has(event.metadata?.form_id)) continue;
+
+    switch (event.event_type) {
+      case 'form_submit':
+        if (!isSearchFormSubmit(events, event)) submitted = true;
+        break;
+      case 'form_start':
+      case 'form_field_focus':
+        started = true;
+        break;
+      case 'form_field_blur':
+        started = true;
+        if (event.metadata?.completed) {
+          completedFields.add(`${event.metadata.form_id}:${event.metadata.field_name}`);
+        }
+        break;
+      case 'form_abandon':
+        started = true;
+        abandonedFields = Math.max(abandonedFields, Number(event.metadata?.fields_completed) || 0);
+        break;
+    }
+  }
+
+  return { submitted, started, fieldsCompleted: Math.max(completedFields.size, abandonedFields) };
+}
+
+/**
+ * Each factor's 0-1 signal and a human-readable explanation
+ */
+function measureFactors(events) {
+  const visits = new Set(events.map(e => e.journey_id)).size;
+  const feesDwell = getFeesDwellSeconds(events);
+  const hesitations = events.filter(e => e.event_type === 'cta_hover').length;
+  const video = getVideoCompletion(events);
+  const form = getFormProgress(events);
+
+  let formSignal = 0;
+  let formDetail = 'No form activity';
+  if (form.submitted) {
+    formSignal = 1;
+    formDetail = 'Submitted a form';
+  } else if (form.started) {
+    formSignal = 0.2 + 0.6 * Math.min(1, form.fieldsCompleted / FULL_FORM_FIELDS);
+    formDetail = form.fieldsCompleted > 0
+      ? `Started a form, ${plural(form.fieldsCompleted, 'field')} completed`
+      : 'Started a form';
+  }
+
+  return {
+    visits: {
+      signal: Math.min(1, (visits - 1) / (FULL_VISITS - 1)),
+      detail: plural(visits, 'visit')
+    },
+    fees_dwell: {
+      signal: Math.min(1, feesDwell / FULL_FEES_DWELL_SECONDS),
+      detail: feesDwell > 0 ? `${formatDuration(feesDwell)} on fees / admissions pages` : 'No fees or admissions pages viewed'
+    },
+    cta_hesitation: {
+      signal: Math.min(1, hesitations / FULL_HESITATIONS),
+      detail: hesitations > 0 ? `Hovered on CTAs without clicking ${plural(hesitations, 'time')}` : 'No CTA hesitations'
+    },
+    video: {
+      signal: video / 100,
+      detail: video >= 100 ? 'Watched a video to the end'
+        : video > 0 ? `Watched ${Math.round(video)}% of a video`
+          : 'No videos watched'
+    },
+    form_progress: { signal: formSignal, detail: formDetail }
+  };
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Round values to integers that still add up to total (largest remainder)
+ */
+function apportion(values, total) {
+  const floors = values.map(Math.floor);
+  let remaining = total - floors.reduce((sum, v) => sum + v, 0);
+  const order = values
+    .map((value, i) => ({ i, remainder: value - floors[i] }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { i } of order) {
+    if (remaining <= 0) break;
+    floors[i]++;
+    remaining--;
+  }
+  return floors;
+}
+
+/**
+ * Score one visitor from their human events (any order)
+ * Returns { score, factors, lastSeen }, or null when there are no events.
+ */
+function scoreVisitor(events, settings = DEFAULT_SETTINGS, now = new Date()) {
+  if (!events || events.length === 0) return null;
+
+  const sorted = [...events].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  const weights = { ...DEFAULT_SETTINGS.weights, ...settings?.weights };
+  const halfLife = settings?.half_life_days || DEFAULT_SETTINGS.half_life_days;
+  const totalWeight = FACTORS.reduce((sum, key) => sum + weights[key], 0) || 1;
+  const measured = measureFactors(sorted);
+
+  const rawPoints = FACTORS.map(key => (weights[key] / totalWeight) * 100 * measured[key].signal);
+  const undecayed = rawPoints.reduce((sum, p) => sum + p, 0);
+  const factorPoints = apportion(rawPoints, Math.round(undecayed));
+
+  const lastSeen = new Date(sorted[sorted.length - 1].occurred_at);
+  const daysSince = Math.max(0, (now - lastSeen) / DAY_MS);
+  const decay = Math.pow(0.5, daysSince / halfLife);
+  const score = Math.max(0, Math.min(100, Math.round(undecayed * decay)));
+  const wholeDays = Math.floor(daysSince);
+
+  const factors = FACTORS.map((key, i) => ({
+    key,
+    label: FACTOR_LABELS[key],
+    weight: weights[key],
+    signal: Math.round(measured[key].signal * 100) / 100,
+    points: factorPoints[i],
+    detail: measured[key].detail
+  }));
+  factors.push({
+    key: 'recency',
+    label: FACTOR_LABELS.recency,
+    weight: null,
+    signal: Math.round(decay * 100) / 100,
+    points: score - Math.round(undecayed),
+    detail: wholeDays === 0
+      ? 'Active in the last day'
+      : `Last seen ${plural(wholeDays, 'day')} ago (score halves every ${plural(halfLife, 'day')})`
+  });
+
+  return { score, factors, lastSeen: lastSeen.toISOString() };
+}
+
+function getScoreBand(score) {
+  if (score === null || score === undefined) return null;
+  return Object.keys(SCORE_BANDS).find(band => score >= SCORE_BANDS[band].min) || 'cold';
+}
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * A site's weights and half-life merged over the defaults, cached briefly
+ */
+async function getLeadScoreSettings(siteId) {
+  const cached = settingsCache.get(siteId);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.settings;
+  }
+
+  const stored = siteId ? await getSiteLeadScoreSettings(siteId) : null;
+  const settings = {
+    weights: { ...DEFAULT_SETTINGS.weights, ...stored?.weights },
+    half_life_days: stored?.half_life_days || DEFAULT_SETTINGS.half_life_days
+  };
+  settingsCache.set(siteId, { settings, timestamp: Date.now() });
+  return settings;
+}
+
+function clearLeadScoreSettingsCache(siteId) {
+  settingsCache.delete(siteId);
+}
+
+/**
+ * Validate the admin lead scoring form (weight_<factor>, half_life_days)
+ * Returns { settings, errors }
+ */
+function validateLeadScoreSettings(input) {
+  const errors = [];
+  const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+  const weights = {};
+  for (const key of FACTORS) {
+    weights[key] = number(input[`weight_${key}`], DEFAULT_SETTINGS.weights[key]);
+    if (!Number.isFinite(weights[key]) || weights[key] < 0 || weights[key] > 100) {
+      errors.push(`${FACTOR_LABELS[key]} weight must be between 0 and 100`);
+    }
+  }
+  if (errors.length === 0 && FACTORS.every(key => weights[key] === 0)) {
+    errors.push('At least one weight must be above 0');
+  }
+
+  const halfLife = number(input.half_life_days, DEFAULT_SETTINGS.half_life_days);
+  if (!Number.isInteger(halfLife) || halfLife < 1 || halfLife > MAX_HALF_LIFE_DAYS) {
+    errors.push(`Half-life must be a whole number of days between 1 and ${MAX_HALF_LIFE_DAYS}`);
+  }
+
+  return { settings: { weights, half_life_days: halfLife }, errors };
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+/**
+ * Recompute and store one visitor's score
+ * Returns the stored row, or null when the visitor has no human events.
+ */
+async function rescoreVisitor(siteId, visitorId, now = new Date()) {
+  const [settings, events] = await Promise.all([
+    getLeadScoreSettings(siteId),
+    getVisitorScoringEvents(siteId, visitorId)
+  ]);
+
+  const result = scoreVisitor(events, settings, now);
+  if (!result) {
+    await deleteVisitorLeadScore(siteId, visitorId);
+    return null;
+  }
+  const row = await upsertVisitorLeadScore(siteId, visitorId, result);
+  const threshold = SCORE_BANDS.hot.min;
+  if (row.score >= threshold && (row.previous_score ?? 0) < threshold) {
+    await emitWebhookEvent(siteId, 'lead.score_threshold_crossed', {
+      visitor_id: visitorId,
+      score: row.score,
+      previous_score: row.previous_score ?? null,
+      threshold,
+      factors: row.factors,
+      last_seen: row.last_seen
+    }, { now });
+  }
+  return row;
+}
+
+/**
+ * Rescore [{ siteId, visitorId }], logging (not throwing) per-visitor failures
+ * Returns the number rescored.
+ */
+async function rescoreVisitors(visitors, now = new Date()) {
+  let rescored = 0;
+  for (const { siteId, visitorId } of visitors) {
+    try {
+      await rescoreVisitor(siteId, visitorId, now);
+      rescored++;
+    } catch (err) {
+      console.error(`[LEAD SCORE] Visitor ${visitorId} failed:`, err.message);
+    }
+  }
+  return rescored;
+}
+
+/**
+ * Recompute one batch of scores older than a day (or expired by a weights change)
+ */
+async function refreshStaleLeadScores(now = new Date(), batchSize = REFRESH_BATCH_SIZE) {
+  const stale = await getStaleLeadScores(new Date(now.getTime() - REFRESH_AFTER_MS).toISOString(), batchSize);
+  return rescoreVisitors(stale.map(row => ({ siteId: row.site_id, visitorId: row.visitor_id })), now);
+}
+
+module.exports = {
+  FACTORS,
+  FACTOR_LABELS,
+  DEFAULT_SETTINGS,
+  SCORE_BANDS,
+  scoreVisitor,
+  getScoreBand,
+  getLeadScoreSettings,
+  clearLeadScoreSettingsCache,
+  validateLeadScoreSettings,
+  rescoreVisitor,
+  rescoreVisitors,
+  refreshStaleLeadScores
+};
@@ -0,0 +1,236 @@
+/**
+ * Live Journey Follow
+ *
+ * Backs the per-journey follow view (/realtime/journeys/:journeyId): tails
+ * one journey's stored events and streams them, each with a readable label,
+ * together with a running intent score (journeyBuilder.calculateIntentScore
+ * over everything so far) and whether the visitor is still there.
+ *
+ * The tail reads journey_events by id, so it sees every event type whichever
+ * process ingested it. It reads straight away when the real-time bus
+ * (services/realtime.js) reports activity on the journey, and otherwise only
+ * every FOLLOW_POLL_MS: the bus carries page views and CTA clicks, so the
+ * slow poll just picks up the event types it does not (heartbeats, scrolls,
+ * form fields) and moves the status to idle or gone while the journey is quiet.
+ *
+ * Activity comes from heartbeats: the tracker sends one every 30 seconds
+ * while the tab is visible, so a visitor is active until ACTIVE_SECONDS pass
+ * without any event, idle after that, and gone after a page_exit or the
+ * 30-minute session gap. A page_exit with to_url is a client-side route
+ * change (the tracker's SPA navigation) - the visitor is still there.
+ */
+
+const queries = require('../db/queries');
+const realtime = require('./realtime');
+const {
+  calculateTimeToAction,
+  calculateIntentScore,
+  intentStrengthForScore
+} = require('./journeyBuilder');
+
+const FOLLOW_POLL_MS = parseInt(process.env.FOLLOW_POLL_MS || '20000', 10);
+const ACTIVE_SECONDS = 75;
+const SESSION_GAP_SECONDS = 30 * 60;
+const PAGE_SIZE = 500;
+
+// ============================================
+// EVENT LABELS
+// ============================================
+
+function pagePath(url) {
+  if (!url) return 'an unknown page';
+  try {
+    return new URL(url).pathname || '/';
+  } catch (err) {
+    return url;
+  }
+}
+
+function quoted(text) {
+  return text ? `"${String(text).trim().slice(0, 60)}"` : null;
+}
+
+/**
+ * Human-readable line for one event in the live timeline
+ */
+function describeEvent(event) {
+  const m = event.metadata || {};
+  const page = pagePath(event.page_url);
+
+  switch (event.event_type) {
+    case 'page_view':
+      return `Viewed ${page}`;
+    case 'pixel_view':
+      return `Viewed ${page} (pixel)`;
+    case 'page_exit':
+      return m.to_url ? `Went from ${page} to ${pagePath(m.to_url)}` : `Left ${page}`;
+    case 'heartbeat':
+      return `Still on ${page}`;
+    case 'scroll_depth': {
+      const depth = m.depth ?? m.depth_percent;
+      if (depth !== undefined) return `Scrolled ${depth}% down ${page}`;
+      return m.scroll_behaviour ? `Scrolling (${m.scroll_behaviour})` : 'Scrolling';
+    }
+    case 'section_view':
+    case 'section_visibility': {
+      const section = quoted(m.section_text || m.section_id || m.section);
+      const seconds = m.visibility_time ? ` for ${m.visibility_time}s` : '';
+      return section ? `Read the ${section} section${seconds}` : `Read a section${seconds}`;
+    }
+    case 'cta_hover':
+      return `Hovered over ${quoted(event.cta_label) || 'a button'}${m.hover_duration ? ` for ${m.hover_duration}s` : ''} without clicking`;
+    case 'element_hover':
+      return `Hovered over ${quoted(m.text) || 'an element'}`;
+    case 'cta_click':
+      return `Clicked ${quoted(event.cta_label) || 'a call to action'}`;
+    case 'form_start':
+      return m.form_id ? `Started the ${m.form_id} form` : 'Started a form';
+    case 'form_field_focus':
+      return `Focused the ${m.field_name || 'unnamed'} field`;
+    case 'form_field_blur':
+      return `${m.completed ? 'Filled in' : 'Skipped'} the ${m.field_name || 'unnamed'} field`;
+    case 'form_abandon':
+      return `Abandoned a form after ${m.fields_completed || 0} fields`;
+    case 'form_submit':
+      return 'Submitted a form';
+    case 'site_search':
+      return `Searched for ${quoted(m.query || event.cta_label) || 'something'}`;
+    case 'exit_intent':
+      return 'Moved to leave the page';
+    case 'rage_click':
+      return `Rage clicked (${m.click_count || 'several'} clicks)`;
+    default:
+      return event.cta_label ? `${event.event_type.replace(/_/g, ' ')}: ${event.cta_label}` : event.event_type.replace(/_/g, ' ');
+  }
+}
+
+/**
+ * The fields of an event the follow view shows
+ */
+function timelineEntry(event) {
+  return {
+    id: event.id,
+    event_type: event.event_type,
+    occurred_at: event.occurred_at,
+    page_url: event.page_url || null,
+    intent_type: event.intent_type || null,
+    label: describeEvent(event)
+  };
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * Whether the visitor is still there and how strong their intent looks
+ * activity: 'active' | 'idle' | 'left'
+ */
+function journeyStatus(events, now = new Date()) {
+  if (events.length === 0) {
+    return { activity: 'left', last_activity: null, last_heartbeat: null, current_page: null, intent_score: 0, intent_strength: 'low', event_count: 0 };
+  }
+
+  const sorted = [...events].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+  const last = sorted[sorted.length - 1];
+  const lastHeartbeat = sorted.filter(e => e.event_type === 'heartbeat').pop();
+  const lastPage = sorted.filter(e => e.page_url && e.event_type !== 'page_exit').pop();
+  const secondsSince = (now.getTime() - new Date(last.occurred_at).getTime()) / 1000;
+
+  let activity = 'active';
+  const leftSite = last.event_type === 'page_exit' && !(last.metadata && last.metadata.to_url);
+  if (leftSite || secondsSince > SESSION_GAP_SECONDS) activity = 'left';
+  else if (secondsSince > ACTIVE_SECONDS) activity = 'idle';
+
+  const score = calculateIntentScore(sorted, calculateTimeToAction(sorted));
+
+  return {
+    activity,
+    last_activity: last.occurred_at,
+    last_heartbeat: lastHeartbeat ? lastHeartbeat.occurred_at : null,
+    current_page: lastPage ? lastPage.page_url : null,
+    intent_score: score,
+    intent_strength: intentStrengthForScore(score),
+    event_count: sorted.length
+  };
+}
+
+// ============================================
+// FOLLOWING
+// ============================================
+
+/**
+ * Tail one journey, calling send(message) with:
+ *   { type: 'snapshot', events, status }  - everything so far, first
+ *   { type: 'events', events }            - events stored since
+ *   { type: 'status', ...status }         - whenever the status changes
+ * onClose is called if the real-time bus shuts down. Returns a stop function.
+ */
+function followJourney(journeyId, siteId, send, onClose = null) {
+  const events = [];
+  let lastId = 0;
+  let lastStatus = null;
+  let snapshotSent = false;
+  let polling = false;
+  // Woken while a read was in flight: read again straight after
+  let wokenWhilePolling = false;
+  let stopped = false;
+  let timer = null;
+
+  async function poll() {
+    if (stopped) return;
+    if (polling) {
+      wokenWhilePolling = true;
+      return;
+    }
+    polling = true;
+    wokenWhilePolling = false;
+    clearTimeout(timer);
+    let more = false;
+
+    try {
+      const rows = await queries.getJourneyEventsAfter(journeyId, lastId, siteId, PAGE_SIZE);
+      more = rows.length === PAGE_SIZE;
+      if (rows.length > 0) {
+        lastId = rows[rows.length - 1].id;
+        events.push(...rows);
+      }
+
+      const status = journeyStatus(events);
+      const statusKey = JSON.stringify(status);
+
+      if (!snapshotSent) {
+        snapshotSent = true;
+        send({ type: 'snapshot', events: events.map(timelineEntry), status });
+      } else {
+        if (rows.length > 0) send({ type: 'events', events: rows.map(timelineEntry) });
+        if (statusKey !== lastStatus) send({ type: 'status', ...status });
+      }
+      lastStatus = statusKey;
+    } catch (err) {
+      console.error(`[FOLLOW] Reading journey ${journeyId} failed:`, err.message);
+    } finally {
+      polling = false;
+      if (!stopped) timer = setTimeout(poll, more || wokenWhilePolling ? 0 : FOLLOW_POLL_MS);
+    }
+  }
+
+  const unsubscribe = realtime.subscribe(siteId, (message) => {
+    if (message.journey_id === journeyId) poll();
+  }, onClose);
+
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    unsubscribe();
+  };
+}
+
+module.exports = {
+  describeEvent,
+  timelineEntry,
+  journeyStatus,
+  followJourney
+};
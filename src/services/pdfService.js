@@ -0,0 +1,47 @@
+/**
+ * PDF Service
+ * Prints server-rendered HTML (e.g. digest reports) to PDF with the same
+ * headless Chromium the screenshot service uses
+ */
+
+const puppeteer = require('puppeteer-core');
+const chromium = require('@sparticuz/chromium');
+
+const RENDER_TIMEOUT_MS = 30000;
+
+/**
+ * Render a self-contained HTML document to an A4 PDF
+ * Returns a Buffer. External resources are not waited for beyond page load.
+ */
+async function renderPdf(html) {
+  let browser = null;
+
+  try {
+    const executablePath = await chromium.executablePath();
+
+    browser = await puppeteer.launch({
+      args: chromium.args,
+      defaultViewport: chromium.defaultViewport,
+      executablePath: executablePath,
+      headless: chromium.headless
+    });
+
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load', timeout: RENDER_TIMEOUT_MS });
+
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '15mm', right: '12mm', bottom: '15mm', left: '12mm' }
+    });
+    return Buffer.from(pdf);
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,264 @@
+/**
+ * Real-time Updates
+ *
+ * The live dashboard subscribes to GET /realtime/stream (Server-Sent Events)
+ * instead of polling. Messages are published as events are ingested
+ * (services/eventIngest.js):
+ *   arrival    - the first event of a journey not seen before
+ *   page_view  - a visitor moved to another page
+ *   cta_click  - a visitor clicked a call to action
+ * and when the journey rebuild (services/journeyRebuild.js) sees a journey
+ * convert:
+ *   conversion - with the journey's outcome
+ * Bot traffic is never published.
+ *
+ * Delivery is in-process by default, which only reaches dashboards served by
+ * the process that ingested the event. Set REALTIME_PG_NOTIFY=true when the
+ * ingest or rebuild workers run separately, or there is more than one web
+ * process: messages then go through Postgres NOTIFY and every web process
+ * LISTENs on one dedicated connection.
+ */
+
+const { EventEmitter } = require('events');
+const { getDb } = require('../db/database');
+const { classifyChannel } = require('./channels');
+
+const PG_CHANNEL = 'realtime_events';
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_BYTES = 7900;
+const RECONNECT_MS = 5000;
+const BOT_SCORE_THRESHOLD = 30;
+
+function usePgNotify() {
+  return process.env.REALTIME_PG_NOTIFY === 'true';
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Receive messages for one site (or every site when siteId is null)
+ * onClose is called if the bus shuts down (server shutdown) so streams can end.
+ * Returns an unsubscribe function.
+ */
+function subscribe(siteId, listener, onClose = null) {
+  const onMessage = (message) => {
+    if (!siteId || message.site_id === siteId) listener(message);
+  };
+  emitter.on('message', onMessage);
+  if (onClose) emitter.on('close', onClose);
+
+  return () => {
+    emitter.off('message', onMessage);
+    if (onClose) emitter.off('close', onClose);
+  };
+}
+
+/**
+ * Whether publishing is worth the work: always with NOTIFY, since
+ * subscribers may be in other processes
+ */
+function hasSubscribers() {
+  return usePgNotify() || emitter.listenerCount('message') > 0;
+}
+
+function deliver(message) {
+  for (const listener of emitter.listeners('message')) {
+    try {
+      listener(message);
+    } catch (err) {
+      console.error('[REALTIME] Subscriber failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Publish messages to subscribers; never throws, since live updates must not
+ * fail ingest
+ */
+async function publish(messages) {
+  if (messages.length === 0) return;
+
+  if (!usePgNotify()) {
+    messages.forEach(deliver);
+    return;
+  }
+
+  for (const message of messages) {
+    const payload = JSON.stringify(message);
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      console.warn(`[REALTIME] Dropped oversized ${message.type} message for ${message.journey_id}`);
+      continue;
+    }
+    try {
+      await getDb().query('SELECT pg_notify($1, $2)', [PG_CHANNEL, payload]);
+    } catch (err) {
+      console.error('[REALTIME] NOTIFY failed:', err.message);
+    }
+  }
+}
+
+// ============================================
+// POSTGRES LISTEN
+// ============================================
+
+let listenClient = null;
+let listening = false;
+let reconnectTimer = null;
+
+async function connectListener() {
+  let client = null;
+  try {
+    client = await getDb().connect();
+    client.on('notification', (notification) => {
+      if (notification.channel !== PG_CHANNEL) return;
+      try {
+        deliver(JSON.parse(notification.payload));
+      } catch (err) {
+        console.error('[REALTIME] Bad notification payload:', err.message);
+      }
+    });
+    client.on('error', (err) => {
+      console.error('[REALTIME] LISTEN connection error:', err.message);
+      dropListener(client, true);
+    });
+    await client.query(`LISTEN ${PG_CHANNEL}`);
+    listenClient = client;
+    console.log('[REALTIME] Listening for Postgres notifications');
+  } catch (err) {
+    console.error('[REALTIME] LISTEN failed:', err.message);
+    if (client) dropListener(client, true);
+    else scheduleReconnect();
+  }
+}
+
+function dropListener(client, reconnect) {
+  if (listenClient === client) listenClient = null;
+  client.removeAllListeners('notification');
+  try {
+    client.release(true);
+  } catch (err) {
+    // already released
+  }
+  if (reconnect) scheduleReconnect();
+}
+
+function scheduleReconnect() {
+  if (!listening) return;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connectListener, RECONNECT_MS);
+}
+
+/**
+ * Start receiving Postgres notifications in this (web) process
+ * Does nothing unless REALTIME_PG_NOTIFY=true.
+ */
+function startRealtime() {
+  if (!usePgNotify() || listening) return;
+  listening = true;
+  connectListener();
+}
+
+/**
+ * Stop listening and end every open stream (server shutdown)
+ */
+function stopRealtime() {
+  listening = false;
+  clearTimeout(reconnectTimer);
+  if (listenClient) dropListener(listenClient, false);
+  emitter.emit('close');
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+function isBotEvent(event) {
+  return event.is_bot === true || (event.bot_score || 0) >= BOT_SCORE_THRESHOLD;
+}
+
+/**
+ * Messages for a batch of ingested events
+ * knownJourneyIds holds the journeys that already had events before this
+ * batch; the earliest event of any other journey is its arrival.
+ */
+function ingestMessages(events, knownJourneyIds) {
+  const arrived = new Set();
+  const messages = [];
+  const sorted = [...events].sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+
+  for (const event of sorted) {
+    if (!event.site_id || !event.journey_id || isBotEvent(event)) continue;
+
+    const base = {
+      site_id: event.site_id,
+      journey_id: event.journey_id,
+      visitor_id: event.visitor_id || null,
+      page_url: event.page_url || null,
+      device_type: event.device_type || null,
+      occurred_at: event.occurred_at
+    };
+
+    if (!knownJourneyIds.has(event.journey_id) && !arrived.has(event.journey_id)) {
+      arrived.add(event.journey_id);
+      const metadata = event.metadata || {};
+      messages.push({
+        type: 'arrival',
+        ...base,
+        referrer: event.referrer || null,
+        channel: classifyChannel({ referrer: event.referrer, utm: metadata.utm || null, pageUrl: event.page_url }).channel,
+        location: metadata.location || null
+      });
+      continue;
+    }
+
+    if (event.event_type === 'page_view') {
+      messages.push({ type: 'page_view', ...base });
+    } else if (event.event_type === 'cta_click') {
+      messages.push({ type: 'cta_click', ...base, cta_label: event.cta_label || null });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Messages for the journey lifecycle events of a rebuild
+ * (webhooks.journeyLifecycleEvents, which already skips bots)
+ */
+function lifecycleMessages(lifecycleEvents) {
+  return lifecycleEvents
+    .filter(event => event.type === 'journey.converted')
+    .map(({ siteId, data }) => ({
+      type: 'conversion',
+      site_id: siteId,
+      journey_id: data.journey_id,
+      visitor_id: data.visitor_id,
+      outcome: data.outcome,
+      goal_id: data.goal_id,
+      occurred_at: new Date().toISOString()
+    }));
+}
+
+/**
+ * One message in Server-Sent Events wire format
+ */
+function formatSse(message) {
+  return `event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+module.exports = {
+  PG_CHANNEL,
+  subscribe,
+  hasSubscribers,
+  publish,
+  startRealtime,
+  stopRealtime,
+  ingestMessages,
+  lifecycleMessages,
+  formatSse
+};
@@ -469,6 +469,7 @@ module.exports = {
   getScreenshotsForAnalysis,
   clearScreenshots,
   encodePathForFilename,
+  getSiteConfig,
   DESKTOP_VIEWPORT,
   MOBILE_VIEWPORT
 };
@@ -0,0 +1,189 @@
+/**
+ * Session Replay
+ *
+ * The tracker's opt-in recording mode (data-record="true" on the script tag)
+ * posts numbered chunks of recorder events to POST /api/replay:
+ *   meta      { href, width, height }      - a page started recording
+ *   snapshot  { node, scroll }             - the serialized DOM
+ *   mutation  { adds, removes, attrs, texts }
+ *   move      { x, y }                     - mouse position
+ *   click     { id, x, y }
+ *   scroll    { id, x, y }                 - id 0 is the page itself
+ *   input     { id, value, checked }       - values arrive already masked
+ *   viewport  { width, height }
+ * Every event has t, the tracker's epoch milliseconds. Chunks carry sent_at
+ * too, so t is moved onto the server clock on arrival and the player lines up
+ * with the journey's event timeline (whose occurred_at is server time).
+ *
+ * Chunks are stored gzipped in session_replay_chunks and reassembled in seq
+ * order by loadReplay for the player on /journeys/:id.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const {
+  insertReplayChunk,
+  getReplayChunks,
+  getReplaySummary,
+  deleteReplayChunksBefore
+} = require('../db/queries');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const EVENT_TYPES = ['meta', 'snapshot', 'mutation', 'move', 'click', 'scroll', 'input', 'viewport'];
+// Largest chunk accepted, compressed as posted and once decompressed
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_CHUNK_BYTES = 8 * 1024 * 1024;
+const MAX_CHUNK_EVENTS = 5000;
+const MAX_SEQ = 100000;
+const RETENTION_DAYS = parseInt(process.env.REPLAY_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// INCOMING CHUNKS
+// ============================================
+
+/**
+ * Decode a posted chunk body (gzip when the browser has CompressionStream)
+ * Throws on bodies that are not JSON or inflate past MAX_CHUNK_BYTES.
+ */
+async function parseReplayBody(body, encoding = null) {
+  if (!Buffer.isBuffer(body) || body.length === 0) throw new Error('Empty body');
+  const raw = encoding === 'gzip'
+    ? await gunzip(body, { maxOutputLength: MAX_CHUNK_BYTES })
+    : body;
+  if (raw.length > MAX_CHUNK_BYTES) throw new Error('Chunk too large');
+  return JSON.parse(raw.toString('utf8'));
+}
+
+/**
+ * Validate a posted chunk
+ * Returns { chunk, errors }; chunk events are sorted by t.
+ */
+function validateReplayChunk(input) {
+  const errors = [];
+  const body = input && typeof input === 'object' ? input : {};
+
+  const journeyId = typeof body.journey_id === 'string' ? body.journey_id.trim() : '';
+  if (!journeyId || journeyId.length > 100) errors.push('journey_id is required');
+  if (!body.tracking_key || typeof body.tracking_key !== 'string') errors.push('tracking_key is required');
+
+  const seq = Number(body.seq);
+  if (!Number.isInteger(seq) || seq < 0 || seq > MAX_SEQ) errors.push('seq must be a whole number');
+
+  const events = Array.isArray(body.events) ? body.events : null;
+  if (!events || events.length === 0) {
+    errors.push('events must be a non-empty array');
+  } else if (events.length > MAX_CHUNK_EVENTS) {
+    errors.push(`at most ${MAX_CHUNK_EVENTS} events per chunk`);
+  } else {
+    const invalid = events.findIndex(e => !e || !EVENT_TYPES.includes(e.type) || !Number.isFinite(e.t));
+    if (invalid !== -1) errors.push(`invalid event at index ${invalid}`);
+  }
+
+  if (errors.length > 0) return { chunk: null, errors };
+
+  return {
+    chunk: {
+      journeyId,
+      visitorId: typeof body.visitor_id === 'string' ? body.visitor_id.slice(0, 100) : null,
+      trackingKey: body.tracking_key,
+      seq,
+      pageUrl: typeof body.page_url === 'string' ? body.page_url.slice(0, 2000) : null,
+      sentAt: Number.isFinite(body.sent_at) ? body.sent_at : null,
+      consent: typeof body.consent === 'string' ? body.consent : null,
+      events: [...events].sort((a, b) => a.t - b.t)
+    },
+    errors
+  };
+}
+
+/**
+ * Compress and store a validated chunk for a site
+ * Event times are shifted by the tracker's clock offset (receivedAt - sent_at).
+ * Returns true when stored, false for a chunk already received.
+ */
+async function storeReplayChunk(siteId, chunk, receivedAt = Date.now()) {
+  const offset = chunk.sentAt ? receivedAt - chunk.sentAt : 0;
+  const events = offset ? chunk.events.map(e => ({ ...e, t: e.t + offset })) : chunk.events;
+  const json = JSON.stringify(events);
+
+  const id = await insertReplayChunk({
+    siteId,
+    journeyId: chunk.journeyId,
+    visitorId: chunk.visitorId,
+    seq: chunk.seq,
+    pageUrl: chunk.pageUrl,
+    startedAt: new Date(events[0].t),
+    endedAt: new Date(events[events.length - 1].t),
+    eventCount: events.length,
+    hasSnapshot: events.some(e => e.type === 'snapshot'),
+    data: await gzip(json),
+    byteSize: Buffer.byteLength(json)
+  });
+  return id !== null;
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/**
+ * A journey's recording: every event in order, from the first snapshot
+ * Returns { events, pages: [{ url, t }] }, or null with nothing playable.
+ */
+async function loadReplay(journeyId, siteId = null) {
+  const chunks = await getReplayChunks(journeyId, siteId);
+  const events = [];
+  for (const chunk of chunks) {
+    events.push(...JSON.parse((await gunzip(chunk.data)).toString('utf8')));
+  }
+
+  // Deltas before the first snapshot have no DOM to apply to
+  const first = events.findIndex(e => e.type === 'snapshot');
+  if (first === -1) return null;
+
+  const playable = events.slice(first);
+  const start = events.slice(0, first).reverse().find(e => e.type === 'meta');
+  if (start) playable.unshift(start);
+
+  return {
+    events: playable,
+    pages: playable.filter(e => e.type === 'meta').map(e => ({ url: e.data.href, t: e.t }))
+  };
+}
+
+/**
+ * Recording extent for the journey page; null when there is none
+ */
+async function getReplayInfo(journeyId, siteId = null) {
+  const summary = await getReplaySummary(journeyId, siteId);
+  if (!summary) return null;
+  return {
+    chunkCount: parseInt(summary.chunk_count, 10),
+    pageCount: parseInt(summary.page_count, 10),
+    startedAt: summary.started_at,
+    endedAt: summary.ended_at,
+    byteSize: parseInt(summary.byte_size, 10)
+  };
+}
+
+/**
+ * Delete recordings past REPLAY_RETENTION_DAYS
+ */
+async function pruneReplays(now = new Date(), retentionDays = RETENTION_DAYS) {
+  const deleted = await deleteReplayChunksBefore(new Date(now.getTime() - retentionDays * DAY_MS));
+  if (deleted > 0) console.log(`[REPLAY] Deleted ${deleted} recording chunks older than ${retentionDays} days`);
+  return deleted;
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  parseReplayBody,
+  validateReplayChunk,
+  storeReplayChunk,
+  loadReplay,
+  getReplayInfo,
+  pruneReplays
+};
@@ -0,0 +1,206 @@
+/**
+ * Tracker Build
+ *
+ * gtm/trackingScript.js is the one tracker source. Its optional collectors
+ * are wrapped in feature blocks, which may appear more than once (a module's
+ * code and its call in init()):
+ *   // @feature fingerprint
+ *   ...
+ *   // @end fingerprint
+ * /tracking.js?key= serves each site a build with only the blocks for the
+ * features it has enabled (sites.tracker_features; NULL uses
+ * DEFAULT_FEATURES), pointed at this server and carrying the site's tracking
+ * key. Builds are cached per feature set and rebuilt when the source changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSiteByTrackingKey } = require('../db/queries');
+
+const SOURCE_PATH = path.join(__dirname, '../../gtm/trackingScript.js');
+const DEFAULT_SERVER_URL = 'https://website-journey-analytics.onrender.com';
+
+const FEATURES = ['fingerprint', 'js_challenge', 'behaviour', 'honeypot', 'ux', 'school_intents'];
+
+const FEATURE_LABELS = {
+  fingerprint: 'Browser fingerprint',
+  js_challenge: 'JavaScript challenge',
+  behaviour: 'Mouse & scroll patterns',
+  honeypot: 'Honeypot traps',
+  ux: 'Advanced UX tracking',
+  school_intents: 'School CTA intents'
+};
+
+const FEATURE_DESCRIPTIONS = {
+  fingerprint: 'Canvas and WebGL checks that spot headless browsers',
+  js_challenge: 'Browser API checks a real browser passes without effort',
+  behaviour: 'Mouse movement and scroll rhythm summaries sent with heartbeats',
+  honeypot: 'Hidden links and a form field only bots find (adds elements to every page)',
+  ux: 'Dead clicks, section reading time, site search, scroll speed, text selection, CTA hesitation and back button',
+  school_intents: 'Open days, tasters, prospectus and "find out more" CTAs classified as admissions intents'
+};
+
+// Honeypots add elements to the site's pages and school wording suits
+// schools only, so both are opt-in
+const DEFAULT_FEATURES = ['fingerprint', 'js_challenge', 'behaviour', 'ux'];
+
+const MARKER_PATTERN = /^\s*\/\/ @(feature|end) (\S+)\s*$/;
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// ============================================
+// BUILDING
+// ============================================
+
+/**
+ * The source without the blocks of features not in `features`
+ * Marker lines are always removed. Throws on unknown or unbalanced markers.
+ */
+function stripFeatures(source, features) {
+  const enabled = new Set(features);
+  const output = [];
+  let open = null;
+
+  source.split('\n').forEach((line, index) => {
+    const marker = line.match(MARKER_PATTERN);
+    if (!marker) {
+      if (!open || enabled.has(open)) output.push(line);
+      return;
+    }
+
+    const [, kind, name] = marker;
+    if (!FEATURES.includes(name)) {
+      throw new Error(`Unknown tracker feature "${name}" on line ${index + 1}`);
+    }
+    if (kind === 'feature') {
+      if (open) throw new Error(`Feature "${name}" opened inside "${open}" on line ${index + 1}`);
+      open = name;
+    } else {
+      if (open !== name) throw new Error(`Unexpected end of feature "${name}" on line ${index + 1}`);
+      open = null;
+    }
+  });
+
+  if (open) throw new Error(`Feature "${open}" is never closed`);
+  return output.join('\n');
+}
+
+/**
+ * A site's tracker without its tracking key: stripped to `features` and
+ * pointed at serverUrl
+ */
+function buildTrackingScript(source, { features = DEFAULT_FEATURES, serverUrl = DEFAULT_SERVER_URL } = {}) {
+  return stripFeatures(source, features)
+    .replace(/endpoint: ['"][^'"]+['"]/, `endpoint: '${serverUrl}/api/event'`)
+    .replace(/batchEndpoint: ['"][^'"]+['"]/, `batchEndpoint: '${serverUrl}/api/events/batch'`)
+    .replace(/pixelEndpoint: ['"][^'"]+['"]/, `pixelEndpoint: '${serverUrl}/p.gif'`)
+    .replace(/replayEndpoint: ['"][^'"]+['"]/, `replayEndpoint: '${serverUrl}/api/replay'`);
+}
+
+/**
+ * Fill in the tracking key; anything but letters, digits, _ and - is dropped
+ * so the query string cannot inject script
+ */
+function withTrackingKey(script, trackingKey) {
+  const key = String(trackingKey || '').replace(/[^\w-]/g, '');
+  return script.replace(/trackingKey: ['"][^'"]*['"]/, `trackingKey: '${key}'`);
+}
+
+// ============================================
+// SITE FEATURES
+// ============================================
+
+// Tracking key -> { features, timestamp }
+const featuresCache = new Map();
+
+/**
+ * The features a site's tracker includes, in FEATURES order
+ */
+function siteTrackerFeatures(site) {
+  if (!site || !Array.isArray(site.tracker_features)) return DEFAULT_FEATURES.slice();
+  return FEATURES.filter(feature => site.tracker_features.includes(feature));
+}
+
+async function getTrackerFeatures(trackingKey) {
+  if (!trackingKey) return DEFAULT_FEATURES.slice();
+
+  const cached = featuresCache.get(trackingKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+    return cached.features;
+  }
+
+  const features = siteTrackerFeatures(await getSiteByTrackingKey(trackingKey));
+  featuresCache.set(trackingKey, { features, timestamp: Date.now() });
+  return features;
+}
+
+/**
+ * The admin tracker form's features checkboxes, which arrive as a string
+ * (one ticked), an array (several) or not at all (none)
+ */
+function trackerFeaturesFromForm(input) {
+  const requested = [].concat(input.features || []);
+  return FEATURES.filter(feature => requested.includes(feature));
+}
+
+// ============================================
+// SERVING
+// ============================================
+
+const source = { text: null, mtime: 0 };
+// Feature list -> built script
+const buildCache = new Map();
+
+function readSource() {
+  const stat = fs.statSync(SOURCE_PATH);
+  if (source.text === null || stat.mtimeMs > source.mtime) {
+    source.text = fs.readFileSync(SOURCE_PATH, 'utf8');
+    source.mtime = stat.mtimeMs;
+    buildCache.clear();
+  }
+  return source.text;
+}
+
+/**
+ * The tracker for a tracking key, as served by /tracking.js
+ * Unknown keys get the default features. Throws if the source is missing.
+ */
+async function getTrackingScript(trackingKey) {
+  const text = readSource();
+
+  let features;
+  try {
+    features = await getTrackerFeatures(trackingKey);
+  } catch (error) {
+    console.error('[TRACKER] Failed to load site features, serving defaults:', error.message);
+    features = DEFAULT_FEATURES.slice();
+  }
+
+  const cacheKey = features.join(',');
+  if (!buildCache.has(cacheKey)) {
+    buildCache.set(cacheKey, buildTrackingScript(text, {
+      features,
+      serverUrl: process.env.SERVER_URL || DEFAULT_SERVER_URL
+    }));
+  }
+  return withTrackingKey(buildCache.get(cacheKey), trackingKey);
+}
+
+function clearTrackerCache() {
+  featuresCache.clear();
+  buildCache.clear();
+}
+
+module.exports = {
+  FEATURES,
+  FEATURE_LABELS,
+  FEATURE_DESCRIPTIONS,
+  DEFAULT_FEATURES,
+  stripFeatures,
+  buildTrackingScript,
+  withTrackingKey,
+  siteTrackerFeatures,
+  getTrackerFeatures,
+  trackerFeaturesFromForm,
+  getTrackingScript,
+  clearTrackerCache
+};
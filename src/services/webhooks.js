@@ -0,0 +1,450 @@
+/**
+ * Outbound Webhooks
+ *
+ * Sites subscribe URLs to lifecycle events. Emitting an event queues one
+ * webhook_deliveries row per matching subscription; the webhook worker POSTs
+ * them as JSON and retries failures with exponential backoff (30s, 1m, 2m...
+ * capped at an hour) until WEBHOOK_MAX_ATTEMPTS, after which the delivery is
+ * marked failed and can be retried from the admin delivery log.
+ *
+ * Every request is signed so receivers can verify it came from us:
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * using the subscription's secret. The payload id (also in X-Webhook-Id) is
+ * stable across retries, so receivers can ignore repeats.
+ *
+ * Events come from the journey rebuild (journey.started, visitor.returned,
+ * journey.converted), offline conversions (journey.converted), lead scoring
+ * (lead.score_threshold_crossed) and a periodic bot spike check.
+ */
+
+const crypto = require('crypto');
+const {
+  getWebhooksForEvent,
+  createWebhookDelivery,
+  claimWebhookDeliveries,
+  recordWebhookAttempt,
+  getBotJourneyCounts
+} = require('../db/queries');
+
+const WEBHOOK_EVENTS = [
+  'journey.started',
+  'journey.converted',
+  'visitor.returned',
+  'lead.score_threshold_crossed',
+  'bot.spike_detected'
+];
+const EVENT_LABELS = {
+  'journey.started': 'Journey started',
+  'journey.converted': 'Journey converted',
+  'visitor.returned': 'Visitor returned',
+  'lead.score_threshold_crossed': 'Lead score became hot',
+  'bot.spike_detected': 'Bot traffic spike',
+  'webhook.test': 'Test event'
+};
+
+const SECRET_PREFIX = 'whsec_';
+const USER_AGENT = 'SMART-Journey-Webhooks/1.0';
+const MAX_URL_LENGTH = 2000;
+const MAX_RESPONSE_LENGTH = 500;
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const INTERVAL_MS = parseInt(process.env.WEBHOOK_INTERVAL_MS || '5000', 10);
+const BATCH_SIZE = 20;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+// Claimed deliveries are hidden from other workers for this long
+const LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 50;
+
+// Lifecycle events are only sent for journeys active in the last day, so
+// backfills and rebuilds of old journeys don't replay history to receivers
+const LIFECYCLE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// A bot spike is BOT_SPIKE_MIN+ bot journeys in the last hour and at least
+// BOT_SPIKE_FACTOR times the hourly average of the week before
+const BOT_SPIKE_MIN = parseInt(process.env.WEBHOOK_BOT_SPIKE_MIN || '20', 10);
+const BOT_SPIKE_FACTOR = 3;
+const BOT_SPIKE_INTERVAL_MS = 5 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const BASELINE_HOURS = 7 * 24;
+
+// ============================================
+// SIGNING
+// ============================================
+
+function generateWebhookSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Headers for one signed request
+ */
+function buildHeaders(secret, payload, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': USER_AGENT,
+    'X-Webhook-Id': payload.id,
+    'X-Webhook-Event': payload.type,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+  };
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Validate the admin "add webhook" form
+ * event_types arrives as a string (one checkbox) or an array (several)
+ */
+function validateWebhook(input) {
+  const errors = [];
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  const requested = [].concat(input.event_types || []);
+  const eventTypes = WEBHOOK_EVENTS.filter(type => requested.includes(type));
+
+  if (!name) errors.push('Webhook name is required');
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || url.length > MAX_URL_LENGTH) {
+    errors.push('URL must be a valid http(s) address');
+  }
+
+  if (eventTypes.length === 0) errors.push('Select at least one event');
+  if (eventTypes.length !== new Set(requested).size) errors.push('Unknown event requested');
+
+  return { webhook: { name, url, event_types: eventTypes }, errors };
+}
+
+// ============================================
+// EMITTING
+// ============================================
+
+/**
+ * Payload id for an event; a dedupeKey gives the same id every time it is
+ * emitted, so (subscription_id, event_id) keeps it to one delivery
+ */
+function buildEventId(dedupeKey) {
+  if (!dedupeKey) return `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+  return `evt_${crypto.createHash('sha256').update(dedupeKey).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Queue an event for every active subscription on the site that wants it
+ * Never throws - a webhook problem must not fail the caller. Returns the
+ * number of deliveries queued.
+ */
+async function emitWebhookEvent(siteId, type, data, options = {}) {
+  if (!siteId) return 0;
+
+  try {
+    const subscriptions = await getWebhooksForEvent(siteId, type);
+    if (subscriptions.length === 0) return 0;
+
+    const payload = {
+      id: buildEventId(options.dedupeKey),
+      type,
+      created_at: (options.now || new Date()).toISOString(),
+      site_id: siteId,
+      data
+    };
+
+    let queued = 0;
+    for (const subscription of subscriptions) {
+      const delivery = await createWebhookDelivery(subscription.id, {
+        eventId: payload.id,
+        eventType: type,
+        payload
+      });
+      if (delivery) queued++;
+    }
+
+    if (queued > 0) wakeWebhookWorker();
+    return queued;
+  } catch (err) {
+    console.error(`[WEBHOOK] Failed to queue ${type} for site ${siteId}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Events implied by one journey upsert (row is upsertJourney's RETURNING row)
+ * Returns [{ siteId, type, data, dedupeKey }].
+ */
+function journeyLifecycleEvents(journey, row, now = new Date()) {
+  if (!journey?.site_id || !row || journey.is_bot) return [];
+  if (now.getTime() - new Date(journey.last_seen).getTime() > LIFECYCLE_WINDOW_MS) return [];
+
+  const summary = {
+    journey_id: journey.journey_id,
+    visitor_id: journey.visitor_id || null,
+    visit_number: journey.visit_number || 1,
+    first_seen: journey.first_seen,
+    entry_page: journey.entry_page || null,
+    entry_referrer: journey.entry_referrer || null,
+    channel: journey.channel || null
+  };
+  const events = [];
+  const event = (type, data) => events.push({
+    siteId: journey.site_id,
+    type,
+    data,
+    dedupeKey: `${type}:${journey.journey_id}`
+  });
+
+  if (row.inserted) {
+    event('journey.started', summary);
+    if (summary.visit_number > 1) event('visitor.returned', summary);
+  }
+
+  if (row.converted && !row.was_converted) {
+    event('journey.converted', {
+      ...summary,
+      outcome: journey.outcome,
+      goal_id: journey.goal_id || null,
+      goal_value: journey.goal_value ?? null,
+      source: 'tracker'
+    });
+  }
+
+  return events;
+}
+
+async function emitWebhookEvents(events, now = new Date()) {
+  let queued = 0;
+  for (const { siteId, type, data, dedupeKey } of events) {
+    queued += await emitWebhookEvent(siteId, type, data, { dedupeKey, now });
+  }
+  return queued;
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+function backoffMs(attempt) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * POST one delivery and record the outcome
+ * delivery carries the subscription's url and secret. Non-2xx responses,
+ * timeouts and network errors are rescheduled with backoff until
+ * maxAttempts, then marked failed. Returns the updated delivery.
+ */
+async function attemptDelivery(delivery, { maxAttempts = MAX_ATTEMPTS, now = Date.now() } = {}) {
+  const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+  const body = JSON.stringify(payload);
+  const attempt = (delivery.attempts || 0) + 1;
+  const started = Date.now();
+
+  let statusCode = null;
+  let response = null;
+  let error = null;
+
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: buildHeaders(delivery.secret, payload, body, now),
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    statusCode = res.status;
+    response = (await res.text().catch(() => '')).slice(0, MAX_RESPONSE_LENGTH);
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : err.message;
+  }
+
+  let status = 'delivered';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempt >= maxAttempts ? 'failed' : 'pending';
+    if (status === 'pending') nextAttemptAt = new Date(now + backoffMs(attempt)).toISOString();
+  }
+
+  return recordWebhookAttempt(delivery.id, {
+    status,
+    nextAttemptAt,
+    statusCode,
+    error,
+    response,
+    durationMs: Date.now() - started
+  });
+}
+
+/**
+ * Claim and send one batch of due deliveries
+ * Returns { delivered, retrying, failed }.
+ */
+async function processDueWebhookDeliveries(limit = BATCH_SIZE) {
+  const deliveries = await claimWebhookDeliveries(limit, LEASE_SECONDS);
+  const results = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (const delivery of deliveries) {
+    try {
+      const updated = await attemptDelivery(delivery);
+      if (updated.status === 'delivered') results.delivered++;
+      else if (updated.status === 'failed') results.failed++;
+      else results.retrying++;
+    } catch (err) {
+      results.retrying++;
+      console.error(`[WEBHOOK] Delivery ${delivery.id} failed:`, err.message);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Send a webhook.test event to one subscription straight away (one attempt,
+ * no retries) and return the delivery so the admin sees the response
+ */
+async function sendTestWebhook(subscription) {
+  const payload = {
+    id: buildEventId(),
+    type: 'webhook.test',
+    created_at: new Date().toISOString(),
+    site_id: subscription.site_id,
+    data: {
+      webhook_id: subscription.id,
+      name: subscription.name,
+      event_types: subscription.event_types,
+      message: 'Test event from SMART Journey'
+    }
+  };
+
+  const delivery = await createWebhookDelivery(subscription.id, {
+    eventId: payload.id,
+    eventType: payload.type,
+    payload
+  });
+  return attemptDelivery({ ...delivery, url: subscription.url, secret: subscription.secret }, { maxAttempts: 1 });
+}
+
+// ============================================
+// BOT SPIKES
+// ============================================
+
+/**
+ * Emit bot.spike_detected for sites whose bot journeys in the last hour are
+ * well above their usual rate; at most once per site per clock hour
+ * Returns the site ids that spiked.
+ */
+async function checkBotSpikes(now = new Date()) {
+  const since = new Date(now.getTime() - HOUR_MS);
+  const baselineSince = new Date(since.getTime() - BASELINE_HOURS * HOUR_MS);
+  const counts = await getBotJourneyCounts(since.toISOString(), baselineSince.toISOString());
+  const hourBucket = Math.floor(now.getTime() / HOUR_MS);
+
+  const spiked = [];
+  for (const row of counts) {
+    const recent = parseInt(row.recent) || 0;
+    const hourlyBaseline = (parseInt(row.baseline) || 0) / BASELINE_HOURS;
+    if (recent < BOT_SPIKE_MIN || recent < BOT_SPIKE_FACTOR * Math.max(hourlyBaseline, 1)) continue;
+
+    spiked.push(row.site_id);
+    await emitWebhookEvent(row.site_id, 'bot.spike_detected', {
+      bot_journeys: recent,
+      hourly_baseline: Math.round(hourlyBaseline * 10) / 10,
+      window_start: since.toISOString(),
+      window_end: now.toISOString()
+    }, { dedupeKey: `bot.spike_detected:${row.site_id}:${hourBucket}`, now });
+  }
+  return spiked;
+}
+
+// ============================================
+// WORKER LOOP
+// ============================================
+
+let workerTimer = null;
+let workerRunning = false;
+let workerBusy = false;
+let wakeScheduled = false;
+let lastSpikeCheck = 0;
+
+async function tick() {
+  if (workerBusy) return;
+  workerBusy = true;
+  clearTimeout(workerTimer);
+
+  try {
+    if (Date.now() - lastSpikeCheck >= BOT_SPIKE_INTERVAL_MS) {
+      lastSpikeCheck = Date.now();
+      await checkBotSpikes();
+    }
+
+    let results;
+    do {
+      results = await processDueWebhookDeliveries();
+      if (results.delivered + results.retrying + results.failed > 0) {
+        console.log(`[WEBHOOK] Delivered ${results.delivered}, retrying ${results.retrying}, failed ${results.failed}`);
+      }
+    } while (results.delivered + results.retrying + results.failed >= BATCH_SIZE && workerRunning);
+  } catch (err) {
+    console.error('[WEBHOOK] Worker error:', err.message);
+  } finally {
+    workerBusy = false;
+    if (workerRunning) {
+      workerTimer = setTimeout(tick, INTERVAL_MS);
+    }
+  }
+}
+
+function startWebhookWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  console.log(`[WEBHOOK] Worker started (every ${INTERVAL_MS}ms)`);
+  tick();
+}
+
+function stopWebhookWorker() {
+  workerRunning = false;
+  clearTimeout(workerTimer);
+}
+
+/**
+ * Ask an idle in-process worker to send newly queued deliveries now
+ */
+function wakeWebhookWorker() {
+  if (workerRunning && !workerBusy && !wakeScheduled) {
+    wakeScheduled = true;
+    setImmediate(() => {
+      wakeScheduled = false;
+      tick();
+    });
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  EVENT_LABELS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  validateWebhook,
+  emitWebhookEvent,
+  emitWebhookEvents,
+  journeyLifecycleEvents,
+  attemptDelivery,
+  processDueWebhookDeliveries,
+  sendTestWebhook,
+  checkBotSpikes,
+  startWebhookWorker,
+  stopWebhookWorker
+};
@@ -0,0 +1,10 @@
+/**
+ * Standalone alert rules worker
+ * Run with: npm run worker:alerts
+ * Set ALERT_WORKER=false on the web processes when running this separately.
+ */
+
+const { runWorker } = require('./runWorker');
+const { startAlertWorker, stopAlertWorker } = require('../services/alerts');
+
+runWorker({ name: 'alert', start: startAlertWorker, stop: stopAlertWorker });
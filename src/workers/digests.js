@@ -0,0 +1,10 @@
+/**
+ * Standalone digest worker
+ * Run with: npm run worker:digests
+ * Set DIGEST_WORKER=false on the web processes when running this separately.
+ */
+
+const { runWorker } = require('./runWorker');
+const { startDigestWorker, stopDigestWorker } = require('../services/digests');
+
+runWorker({ name: 'digest', start: startDigestWorker, stop: stopDigestWorker });
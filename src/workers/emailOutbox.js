@@ -0,0 +1,10 @@
+/**
+ * Standalone email outbox worker
+ * Run with: npm run worker:email
+ * Set EMAIL_OUTBOX_WORKER=false on the web processes when running this separately.
+ */
+
+const { runWorker } = require('./runWorker');
+const { startEmailOutboxWorker, stopEmailOutboxWorker } = require('../services/emailOutbox');
+
+runWorker({ name: 'email outbox', start: startEmailOutboxWorker, stop: stopEmailOutboxWorker });
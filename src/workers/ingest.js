@@ -0,0 +1,10 @@
+/**
+ * Standalone event ingest worker
+ * Run with: npm run worker:ingest
+ * Set INGEST_WORKER=false on the web process when running this separately.
+ */
+
+const { runWorker } = require('./runWorker');
+const { startIngestWorker, stopIngestWorker } = require('../services/eventIngest');
+
+runWorker({ name: 'ingest', start: startIngestWorker, stop: stopIngestWorker });
@@ -0,0 +1,32 @@
+/**
+ * Standalone journey rebuild worker
+ * Run with: npm run worker:rebuild
+ * Set JOURNEY_REBUILD_WORKER=false on the web processes when running this separately.
+ */
+
+const { runWorker } = require('./runWorker');
+const { startJourneyRebuildWorker, stopJourneyRebuildWorker, getJourneyRebuildLag } = require('../services/journeyRebuild');
+
+const LAG_LOG_INTERVAL_MS = 60 * 1000;
+let lagTimer = null;
+
+async function logLag() {
+  try {
+    const lag = await getJourneyRebuildLag();
+    console.log(`[REBUILD] Lag: ${lag.eventLag} events, ${lag.dirtyJourneys} dirty journeys (oldest ${lag.oldestDirtySeconds ?? 0}s), ${lag.failedJourneys} failed`);
+  } catch (err) {
+    console.error('[REBUILD] Lag check failed:', err.message);
+  }
+}
+
+runWorker({
+  name: 'journey rebuild',
+  start() {
+    startJourneyRebuildWorker();
+    lagTimer = setInterval(logLag, LAG_LOG_INTERVAL_MS);
+  },
+  stop() {
+    stopJourneyRebuildWorker();
+    clearInterval(lagTimer);
+  }
+});
@@ -0,0 +1,45 @@
+/**
+ * Entry point shared by the standalone workers
+ * Loads .env, refuses to start while migrations are pending, then calls
+ * start(). SIGTERM / SIGINT call stop() and close the pool before exiting.
+ *
+ * Require this before any service so .env is loaded when they read it.
+ */
+
+require('dotenv').config();
+const { closeDb } = require('../db/database');
+const { assertNoPendingMigrations } = require('../db/migrator');
+
+/**
+ * Run a worker until the process is signalled
+ * name is lowercase and used in the log lines ("alert" -> "Stopping alert worker...")
+ */
+function runWorker({ name, start, stop }) {
+  async function main() {
+    await assertNoPendingMigrations();
+    await start();
+  }
+
+  async function shutdown(signal) {
+    console.log(`\n${signal} received. Stopping ${name} worker...`);
+    try {
+      await stop();
+      await closeDb();
+      process.exit(0);
+    } catch (error) {
+      console.error(`Failed to stop ${name} worker cleanly:`, error.message);
+      process.exit(1);
+    }
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  main().catch((error) => {
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+    console.error(`${label} worker failed to start:`, error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runWorker };
@@ -0,0 +1,10 @@
+/**
+ * Standalone webhook delivery worker
+ * Run with: npm run worker:webhooks
+ * Set WEBHOOK_WORKER=false on the web processes when running this separately.
+ */
+
+const { runWorker } = require('./runWorker');
+const { startWebhookWorker, stopWebhookWorker } = require('../services/webhooks');
+
+runWorker({ name: 'webhook', start: startWebhookWorker, stop: stopWebhookWorker });
@@ -0,0 +1,364 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const {
+  validateAlertRule,
+  isQuietHours,
+  isDeliveryDue,
+  evaluateRule,
+  deliverAlerts,
+  runAlertRules
+} = require('../src/services/alerts');
+const emailService = require('../src/services/emailService');
+
+const NOW = new Date('2026-01-12T10:00:00Z'); // Monday, GMT so London = UTC
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function ago(ms) {
+  return new Date(NOW.getTime() - ms).toISOString();
+}
+
+function addRule(ruleType, extra = {}) {
+  const rule = {
+    id: db.alertRules.length + 1,
+    user_id: 1,
+    site_id: 1,
+    name: `Rule ${db.alertRules.length + 1}`,
+    rule_type: ruleType,
+    config: {},
+    delivery: 'immediate',
+    quiet_start: null,
+    quiet_end: null,
+    timezone: 'Europe/London',
+    is_active: true,
+    last_evaluated_at: null,
+    last_sent_at: null,
+    ...extra
+  };
+  db.alertRules.push(rule);
+  return { ...rule, user_email: 'admissions@school.example', site_name: 'School' };
+}
+
+function addJourney(journeyId, extra = {}) {
+  db.journeys.set(journeyId, {
+    journey_id: journeyId,
+    site_id: 1,
+    visitor_id: `vis_${journeyId}`,
+    visit_number: 1,
+    first_seen: ago(10 * MINUTE),
+    entry_page: 'https://school.example/',
+    entry_referrer: null,
+    channel: 'Direct',
+    is_bot: false,
+    bot_score: 0,
+    goal_id: null,
+    outcome: null,
+    ...extra
+  });
+  const journey = db.journeys.get(journeyId);
+  journey.created_at = journey.created_at || journey.first_seen;  // Rebuilt as it happened
+}
+
+function event(journeyId, eventType, occurredAt, extra = {}) {
+  return {
+    event_type: eventType,
+    journey_id: journeyId,
+    visitor_id: `vis_${journeyId}`,
+    site_id: 1,
+    page_url: 'https://school.example/',
+    occurred_at: occurredAt,
+    ...extra
+  };
+}
+
+// Replace the email transport for a test; returns the calls it received
+function stubEmail(result = { success: true }) {
+  const calls = [];
+  emailService.sendAlertEmail = async (to, rule, alerts) => {
+    calls.push({ to, rule, alerts });
+    return typeof result === 'function' ? result() : result;
+  };
+  return calls;
+}
+
+const realSendAlertEmail = emailService.sendAlertEmail;
+
+beforeEach(() => {
+  fakeDb.reset();
+  db.users.push({ id: 1, email: 'admissions@school.example', name: 'Admissions', role: 'admin' });
+  db.sites.push({ id: 1, name: 'School', domain: 'school.example', tracking_key: 'tk_school' });
+});
+
+afterEach(() => {
+  emailService.sendAlertEmail = realSendAlertEmail;
+});
+
+describe('validateAlertRule', () => {
+  it('fills the name and settings from the rule type defaults', () => {
+    const { rule, errors } = validateAlertRule({ rule_type: 'form_abandoned', delivery: 'hourly' });
+    assert.deepEqual(errors, []);
+    assert.equal(rule.name, 'Form abandoned');
+    assert.deepEqual(rule.config, { page_pattern: 'apply|admission|enquir', idle_minutes: 30 });
+    assert.equal(rule.delivery, 'hourly');
+    assert.equal(rule.timezone, 'Europe/London');
+    assert.equal(rule.quiet_start, null);
+  });
+
+  it('keeps only the settings the rule type uses', () => {
+    const { rule, errors } = validateAlertRule({ rule_type: 'lead_score_above', threshold: '80', page_pattern: 'fees' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rule.config, { threshold: 80 });
+  });
+
+  it('rejects bad settings, half-set quiet hours and unknown timezones', () => {
+    assert.deepEqual(validateAlertRule({}).errors, ['Choose a rule type']);
+    assert.deepEqual(validateAlertRule({ rule_type: 'returning_page_view', page_pattern: '(' }).errors, ['Invalid page pattern: (']);
+    assert.deepEqual(validateAlertRule({ rule_type: 'lead_score_above', threshold: '150' }).errors,
+      ['Threshold must be a whole number between 1 and 99']);
+    assert.deepEqual(validateAlertRule({ rule_type: 'new_visitor', delivery: 'weekly' }).errors,
+      ['Delivery must be immediate, hourly or daily']);
+    assert.deepEqual(validateAlertRule({ rule_type: 'new_visitor', quiet_start: '22' }).errors,
+      ['Set both the start and end of quiet hours, or neither']);
+    assert.deepEqual(validateAlertRule({ rule_type: 'new_visitor', quiet_start: '7', quiet_end: '7' }).errors,
+      ['Quiet hours must be two different hours between 0 and 23']);
+    assert.deepEqual(validateAlertRule({ rule_type: 'new_visitor', timezone: 'Mars/Olympus' }).errors,
+      ['Unknown timezone: Mars/Olympus']);
+  });
+});
+
+describe('scheduling', () => {
+  it('wraps overnight quiet hours past midnight in the rule timezone', () => {
+    const rule = { quiet_start: 22, quiet_end: 7, timezone: 'Europe/London' };
+    assert.equal(isQuietHours(rule, new Date('2026-01-12T23:30:00Z')), true);
+    assert.equal(isQuietHours(rule, new Date('2026-01-12T06:59:00Z')), true);
+    assert.equal(isQuietHours(rule, new Date('2026-01-12T07:00:00Z')), false);
+    // 03:00 UTC is 22:00 in New York
+    assert.equal(isQuietHours({ ...rule, timezone: 'America/New_York' }, new Date('2026-01-12T03:00:00Z')), true);
+    assert.equal(isQuietHours({ quiet_start: null, quiet_end: null }, NOW), false);
+  });
+
+  it('sends hourly digests at most once an hour and daily digests once a local day from 08:00', () => {
+    assert.equal(isDeliveryDue({ delivery: 'hourly', last_sent_at: ago(30 * MINUTE) }, NOW), false);
+    assert.equal(isDeliveryDue({ delivery: 'hourly', last_sent_at: ago(HOUR) }, NOW), true);
+
+    const daily = { delivery: 'daily', timezone: 'Europe/London' };
+    assert.equal(isDeliveryDue({ ...daily, last_sent_at: ago(DAY) }, new Date('2026-01-12T07:59:00Z')), false);
+    assert.equal(isDeliveryDue({ ...daily, last_sent_at: ago(DAY) }, NOW), true);
+    assert.equal(isDeliveryDue({ ...daily, last_sent_at: ago(HOUR) }, NOW), false);
+    assert.equal(isDeliveryDue({ delivery: 'immediate' }, NOW), true);
+  });
+});
+
+describe('evaluateRule', () => {
+  it('alerts on new human journeys once, even when windows overlap', async () => {
+    addJourney('j_new', { entry_page: 'https://school.example/admissions' });
+    addJourney('j_bot', { is_bot: true });
+    addJourney('j_old', { first_seen: ago(3 * HOUR) });
+    fakeDb.seedEvents([event('j_new', 'page_view', ago(10 * MINUTE), { metadata: { location: { city: 'London' } } })]);
+    const rule = addRule('new_visitor');
+
+    assert.equal(await evaluateRule(rule, NOW), 1);
+    const [alert] = db.alertEvents;
+    assert.equal(alert.dedupe_key, 'journey:j_new');
+    assert.equal(alert.title, 'New visitor from London on /admissions');
+    assert.equal(alert.link, '/journeys/j_new');
+    assert.equal(db.alertRules[0].last_evaluated_at, NOW.toISOString());
+
+    // A restart re-evaluating the same window records nothing new
+    assert.equal(await evaluateRule(rule, NOW), 0);
+    assert.equal(db.alertEvents.length, 1);
+  });
+
+  it('alerts on journeys rebuilt late and on every match, not just the first page', async () => {
+    const rule = addRule('new_visitor', { last_evaluated_at: ago(MINUTE) });
+    addJourney('j_late', { first_seen: ago(2 * HOUR), created_at: ago(30 * 1000) });
+    for (let i = 0; i < 149; i++) {
+      addJourney(`j_${String(i).padStart(3, '0')}`, { first_seen: ago(2 * MINUTE) });
+    }
+
+    assert.equal(await evaluateRule(rule, NOW), 150);
+    assert.equal(db.alertEvents[0].dedupe_key, 'journey:j_late');
+  });
+
+  it('alerts when a returning visitor views a matching page', async () => {
+    addJourney('j_first', { visitor_id: 'vis_parent', first_seen: ago(3 * DAY) });
+    addJourney('j_second', { visitor_id: 'vis_parent', visit_number: 2 });
+    addJourney('j_newcomer');
+    fakeDb.seedEvents([
+      event('j_second', 'page_view', ago(5 * MINUTE), { visitor_id: 'vis_parent', page_url: 'https://school.example/fees' }),
+      event('j_newcomer', 'page_view', ago(5 * MINUTE), { page_url: 'https://school.example/fees' })
+    ]);
+
+    assert.equal(await evaluateRule(addRule('returning_page_view'), NOW), 1);
+    assert.equal(db.alertEvents[0].title, 'Returning visitor viewed /fees');
+    assert.equal(db.alertEvents[0].link, '/families/vis_parent');
+  });
+
+  it('alerts on lead scores above the rule threshold', async () => {
+    db.visitorLeadScores.push(
+      { site_id: 1, visitor_id: 'vis_hot', score: 85, computed_at: ago(MINUTE), last_seen: ago(MINUTE) },
+      { site_id: 1, visitor_id: 'vis_warm', score: 60, computed_at: ago(MINUTE), last_seen: ago(MINUTE) }
+    );
+
+    assert.equal(await evaluateRule(addRule('lead_score_above', { config: { threshold: 70 } }), NOW), 1);
+    assert.equal(db.alertEvents[0].dedupe_key, 'visitor:vis_hot');
+    assert.equal(db.alertEvents[0].title, 'Lead score 85 for a family');
+  });
+
+  it('alerts on forms started but not submitted once the journey goes quiet', async () => {
+    const apply = 'https://school.example/apply';
+    fakeDb.seedEvents([
+      event('j_left', 'form_start', ago(45 * MINUTE), { page_url: apply }),
+      event('j_sent', 'form_start', ago(45 * MINUTE), { page_url: apply }),
+      event('j_sent', 'form_submit', ago(40 * MINUTE), { page_url: apply }),
+      event('j_active', 'form_start', ago(45 * MINUTE), { page_url: apply }),
+      event('j_active', 'page_view', ago(5 * MINUTE), { page_url: apply })
+    ]);
+
+    assert.equal(await evaluateRule(addRule('form_abandoned'), NOW), 1);
+    assert.equal(db.alertEvents[0].dedupe_key, 'journey:j_left');
+    assert.equal(db.alertEvents[0].title, 'Form abandoned on /apply');
+  });
+
+  it('alerts on a form abandoned after the visitor browsed on for a while', async () => {
+    const apply = 'https://school.example/apply';
+    fakeDb.seedEvents([
+      event('j_browsed', 'form_start', ago(3 * HOUR), { page_url: apply }),
+      event('j_browsed', 'page_view', ago(25 * MINUTE), { page_url: 'https://school.example/fees' })
+    ]);
+
+    const rule = addRule('form_abandoned', { last_evaluated_at: ago(MINUTE) });
+    assert.equal(await evaluateRule(rule, NOW), 0);
+    assert.equal(await evaluateRule({ ...rule, last_evaluated_at: NOW.toISOString() }, new Date(NOW.getTime() + 15 * MINUTE)), 1);
+    assert.equal(db.alertEvents[0].dedupe_key, 'journey:j_browsed');
+  });
+
+  it('alerts once a week when the conversion rate drops week-over-week', async () => {
+    for (let i = 0; i < 60; i++) {
+      addJourney(`prev_${i}`, { first_seen: ago(10 * DAY), outcome: i < 12 ? 'enquiry_submitted' : null });
+      addJourney(`curr_${i}`, { first_seen: ago(2 * DAY), outcome: i < 6 ? 'enquiry_submitted' : null });
+    }
+    const rule = addRule('conversion_rate_drop');
+
+    assert.equal(await evaluateRule(rule, NOW), 1);
+    assert.equal(db.alertEvents[0].title, 'Conversion rate down 50% week-over-week');
+    assert.match(db.alertEvents[0].detail, /10\.0% of 60 journeys in the last 7 days, against 20\.0% of 60/);
+
+    // Evaluated at most hourly, and the same week never alerts twice
+    const evaluated = { ...rule, last_evaluated_at: NOW.toISOString() };
+    assert.equal(await evaluateRule(evaluated, new Date(NOW.getTime() + 30 * MINUTE)), 0);
+    assert.equal(await evaluateRule(evaluated, new Date(NOW.getTime() + 2 * HOUR)), 0);
+    assert.equal(db.alertEvents.length, 1);
+  });
+
+  it('ignores conversion rate changes on too few journeys', async () => {
+    for (let i = 0; i < 10; i++) {
+      addJourney(`prev_${i}`, { first_seen: ago(10 * DAY), outcome: 'enquiry_submitted' });
+      addJourney(`curr_${i}`, { first_seen: ago(2 * DAY) });
+    }
+    assert.equal(await evaluateRule(addRule('conversion_rate_drop'), NOW), 0);
+  });
+});
+
+describe('deliverAlerts', () => {
+  async function raiseAlerts(rule, count) {
+    for (let i = 0; i < count; i++) {
+      addJourney(`j_${rule.id}_${i}`);
+    }
+    await evaluateRule(rule, NOW);
+  }
+
+  it('emails all pending alerts for a rule in one message', async () => {
+    const rule = addRule('new_visitor', { delivery: 'hourly' });
+    await raiseAlerts(rule, 3);
+    const calls = stubEmail();
+
+    assert.equal(await deliverAlerts(rule, NOW), 3);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].to, ['admissions@school.example']);
+    assert.equal(calls[0].alerts.length, 3);
+    assert.ok(db.alertEvents.every(a => a.status === 'sent'));
+    assert.equal(db.alertRules[0].last_sent_at, NOW.toISOString());
+
+    // Nothing left to send
+    assert.equal(await deliverAlerts({ ...rule, last_sent_at: ago(2 * HOUR) }, NOW), 0);
+    assert.equal(calls.length, 1);
+  });
+
+  it('never emails an alert twice when workers deliver side by side', async () => {
+    const rule = addRule('new_visitor');
+    await raiseAlerts(rule, 2);
+    const calls = stubEmail();
+
+    const sent = await Promise.all([deliverAlerts(rule, NOW), deliverAlerts(rule, NOW)]);
+    assert.deepEqual(sent.sort(), [0, 2]);
+    assert.equal(calls.length, 1);
+    assert.ok(db.alertEvents.every(a => a.status === 'sent' && a.claimed_until === null));
+  });
+
+  it('holds alerts during quiet hours and sends them when they end', async () => {
+    const rule = addRule('new_visitor', { quiet_start: 22, quiet_end: 7 });
+    await raiseAlerts(rule, 2);
+    const calls = stubEmail();
+
+    assert.equal(await deliverAlerts(rule, new Date('2026-01-12T23:00:00Z')), 0);
+    assert.equal(calls.length, 0);
+    assert.ok(db.alertEvents.every(a => a.status === 'pending'));
+
+    assert.equal(await deliverAlerts(rule, new Date('2026-01-13T07:00:00Z')), 2);
+    assert.equal(calls.length, 1);
+  });
+
+  it('adds the site alert recipients when the rule opts in', async () => {
+    db.emailRecipients.push(
+      { id: 1, site_id: 1, email: 'head@school.example', categories: ['alerts', 'digests'], is_active: true },
+      { id: 2, site_id: 1, email: 'bursar@school.example', categories: ['digests'], is_active: true },
+      { id: 3, site_id: 1, email: 'old@school.example', categories: ['alerts'], is_active: false },
+      { id: 4, site_id: 1, email: 'admissions@school.example', categories: ['alerts'], is_active: true }
+    );
+    const rule = addRule('new_visitor', { notify_site: true });
+    await raiseAlerts(rule, 1);
+    // The first send failed but the outbox will retry it
+    const calls = stubEmail({ success: false, queued: true, reason: 'SMTP connection refused' });
+
+    assert.equal(await deliverAlerts(rule, NOW), 1);
+    assert.deepEqual(calls[0].to, ['admissions@school.example', 'head@school.example']);
+    assert.equal(db.alertEvents[0].status, 'sent');
+  });
+
+  it('retries failed sends and gives up after five attempts', async () => {
+    const rule = addRule('new_visitor');
+    await raiseAlerts(rule, 1);
+    stubEmail({ success: false, reason: 'Graph returned 503' });
+
+    for (let i = 0; i < 4; i++) {
+      await deliverAlerts(rule, NOW);
+    }
+    assert.equal(db.alertEvents[0].status, 'pending');
+    assert.equal(db.alertEvents[0].attempts, 4);
+
+    await deliverAlerts(rule, NOW);
+    assert.equal(db.alertEvents[0].status, 'failed');
+    assert.equal(db.alertEvents[0].last_error, 'Graph returned 503');
+    assert.equal(db.alertRules[0].last_sent_at, null);
+  });
+});
+
+describe('runAlertRules', () => {
+  it('evaluates and delivers every active rule, carrying on past a failing one', async () => {
+    addJourney('j_new');
+    addRule('new_visitor');
+    addRule('returning_page_view', { config: { page_pattern: '(' } }); // stored before validation existed
+    addRule('new_visitor', { is_active: false });
+    const calls = stubEmail();
+
+    const totals = await runAlertRules(NOW);
+    assert.deepEqual(totals, { rules: 2, created: 1, sent: 1 });
+    assert.equal(calls.length, 1);
+  });
+});
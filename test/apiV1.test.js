@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const app = require('../src/app');
+const { generateApiKey, validateApiKey, hashApiKey } = require('../src/services/apiKeys');
+const { at } = require('./fixtures/eventStreams');
+
+let server;
+let baseUrl;
+let keys;
+
+function get(path, key) {
+  return fetch(baseUrl + path, {
+    headers: key ? { Authorization: `Bearer ${key}` } : {}
+  });
+}
+
+function addKey(siteId, scopes, extra = {}) {
+  const { key, keyPrefix, keyHash } = generateApiKey();
+  db.apiKeys.push({ id: db.apiKeys.length + 1, site_id: siteId, name: 'CRM', key_prefix: keyPrefix, key_hash: keyHash, scopes, revoked_at: null, ...extra });
+  return key;
+}
+
+function addJourney(journeyId, siteId, seconds, extra = {}) {
+  db.journeys.set(journeyId, {
+    journey_id: journeyId,
+    visitor_id: `vis_${journeyId}`,
+    site_id: siteId,
+    first_seen: at(seconds),
+    last_seen: at(seconds + 60),
+    outcome: 'browsing',
+    channel: 'Organic Search',
+    is_bot: false,
+    bot_score: 0,
+    ...extra
+  });
+}
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  fakeDb.reset();
+  db.sites.push({ id: 1, name: 'More House', domain: 'morehouse.org.uk', tracking_key: 'tk_more' });
+  db.sites.push({ id: 2, name: 'Other School', domain: 'other.example', tracking_key: 'tk_other' });
+  keys = {
+    journeys: addKey(1, ['journeys:read']),
+    revoked: addKey(1, ['journeys:read'], { revoked_at: at(0) })
+  };
+});
+
+describe('API key authentication', () => {
+  it('rejects missing, unknown and revoked keys', async () => {
+    for (const [key, code] of [[null, 'missing_api_key'], ['sk_nope', 'invalid_api_key'], [keys.revoked, 'invalid_api_key']]) {
+      const res = await get('/api/v1/site', key);
+      assert.equal(res.status, 401);
+      assert.deepEqual(await res.json(), {
+        success: false,
+        code,
+        error: code === 'missing_api_key'
+          ? 'Send your API key as "Authorization: Bearer <key>"'
+          : 'API key is invalid or has been revoked'
+      });
+    }
+  });
+
+  it('accepts the X-API-Key header and records last use', async () => {
+    const res = await fetch(baseUrl + '/api/v1/site', { headers: { 'X-API-Key': keys.journeys } });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.data, { id: 1, name: 'More House', domain: 'morehouse.org.uk', key_name: 'CRM', scopes: ['journeys:read'] });
+    assert.ok(db.apiKeys[0].last_used_at);
+  });
+
+  it('requires the endpoint scope', async () => {
+    const res = await get('/api/v1/families', keys.journeys);
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'insufficient_scope');
+  });
+
+  it('returns JSON for unknown endpoints', async () => {
+    const res = await get('/api/v1/nope', keys.journeys);
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).code, 'not_found');
+  });
+});
+
+describe('GET /api/v1/journeys', () => {
+  const range = `from=${at(0).slice(0, 10)}&to=${at(0).slice(0, 10)}`;
+
+  beforeEach(() => {
+    addJourney('j1', 1, 0);
+    addJourney('j2', 1, 600, { outcome: 'enquiry_submitted' });
+    addJourney('j3', 1, 1200);
+    addJourney('bot', 1, 1800, { is_bot: true, bot_score: 90 });
+    addJourney('other_site', 2, 300);
+  });
+
+  it('pages through the key\'s site only, newest first, without bots', async () => {
+    const res = await get(`/api/v1/journeys?${range}&per_page=2`, keys.journeys);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.data.map(j => j.journey_id), ['j3', 'j2']);
+    assert.deepEqual(
+      { page: body.meta.page, per_page: body.meta.per_page, total: body.meta.total, total_pages: body.meta.total_pages },
+      { page: 1, per_page: 2, total: 3, total_pages: 2 }
+    );
+
+    const page2 = await (await get(`/api/v1/journeys?${range}&per_page=2&page=2`, keys.journeys)).json();
+    assert.deepEqual(page2.data.map(j => j.journey_id), ['j1']);
+  });
+
+  it('filters by outcome and optionally includes bots', async () => {
+    const enquiries = await (await get(`/api/v1/journeys?${range}&outcome=enquiry_submitted`, keys.journeys)).json();
+    assert.deepEqual(enquiries.data.map(j => j.journey_id), ['j2']);
+
+    const all = await (await get(`/api/v1/journeys?${range}&include_bots=true`, keys.journeys)).json();
+    assert.equal(all.meta.total, 4);
+  });
+
+  it('rejects bad pagination and dates', async () => {
+    for (const query of ['per_page=500', 'page=0', 'from=yesterday', `from=${at(0)}&to=${at(-60)}`]) {
+      const res = await get(`/api/v1/journeys?${query}`, keys.journeys);
+      assert.equal(res.status, 400, query);
+      assert.equal((await res.json()).code, 'invalid_parameter');
+    }
+  });
+});
+
+describe('validateApiKey', () => {
+  it('keeps known scopes and requires a name', () => {
+    assert.deepEqual(validateApiKey({ name: ' CRM ', scopes: 'families:read' }), {
+      apiKey: { name: 'CRM', scopes: ['families:read'] },
+      errors: []
+    });
+    assert.deepEqual(validateApiKey({ name: '', scopes: ['admin:write'] }).errors, [
+      'Key name is required',
+      'Select at least one scope',
+      'Unknown scope requested'
+    ]);
+  });
+
+  it('generates keys that are only stored hashed', () => {
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    assert.match(key, /^sk_[0-9a-f]{48}$/);
+    assert.equal(keyPrefix, key.slice(0, 10));
+    assert.equal(keyHash, hashApiKey(key));
+    assert.notEqual(keyHash, key);
+  });
+});
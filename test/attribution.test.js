@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+fakeDb.install();
+
+const {
+  ATTRIBUTION_MODELS,
+  touchpointChannel,
+  touchpointSource,
+  modelWeights,
+  buildAttributionReport
+} = require('../src/services/attribution');
+const { at } = require('./fixtures/eventStreams');
+
+const DAY = 24 * 60 * 60;
+
+function touch(conversionId, journeyId, seconds, extra = {}) {
+  return {
+    conversion_id: conversionId,
+    conversion_outcome: 'enquiry_submitted',
+    converted_at: null,
+    journey_id: journeyId,
+    first_seen: at(seconds),
+    entry_referrer: null,
+    utm: null,
+    ...extra
+  };
+}
+
+const sum = (weights) => Math.round(weights.reduce((a, b) => a + b, 0) * 1e9) / 1e9;
+
+describe('touchpoint labels', () => {
+  it('uses the channel stored on the journey, else classifies it', () => {
+    assert.equal(touchpointChannel({ channel: 'AI Assistants', entry_referrer: 'https://www.bing.com/' }), 'AI Assistants');
+    assert.equal(touchpointChannel({ utm: '{"gclid":"abc"}' }), 'Paid Search');
+    assert.equal(touchpointChannel({ entry_referrer: 'https://www.bing.com/' }), 'Organic Search');
+    assert.equal(touchpointChannel({}), 'Direct');
+  });
+
+  it('labels source / medium from UTM tags, then click ids, then the referrer', () => {
+    assert.equal(touchpointSource({ utm: { utm_source: 'newsletter', utm_medium: 'email' } }), 'newsletter / email');
+    assert.equal(touchpointSource({ utm: '{"gclid":"abc"}' }), 'google / cpc');
+    assert.equal(touchpointSource({ entry_referrer: 'https://www.bing.com/' }), 'bing / organic');
+    assert.equal(touchpointSource({}), '(direct) / (none)');
+  });
+});
+
+describe('modelWeights', () => {
+  const four = [0, 3 * DAY, 7 * DAY, 14 * DAY].map(s => ({ first_seen: at(s) }));
+
+  it('gives every model a total credit of 1 per conversion', () => {
+    for (const model of ATTRIBUTION_MODELS) {
+      assert.equal(sum(modelWeights(model, four)), 1, model);
+    }
+  });
+
+  it('splits credit the way each model describes', () => {
+    assert.deepEqual(modelWeights('first_touch', four), [1, 0, 0, 0]);
+    assert.deepEqual(modelWeights('last_touch', four), [0, 0, 0, 1]);
+    assert.deepEqual(modelWeights('linear', four), [0.25, 0.25, 0.25, 0.25]);
+    assert.deepEqual(modelWeights('position_based', four), [0.4, 0.1, 0.1, 0.4]);
+
+    const decay = modelWeights('time_decay', four);
+    assert.ok(decay[0] < decay[1] && decay[1] < decay[2] && decay[2] < decay[3]);
+    // The last touch is exactly one half-life (7 days) after the third
+    assert.ok(Math.abs(decay[2] / decay[3] - 0.5) < 1e-9);
+  });
+
+  it('gives a single-journey conversion all the credit', () => {
+    for (const model of ATTRIBUTION_MODELS) {
+      assert.deepEqual(modelWeights(model, [{ first_seen: at(0) }]), [1]);
+    }
+  });
+});
+
+describe('buildAttributionReport', () => {
+  const rows = [
+    // Found the school on Google, came back from a newsletter and enquired
+    touch('conv_1', 'j1', 0, { entry_referrer: 'https://www.google.com/' }),
+    touch('conv_1', 'j2', 2 * DAY, { utm: { utm_source: 'newsletter', utm_medium: 'email', utm_campaign: 'open_morning' } }),
+    // Booked a visit straight from Google
+    touch('conv_2', 'j3', 0, { entry_referrer: 'https://www.google.com/', conversion_outcome: 'visit_booked' })
+  ];
+
+  it('credits channels across each visitor\'s journeys per model', () => {
+    const report = buildAttributionReport(rows);
+
+    assert.equal(report.conversions, 2);
+    assert.equal(report.avgTouchpoints, 1.5);
+    assert.deepEqual(report.outcomes, ['enquiry_submitted', 'visit_booked']);
+
+    const google = report.rows.find(r => r.key === 'Organic Search');
+    const newsletter = report.rows.find(r => r.key === 'Email');
+    assert.equal(google.credits.first_touch, 2);
+    assert.equal(google.credits.last_touch, 1);
+    assert.equal(google.credits.linear, 1.5);
+    assert.equal(google.shares.linear, 75);
+    assert.equal(newsletter.credits.last_touch, 1);
+  });
+
+  it('groups by source / medium', () => {
+    const report = buildAttributionReport(rows, { dimension: 'source' });
+    assert.deepEqual(report.rows.map(r => r.key), ['google / organic', 'newsletter / email']);
+  });
+
+  it('groups by campaign and filters by conversion outcome', () => {
+    const report = buildAttributionReport(rows, { dimension: 'campaign', outcome: 'enquiry_submitted' });
+
+    assert.equal(report.conversions, 1);
+    assert.deepEqual(report.rows.map(r => [r.key, r.credits.linear]), [['(not set)', 0.5], ['open_morning', 0.5]]);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  detectBotForEvent,
+  calculateJourneyBotScore,
+  markPixelOnlyBotsInDB
+} = require('../src/services/botDetection');
+const fixtures = require('./fixtures/eventStreams');
+
+describe('detectBotForEvent', () => {
+  it('passes an ordinary desktop browser', () => {
+    const result = detectBotForEvent({
+      userAgent: fixtures.CHROME_UA,
+      ipAddress: '81.2.69.160',
+      metadata: {}
+    });
+    assert.equal(result.isBot, false);
+    assert.equal(result.botScore, 0);
+    assert.deepEqual(result.signals, []);
+  });
+
+  it('flags a known crawler on a datacenter IP', () => {
+    const [event] = fixtures.pixelOnlyCrawler();
+    const result = detectBotForEvent({
+      userAgent: event.user_agent,
+      ipAddress: event.ip_address,
+      metadata: event.metadata
+    });
+    assert.equal(result.isBot, true);
+    assert.equal(result.botType, 'search_crawler');
+    assert.equal(result.botScore, 34);
+    assert.deepEqual(result.signals, ['known_bot:search_crawler', 'datacenter_ip']);
+  });
+
+  it('scores a triggered honeypot as a certain bot', () => {
+    const result = detectBotForEvent({
+      userAgent: fixtures.CHROME_UA,
+      ipAddress: '81.2.69.160',
+      metadata: { botIndicators: { honeypotClicked: true } }
+    });
+    assert.deepEqual(result, {
+      isBot: true,
+      botScore: 100,
+      botType: 'scraper',
+      signals: ['honeypot_triggered']
+    });
+  });
+
+  it('picks up client-side automation indicators', () => {
+    const result = detectBotForEvent({
+      userAgent: fixtures.CHROME_UA,
+      ipAddress: '81.2.69.160',
+      metadata: { botIndicators: { webdriver: true, automationControlled: true, plugins: 0 } }
+    });
+    assert.equal(result.botType, 'automation');
+    assert.ok(result.signals.includes('webdriver_detected'));
+    assert.ok(result.signals.includes('automation_controlled'));
+  });
+});
+
+describe('calculateJourneyBotScore', () => {
+  it('keeps an engaged human journey below the bot threshold', () => {
+    const result = calculateJourneyBotScore(fixtures.humanEnquiry());
+    assert.equal(result.isBot, false);
+    assert.equal(result.botType, null);
+    assert.ok(result.botScore < 50);
+  });
+
+  it('marks a crawler UA on page_view as a bot regardless of behaviour', () => {
+    const events = fixtures.humanEnquiry().map(e => ({ ...e, user_agent: fixtures.GOOGLEBOT_UA }));
+    const result = calculateJourneyBotScore(events);
+    assert.equal(result.isBot, true);
+    assert.equal(result.botType, 'search_crawler');
+    assert.ok(result.botScore >= 90);
+  });
+
+  it('records single-event bounce signals for a pixel-only visit', () => {
+    const result = calculateJourneyBotScore(fixtures.pixelOnlyCrawler());
+    assert.ok(result.signals.includes('single_event_bounce'));
+    assert.ok(result.signals.includes('below_quality_threshold'));
+  });
+
+  it('scores the tracker collectors\' fingerprint and mouse patterns', () => {
+    const events = fixtures.humanEnquiry();
+    const clean = calculateJourneyBotScore(events);
+
+    events[0].metadata = { botIndicators: { fingerprint: { webglRenderer: 'Google SwiftShader', webglSuspicious: true, platform: 'Linux x86_64' } } };
+    events[4].metadata = { botIndicators: { mousePatterns: { totalMovements: 0, totalClicks: 0, noMovement: true } } };
+    // The latest mouse patterns count, not the first
+    events[events.length - 1].metadata = {
+      botIndicators: { mousePatterns: { totalMovements: 40, totalClicks: 2, totalDistance: 3000, straightLineRatio: '1.00', timingVariance: '2.00', maxSpeed: '1.20' } }
+    };
+    const result = calculateJourneyBotScore(events);
+
+    assert.deepEqual(result.signals.slice(-4), ['webgl_suspicious', 'software_renderer', 'mouse_too_straight', 'mouse_uniform_timing']);
+    assert.equal(result.botScore, clean.botScore + Math.round(65 * 0.15 + 45 * 0.15));
+  });
+
+  it('marks a journey with a sprung honeypot as a certain bot', () => {
+    const events = fixtures.humanEnquiry();
+    events[6].event_type = 'error';
+    events[6].metadata = { botSignal: 'honeypot_click', botIndicators: { honeypotClicked: true } };
+
+    assert.deepEqual(calculateJourneyBotScore(events), { isBot: true, botScore: 100, botType: 'scraper', signals: ['honeypot_triggered'] });
+  });
+
+  it('returns a clean result for an empty journey', () => {
+    assert.deepEqual(calculateJourneyBotScore([]), { isBot: false, botScore: 0, botType: null, signals: [] });
+  });
+});
+
+describe('markPixelOnlyBotsInDB', () => {
+  it('marks pixel-only journeys on events and journeys', async () => {
+    const calls = [];
+    const db = {
+      async query(sql, params) {
+        calls.push({ sql, params });
+        if (calls.length === 1) return { rows: [{ journey_id: 'pxl_jrn_crawler' }] };
+        return { rows: [], rowCount: 1 };
+      }
+    };
+
+    const result = await markPixelOnlyBotsInDB(db, 1);
+
+    assert.deepEqual(result, { marked: 1, journeyIds: ['pxl_jrn_crawler'] });
+    assert.deepEqual(calls[0].params, [1]);
+    assert.match(calls[1].sql, /UPDATE journey_events/);
+    assert.match(calls[2].sql, /UPDATE journeys/);
+  });
+
+  it('does nothing when every journey ran JavaScript', async () => {
+    const db = { async query() { return { rows: [] }; } };
+    assert.deepEqual(await markPixelOnlyBotsInDB(db), { marked: 0, journeyIds: [] });
+  });
+});
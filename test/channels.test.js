@@ -0,0 +1,93 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+fakeDb.install();
+
+const {
+  setChannelRules,
+  getChannels,
+  hostOf,
+  classifyChannel,
+  classifyJourneyChannel
+} = require('../src/services/channels');
+const defaultRules = require('../src/config/channelRules.json');
+const { humanEnquiry, at, CHROME_UA } = require('./fixtures/eventStreams');
+
+const channelOf = (visit) => classifyChannel(visit).channel;
+
+describe('hostOf', () => {
+  it('lowercases, strips www. and handles app referrers', () => {
+    assert.equal(hostOf('https://WWW.Google.co.uk/search?q=school'), 'google.co.uk');
+    assert.equal(hostOf('android-app://com.google.android.gm/'), 'com.google.android.gm');
+    assert.equal(hostOf('not a url'), null);
+    assert.equal(hostOf(null), null);
+  });
+});
+
+describe('classifyChannel', () => {
+  it('groups referrers by host rules', () => {
+    assert.equal(channelOf({ referrer: 'https://www.google.co.uk/' }), 'Organic Search');
+    assert.equal(channelOf({ referrer: 'https://duckduckgo.com/' }), 'Organic Search');
+    assert.equal(channelOf({ referrer: 'https://l.facebook.com/l.php' }), 'Social');
+    assert.equal(channelOf({ referrer: 'https://mail.google.com/' }), 'Email');
+    assert.equal(channelOf({ referrer: 'android-app://com.google.android.gm/' }), 'Email');
+    assert.equal(channelOf({ referrer: 'https://chatgpt.com/' }), 'AI Assistants');
+    assert.equal(channelOf({ referrer: 'https://www.perplexity.ai/search' }), 'AI Assistants');
+    assert.equal(channelOf({ referrer: 'https://gemini.google.com/app' }), 'AI Assistants');
+    assert.equal(channelOf({ referrer: 'https://schools-guide.example/' }), 'Referral');
+    assert.equal(channelOf({}), 'Direct');
+  });
+
+  it('does not match hosts that merely contain a rule', () => {
+    assert.equal(channelOf({ referrer: 'https://notgoogle.example/' }), 'Referral');
+    assert.equal(channelOf({ referrer: 'https://box.com/' }), 'Referral');
+  });
+
+  it('treats referrers from the site itself as direct', () => {
+    const visit = { referrer: 'https://www.morehouse.org.uk/admissions', pageUrl: 'https://morehouse.org.uk/visit' };
+    assert.deepEqual(classifyChannel(visit), { channel: 'Direct', source: '(direct)', medium: '(none)' });
+  });
+
+  it('prefers UTM medium and source over the referrer', () => {
+    assert.deepEqual(
+      classifyChannel({ referrer: 'https://www.google.com/', utm: { utm_source: 'google', utm_medium: 'cpc' } }),
+      { channel: 'Paid Search', source: 'google', medium: 'cpc' }
+    );
+    assert.equal(channelOf({ utm: { utm_source: 'facebook', utm_medium: 'cpc' } }), 'Paid Social');
+    assert.equal(channelOf({ utm: { utm_source: 'newsletter', utm_medium: 'email' } }), 'Email');
+    assert.equal(channelOf({ utm: '{"utm_source":"chatgpt.com"}' }), 'AI Assistants');
+    assert.equal(channelOf({ utm: { utm_source: 'open-morning-flyer', utm_medium: 'print' } }), 'Other');
+  });
+
+  it('reads UTM tags and click ids from the landing page URL', () => {
+    assert.equal(channelOf({ pageUrl: 'https://school.example/?utm_source=mailchimp&utm_medium=newsletter' }), 'Email');
+    assert.deepEqual(
+      classifyChannel({ referrer: 'https://www.bing.com/', pageUrl: 'https://school.example/?msclkid=abc' }),
+      { channel: 'Paid Search', source: 'bing', medium: 'cpc' }
+    );
+  });
+});
+
+describe('classifyJourneyChannel', () => {
+  it('classifies a journey from its entry event', () => {
+    const events = [
+      { event_type: 'page_view', occurred_at: at(0), referrer: 'https://www.perplexity.ai/', page_url: 'https://school.example/', user_agent: CHROME_UA },
+      { event_type: 'page_view', occurred_at: at(30), referrer: 'https://school.example/', page_url: 'https://school.example/fees' }
+    ];
+    assert.equal(classifyJourneyChannel(events).channel, 'AI Assistants');
+    assert.ok(getChannels().includes(classifyJourneyChannel(humanEnquiry()).channel));
+  });
+});
+
+describe('setChannelRules', () => {
+  afterEach(() => setChannelRules(defaultRules));
+
+  it('applies custom host rules', () => {
+    setChannelRules({
+      ...defaultRules,
+      sources: [{ name: 'schools-guide', type: 'search', hosts: ['schools-guide.example'] }, ...defaultRules.sources]
+    });
+    assert.equal(channelOf({ referrer: 'https://www.schools-guide.example/' }), 'Organic Search');
+  });
+});
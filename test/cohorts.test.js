@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+fakeDb.install();
+
+const { startOfWeek, buildCohortMatrix } = require('../src/services/cohorts');
+
+// Wednesday; its week starts Monday 2026-03-02
+const NOW = new Date('2026-03-04T12:00:00Z');
+
+function journey(visitorId, firstVisit, firstSeen, extra = {}) {
+  return {
+    visitor_id: visitorId,
+    journey_id: `${visitorId}_${firstSeen}`,
+    first_seen: firstSeen,
+    first_visit: firstVisit,
+    first_referrer: null,
+    first_channel: 'Direct',
+    first_device: 'desktop',
+    converted: false,
+    ...extra
+  };
+}
+
+describe('startOfWeek', () => {
+  it('returns Monday 00:00 UTC', () => {
+    assert.equal(startOfWeek('2026-03-08T23:59:00Z').toISOString(), '2026-03-02T00:00:00.000Z');
+    assert.equal(startOfWeek('2026-03-02T00:00:00Z').toISOString(), '2026-03-02T00:00:00.000Z');
+  });
+});
+
+describe('buildCohortMatrix', () => {
+  const rows = [
+    // Cohort w/c 16 Feb: A returns in week 2 and converts; B never returns
+    journey('vis_a', '2026-02-17T10:00:00Z', '2026-02-17T10:00:00Z', { first_channel: 'Organic Search' }),
+    journey('vis_a', '2026-02-17T10:00:00Z', '2026-03-03T09:00:00Z', { first_channel: 'Organic Search', converted: true }),
+    journey('vis_b', '2026-02-18T10:00:00Z', '2026-02-18T10:00:00Z', { first_device: 'mobile' }),
+    // Cohort w/c 2 Mar
+    journey('vis_c', '2026-03-02T08:00:00Z', '2026-03-02T08:00:00Z', { converted: true })
+  ];
+
+  it('counts returning visitors and conversions by weeks since first visit', () => {
+    const matrix = buildCohortMatrix(rows, { weeks: 3, now: NOW });
+
+    assert.deepEqual(matrix.cohorts.map(c => [c.weekStart, c.visitors]), [
+      ['2026-02-16', 2],
+      ['2026-02-23', 0],
+      ['2026-03-02', 1]
+    ]);
+
+    const feb16 = matrix.cohorts[0];
+    assert.deepEqual(feb16.cells.map(c => c.returning), [2, 0, 1]);
+    assert.deepEqual(feb16.cells.map(c => c.returningRate), [100, 0, 50]);
+    assert.deepEqual(feb16.cells.map(c => c.cumulativeConversions), [0, 0, 1]);
+
+    // The current week's cohort only has week 0 so far
+    assert.equal(matrix.cohorts[2].cells.length, 1);
+    assert.equal(matrix.cohorts[2].cells[0].cumulativeRate, 100);
+  });
+
+  it('filters cohorts by the channel and device of the first visit', () => {
+    const organic = buildCohortMatrix(rows, { weeks: 3, now: NOW, source: 'Organic Search' });
+    assert.equal(organic.totalVisitors, 1);
+    assert.equal(organic.cohorts[0].visitors, 1);
+
+    // Journeys not rebuilt since channels were added fall back to the referrer
+    const legacy = rows.map(r => ({ ...r, first_channel: null }));
+    legacy[0].first_referrer = 'https://www.google.co.uk/';
+    legacy[1].first_referrer = 'https://www.google.co.uk/';
+    assert.equal(buildCohortMatrix(legacy, { weeks: 3, now: NOW, source: 'Organic Search' }).totalVisitors, 1);
+
+    const mobile = buildCohortMatrix(rows, { weeks: 3, now: NOW, device: 'mobile' });
+    assert.equal(mobile.totalVisitors, 1);
+    assert.deepEqual(mobile.devices, ['desktop', 'mobile']);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const {
+  consentOf,
+  isCookieless,
+  cookielessId,
+  countryOnly,
+  pruneConsentSalts,
+  clearSaltCache
+} = require('../src/services/consent');
+
+const VISITOR = { trackingKey: 'tk_test_school', ip: '198.51.100.4', userAgent: 'Mozilla/5.0 (test)' };
+
+describe('consent state', () => {
+  it('keeps known states and treats anything short of granted as cookieless', () => {
+    assert.equal(consentOf({ consent: 'denied' }), 'denied');
+    assert.equal(consentOf({ consent: 'yes' }), null);
+    assert.equal(consentOf({}), null);
+
+    assert.equal(isCookieless('granted'), false);
+    assert.equal(isCookieless(null), false);
+    for (const consent of ['denied', 'pending', 'cookieless']) {
+      assert.equal(isCookieless(consent), true);
+    }
+  });
+
+  it('cuts a location down to the country', () => {
+    assert.deepEqual(countryOnly({
+      country: 'United Kingdom',
+      countryCode: 'GB',
+      region: 'England',
+      city: 'London',
+      flag: '🇬🇧',
+      displayName: 'London, GB'
+    }), { country: 'United Kingdom', countryCode: 'GB', flag: '🇬🇧', displayName: 'United Kingdom' });
+    assert.equal(countryOnly(null), null);
+  });
+});
+
+describe('cookieless ids', () => {
+  beforeEach(() => {
+    fakeDb.reset();
+    clearSaltCache();
+  });
+
+  it('are stable for a browser within a day and change with the day', async () => {
+    const monday = await cookielessId({ ...VISITOR, receivedAt: '2026-03-02T09:00:00Z' });
+
+    assert.match(monday, /^cl_[0-9a-f]{32}$/);
+    assert.equal(await cookielessId({ ...VISITOR, receivedAt: '2026-03-02T23:59:00Z' }), monday);
+    assert.notEqual(await cookielessId({ ...VISITOR, userAgent: 'Other', receivedAt: '2026-03-02T10:00:00Z' }), monday);
+    assert.notEqual(await cookielessId({ ...VISITOR, trackingKey: 'tk_other', receivedAt: '2026-03-02T10:00:00Z' }), monday);
+    assert.notEqual(await cookielessId({ ...VISITOR, receivedAt: '2026-03-03T09:00:00Z' }), monday);
+    assert.deepEqual(Array.from(db.consentSalts.keys()), ['2026-03-02', '2026-03-03']);
+  });
+
+  it('use the salt the first process stored for the day', async () => {
+    const id = await cookielessId({ ...VISITOR, receivedAt: '2026-03-02T09:00:00Z' });
+    const salt = db.consentSalts.get('2026-03-02');
+
+    // Another process starts with an empty cache
+    clearSaltCache();
+    assert.equal(await cookielessId({ ...VISITOR, receivedAt: '2026-03-02T18:00:00Z' }), id);
+    assert.equal(db.consentSalts.get('2026-03-02'), salt);
+  });
+
+  it('pruneConsentSalts deletes salts older than yesterday', async () => {
+    for (const day of ['2026-02-28', '2026-03-01', '2026-03-02']) db.consentSalts.set(day, `salt-${day}`);
+
+    assert.equal(await pruneConsentSalts(new Date('2026-03-02T12:00:00Z')), 1);
+    assert.deepEqual(Array.from(db.consentSalts.keys()), ['2026-03-01', '2026-03-02']);
+  });
+});
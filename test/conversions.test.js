@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const app = require('../src/app');
+const { generateApiKey } = require('../src/services/apiKeys');
+const { hashEmail, validateConversion, buildPreConversionSummary } = require('../src/services/conversions');
+const { at } = require('./fixtures/eventStreams');
+
+let server;
+let baseUrl;
+let apiKey;
+
+function postConversion(body, key = apiKey) {
+  return fetch(baseUrl + '/api/v1/conversions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+    body: JSON.stringify(body)
+  });
+}
+
+function addJourney(journeyId, visitorId, seconds, pages, extra = {}) {
+  db.journeys.set(journeyId, {
+    journey_id: journeyId,
+    visitor_id: visitorId,
+    site_id: 1,
+    first_seen: at(seconds),
+    last_seen: at(seconds + 120),
+    page_sequence: JSON.stringify(pages.map((url, i) => ({ url, timestamp: at(seconds + i * 30) }))),
+    event_count: pages.length * 3,
+    channel: 'Organic Search',
+    outcome: 'browsing',
+    is_bot: false,
+    ...extra
+  });
+}
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  fakeDb.reset();
+  db.sites.push({ id: 1, name: 'More House', domain: 'morehouse.org.uk', tracking_key: 'tk_more' });
+  const { key, keyHash } = generateApiKey();
+  apiKey = key;
+  db.apiKeys.push({ id: 1, site_id: 1, name: 'CRM', key_hash: keyHash, scopes: ['conversions:write'], revoked_at: null });
+
+  // Two research visits, then the enquiry visit
+  addJourney('j1', 'vis_1', 0, ['https://morehouse.org.uk/', 'https://morehouse.org.uk/fees']);
+  addJourney('j2', 'vis_1', 86400, ['https://morehouse.org.uk/fees', 'https://morehouse.org.uk/admissions']);
+  addJourney('j3', 'vis_1', 172800, ['https://morehouse.org.uk/enquire'], { channel: 'Email' });
+});
+
+describe('POST /api/v1/conversions', () => {
+  it('attaches an enquiry to the journey, sets its outcome and returns the pre-enquiry summary', async () => {
+    const res = await postConversion({ enquiry_id: 'ENQ-1001', type: 'enquiry', journey_id: 'j3', value: 1, occurred_at: at(172900) });
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(body.success, true);
+    assert.equal(body.data.matched, true);
+    assert.equal(body.data.visitor_id, 'vis_1');
+    assert.equal(body.data.conversion.outcome, 'enquiry_submitted');
+    assert.equal(body.data.conversion.source, 'CRM');
+
+    assert.deepEqual(
+      { ...body.data.summary, top_pages: body.data.summary.top_pages.slice(0, 1) },
+      {
+        sessions: 3,
+        first_seen: at(0),
+        first_channel: 'Organic Search',
+        page_views: 5,
+        unique_pages: 4,
+        time_on_site_seconds: 360,
+        top_pages: [{ url: 'https://morehouse.org.uk/fees', views: 2 }],
+        lead_score: null
+      }
+    );
+
+    assert.equal(db.journeys.get('j3').outcome, 'enquiry_submitted');
+    assert.equal(db.journeys.get('j3').offline_conversion_id, body.data.conversion.id);
+  });
+
+  it('matches by visitor_id to the latest journey before the conversion', async () => {
+    const res = await postConversion({ enquiry_id: 'ENQ-1002', type: 'visit_booked', visitor_id: 'vis_1', occurred_at: at(90000) });
+    const body = await res.json();
+
+    assert.equal(body.data.journey_id, 'j2');
+    assert.equal(db.journeys.get('j2').outcome, 'visit_booked');
+    assert.equal(body.data.summary.sessions, 2);
+  });
+
+  it('is idempotent per enquiry_id and links later conversions by hashed email', async () => {
+    const first = await postConversion({ enquiry_id: 'ENQ-1003', type: 'enquiry', journey_id: 'j3', email: ' Parent@Example.com ' });
+    assert.equal(first.status, 201);
+
+    const again = await postConversion({ enquiry_id: 'ENQ-1003', type: 'enquiry', journey_id: 'j3', value: 2 });
+    assert.equal(again.status, 200);
+    assert.equal(db.offlineConversions.length, 1);
+    assert.equal(db.offlineConversions[0].email_hash, hashEmail('parent@example.com'));
+
+    const application = await postConversion({ enquiry_id: 'APP-77', type: 'application', email_sha256: hashEmail('parent@example.com') });
+    const body = await application.json();
+    assert.equal(body.data.visitor_id, 'vis_1');
+    assert.equal(body.data.journey_id, 'j3');
+    assert.equal(body.data.conversion.outcome, 'application');
+  });
+
+  it('records unmatched conversions and validates input', async () => {
+    const unmatched = await (await postConversion({ enquiry_id: 'ENQ-2', type: 'enquiry', journey_id: 'jrn_not_built_yet' })).json();
+    assert.equal(unmatched.data.matched, false);
+    assert.equal(unmatched.data.summary, null);
+    assert.equal(db.offlineConversions[0].journey_id, 'jrn_not_built_yet');
+
+    const res = await postConversion({ type: 'Enquiry!' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'invalid_parameter');
+  });
+
+  it('requires the conversions:write scope', async () => {
+    const { key, keyHash } = generateApiKey();
+    db.apiKeys.push({ id: 2, site_id: 1, name: 'Reader', key_hash: keyHash, scopes: ['journeys:read'], revoked_at: null });
+
+    const res = await postConversion({ enquiry_id: 'ENQ-3', type: 'enquiry', journey_id: 'j3' }, key);
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('validateConversion', () => {
+  it('lists every problem and never keeps the plain email', () => {
+    const { conversion, errors } = validateConversion({ type: 'enquiry', email: 'a@b.com', value: -1, occurred_at: 'soon' });
+    assert.deepEqual(errors, ['enquiry_id is required', 'value must be zero or more', 'occurred_at must be an ISO 8601 timestamp']);
+    assert.equal(conversion.email_hash, hashEmail('a@b.com'));
+    assert.equal(Object.values(conversion).includes('a@b.com'), false);
+
+    assert.deepEqual(validateConversion({ enquiry_id: 'X', type: 'enquiry' }).errors, [
+      'One of journey_id, visitor_id, email or email_sha256 is required'
+    ]);
+    assert.deepEqual(validateConversion({ enquiry_id: 'X', type: 'visit_booked', journey_id: 'j1', value: 0 }).errors, []);
+  });
+});
+
+describe('buildPreConversionSummary', () => {
+  it('ignores bot journeys', () => {
+    const summary = buildPreConversionSummary([
+      { first_seen: at(0), last_seen: at(60), page_sequence: [{ url: '/a' }], is_bot: true },
+      { first_seen: at(100), last_seen: at(130), page_sequence: [{ url: '/b' }], channel: 'Direct' }
+    ]);
+    assert.equal(summary.sessions, 1);
+    assert.equal(summary.first_channel, 'Direct');
+    assert.equal(summary.time_on_site_seconds, 30);
+  });
+});
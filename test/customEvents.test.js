@@ -0,0 +1,141 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const {
+  eventProperties,
+  validateProperties,
+  checkSchema,
+  validateEventDefinition,
+  getSiteEventTypes,
+  getEventLabels,
+  screenEvent,
+  clearEventDefinitionCache
+} = require('../src/services/customEvents');
+
+const signupSchema = {
+  type: 'object',
+  required: ['list'],
+  properties: {
+    list: { type: 'string', enum: ['weekly', 'events'] },
+    children: { type: 'integer', minimum: 1, maximum: 10 },
+    tags: { type: 'array', items: { type: 'string', maxLength: 5 } }
+  }
+};
+
+describe('eventProperties', () => {
+  it('drops the fields the tracker adds to every event', () => {
+    assert.deepEqual(eventProperties({
+      list: 'weekly',
+      visit_number: 3,
+      device: { type: 'desktop' },
+      utm: { utm_source: 'google' },
+      location: { city: 'London' }
+    }), { list: 'weekly' });
+    assert.deepEqual(eventProperties('{"plan":"annual","visit_number":1}'), { plan: 'annual' });
+    assert.deepEqual(eventProperties(null), {});
+  });
+});
+
+describe('validateProperties', () => {
+  it('accepts properties matching the schema', () => {
+    assert.deepEqual(validateProperties(signupSchema, { list: 'events', children: 2, tags: ['a'], extra: true }), []);
+  });
+
+  it('names every failing property', () => {
+    assert.deepEqual(validateProperties(signupSchema, { children: 2.5, tags: ['toolong', 3] }), [
+      'properties.list is required',
+      'properties.children must be integer',
+      'properties.tags[0] must be at most 5 characters',
+      'properties.tags[1] must be string'
+    ]);
+    assert.deepEqual(validateProperties(signupSchema, { list: 'weekly', children: 0 }), ['properties.children must be >= 1']);
+  });
+
+  it('rejects undeclared properties only when additionalProperties is false', () => {
+    const closed = { type: 'object', properties: { a: { type: 'number' } }, additionalProperties: false };
+    assert.deepEqual(validateProperties(closed, { a: 1, b: 2 }), ['properties.b is not allowed']);
+  });
+});
+
+describe('checkSchema', () => {
+  it('refuses keywords, types and patterns it cannot enforce', () => {
+    assert.deepEqual(checkSchema(signupSchema), []);
+    assert.deepEqual(checkSchema({ type: 'object', oneOf: [], properties: { a: { type: 'text', pattern: '(' } } }), [
+      'schema: unsupported keyword "oneOf"',
+      'schema.properties.a: unknown type "text"',
+      'schema.properties.a: invalid pattern'
+    ]);
+    assert.deepEqual(checkSchema([]), ['schema must be a JSON object']);
+  });
+});
+
+describe('validateEventDefinition', () => {
+  it('normalises form input and parses the schema', () => {
+    const { definition, errors } = validateEventDefinition({
+      name: ' newsletter_signup ',
+      label: 'Newsletter Signup',
+      description: '',
+      properties_schema: JSON.stringify(signupSchema),
+      is_active: 'on'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(definition.name, 'newsletter_signup');
+    assert.equal(definition.description, null);
+    assert.deepEqual(definition.properties_schema, signupSchema);
+    assert.equal(definition.is_active, true);
+  });
+
+  it('rejects bad names, built-in names and invalid schemas', () => {
+    assert.deepEqual(validateEventDefinition({ name: 'sign up' }).errors, [
+      'Event name must be up to 64 letters, numbers, underscores, dots, colons or hyphens'
+    ]);
+    assert.deepEqual(validateEventDefinition({ name: 'video_view' }).errors, ['video_view is a built-in event']);
+    assert.deepEqual(validateEventDefinition({ name: 'quiz', properties_schema: '{ type: object }' }).errors, [
+      'Properties schema must be valid JSON'
+    ]);
+  });
+});
+
+describe('site event definitions', () => {
+  beforeEach(() => {
+    fakeDb.reset();
+    clearEventDefinitionCache(7);
+    db.eventDefinitions.push(
+      { id: 1, site_id: 7, name: 'newsletter_signup', label: 'Newsletter Signup', is_active: true, properties_schema: signupSchema },
+      { id: 2, site_id: 7, name: 'quiz_complete', label: null, is_active: false, properties_schema: null },
+      { id: 3, site_id: 8, name: 'other_site_event', label: null, is_active: true, properties_schema: null }
+    );
+  });
+
+  it('screenEvent stores built-in and valid custom events and explains the rest', async () => {
+    const event = (eventType, metadata = {}, siteId = 7) => ({ event_type: eventType, site_id: siteId, metadata });
+
+    assert.equal(await screenEvent(event('time_on_page', {}, null)), null);
+    assert.equal(await screenEvent(event('newsletter_signup', { list: 'weekly' })), null);
+    assert.deepEqual(await screenEvent(event('newsletter_signup', {})), {
+      reason: 'invalid_properties',
+      errors: ['properties.list is required']
+    });
+    // Inactive, another site's, or sent without a tracking key
+    for (const unknown of [event('quiz_complete'), event('other_site_event'), event('newsletter_signup', {}, null)]) {
+      assert.equal((await screenEvent(unknown)).reason, 'unknown_event');
+    }
+  });
+
+  it('lists custom events first for pickers and labels them for timelines', async () => {
+    const types = await getSiteEventTypes(7);
+    assert.deepEqual(types.slice(0, 2), [
+      { name: 'newsletter_signup', label: 'Newsletter Signup', custom: true },
+      { name: 'quiz_complete', label: 'quiz_complete', custom: true }
+    ]);
+    assert.ok(types.some(t => t.name === 'page_view' && !t.custom));
+
+    assert.deepEqual(await getEventLabels(7), { newsletter_signup: 'Newsletter Signup', quiz_complete: 'quiz_complete' });
+    assert.deepEqual(await getEventLabels(null), {});
+  });
+});
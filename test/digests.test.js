@@ -0,0 +1,292 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Digests go to the local file sink
+const MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'digests-test-'));
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = MAIL_DIR;
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const {
+  validateDigestSubscription,
+  isDigestDue,
+  buildDigest,
+  digestFilename,
+  renderDigestHtml,
+  renderDigestText,
+  runDueDigests
+} = require('../src/services/digests');
+const emailService = require('../src/services/emailService');
+const pdfService = require('../src/services/pdfService');
+
+const NOW = new Date('2026-01-12T09:00:00Z'); // Monday 09:00 in London
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function subscribe(extra = {}) {
+  const subscription = {
+    id: db.digestSubscriptions.length + 1,
+    user_id: 1,
+    site_id: 1,
+    frequency: 'weekly',
+    send_hour: 8,
+    send_day: 1,
+    timezone: 'Europe/London',
+    include_pdf: false,
+    is_active: true,
+    last_sent_at: null,
+    last_attempt_at: null,
+    last_error: null,
+    ...extra
+  };
+  db.digestSubscriptions.push(subscription);
+  return subscription;
+}
+
+function seedReports() {
+  db.reports.journeyStats = {
+    total_journeys: '200', human_visitors: '150', bot_count: '50', return_visitors: '30', enquiries: '6', visits_booked: '2'
+  };
+  db.reports.funnel = { total_visitors: '160', engaged: '80', cta_clicked: '40', form_started: '20', converted: '8' };
+  db.reports.topPages = [
+    { page_url: '/admissions', views: '120', unique_visitors: '90' },
+    { page_url: '/fees', views: '60', unique_visitors: '45' }
+  ];
+  db.insights.push({
+    id: 1,
+    site_id: 1,
+    created_at: '2026-01-10T06:00:00Z',
+    analysis_result: JSON.stringify({
+      summary: 'Admissions pages drive most enquiries.',
+      recommendations: [
+        { priority: 1, action: 'Shorten the enquiry form', why: 'Half of starters abandon it' },
+        { priority: 2, action: 'Link fees from the homepage', why: 'Fees is the second most viewed page' }
+      ],
+      quickWins: ['Add a phone number to the header']
+    })
+  });
+}
+
+function sentMessages() {
+  return fs.readdirSync(MAIL_DIR).sort().map(folder => ({
+    folder: path.join(MAIL_DIR, folder),
+    ...JSON.parse(fs.readFileSync(path.join(MAIL_DIR, folder, 'message.json'), 'utf8'))
+  }));
+}
+
+const realRenderPdf = pdfService.renderPdf;
+const realSendEmail = emailService.sendEmail;
+
+before(() => {
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(MAIL_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fakeDb.reset();
+  fs.rmSync(MAIL_DIR, { recursive: true, force: true });
+  db.users.push(
+    { id: 1, email: 'head@school.example', name: 'Head', role: 'admin' },
+    { id: 2, email: 'admissions@school.example', name: 'Admissions', role: 'user' }
+  );
+  db.sites.push({ id: 1, name: 'More House', domain: 'morehouse.org.uk', tracking_key: 'tk_more' });
+});
+
+afterEach(() => {
+  pdfService.renderPdf = realRenderPdf;
+  emailService.sendEmail = realSendEmail;
+});
+
+describe('validateDigestSubscription', () => {
+  it('defaults to Monday 08:00 London with the PDF unticked', () => {
+    const { subscription, errors } = validateDigestSubscription({ frequency: 'weekly' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(subscription, {
+      frequency: 'weekly', send_hour: 8, send_day: 1, timezone: 'Europe/London', include_pdf: false, notify_site: false
+    });
+    assert.equal(validateDigestSubscription({ frequency: 'daily', include_pdf: 'on' }).subscription.include_pdf, true);
+  });
+
+  it('rejects unknown frequencies, hours, days and timezones', () => {
+    const { errors } = validateDigestSubscription({ frequency: 'monthly', send_hour: '24', send_day: '7', timezone: 'Nowhere/Land' });
+    assert.deepEqual(errors, [
+      'Frequency must be daily or weekly',
+      'Send time must be an hour between 0 and 23',
+      'Choose a day of the week',
+      'Unknown timezone: Nowhere/Land'
+    ]);
+  });
+});
+
+describe('isDigestDue', () => {
+  it('sends daily digests once per local day from the send hour', () => {
+    const daily = { frequency: 'daily', send_hour: 8, timezone: 'Europe/London' };
+    assert.equal(isDigestDue(daily, new Date('2026-01-12T07:59:00Z')), false);
+    assert.equal(isDigestDue(daily, NOW), true);
+    assert.equal(isDigestDue({ ...daily, last_sent_at: '2026-01-12T08:00:00Z' }, NOW), false);
+    assert.equal(isDigestDue({ ...daily, last_sent_at: '2026-01-11T08:00:00Z' }, NOW), true);
+  });
+
+  it('sends weekly digests only on their weekday', () => {
+    const weekly = { frequency: 'weekly', send_hour: 8, send_day: 1, timezone: 'Europe/London' };
+    assert.equal(isDigestDue(weekly, NOW), true);
+    assert.equal(isDigestDue({ ...weekly, send_day: 2 }, NOW), false);
+    assert.equal(isDigestDue(weekly, new Date('2026-01-13T09:00:00Z')), false);
+  });
+
+  it('uses the subscription timezone', () => {
+    // 09:00 UTC is 04:00 in New York
+    const daily = { frequency: 'daily', send_hour: 8, timezone: 'America/New_York' };
+    assert.equal(isDigestDue(daily, NOW), false);
+    assert.equal(isDigestDue(daily, new Date('2026-01-12T13:00:00Z')), true);
+  });
+
+  it('waits half an hour before retrying a failed send', () => {
+    const daily = { frequency: 'daily', send_hour: 8, timezone: 'Europe/London', last_attempt_at: new Date(NOW - 10 * MINUTE).toISOString() };
+    assert.equal(isDigestDue(daily, NOW), false);
+    assert.equal(isDigestDue(daily, new Date(NOW.getTime() + 30 * MINUTE)), true);
+  });
+});
+
+describe('buildDigest', () => {
+  it('summarises stats, bot share, funnel, top pages and the latest insight', async () => {
+    seedReports();
+    const digest = await buildDigest({ id: 1, name: 'More House' }, 'weekly', NOW);
+
+    assert.equal(digest.stats.human_visitors, 150);
+    assert.equal(digest.botShare, 0.25);
+    assert.equal(digest.conversionRate, 0.05);
+    assert.deepEqual(digest.funnel.map(s => [s.stage, s.count, s.fromPrevious]), [
+      ['Visitors', 160, null],
+      ['Engaged', 80, 0.5],
+      ['CTA Clicked', 40, 0.5],
+      ['Form Started', 20, 0.5],
+      ['Converted', 8, 0.4]
+    ]);
+    assert.deepEqual(digest.topPages[0], { page_url: '/admissions', views: 120, unique_visitors: 90 });
+    assert.equal(digest.insight.summary, 'Admissions pages drive most enquiries.');
+    assert.equal(digest.insight.recommendations[0].action, 'Shorten the enquiry form');
+  });
+
+  it('covers one day for daily digests', async () => {
+    await buildDigest({ id: 1, name: 'More House' }, 'daily', NOW);
+    const reportQueries = db.queries.filter(q => /as avg_visits_per_visitor|as engaged|normalized_url as page_url/.test(q.sql));
+    assert.equal(reportQueries.length, 3);
+    assert.ok(reportQueries.every(q => q.sql.includes("INTERVAL '1 days'")));
+  });
+
+  it('renders HTML and text versions, escaping site content', async () => {
+    seedReports();
+    db.reports.topPages.push({ page_url: '/search?q=<script>', views: '1', unique_visitors: '1' });
+    const digest = await buildDigest({ id: 1, name: 'More House' }, 'weekly', NOW);
+
+    const html = await renderDigestHtml(digest, 'Europe/London');
+    assert.match(html, /Weekly digest: More House/);
+    assert.match(html, /Last 7 days to 12 Jan 2026/);
+    assert.match(html, /25\.0% bot share/);
+    assert.match(html, /Shorten the enquiry form/);
+    assert.ok(html.includes('/search?q=&lt;script&gt;'));
+
+    const text = renderDigestText(digest, 'Europe/London');
+    assert.match(text, /Journeys: 200, of which bots: 50 \(25\.0%\)/);
+    assert.match(text, /Converted: 8 \(5\.0%\)/);
+    assert.equal(digestFilename(digest), 'more-house-weekly-digest-2026-01-12.pdf');
+  });
+});
+
+describe('runDueDigests', () => {
+  it('emails each due subscription once, sharing one PDF render per site and schedule', async () => {
+    seedReports();
+    let pdfRenders = 0;
+    pdfService.renderPdf = async () => {
+      pdfRenders++;
+      return Buffer.from('%PDF-1.4 fake');
+    };
+    subscribe({ user_id: 1, include_pdf: true });
+    subscribe({ user_id: 2, include_pdf: true });
+    subscribe({ user_id: 1, frequency: 'daily', send_hour: 18 });
+
+    assert.deepEqual(await runDueDigests(NOW), { due: 2, sent: 2, failed: 0 });
+    assert.equal(pdfRenders, 1);
+
+    const messages = sentMessages();
+    assert.deepEqual(messages.map(m => m.to).sort(), [['admissions@school.example'], ['head@school.example']]);
+    assert.equal(messages[0].subject, 'Weekly digest: More House - 12 Jan 2026');
+    assert.deepEqual(messages[0].attachments, ['more-house-weekly-digest-2026-01-12.pdf']);
+    assert.equal(fs.readFileSync(path.join(messages[0].folder, messages[0].attachments[0]), 'utf8'), '%PDF-1.4 fake');
+    assert.match(fs.readFileSync(path.join(messages[0].folder, 'message.html'), 'utf8'), /Conversion funnel/);
+
+    assert.equal(db.digestSubscriptions[0].last_sent_at, NOW.toISOString());
+    assert.equal(db.digestSubscriptions[2].last_sent_at, null);
+
+    // Already sent today
+    assert.deepEqual(await runDueDigests(new Date(NOW.getTime() + HOUR)), { due: 0, sent: 0, failed: 0 });
+  });
+
+  it('sends each digest once when workers run side by side', async () => {
+    subscribe();
+
+    const runs = await Promise.all([runDueDigests(NOW), runDueDigests(NOW)]);
+    assert.deepEqual(runs.map(r => r.sent).sort(), [0, 1]);
+    assert.equal(sentMessages().length, 1);
+  });
+
+  it('sends without the PDF when it cannot be rendered', async () => {
+    pdfService.renderPdf = async () => {
+      throw new Error('Chromium not available');
+    };
+    subscribe({ include_pdf: true });
+
+    assert.deepEqual(await runDueDigests(NOW), { due: 1, sent: 1, failed: 0 });
+    assert.deepEqual(sentMessages()[0].attachments, []);
+  });
+
+  it('uses the site template and copies in the site digest recipients when opted in', async () => {
+    seedReports();
+    db.emailTemplates.push({
+      site_id: 1,
+      template: 'digest',
+      subject: '{{site}} {{frequency}} report',
+      intro: 'Morning all,\nhere are the numbers for <b>{{period}}</b>.'
+    });
+    db.emailRecipients.push(
+      { id: 1, site_id: 1, email: 'bursar@school.example', categories: ['digests'], is_active: true },
+      { id: 2, site_id: 1, email: 'alerts-only@school.example', categories: ['alerts'], is_active: true }
+    );
+    subscribe({ notify_site: true });
+
+    assert.deepEqual(await runDueDigests(NOW), { due: 1, sent: 1, failed: 0 });
+    const [message] = sentMessages();
+    assert.equal(message.subject, 'More House Weekly report');
+    assert.deepEqual(message.to, ['head@school.example', 'bursar@school.example']);
+    assert.match(message.text, /^Morning all,\nhere are the numbers for <b>Last 7 days<\/b>\.$/m);
+    assert.ok(fs.readFileSync(path.join(message.folder, 'message.html'), 'utf8')
+      .includes('here are the numbers for &lt;b&gt;Last 7 days&lt;/b&gt;.'));
+
+    assert.equal(db.emailOutbox.length, 1);
+    assert.equal(db.emailOutbox[0].category, 'digests');
+    assert.equal(db.emailOutbox[0].status, 'sent');
+  });
+
+  it('records a failed send and retries it later', async () => {
+    emailService.sendEmail = async () => ({ success: false, reason: 'SMTP connection refused' });
+    subscribe();
+
+    assert.deepEqual(await runDueDigests(NOW), { due: 1, sent: 0, failed: 1 });
+    assert.equal(db.digestSubscriptions[0].last_error, 'SMTP connection refused');
+    assert.equal(db.digestSubscriptions[0].last_sent_at, null);
+
+    emailService.sendEmail = realSendEmail;
+    assert.deepEqual(await runDueDigests(new Date(NOW.getTime() + 10 * MINUTE)), { due: 0, sent: 0, failed: 0 });
+    assert.deepEqual(await runDueDigests(new Date(NOW.getTime() + 40 * MINUTE)), { due: 1, sent: 1, failed: 0 });
+    assert.equal(db.digestSubscriptions[0].last_error, null);
+  });
+});
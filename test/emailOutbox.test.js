@@ -0,0 +1,212 @@
+const { describe, it, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Emails go to the local file sink
+const MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = MAIL_DIR;
+delete process.env.EMAIL_NOTIFY;
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const emailService = require('../src/services/emailService');
+const { getTransport } = require('../src/services/emailTransports');
+const {
+  MAX_ATTEMPTS,
+  attemptOutboxEmail,
+  processEmailOutbox,
+  resendOutboxEmail
+} = require('../src/services/emailOutbox');
+const { validateEmailTemplate, loadEmailTemplate, renderEmailTemplate } = require('../src/services/emailTemplates');
+
+const MINUTE = 60 * 1000;
+
+const transport = getTransport();
+const realSend = transport.send;
+
+// Make the transport fail until restored
+function failSends(message = 'SMTP connection refused') {
+  const calls = [];
+  transport.send = async (email) => {
+    calls.push(email);
+    throw new Error(message);
+  };
+  return calls;
+}
+
+// Make a queued email due for its next attempt
+function makeDue(email) {
+  email.next_attempt_at = new Date(Date.now() - MINUTE).toISOString();
+}
+
+function sentFolders() {
+  return fs.existsSync(MAIL_DIR) ? fs.readdirSync(MAIL_DIR).sort() : [];
+}
+
+after(() => {
+  fs.rmSync(MAIL_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fakeDb.reset();
+  fs.rmSync(MAIL_DIR, { recursive: true, force: true });
+  db.sites.push({ id: 1, name: 'More House', domain: 'morehouse.org.uk', tracking_key: 'tk_more' });
+});
+
+afterEach(() => {
+  transport.send = realSend;
+});
+
+describe('sendEmail', () => {
+  it('persists the email and sends it straight away', async () => {
+    const result = await emailService.sendEmail('Hello', '<p>Hi</p>', 'Hi', ['a@school.example', 'b@school.example', 'a@school.example'], {
+      siteId: 1,
+      category: 'digests',
+      attachments: [{ filename: 'report.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF fake') }]
+    });
+
+    assert.deepEqual(result, { success: true, queued: false, reason: null, outboxId: 1 });
+    const [email] = db.emailOutbox;
+    assert.equal(email.status, 'sent');
+    assert.equal(email.transport, 'file');
+    assert.equal(email.attempts, 1);
+    assert.equal(email.category, 'digests');
+    assert.deepEqual(email.recipients, ['a@school.example', 'b@school.example']);
+    assert.deepEqual(email.attachments, [{ filename: 'report.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF fake').toString('base64') }]);
+
+    const [folder] = sentFolders();
+    assert.equal(fs.readFileSync(path.join(MAIL_DIR, folder, 'report.pdf'), 'utf8'), '%PDF fake');
+  });
+
+  it('does not queue an email without recipients', async () => {
+    const result = await emailService.sendEmail('Hello', '<p>Hi</p>', 'Hi', []);
+    assert.deepEqual(result, { success: false, queued: false, reason: 'missing_emails' });
+    assert.equal(db.emailOutbox.length, 0);
+  });
+
+  it('keeps a failed email queued for the outbox worker', async () => {
+    failSends();
+    const before = Date.now();
+    const result = await emailService.sendEmail('Hello', '<p>Hi</p>', 'Hi', 'a@school.example');
+
+    assert.deepEqual(result, { success: false, queued: true, reason: 'SMTP connection refused', outboxId: 1 });
+    const [email] = db.emailOutbox;
+    assert.equal(email.status, 'pending');
+    assert.equal(email.last_error, 'SMTP connection refused');
+    // First retry a minute later
+    assert.ok(new Date(email.next_attempt_at) - before >= MINUTE);
+    assert.ok(new Date(email.next_attempt_at) - before < 2 * MINUTE);
+  });
+});
+
+describe('processEmailOutbox', () => {
+  it('retries due emails with the same content and attachments', async () => {
+    failSends();
+    await emailService.sendEmail('Digest', '<p>Digest</p>', 'Digest', 'a@school.example', {
+      attachments: [{ filename: 'digest.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') }]
+    });
+
+    // Not due yet
+    assert.deepEqual(await processEmailOutbox(), { sent: 0, retrying: 0, failed: 0 });
+
+    transport.send = realSend;
+    makeDue(db.emailOutbox[0]);
+    assert.deepEqual(await processEmailOutbox(), { sent: 1, retrying: 0, failed: 0 });
+    assert.equal(db.emailOutbox[0].status, 'sent');
+    assert.equal(db.emailOutbox[0].attempts, 2);
+
+    const [folder] = sentFolders();
+    const message = JSON.parse(fs.readFileSync(path.join(MAIL_DIR, folder, 'message.json'), 'utf8'));
+    assert.equal(message.subject, 'Digest');
+    assert.deepEqual(message.attachments, ['digest.pdf']);
+    assert.equal(fs.readFileSync(path.join(MAIL_DIR, folder, 'digest.pdf'), 'utf8'), '%PDF');
+  });
+
+  it('backs off between attempts and marks the email failed after the last one', async () => {
+    failSends('Mailbox unavailable');
+    await emailService.sendEmail('Hello', '<p>Hi</p>', 'Hi', 'a@school.example');
+    const email = db.emailOutbox[0];
+
+    const now = Date.now();
+    const updated = await attemptOutboxEmail({ ...email }, { now });
+    assert.equal(updated.status, 'pending');
+    assert.equal(new Date(updated.next_attempt_at).getTime(), now + 2 * MINUTE);
+
+    for (let attempt = email.attempts; attempt < MAX_ATTEMPTS; attempt++) {
+      makeDue(email);
+      await processEmailOutbox();
+    }
+    assert.equal(email.status, 'failed');
+    assert.equal(email.attempts, MAX_ATTEMPTS);
+    assert.equal(email.last_error, 'Mailbox unavailable');
+
+    // Failed emails are left alone until retried by hand
+    makeDue(email);
+    assert.deepEqual(await processEmailOutbox(), { sent: 0, retrying: 0, failed: 0 });
+  });
+});
+
+describe('resendOutboxEmail', () => {
+  it('sends a failed email again with fresh attempts', async () => {
+    failSends();
+    await emailService.sendEmail('Hello', '<p>Hi</p>', 'Hi', 'a@school.example');
+    db.emailOutbox[0].status = 'failed';
+    transport.send = realSend;
+
+    const email = await resendOutboxEmail(1);
+    assert.equal(email.status, 'sent');
+    assert.equal(email.attempts, 1);
+    assert.equal(sentFolders().length, 1);
+
+    // Already sent
+    assert.equal(await resendOutboxEmail(1), null);
+    assert.equal(await resendOutboxEmail(99), null);
+  });
+});
+
+describe('email templates', () => {
+  it('rejects unknown templates and placeholders', () => {
+    assert.deepEqual(validateEmailTemplate('alert', { subject: '{{site}}: {{rule}}', intro: '' }), {
+      template: { subject: '{{site}}: {{rule}}', intro: null },
+      errors: []
+    });
+    assert.deepEqual(validateEmailTemplate('alert', { subject: '{{site}} {{frequency}}', intro: 'Hi {{name}}' }).errors,
+      ['Unknown placeholders: {{frequency}}, {{name}}']);
+    assert.deepEqual(validateEmailTemplate('newsletter', {}).errors, ['Unknown email template: newsletter']);
+  });
+
+  it('falls back to the default subject for parts a site has not overridden', async () => {
+    db.emailTemplates.push({ site_id: 1, template: 'alert', subject: null, intro: 'For {{site}}' });
+
+    const template = await loadEmailTemplate(1, 'alert');
+    assert.deepEqual(renderEmailTemplate(template, { site: 'More House', headline: 'New visitor' }), {
+      subject: 'New visitor - More House',
+      intro: 'For More House'
+    });
+    assert.deepEqual(await loadEmailTemplate(null, 'digest'), { subject: '{{frequency}} digest: {{site}} - {{date}}', intro: null });
+  });
+
+  it('renders alert emails with the site subject and an escaped intro', async () => {
+    db.emailTemplates.push({ site_id: 1, template: 'alert', subject: '[{{site}}] {{count}} x {{rule}}', intro: 'Call <them> back' });
+    const rule = { site_id: 1, name: 'Hot leads', site_name: 'More House', timezone: 'Europe/London' };
+    const alerts = [
+      { title: 'Lead score 85', detail: 'Visited fees <3 times', link: '/journeys/j1', created_at: '2026-01-12T09:00:00Z' },
+      { title: 'Lead score 90', detail: null, link: null, created_at: '2026-01-12T09:05:00Z' }
+    ];
+
+    const result = await emailService.sendAlertEmail(['a@school.example'], rule, alerts);
+    assert.equal(result.success, true);
+
+    const [email] = db.emailOutbox;
+    assert.equal(email.subject, '[More House] 2 x Hot leads');
+    assert.equal(email.category, 'alerts');
+    assert.equal(email.site_id, 1);
+    assert.ok(email.html.includes('Call &lt;them&gt; back'));
+    assert.ok(email.html.includes('Visited fees &lt;3 times'));
+    assert.match(email.text, /^Call <them> back$/m);
+  });
+});
@@ -0,0 +1,416 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+process.env.NODE_ENV = 'test';
+process.env.EXCLUDED_IPS = '203.0.113.9';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const app = require('../src/app');
+const { processQueueBatch } = require('../src/services/eventIngest');
+const { clearEventDefinitionCache } = require('../src/services/customEvents');
+const { releaseQuarantinedEvents } = require('../src/db/queries');
+const fixtures = require('./fixtures/eventStreams');
+
+// Private address so the ingest worker never calls out to the geo API
+const CLIENT_IP = '10.0.0.5';
+
+let server;
+let baseUrl;
+
+function post(path, body, headers = {}) {
+  return fetch(baseUrl + path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': fixtures.CHROME_UA,
+      'X-Forwarded-For': CLIENT_IP,
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function waitFor(predicate, timeoutMs = 1000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  fakeDb.reset();
+  db.sites.push({ id: 7, name: 'Test School', domain: 'school.example', tracking_key: 'tk_test_school' });
+  clearEventDefinitionCache(7);
+});
+
+describe('POST /api/event', () => {
+  it('queues a valid event and the worker stores it with bot scoring and site resolution', async () => {
+    const res = await post('/api/event', {
+      journey_id: 'jrn_http_1',
+      visitor_id: 'vis_http_1',
+      event_type: 'page_view',
+      page_url: 'https://school.example/',
+      device_type: 'desktop',
+      tracking_key: 'tk_test_school',
+      metadata: { title: 'Home' }
+    });
+
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { success: true, queued: 1 });
+    assert.equal(db.ingestQueue.length, 1);
+    assert.equal(db.journeyEvents.length, 0);
+
+    assert.equal(await processQueueBatch(), 1);
+    assert.equal(db.ingestQueue.length, 0);
+    assert.equal(db.journeyEvents.length, 1);
+
+    const stored = db.journeyEvents[0];
+    assert.equal(stored.journey_id, 'jrn_http_1');
+    assert.equal(stored.event_type, 'page_view');
+    assert.equal(stored.site_id, 7);
+    assert.equal(stored.ip_address, CLIENT_IP);
+    assert.equal(stored.user_agent, fixtures.CHROME_UA);
+    assert.equal(stored.is_bot, false);
+    assert.deepEqual(stored.metadata, { title: 'Home' });
+  });
+
+  it('stamps occurred_at when the event is accepted, not when it is processed', async () => {
+    const acceptedFrom = Date.now();
+    await post('/api/event', { journey_id: 'jrn_http_time', event_type: 'heartbeat' });
+    const occurredAt = db.ingestQueue[0].payload.occurred_at;
+    assert.ok(Date.parse(occurredAt) >= acceptedFrom && Date.parse(occurredAt) <= Date.now());
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await processQueueBatch();
+    assert.equal(db.journeyEvents[0].occurred_at, occurredAt);
+  });
+
+  it('flags a crawler User-Agent as a bot', async () => {
+    const res = await post('/api/event', {
+      journey_id: 'jrn_http_bot',
+      event_type: 'page_view',
+      page_url: 'https://school.example/'
+    }, { 'User-Agent': 'curl/8.4.0' });
+
+    assert.equal(res.status, 202);
+    await processQueueBatch();
+    assert.equal(db.journeyEvents[0].is_bot, true);
+    assert.ok(db.journeyEvents[0].bot_signals.includes('known_bot:scraper'));
+  });
+
+  it('rejects a missing or malformed event_type', async () => {
+    const res = await post('/api/event', { journey_id: 'jrn_http_2', event_type: 'tele port' });
+
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.deepEqual(body.errors, ['invalid event_type: tele port']);
+    assert.equal(db.ingestQueue.length, 0);
+
+    const missing = await post('/api/event', { journey_id: 'jrn_http_2' });
+    assert.deepEqual((await missing.json()).errors, ['invalid event_type: undefined']);
+  });
+
+  it('rejects a missing journey_id and GTM preview URLs', async () => {
+    const res = await post('/api/event', {
+      event_type: 'page_view',
+      page_url: 'https://gtm-msr.appspot.com/render?id=GTM-XXXX'
+    });
+
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.deepEqual(body.errors, ['journey_id is required', 'GTM preview URL rejected']);
+  });
+
+  it('accepts text/plain bodies sent by sendBeacon', async () => {
+    const res = await post('/api/event', {
+      journey_id: 'jrn_http_beacon',
+      event_type: 'heartbeat'
+    }, { 'Content-Type': 'text/plain;charset=UTF-8' });
+
+    assert.equal(res.status, 202);
+    assert.equal(db.ingestQueue[0].payload.event_type, 'heartbeat');
+  });
+
+  it('skips excluded IPs without queueing anything', async () => {
+    const res = await post('/api/event', {
+      journey_id: 'jrn_http_3',
+      event_type: 'page_view'
+    }, { 'X-Forwarded-For': '203.0.113.9' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { success: true, skipped: true, reason: 'excluded_ip' });
+    assert.equal(db.ingestQueue.length, 0);
+  });
+});
+
+describe('POST /api/events/batch', () => {
+  it('queues valid events in one insert and reports invalid ones by index', async () => {
+    const res = await post('/api/events/batch', {
+      events: [
+        { journey_id: 'jrn_batch', event_type: 'page_view', page_url: 'https://school.example/', tracking_key: 'tk_test_school' },
+        { journey_id: 'jrn_batch', event_type: 42 },
+        { journey_id: 'jrn_batch', event_type: 'cta_click', intent_type: 'book_visit', cta_label: 'Book a visit' }
+      ]
+    });
+
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.success, false);
+    assert.equal(body.queued, 2);
+    assert.deepEqual(body.errors, [{ index: 1, errors: ['invalid event_type: 42'] }]);
+    assert.equal(db.queries.filter(q => /INSERT INTO event_ingest_queue/.test(q.sql)).length, 1);
+
+    assert.equal(await processQueueBatch(), 2);
+    assert.deepEqual(db.journeyEvents.map(e => e.event_type), ['page_view', 'cta_click']);
+    assert.equal(db.journeyEvents[0].site_id, 7);
+    assert.equal(db.journeyEvents[1].intent_type, 'book_visit');
+  });
+
+  it('requires an events array', async () => {
+    const res = await post('/api/events/batch', { events: 'nope' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { success: false, error: 'events must be an array' });
+  });
+});
+
+describe('GET /p.gif', () => {
+  it('returns the pixel immediately and queues a pixel_view', async () => {
+    const params = new URLSearchParams({
+      k: 'tk_test_school',
+      p: 'https://school.example/about',
+      r: 'https://www.bing.com/',
+      t: 'About us',
+      v: 'vis_pixel',
+      j: 'jrn_pixel'
+    });
+    const res = await fetch(`${baseUrl}/p.gif?${params}`, {
+      headers: { 'User-Agent': fixtures.GOOGLEBOT_UA, 'X-Forwarded-For': CLIENT_IP }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/gif');
+    const gif = Buffer.from(await res.arrayBuffer());
+    assert.equal(gif.subarray(0, 6).toString(), 'GIF89a');
+
+    await waitFor(() => db.ingestQueue.length === 1);
+    assert.equal(db.ingestQueue[0].source, 'pixel');
+    await processQueueBatch();
+
+    const stored = db.journeyEvents[0];
+    assert.equal(stored.event_type, 'pixel_view');
+    assert.equal(stored.journey_id, 'jrn_pixel');
+    assert.equal(stored.visitor_id, 'vis_pixel');
+    assert.equal(stored.page_url, 'https://school.example/about');
+    assert.equal(stored.referrer, 'https://www.bing.com/');
+    assert.equal(stored.site_id, 7);
+    assert.equal(stored.is_bot, true);
+    assert.equal(stored.metadata.tracking_method, 'pixel');
+    assert.equal(stored.metadata.page_title, 'About us');
+  });
+});
+
+describe('consent', () => {
+  it('stores events sent without consent under a hashed id and without the IP address', async () => {
+    await post('/api/events/batch', {
+      events: [
+        { event_type: 'page_view', consent: 'pending', tracking_key: 'tk_test_school', visitor_id: 'vis_leaked' },
+        { event_type: 'heartbeat', consent: 'denied', tracking_key: 'tk_test_school' },
+        { journey_id: 'jrn_consented', visitor_id: 'vis_consented', event_type: 'page_view', consent: 'granted' }
+      ]
+    });
+    await post('/api/event', { event_type: 'page_view', consent: 'cookieless', tracking_key: 'tk_test_school' }, {
+      'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'
+    });
+    await processQueueBatch();
+
+    const [pending, denied, granted, otherBrowser] = db.journeyEvents;
+    assert.match(pending.journey_id, /^cl_[0-9a-f]{32}$/);
+    assert.equal(pending.visitor_id, pending.journey_id);
+    assert.equal(denied.journey_id, pending.journey_id);
+    assert.notEqual(otherBrowser.journey_id, pending.journey_id);
+    assert.equal(pending.ip_address, null);
+    assert.equal(pending.consent, 'pending');
+    assert.equal(denied.consent, 'denied');
+
+    assert.equal(granted.journey_id, 'jrn_consented');
+    assert.equal(granted.visitor_id, 'vis_consented');
+    assert.equal(granted.ip_address, CLIENT_IP);
+    assert.equal(granted.consent, 'granted');
+  });
+
+  it('requires journey_id unless the event is cookieless and rejects unknown consent states', async () => {
+    const res = await post('/api/events/batch', {
+      events: [
+        { event_type: 'page_view', consent: 'granted' },
+        { event_type: 'page_view', consent: 'maybe' },
+        { event_type: 'page_view', consent: 'denied' }
+      ]
+    });
+
+    const body = await res.json();
+    assert.equal(body.queued, 1);
+    assert.deepEqual(body.errors, [
+      { index: 0, errors: ['journey_id is required'] },
+      { index: 1, errors: ['invalid consent: maybe'] }
+    ]);
+  });
+
+  it('ignores pixel ids sent without consent', async () => {
+    const params = new URLSearchParams({ k: 'tk_test_school', p: 'https://school.example/', v: 'vis_pixel', j: 'jrn_pixel', c: 'pending' });
+    await fetch(`${baseUrl}/p.gif?${params}`, {
+      headers: { 'User-Agent': fixtures.CHROME_UA, 'X-Forwarded-For': CLIENT_IP }
+    });
+
+    await waitFor(() => db.ingestQueue.length === 1);
+    await processQueueBatch();
+
+    const stored = db.journeyEvents[0];
+    assert.match(stored.journey_id, /^cl_/);
+    assert.equal(stored.visitor_id, stored.journey_id);
+    assert.equal(stored.ip_address, null);
+    assert.equal(stored.metadata.ip_address, undefined);
+    assert.equal(stored.consent, 'pending');
+  });
+});
+
+describe('ingest worker', () => {
+  it('leaves rows queued when the batch insert fails, then retries them one by one', async () => {
+    await post('/api/events/batch', {
+      events: [
+        { journey_id: 'jrn_ok_1', event_type: 'page_view' },
+        { journey_id: 'jrn_poison', event_type: 'page_view' },
+        { journey_id: 'jrn_ok_2', event_type: 'page_view' }
+      ]
+    });
+    db.failQuery = (sql, params) => /INSERT INTO journey_events/.test(sql) && params.includes('jrn_poison');
+
+    assert.equal(await processQueueBatch(), 2);
+    assert.deepEqual(db.journeyEvents.map(e => e.journey_id), ['jrn_ok_1', 'jrn_ok_2']);
+    assert.equal(db.ingestQueue.length, 1);
+    assert.equal(db.ingestQueue[0].payload.journey_id, 'jrn_poison');
+    assert.equal(db.ingestQueue[0].attempts, 1);
+    assert.match(db.ingestQueue[0].last_error, /query failed/);
+
+    db.failQuery = null;
+    assert.equal(await processQueueBatch(), 1);
+    assert.equal(db.ingestQueue.length, 0);
+  });
+
+  it('drops events the tracker resent, by journey, stream_id and seq', async () => {
+    const batch = {
+      events: [
+        { journey_id: 'jrn_seq', event_type: 'page_view', stream_id: 'str_a', seq: 0 },
+        { journey_id: 'jrn_seq', event_type: 'heartbeat', stream_id: 'str_a', seq: 1 }
+      ]
+    };
+    await post('/api/events/batch', batch);
+    assert.equal(await processQueueBatch(), 2);
+
+    // A retry after a lost response, plus an event sent since and an unnumbered one
+    await post('/api/events/batch', {
+      events: [
+        ...batch.events,
+        { journey_id: 'jrn_seq', event_type: 'cta_click', stream_id: 'str_a', seq: 2 },
+        { journey_id: 'jrn_seq', event_type: 'heartbeat', stream_id: 'str_a', seq: 'x' }
+      ]
+    });
+    await processQueueBatch();
+
+    assert.deepEqual(db.journeyEvents.map(e => [e.event_type, e.stream_id, e.seq]), [
+      ['page_view', 'str_a', 0],
+      ['heartbeat', 'str_a', 1],
+      ['cta_click', 'str_a', 2],
+      ['heartbeat', null, null]
+    ]);
+    assert.equal(db.ingestQueue.length, 0);
+  });
+
+  it('quarantines event types the site has not defined instead of dropping them', async () => {
+    const res = await post('/api/events/batch', {
+      events: [
+        { journey_id: 'jrn_custom', event_type: 'video_view', tracking_key: 'tk_test_school' },
+        { journey_id: 'jrn_custom', event_type: 'newsletter_signup', tracking_key: 'tk_test_school', metadata: { list: 'weekly', visit_number: 1 } }
+      ]
+    });
+    assert.equal((await res.json()).queued, 2);
+
+    assert.equal(await processQueueBatch(), 2);
+    assert.deepEqual(db.journeyEvents.map(e => e.event_type), ['video_view']);
+    assert.equal(db.ingestQueue.length, 0);
+    assert.equal(db.quarantine.length, 1);
+
+    const held = db.quarantine[0];
+    assert.equal(held.site_id, 7);
+    assert.equal(held.event_type, 'newsletter_signup');
+    assert.equal(held.journey_id, 'jrn_custom');
+    assert.equal(held.reason, 'unknown_event');
+    assert.equal(held.client_ip, CLIENT_IP);
+    assert.deepEqual(held.payload.metadata, { list: 'weekly', visit_number: 1 });
+  });
+
+  it('stores defined custom events and quarantines ones whose properties fail the schema', async () => {
+    db.eventDefinitions.push({
+      id: 1,
+      site_id: 7,
+      name: 'newsletter_signup',
+      label: 'Newsletter Signup',
+      is_active: true,
+      properties_schema: {
+        type: 'object',
+        required: ['list'],
+        properties: { list: { type: 'string', enum: ['weekly', 'events'] } },
+        additionalProperties: false
+      }
+    });
+
+    await post('/api/events/batch', {
+      events: [
+        // Tracker fields (visit_number, device, utm) are not the event's properties
+        { journey_id: 'jrn_custom', event_type: 'newsletter_signup', tracking_key: 'tk_test_school', metadata: { list: 'weekly', visit_number: 2, device: { type: 'mobile' } } },
+        { journey_id: 'jrn_custom', event_type: 'newsletter_signup', tracking_key: 'tk_test_school', metadata: { list: 'daily', source: 'footer' } }
+      ]
+    });
+    assert.equal(await processQueueBatch(), 2);
+
+    assert.equal(db.journeyEvents.length, 1);
+    assert.equal(db.journeyEvents[0].metadata.list, 'weekly');
+    assert.equal(db.quarantine[0].reason, 'invalid_properties');
+    assert.deepEqual(db.quarantine[0].errors, [
+      'properties.list must be one of: "weekly", "events"',
+      'properties.source is not allowed'
+    ]);
+  });
+
+  it('re-ingests released events once the event is defined', async () => {
+    await post('/api/event', { journey_id: 'jrn_late', event_type: 'quiz_complete', tracking_key: 'tk_test_school', metadata: { score: 8 } });
+    const occurredAt = db.ingestQueue[0].payload.occurred_at;
+    await processQueueBatch();
+    assert.equal(db.quarantine.length, 1);
+
+    db.eventDefinitions.push({ id: 2, site_id: 7, name: 'quiz_complete', label: null, is_active: true, properties_schema: null });
+    clearEventDefinitionCache(7);
+
+    assert.equal(await releaseQuarantinedEvents(7, 'quiz_complete'), 1);
+    assert.equal(db.quarantine.length, 0);
+    assert.equal(await processQueueBatch(), 1);
+
+    assert.equal(db.journeyEvents[0].event_type, 'quiz_complete');
+    assert.equal(db.journeyEvents[0].occurred_at, occurredAt);
+    assert.deepEqual(db.journeyEvents[0].metadata, { score: 8 });
+  });
+
+  it('returns 0 when the queue is empty', async () => {
+    assert.equal(await processQueueBatch(), 0);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Fixture event streams
+ * Shaped like journey_events rows as the tracker and pixel endpoint produce them.
+ */
+
+const BASE_TIME = Date.parse('2026-01-12T10:00:00.000Z');
+
+const CHROME_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const GOOGLEBOT_UA = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+
+function at(seconds) {
+  return new Date(BASE_TIME + seconds * 1000).toISOString();
+}
+
+function stream(journeyId, defaults, events) {
+  return events.map(([seconds, event_type, extra = {}]) => ({
+    journey_id: journeyId,
+    event_type,
+    occurred_at: at(seconds),
+    ...defaults,
+    ...extra
+  }));
+}
+
+/**
+ * A prospective parent who reads around, then submits the enquiry form
+ */
+function humanEnquiry(journeyId = 'jrn_human_enquiry') {
+  return stream(journeyId, {
+    visitor_id: 'vis_parent_1',
+    user_agent: CHROME_UA,
+    ip_address: '81.2.69.160',
+    device_type: 'desktop',
+    site_id: 1
+  }, [
+    [0, 'page_view', { page_url: 'https://school.example/', referrer: 'https://www.google.co.uk/' }],
+    [8, 'scroll_depth', { page_url: 'https://school.example/', metadata: { depth: 50 } }],
+    [15, 'section_view', { page_url: 'https://school.example/', metadata: { section_id: 'ethos' } }],
+    [22, 'scroll_depth', { page_url: 'https://school.example/', metadata: { depth: 80 } }],
+    [30, 'heartbeat', { page_url: 'https://school.example/' }],
+    [45, 'page_view', { page_url: 'https://school.example/admissions' }],
+    [52, 'section_view', { page_url: 'https://school.example/admissions', metadata: { section_id: 'fees' } }],
+    [60, 'heartbeat', { page_url: 'https://school.example/admissions' }],
+    [70, 'section_view', { page_url: 'https://school.example/admissions', metadata: { section_id: 'process' } }],
+    [80, 'page_view', { page_url: 'https://school.example/contact' }],
+    [90, 'heartbeat', { page_url: 'https://school.example/contact' }],
+    [95, 'cta_click', { page_url: 'https://school.example/contact', intent_type: 'enquire', cta_label: 'Enquire Now' }],
+    [100, 'form_start', { page_url: 'https://school.example/contact', metadata: { form_id: 'enquiry-form' } }],
+    [110, 'form_field_blur', { page_url: 'https://school.example/contact', metadata: { field_name: 'email', completed: true } }],
+    [120, 'heartbeat', { page_url: 'https://school.example/contact' }],
+    [140, 'form_submit', { page_url: 'https://school.example/contact', intent_type: 'enquire', metadata: { form_id: 'enquiry-form', fields_completed: 5 } }],
+    [150, 'heartbeat', { page_url: 'https://school.example/contact' }]
+  ]);
+}
+
+/**
+ * Someone using the header search box - the submit is NOT an enquiry
+ */
+function searchFormFalsePositive(journeyId = 'jrn_search_form') {
+  return stream(journeyId, {
+    visitor_id: 'vis_searcher',
+    user_agent: CHROME_UA,
+    ip_address: '81.2.69.161',
+    device_type: 'mobile',
+    site_id: 1
+  }, [
+    [0, 'page_view', { page_url: 'https://school.example/' }],
+    [6, 'scroll_depth', { page_url: 'https://school.example/', metadata: { depth: 25 } }],
+    [12, 'form_start', { page_url: 'https://school.example/', metadata: { form_id: 'searchform' } }],
+    [15, 'form_submit', { page_url: 'https://school.example/', metadata: { form_id: 'searchform' } }],
+    [15.5, 'site_search', { page_url: 'https://school.example/', cta_label: 'term dates' }],
+    [17, 'page_view', { page_url: 'https://school.example/?s=term+dates' }]
+  ]);
+}
+
+/**
+ * A crawler that never executes JavaScript - only the pixel fires
+ */
+function pixelOnlyCrawler(journeyId = 'pxl_jrn_crawler') {
+  return stream(journeyId, {
+    visitor_id: 'pxl_crawler',
+    user_agent: GOOGLEBOT_UA,
+    ip_address: '66.249.66.1',
+    device_type: 'desktop',
+    site_id: 1
+  }, [
+    [0, 'pixel_view', { page_url: 'https://school.example/about', metadata: { tracking_method: 'pixel' } }]
+  ]);
+}
+
+/**
+ * A frustrated visitor hammering a broken element before leaving
+ */
+function rageClicker(journeyId = 'jrn_rage_clicker') {
+  return stream(journeyId, {
+    visitor_id: 'vis_frustrated',
+    user_agent: CHROME_UA,
+    ip_address: '81.2.69.162',
+    device_type: 'desktop',
+    site_id: 1
+  }, [
+    [0, 'page_view', { page_url: 'https://school.example/' }],
+    [10, 'scroll_depth', { page_url: 'https://school.example/', metadata: { depth: 50 } }],
+    [20, 'page_view', { page_url: 'https://school.example/visit' }],
+    [25, 'rage_click', { page_url: 'https://school.example/visit', metadata: { click_count: 4, element: 'div.map' } }],
+    [27, 'rage_click', { page_url: 'https://school.example/visit', metadata: { click_count: 5, element: 'div.map' } }],
+    [35, 'page_view', { page_url: 'https://school.example/' }],
+    [40, 'page_view', { page_url: 'https://school.example/visit' }],
+    [48, 'exit_intent', { page_url: 'https://school.example/visit' }]
+  ]);
+}
+
+module.exports = {
+  CHROME_UA,
+  GOOGLEBOT_UA,
+  at,
+  humanEnquiry,
+  searchFormFalsePositive,
+  pixelOnlyCrawler,
+  rageClicker
+};
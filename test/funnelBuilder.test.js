@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFunnel, walkFunnel, buildFunnelReport } = require('../src/services/funnelBuilder');
+const fixtures = require('./fixtures/eventStreams');
+
+const admissionsToEnquiry = {
+  id: 1,
+  name: 'Admissions to enquiry',
+  scope: 'session',
+  steps: [
+    { name: 'Admissions', type: 'page', page_pattern: '/admissions' },
+    { name: 'Enquire click', type: 'intent', intent_type: 'enquire', within_minutes: null },
+    { name: 'Form started', type: 'event', event_type: 'form_start', within_minutes: 5 }
+  ]
+};
+
+describe('validateFunnel', () => {
+  it('drops blank step rows and names unnamed steps', () => {
+    const { funnel, errors } = validateFunnel({
+      name: ' Visit booking ',
+      scope: 'visitor',
+      steps: [
+        { name: '', type: 'page', page_pattern: '/open-morning', within_minutes: '' },
+        { name: 'Booked', type: 'intent', intent_type: 'book_visit', within_minutes: '30' },
+        { name: '', type: 'page', page_pattern: '', event_type: '', intent_type: '', within_minutes: '' }
+      ]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(funnel.name, 'Visit booking');
+    assert.equal(funnel.steps.length, 2);
+    assert.equal(funnel.steps[0].name, 'Visited /open-morning');
+    assert.equal(funnel.steps[1].within_minutes, 30);
+  });
+
+  it('reports missing step details and too few steps', () => {
+    const { errors } = validateFunnel({
+      name: 'Broken',
+      steps: { 0: { name: 'Only step', type: 'event' } }
+    });
+    assert.deepEqual(errors, ['A funnel needs between 2 and 10 steps', 'Step 1: event type is required']);
+  });
+});
+
+describe('walkFunnel', () => {
+  it('follows steps in order and records the time between them', () => {
+    const reached = walkFunnel(admissionsToEnquiry.steps, fixtures.humanEnquiry());
+    assert.equal(reached.length, 3);
+    assert.equal(reached[1].gapMs, 50 * 1000);
+    assert.equal(reached[2].gapMs, 5 * 1000);
+  });
+
+  it('stops at a step that misses its "within" window', () => {
+    const steps = [
+      admissionsToEnquiry.steps[0],
+      { ...admissionsToEnquiry.steps[2], within_minutes: 0.5 }
+    ];
+    assert.equal(walkFunnel(steps, fixtures.humanEnquiry()).length, 1);
+  });
+
+  it('does not count steps completed out of order', () => {
+    const reversed = [admissionsToEnquiry.steps[2], admissionsToEnquiry.steps[0]];
+    assert.equal(walkFunnel(reversed, fixtures.humanEnquiry()).length, 1);
+  });
+});
+
+describe('buildFunnelReport', () => {
+  const firstVisit = [
+    { journey_id: 'jrn_v1', visitor_id: 'vis_a', event_type: 'page_view', page_url: 'https://school.example/admissions', occurred_at: fixtures.at(0) }
+  ];
+  const secondVisit = [
+    { journey_id: 'jrn_v2', visitor_id: 'vis_a', event_type: 'cta_click', intent_type: 'enquire', occurred_at: fixtures.at(86400) }
+  ];
+
+  it('lists journeys that dropped before each step', () => {
+    const report = buildFunnelReport(admissionsToEnquiry, [...fixtures.humanEnquiry(), ...firstVisit, ...secondVisit]);
+
+    assert.equal(report.entered, 2);
+    assert.equal(report.converted, 1);
+    assert.deepEqual(report.steps.map(s => s.count), [2, 1, 1]);
+    assert.equal(report.steps[1].stepRate, 50);
+    assert.equal(report.steps[1].dropoffCount, 1);
+    assert.equal(report.steps[1].dropoffs[0].journey_id, 'jrn_v1');
+    assert.equal(report.steps[2].medianSecondsFromPrev, 5);
+  });
+
+  it('joins a visitor\'s sessions when the scope is visitor', () => {
+    const report = buildFunnelReport({ ...admissionsToEnquiry, scope: 'visitor' }, [...firstVisit, ...secondVisit]);
+
+    assert.deepEqual(report.steps.map(s => s.count), [1, 1, 0]);
+    assert.equal(report.steps[1].medianSecondsFromPrev, 86400);
+    assert.equal(report.steps[2].dropoffs[0].journey_id, 'jrn_v2');
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const { compileGoal, matchesGoal, findGoalConversion, validateGoal, getActiveGoals, clearGoalCache } = require('../src/services/goals');
+const { determineOutcome, reconstructJourney } = require('../src/services/journeyBuilder');
+const fixtures = require('./fixtures/eventStreams');
+
+const thankYouGoal = { id: 1, name: 'Enquiry thank-you', outcome: 'enquiry_submitted', match_type: 'url', url_pattern: '/thank-you', value_weight: 10, is_active: true };
+const prospectusGoal = { id: 2, name: 'Prospectus download', outcome: 'prospectus_download', match_type: 'cta', cta_pattern: 'prospectus', value_weight: 3, is_active: true };
+const enquiryFormGoal = { id: 3, name: 'Enquiry form', outcome: 'enquiry_form', match_type: 'event', event_type: 'form_submit', metadata_key: 'form_id', metadata_pattern: '^enquiry', value_weight: 5, is_active: true };
+
+describe('matchesGoal', () => {
+  it('matches URL goals against page views only', () => {
+    assert.equal(matchesGoal(thankYouGoal, { event_type: 'page_view', page_url: 'https://school.example/Thank-You?ref=1' }), true);
+    assert.equal(matchesGoal(thankYouGoal, { event_type: 'heartbeat', page_url: 'https://school.example/thank-you' }), false);
+  });
+
+  it('matches CTA goals on click label, case-insensitively', () => {
+    assert.equal(matchesGoal(prospectusGoal, { event_type: 'download_click', cta_label: 'Download our Prospectus' }), true);
+    assert.equal(matchesGoal(prospectusGoal, { event_type: 'site_search', cta_label: 'prospectus' }), false);
+  });
+
+  it('matches event goals with an optional metadata condition', () => {
+    assert.equal(matchesGoal(enquiryFormGoal, { event_type: 'form_submit', metadata: { form_id: 'enquiry-form' } }), true);
+    assert.equal(matchesGoal(enquiryFormGoal, { event_type: 'form_submit', metadata: { form_id: 'searchform' } }), false);
+    assert.equal(matchesGoal(enquiryFormGoal, { event_type: 'form_submit' }), false);
+  });
+
+  it('matches compiled goals the same way, and never on an invalid pattern', () => {
+    const compiled = compileGoal(thankYouGoal);
+    assert.ok(compiled.regex instanceof RegExp);
+    assert.equal(matchesGoal(compiled, { event_type: 'page_view', page_url: 'https://school.example/Thank-You' }), true);
+    assert.equal(matchesGoal(compileGoal(enquiryFormGoal), { event_type: 'form_submit', metadata: { form_id: 'searchform' } }), false);
+
+    const broken = compileGoal({ ...prospectusGoal, cta_pattern: '(' });
+    assert.equal(broken.regex, null);
+    assert.equal(matchesGoal(broken, { event_type: 'cta_click', cta_label: '(' }), false);
+  });
+});
+
+describe('findGoalConversion', () => {
+  it('prefers the highest value goal hit in the journey', () => {
+    const events = [
+      { event_type: 'form_submit', metadata: { form_id: 'enquiry-form' } },
+      { event_type: 'cta_click', cta_label: 'Prospectus' }
+    ];
+    const hit = findGoalConversion(events, [thankYouGoal, prospectusGoal, enquiryFormGoal]);
+    assert.equal(hit.goal.id, 3);
+    assert.equal(hit.event, events[0]);
+  });
+
+  it('returns null when no goal is hit', () => {
+    assert.equal(findGoalConversion([{ event_type: 'page_view', page_url: '/' }], [thankYouGoal]), null);
+  });
+});
+
+describe('validateGoal', () => {
+  it('normalises form input and derives the outcome from the name', () => {
+    const { goal, errors } = validateGoal({ name: ' Prospectus Download ', match_type: 'cta', cta_pattern: 'prospectus', value_weight: '2.5', is_active: 'on' });
+    assert.deepEqual(errors, []);
+    assert.equal(goal.name, 'Prospectus Download');
+    assert.equal(goal.outcome, 'prospectus_download');
+    assert.equal(goal.value_weight, 2.5);
+    assert.equal(goal.is_active, true);
+  });
+
+  it('rejects missing patterns, bad outcomes and invalid regular expressions', () => {
+    assert.deepEqual(validateGoal({ name: 'Thanks', match_type: 'url' }).errors, ['URL pattern is required']);
+    assert.deepEqual(validateGoal({ name: 'x', outcome: 'Not Valid', match_type: 'cta', cta_pattern: '(' }).errors, [
+      'Outcome must be lowercase letters, numbers and underscores',
+      'Invalid regular expression: ('
+    ]);
+    assert.deepEqual(validateGoal({ name: 'x', match_type: 'page' }).errors, ['Match type must be url, event or cta']);
+  });
+});
+
+describe('determineOutcome with site goals', () => {
+  it('uses the goal outcome when a goal is hit', () => {
+    const result = determineOutcome(fixtures.humanEnquiry(), [enquiryFormGoal, prospectusGoal]);
+    assert.deepEqual(result, {
+      outcome: 'enquiry_form',
+      raw_outcome: 'goal_completed',
+      intent_type: 'enquire',
+      goal: { id: 3, name: 'Enquiry form', value: 5 }
+    });
+  });
+
+  it('does not convert on a form submit when the site has goals that were not hit', () => {
+    const result = determineOutcome(fixtures.humanEnquiry(), [thankYouGoal]);
+    assert.equal(result.outcome, 'engaged');
+    assert.equal(result.goal, undefined);
+  });
+
+  it('still ignores search form submits for event goals', () => {
+    const anySubmit = { ...enquiryFormGoal, metadata_key: null, metadata_pattern: null };
+    const result = determineOutcome(fixtures.searchFormFalsePositive(), [anySubmit]);
+    assert.notEqual(result.raw_outcome, 'goal_completed');
+  });
+});
+
+describe('getActiveGoals', () => {
+  beforeEach(() => {
+    fakeDb.reset();
+    clearGoalCache(1);
+    db.sites.push({ id: 1, name: 'School', domain: 'school.example', goals_version: 0 });
+  });
+
+  it('reuses cached goals until another process changes them', async () => {
+    db.siteGoals.push({ ...thankYouGoal, site_id: 1 });
+    const goals = await getActiveGoals(1);
+    assert.deepEqual(goals.map(g => g.id), [1]);
+    assert.ok(goals[0].regex instanceof RegExp);
+
+    // Read behind the cache's back: only the version check reaches the database
+    db.siteGoals.push({ ...prospectusGoal, site_id: 1 });
+    assert.deepEqual((await getActiveGoals(1)).map(g => g.id), [1]);
+
+    // An edit in the web process bumps the version alongside the goal change
+    db.sites[0].goals_version += 1;
+    assert.deepEqual((await getActiveGoals(1)).map(g => g.id), [1, 2]);
+  });
+});
+
+describe('reconstructJourney with site goals', () => {
+  beforeEach(() => {
+    fakeDb.reset();
+    clearGoalCache(1);
+  });
+
+  it('records the goal hit on the journey', async () => {
+    db.siteGoals.push({ ...enquiryFormGoal, site_id: 1 });
+    db.siteGoals.push({ ...prospectusGoal, id: 4, site_id: 1, is_active: false, value_weight: 99 });
+    fakeDb.seedEvents(fixtures.humanEnquiry());
+
+    const journey = await reconstructJourney('jrn_human_enquiry');
+
+    assert.equal(journey.outcome, 'enquiry_form');
+    assert.equal(journey.goal_id, 3);
+    assert.equal(journey.goal_value, 5);
+    assert.equal(journey.outcome_detail.goal, 'Enquiry form');
+  });
+
+  it('falls back to the built-in rules when the site has no goals', async () => {
+    fakeDb.seedEvents(fixtures.humanEnquiry());
+
+    const journey = await reconstructJourney('jrn_human_enquiry');
+
+    assert.equal(journey.outcome, 'enquiry_submitted');
+    assert.equal(journey.goal_id, null);
+    assert.equal(journey.outcome_detail.goal, undefined);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+fakeDb.install();
+const uxRouter = require('../src/routes/ux');
+const { pathVariants, getHeatmapPages, buildHeatmap, getHeatmap } = require('../src/services/heatmaps');
+
+// A click halfway across and a quarter of the way down a 1000 x 4000 page
+function click(x = 500, y = 1000) {
+  return { x, y, page_width: 1000, page_height: 4000, viewport_width: 1000, viewport_height: 800 };
+}
+
+function row(eventType, journeyId, metadata = {}, deviceType = 'desktop') {
+  return { event_type: eventType, device_type: deviceType, journey_id: journeyId, metadata };
+}
+
+describe('pathVariants', () => {
+  it('matches a page with and without its trailing slash', () => {
+    assert.deepEqual(pathVariants('/admissions/'), ['/admissions', '/admissions/']);
+    assert.deepEqual(pathVariants('/fees'), ['/fees', '/fees/']);
+    assert.deepEqual(pathVariants('/'), ['', '/']);
+  });
+});
+
+describe('getHeatmapPages', () => {
+  it('lists the site\'s configured pages with their screenshot file names', () => {
+    const pages = getHeatmapPages(1);
+    const home = pages.find(p => p.path === '/');
+
+    assert.ok(pages.length > 1);
+    assert.equal(home.name, 'Homepage');
+    assert.equal(home.pageName, 'homepage');
+  });
+});
+
+describe('buildHeatmap', () => {
+  it('places clicks as fractions of the page and splits by device', () => {
+    const heatmap = buildHeatmap([
+      row('page_view', 'j1'),
+      row('cta_click', 'j1', { click: click(250, 2000) }),
+      row('dead_click', 'j1', { click: click(), element: 'div.hero' }),
+      row('rage_click', 'j1', { click: click(), element: 'div.hero', click_count: 4 }),
+      row('cta_click', 'j2', { click: click() }, 'mobile'),
+      row('cta_click', 'j3', { position: { x: 10, y: 10 } })
+    ], 'desktop');
+
+    assert.deepEqual(heatmap.clicks, [{ x: 0.25, y: 0.5 }, { x: 0.5, y: 0.25 }]);
+    assert.deepEqual(heatmap.deadClicks, [{ x: 0.5, y: 0.25, element: 'div.hero' }]);
+    assert.deepEqual(heatmap.rageClicks, [{ x: 0.5, y: 0.25, element: 'div.hero', count: 4 }]);
+    assert.deepEqual(heatmap.totals, {
+      pageViews: 1,
+      clicks: 2,
+      deadClicks: 1,
+      rageClicks: 1,
+      clicksWithoutPosition: 1
+    });
+
+    const mobile = buildHeatmap([row('cta_click', 'j2', { click: click() }, 'mobile')], 'mobile');
+    assert.deepEqual(mobile.clicks, [{ x: 0.5, y: 0.25 }]);
+  });
+
+  it('shows tablet clicks on the desktop heatmap', () => {
+    const heatmap = buildHeatmap([row('dead_click', 'j1', { click: click() }, 'tablet')], 'desktop');
+    assert.equal(heatmap.clicks.length, 1);
+  });
+
+  it('reports the share of page views reaching each scroll threshold and where the fold was', () => {
+    const heights = { page_height: 4000, viewport_height: 800 };
+    const heatmap = buildHeatmap([
+      row('page_view', 'j1'),
+      row('page_view', 'j2'),
+      row('page_view', 'j2'),
+      row('page_view', 'j3'),
+      row('page_view', 'j4'),
+      row('scroll_depth', 'j1', { depth_percent: 25, ...heights }),
+      row('scroll_depth', 'j2', { depth_percent: 25, ...heights }),
+      row('scroll_depth', 'j2', { depth_percent: 50 }),
+      row('scroll_depth', 'j2', { depth_percent: 25, ...heights })
+    ], 'desktop');
+
+    const [quarter, half, threeQuarters] = heatmap.scroll;
+    // 25% of the scrollable 3200px plus the 800px viewport = 1600 of 4000
+    assert.deepEqual(quarter, { depth: 25, reached: 2, percent: 50, y: 0.4 });
+    // No heights sent: the fold is assumed to be at the threshold
+    assert.deepEqual(half, { depth: 50, reached: 1, percent: 25, y: 0.5 });
+    assert.deepEqual(threeQuarters, { depth: 75, reached: 0, percent: 0, y: 0.75 });
+    assert.equal(heatmap.totals.pageViews, 4);
+  });
+});
+
+describe('heatmap data', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.session = { userId: 1, currentSiteId: 7 };
+      next();
+    });
+    app.use('/ux', uxRouter);
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    fakeDb.reset();
+    const recent = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    fakeDb.seedEvents([
+      { journey_id: 'j1', event_type: 'page_view', page_url: 'https://school.example/admissions/?utm_source=x', site_id: 7, device_type: 'desktop', occurred_at: recent },
+      { journey_id: 'j1', event_type: 'dead_click', page_url: 'https://school.example/admissions', site_id: 7, device_type: 'desktop', occurred_at: recent, metadata: { click: click() } },
+      { journey_id: 'j2', event_type: 'dead_click', page_url: 'https://school.example/fees', site_id: 7, device_type: 'desktop', occurred_at: recent, metadata: { click: click() } },
+      { journey_id: 'j3', event_type: 'dead_click', page_url: 'https://school.example/admissions', site_id: 8, device_type: 'desktop', occurred_at: recent, metadata: { click: click() } },
+      { journey_id: 'j4', event_type: 'dead_click', page_url: 'https://school.example/admissions', site_id: 7, device_type: 'desktop', occurred_at: recent, is_bot: true, metadata: { click: click() } },
+      { journey_id: 'j5', event_type: 'dead_click', page_url: 'https://school.example/admissions', site_id: 7, device_type: 'desktop', occurred_at: '2025-01-01T00:00:00Z', metadata: { click: click() } }
+    ]);
+  });
+
+  it('getHeatmap only counts the page\'s recent human events on the site', async () => {
+    const heatmap = await getHeatmap(7, '/admissions/', 'desktop', 30);
+
+    assert.equal(heatmap.totals.pageViews, 1);
+    assert.equal(heatmap.totals.deadClicks, 1);
+  });
+
+  it('GET /ux/api/heatmap returns the heatmap for a page and device', async () => {
+    const res = await fetch(`${baseUrl}/ux/api/heatmap?page=/admissions&device=desktop&days=7`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.page, '/admissions');
+    assert.equal(body.device, 'desktop');
+    assert.equal(body.days, 7);
+    assert.deepEqual(body.deadClicks, [{ x: 0.5, y: 0.25, element: null }]);
+    assert.equal(body.scroll.length, 5);
+
+    const mobile = await (await fetch(`${baseUrl}/ux/api/heatmap?page=/admissions&device=mobile`)).json();
+    assert.equal(mobile.totals.deadClicks, 0);
+  });
+
+  it('GET /ux/api/heatmap requires a page', async () => {
+    const res = await fetch(`${baseUrl}/ux/api/heatmap`);
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { error: 'page is required' });
+  });
+});
@@ -0,0 +1,1224 @@
+/**
+ * In-memory stand-in for getDb(), for service and route tests
+ *
+ * Replaces src/db/database.js in the require cache so queries.js, the routes
+ * and the services talk to plain arrays in `state` instead of Postgres. Each
+ * handler recognises one query by a pattern and applies it to those arrays;
+ * SQL without a handler throws, so a test never silently passes against a
+ * query the fake does not understand.
+ *
+ * This checks what the services do with query results, not the SQL: that is
+ * tested on a real engine by test/queries.test.js and test/migrator.test.js
+ * (see helpers/pgDb.js). New queries that matter belong there too.
+ *
+ * Must be installed BEFORE anything under src/ is required.
+ */
+
+const path = require('path');
+
+const DATABASE_PATH = path.join(__dirname, '../../src/db/database.js');
+
+function emptyReports() {
+  return {
+    journeyStats: { total_journeys: '0', human_visitors: '0', bot_count: '0', return_visitors: '0', enquiries: '0', visits_booked: '0' },
+    funnel: { total_visitors: '0', engaged: '0', cta_clicked: '0', form_started: '0', converted: '0' },
+    topPages: []
+  };
+}
+
+const state = {
+  ingestQueue: [],
+  journeyEvents: [],
+  journeys: new Map(),
+  dirtyJourneys: [],
+  workerCursors: new Map(),
+  sites: [],
+  siteGoals: [],
+  apiKeys: [],
+  offlineConversions: [],
+  visitorLeadScores: [],
+  webhookSubscriptions: [],
+  webhookDeliveries: [],
+  users: [],
+  alertRules: [],
+  alertEvents: [],
+  digestSubscriptions: [],
+  emailRecipients: [],
+  emailTemplates: [],
+  emailOutbox: [],
+  insights: [],
+  replayChunks: [],
+  eventDefinitions: [],
+  quarantine: [],
+  consentSalts: new Map(),
+  reports: emptyReports(),
+  queries: [],
+  // Optional (sql, params) => boolean to make a query throw
+  failQuery: null
+};
+
+let nextEventId = 1;
+let nextQueueId = 1;
+let nextConversionId = 1;
+let nextDeliveryId = 1;
+let nextAlertEventId = 1;
+let nextOutboxId = 1;
+let nextReplayChunkId = 1;
+let nextQuarantineId = 1;
+
+const CONVERTED_OUTCOMES = ['enquiry_submitted', 'visit_booked'];
+
+// Column order of the upsertJourney INSERT
+const JOURNEY_COLUMNS = [
+  'journey_id', 'visitor_id', 'visit_number', 'first_seen', 'last_seen', 'entry_page',
+  'entry_referrer', 'initial_intent', 'page_sequence', 'event_count', 'outcome',
+  'time_to_action', 'confidence', 'metadata', 'is_bot', 'bot_score', 'bot_type', 'site_id',
+  'primary_ip_address', 'goal_id', 'goal_value', 'channel', 'channel_source'
+];
+
+const EVENT_COLUMNS = [
+  'journey_id', 'visitor_id', 'event_type', 'page_url', 'referrer', 'intent_type',
+  'cta_label', 'device_type', 'metadata', 'occurred_at', 'user_agent', 'ip_address',
+  'is_bot', 'bot_score', 'bot_signals', 'site_id', 'stream_id', 'seq', 'consent'
+];
+
+function matchesVisitor(event, visitorId, ipAddress) {
+  return (visitorId && event.visitor_id === visitorId) ||
+    (ipAddress && event.ip_address === ipAddress);
+}
+
+// When an event was stored; seeded events without created_at count as stored when they happened
+function storedAt(event) {
+  return event.created_at || event.occurred_at;
+}
+
+function isHumanJourney(journey) {
+  return journey.is_bot !== true && (journey.bot_score || 0) < 30;
+}
+
+function countDistinctJourneys(events) {
+  return new Set(events.map(e => e.journey_id)).size;
+}
+
+/**
+ * Journeys for a site in [from, to), honouring the optional human / outcome /
+ * channel predicates of the public API queries
+ */
+function apiJourneys([siteId, from, to, ...extra], sql) {
+  const human = /is_bot IS NOT TRUE/i.test(sql);
+  const predicates = Array.from(sql.matchAll(/(outcome|channel) = \$(\d+)/gi))
+    .map(([, column, index]) => [column, extra[index - 4]]);
+
+  return Array.from(state.journeys.values())
+    .filter(j => j.site_id === siteId &&
+      new Date(j.first_seen) >= new Date(from) &&
+      new Date(j.first_seen) < new Date(to) &&
+      (!human || (!j.is_bot && (j.bot_score || 0) < 30)) &&
+      predicates.every(([column, value]) => j[column] === value))
+    .sort((a, b) => new Date(b.first_seen) - new Date(a.first_seen));
+}
+
+function clone(rows) {
+  return rows.map(row => ({ ...row }));
+}
+
+// BEGIN snapshots the mutable tables, ROLLBACK restores them
+let snapshot = null;
+
+const handlers = [
+  {
+    pattern: /^\s*BEGIN\s*$/i,
+    run() {
+      snapshot = {
+        journeyEvents: clone(state.journeyEvents),
+        ingestQueue: clone(state.ingestQueue),
+        quarantine: clone(state.quarantine),
+        dirtyJourneys: clone(state.dirtyJourneys),
+        workerCursors: new Map(state.workerCursors)
+      };
+      return [];
+    }
+  },
+  { pattern: /^\s*COMMIT\s*$/i, run() { snapshot = null; return []; } },
+  {
+    pattern: /^\s*ROLLBACK\s*$/i,
+    run() {
+      if (snapshot) {
+        state.journeyEvents.splice(0, Infinity, ...snapshot.journeyEvents);
+        state.ingestQueue.splice(0, Infinity, ...snapshot.ingestQueue);
+        state.quarantine.splice(0, Infinity, ...snapshot.quarantine);
+        state.dirtyJourneys.splice(0, Infinity, ...snapshot.dirtyJourneys);
+        state.workerCursors = snapshot.workerCursors;
+      }
+      snapshot = null;
+      return [];
+    }
+  },
+  {
+    // The rebuild's per-journey savepoints; a failing fake query changes nothing, so there is nothing to undo
+    pattern: /^\s*(SAVEPOINT|RELEASE SAVEPOINT|ROLLBACK TO SAVEPOINT) \w+\s*$/i,
+    run() {
+      return [];
+    }
+  },
+  {
+    // insertEvent and the multi-row insertEvents (skipping resent stream_id / seq)
+    pattern: /^\s*INSERT INTO journey_events/i,
+    run(params, sql) {
+      const columns = /stream_id, seq, consent\)/.test(sql) ? EVENT_COLUMNS : EVENT_COLUMNS.slice(0, -3);
+      const inserted = [];
+      for (let offset = 0; offset < params.length; offset += columns.length) {
+        const row = { created_at: new Date().toISOString(), stream_id: null, seq: null, consent: null };
+        columns.forEach((column, i) => { row[column] = params[offset + i]; });
+        row.metadata = row.metadata ? JSON.parse(row.metadata) : null;
+        const duplicate = row.stream_id !== null && row.seq !== null && state.journeyEvents.some(e =>
+          e.journey_id === row.journey_id && e.stream_id === row.stream_id && e.seq === row.seq);
+        if (duplicate) continue;
+        row.id = nextEventId++;
+        state.journeyEvents.push(row);
+        inserted.push({ id: row.id, journey_id: row.journey_id, stream_id: row.stream_id, seq: row.seq });
+      }
+      return inserted;
+    }
+  },
+  {
+    pattern: /SELECT DISTINCT journey_id FROM journey_events WHERE journey_id = ANY\(\$1\)/i,
+    run([journeyIds]) {
+      return [...new Set(state.journeyEvents.map(e => e.journey_id))]
+        .filter(id => journeyIds.includes(id))
+        .map(journey_id => ({ journey_id }));
+    }
+  },
+  {
+    pattern: /SELECT \* FROM journey_events WHERE journey_id = \$1 AND id > \$2/i,
+    run(params, sql) {
+      const [journeyId, afterId] = params;
+      const siteId = /site_id = \$3/.test(sql) ? params[2] : null;
+      return clone(state.journeyEvents
+        .filter(e => e.journey_id === journeyId && e.id > afterId && (!siteId || e.site_id === siteId))
+        .sort((a, b) => a.id - b.id)
+        .slice(0, params[params.length - 1]));
+    }
+  },
+  {
+    pattern: /^\s*INSERT INTO event_ingest_queue/i,
+    run(params) {
+      const inserted = [];
+      for (let offset = 0; offset < params.length; offset += 4) {
+        const row = {
+          id: nextQueueId++,
+          payload: JSON.parse(params[offset]),
+          client_ip: params[offset + 1],
+          user_agent: params[offset + 2],
+          source: params[offset + 3],
+          attempts: 0,
+          last_error: null,
+          received_at: new Date()
+        };
+        state.ingestQueue.push(row);
+        inserted.push(row);
+      }
+      return inserted;
+    }
+  },
+  {
+    pattern: /FROM event_ingest_queue\s+WHERE id = \$1 AND attempts < \$2/i,
+    run([id, maxAttempts]) {
+      return clone(state.ingestQueue.filter(r => r.id === id && r.attempts < maxAttempts));
+    }
+  },
+  {
+    pattern: /FROM event_ingest_queue\s+WHERE attempts < \$1/i,
+    run([maxAttempts, limit]) {
+      return clone(state.ingestQueue.filter(r => r.attempts < maxAttempts).slice(0, limit));
+    }
+  },
+  {
+    pattern: /DELETE FROM event_ingest_queue WHERE id = ANY\(\$1\)/i,
+    run([ids]) {
+      state.ingestQueue.splice(0, Infinity, ...state.ingestQueue.filter(r => !ids.includes(r.id)));
+      return [];
+    }
+  },
+  {
+    pattern: /DELETE FROM event_ingest_queue WHERE id = \$1/i,
+    run([id]) {
+      state.ingestQueue.splice(0, Infinity, ...state.ingestQueue.filter(r => r.id !== id));
+      return [];
+    }
+  },
+  {
+    pattern: /UPDATE event_ingest_queue SET attempts = attempts \+ 1/i,
+    run([id, error]) {
+      const row = state.ingestQueue.find(r => r.id === id);
+      if (row) {
+        row.attempts++;
+        row.last_error = error;
+      }
+      return [];
+    }
+  },
+  {
+    pattern: /^\s*INSERT INTO worker_cursors/i,
+    run([name]) {
+      if (!state.workerCursors.has(name)) state.workerCursors.set(name, 0);
+      return [];
+    }
+  },
+  {
+    pattern: /SELECT last_event_id FROM worker_cursors WHERE name = \$1/i,
+    run([name]) {
+      return [{ last_event_id: String(state.workerCursors.get(name)) }];
+    }
+  },
+  {
+    pattern: /^\s*UPDATE worker_cursors SET last_event_id = \$2/i,
+    run([name, lastEventId]) {
+      state.workerCursors.set(name, lastEventId);
+      return [];
+    }
+  },
+  {
+    pattern: /SELECT id, journey_id FROM journey_events\s+WHERE id > \$1/i,
+    run([cursor, limit]) {
+      return state.journeyEvents
+        .filter(e => e.id > cursor)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit)
+        .map(e => ({ id: e.id, journey_id: e.journey_id }));
+    }
+  },
+  {
+    pattern: /^\s*INSERT INTO dirty_journeys/i,
+    run([journeyIds]) {
+      for (const journeyId of journeyIds) {
+        const existing = state.dirtyJourneys.find(d => d.journey_id === journeyId);
+        if (existing) {
+          Object.assign(existing, { marked_at: new Date(), attempts: 0, last_error: null, priority: 0 });
+        } else {
+          state.dirtyJourneys.push({ journey_id: journeyId, marked_at: new Date(), attempts: 0, last_error: null, priority: 0 });
+        }
+      }
+      return [];
+    }
+  },
+  {
+    pattern: /SELECT journey_id FROM dirty_journeys\s+WHERE attempts < \$1/i,
+    run([maxAttempts, limit]) {
+      return state.dirtyJourneys
+        .filter(d => d.attempts < maxAttempts)
+        .sort((a, b) => (a.priority || 0) - (b.priority || 0) || new Date(a.marked_at) - new Date(b.marked_at))
+        .slice(0, limit)
+        .map(d => ({ journey_id: d.journey_id }));
+    }
+  },
+  {
+    pattern: /^\s*UPDATE dirty_journeys SET attempts = attempts \+ 1/i,
+    run([journeyId, error]) {
+      const row = state.dirtyJourneys.find(d => d.journey_id === journeyId);
+      if (row) {
+        row.attempts++;
+        row.last_error = error;
+      }
+      return [];
+    }
+  },
+  {
+    pattern: /DELETE FROM dirty_journeys WHERE journey_id = ANY\(\$1\)/i,
+    run([journeyIds]) {
+      state.dirtyJourneys.splice(0, Infinity, ...state.dirtyJourneys.filter(d => !journeyIds.includes(d.journey_id)));
+      return [];
+    }
+  },
+  {
+    pattern: /SELECT \* FROM sites WHERE tracking_key = \$1/i,
+    run([trackingKey]) {
+      return state.sites.filter(s => s.tracking_key === trackingKey);
+    }
+  },
+  {
+    // getSiteGoalsVersion
+    pattern: /SELECT goals_version FROM sites WHERE id = \$1/i,
+    run([siteId]) {
+      const site = state.sites.find(s => s.id === siteId);
+      return site ? [{ goals_version: site.goals_version || 0 }] : [];
+    }
+  },
+  {
+    // getSiteGoals
+    pattern: /SELECT \* FROM site_goals WHERE site_id = \$1 /i,
+    run([siteId], sql) {
+      const activeOnly = /is_active = true/i.test(sql);
+      return state.siteGoals
+        .filter(g => g.site_id === siteId && (!activeOnly || g.is_active))
+        .sort((a, b) => b.value_weight - a.value_weight || a.id - b.id);
+    }
+  },
+  {
+    pattern: /SELECT \* FROM journey_events WHERE journey_id = \$1/i,
+    run([journeyId, siteId]) {
+      return state.journeyEvents
+        .filter(e => e.journey_id === journeyId && (siteId === undefined || e.site_id === siteId))
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+    }
+  },
+  {
+    // getVisitorJourneyNumber
+    pattern: /COUNT\(DISTINCT journey_id\) as visit_number/i,
+    run([firstSeen, visitorId, ipAddress, siteId]) {
+      const cutoff = new Date(firstSeen).getTime();
+      const events = state.journeyEvents.filter(e =>
+        new Date(e.occurred_at).getTime() <= cutoff &&
+        matchesVisitor(e, visitorId, ipAddress) &&
+        (siteId === undefined || e.site_id === siteId)
+      );
+      return [{ visit_number: String(countDistinctJourneys(events)) }];
+    }
+  },
+  {
+    // getVisitorTotalJourneys
+    pattern: /COUNT\(DISTINCT journey_id\) as total/i,
+    run([visitorId, ipAddress, siteId]) {
+      const events = state.journeyEvents.filter(e =>
+        matchesVisitor(e, visitorId, ipAddress) &&
+        (siteId === undefined || e.site_id === siteId)
+      );
+      return [{ total: String(countDistinctJourneys(events)) }];
+    }
+  },
+  {
+    pattern: /INSERT INTO journeys \(/i,
+    run(params) {
+      const row = Object.fromEntries(JOURNEY_COLUMNS.map((column, i) => [column, params[i]]));
+      const previous = state.journeys.get(params[0]);
+      const converted = j => Boolean(j.goal_id) || CONVERTED_OUTCOMES.includes(j.outcome);
+      state.journeys.set(params[0], { ...row, created_at: previous ? previous.created_at : new Date().toISOString(), params });
+      return [{
+        journey_id: params[0],
+        inserted: !previous,
+        converted: converted(row),
+        was_converted: previous ? converted(previous) : false
+      }];
+    }
+  },
+  {
+    // findConversionJourney (by journey)
+    pattern: /SELECT journey_id, visitor_id FROM journeys WHERE site_id = \$1 AND journey_id = \$2/i,
+    run([siteId, journeyId]) {
+      const journey = state.journeys.get(journeyId);
+      return journey && journey.site_id === siteId ? [{ journey_id: journey.journey_id, visitor_id: journey.visitor_id }] : [];
+    }
+  },
+  {
+    // findConversionJourney (visitor's latest journey)
+    pattern: /SELECT journey_id, visitor_id FROM journeys\s+WHERE site_id = \$1 AND visitor_id = \$2 AND first_seen <= \$3/i,
+    run([siteId, visitorId, before]) {
+      return Array.from(state.journeys.values())
+        .filter(j => j.site_id === siteId && j.visitor_id === visitorId && new Date(j.first_seen) <= new Date(before))
+        .sort((a, b) => new Date(b.first_seen) - new Date(a.first_seen))
+        .slice(0, 1)
+        .map(j => ({ journey_id: j.journey_id, visitor_id: j.visitor_id }));
+    }
+  },
+  {
+    // findVisitorByEmailHash
+    pattern: /SELECT visitor_id FROM offline_conversions\s+WHERE site_id = \$1 AND email_hash = \$2/i,
+    run([siteId, emailHash]) {
+      return state.offlineConversions
+        .filter(c => c.site_id === siteId && c.email_hash === emailHash && c.visitor_id)
+        .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at))
+        .slice(0, 1)
+        .map(c => ({ visitor_id: c.visitor_id }));
+    }
+  },
+  {
+    // upsertOfflineConversion
+    pattern: /^\s*INSERT INTO offline_conversions/i,
+    run(params) {
+      const columns = ['site_id', 'external_id', 'conversion_type', 'outcome', 'value', 'occurred_at', 'journey_id', 'visitor_id', 'email_hash', 'source', 'metadata'];
+      const row = Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+      const existing = state.offlineConversions.find(c => c.site_id === row.site_id && c.external_id === row.external_id);
+      if (existing) {
+        for (const column of ['journey_id', 'visitor_id', 'email_hash']) row[column] = row[column] || existing[column];
+        Object.assign(existing, row);
+        return [{ ...existing, inserted: false }];
+      }
+      const created = { id: nextConversionId++, ...row };
+      state.offlineConversions.push(created);
+      return [{ ...created, inserted: true }];
+    }
+  },
+  {
+    // applyOfflineConversion
+    pattern: /^\s*UPDATE journeys SET outcome = \$3, offline_conversion_id = \$2/i,
+    run([journeyId, conversionId, outcome]) {
+      const journey = state.journeys.get(journeyId);
+      if (journey) Object.assign(journey, { outcome, offline_conversion_id: conversionId });
+      return [];
+    }
+  },
+  {
+    // getVisitorJourneysBefore
+    pattern: /AND \(\(visitor_id = \$2 AND first_seen <= \$4\) OR journey_id = \$3\)/i,
+    run([siteId, visitorId, journeyId, before]) {
+      return Array.from(state.journeys.values())
+        .filter(j => j.site_id === siteId && (
+          (visitorId && j.visitor_id === visitorId && new Date(j.first_seen) <= new Date(before)) ||
+          j.journey_id === journeyId
+        ))
+        .sort((a, b) => new Date(a.first_seen) - new Date(b.first_seen));
+    }
+  },
+  {
+    pattern: /SELECT lead_score_settings FROM sites WHERE id = \$1/i,
+    run([siteId]) {
+      return state.sites.filter(s => s.id === siteId).map(s => ({ lead_score_settings: s.lead_score_settings || null }));
+    }
+  },
+  {
+    // getVisitorScoringEvents
+    pattern: /FROM journey_events\s+WHERE site_id = \$1 AND visitor_id = \$2 AND is_bot IS NOT TRUE/i,
+    run([siteId, visitorId]) {
+      return state.journeyEvents
+        .filter(e => e.site_id === siteId && e.visitor_id === visitorId && !e.is_bot)
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+    }
+  },
+  {
+    // upsertVisitorLeadScore
+    pattern: /INSERT INTO visitor_lead_scores/i,
+    run([siteId, visitorId, score, factors, lastSeen]) {
+      const row = { site_id: siteId, visitor_id: visitorId, score, factors: JSON.parse(factors), last_seen: lastSeen, computed_at: new Date().toISOString() };
+      const index = state.visitorLeadScores.findIndex(r => r.site_id === siteId && r.visitor_id === visitorId);
+      const previousScore = index >= 0 ? state.visitorLeadScores[index].score : null;
+      if (index >= 0) state.visitorLeadScores[index] = row;
+      else state.visitorLeadScores.push(row);
+      return [{ score, factors: row.factors, last_seen: lastSeen, computed_at: row.computed_at, previous_score: previousScore }];
+    }
+  },
+  {
+    pattern: /^\s*DELETE FROM visitor_lead_scores WHERE site_id = \$1 AND visitor_id = \$2/i,
+    run([siteId, visitorId]) {
+      state.visitorLeadScores.splice(0, Infinity, ...state.visitorLeadScores.filter(r => !(r.site_id === siteId && r.visitor_id === visitorId)));
+      return [];
+    }
+  },
+  {
+    // getVisitorLeadScore
+    pattern: /FROM visitor_lead_scores\s+WHERE visitor_id = \$1/i,
+    run([visitorId, siteId]) {
+      return state.visitorLeadScores
+        .filter(r => r.visitor_id === visitorId && (siteId === undefined || r.site_id === siteId))
+        .slice(0, 1)
+        .map(({ score, factors, last_seen, computed_at }) => ({ score, factors, last_seen, computed_at }));
+    }
+  },
+  {
+    // getStaleLeadScores
+    pattern: /SELECT site_id, visitor_id FROM visitor_lead_scores\s+WHERE computed_at < \$1/i,
+    run([before, limit]) {
+      return state.visitorLeadScores
+        .filter(r => new Date(r.computed_at) < new Date(before))
+        .sort((a, b) => new Date(a.computed_at) - new Date(b.computed_at))
+        .slice(0, limit)
+        .map(r => ({ site_id: r.site_id, visitor_id: r.visitor_id }));
+    }
+  },
+  {
+    // getWebhooksForEvent
+    pattern: /SELECT id FROM webhook_subscriptions\s+WHERE site_id = \$1 AND is_active = true AND \$2 = ANY\(event_types\)/i,
+    run([siteId, eventType]) {
+      return state.webhookSubscriptions
+        .filter(w => w.site_id === siteId && w.is_active !== false && w.event_types.includes(eventType))
+        .map(w => ({ id: w.id }));
+    }
+  },
+  {
+    // createWebhookDelivery
+    pattern: /^\s*INSERT INTO webhook_deliveries/i,
+    run([subscriptionId, eventId, eventType, payload]) {
+      if (state.webhookDeliveries.some(d => d.subscription_id === subscriptionId && d.event_id === eventId)) return [];
+      const row = {
+        id: nextDeliveryId++,
+        subscription_id: subscriptionId,
+        event_id: eventId,
+        event_type: eventType,
+        payload: JSON.parse(payload),
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        last_status_code: null,
+        last_error: null,
+        last_response: null,
+        last_duration_ms: null,
+        created_at: new Date().toISOString(),
+        delivered_at: null
+      };
+      state.webhookDeliveries.push(row);
+      return [{ ...row }];
+    }
+  },
+  {
+    // claimWebhookDeliveries
+    pattern: /UPDATE webhook_deliveries d\s+SET next_attempt_at = NOW\(\) \+/i,
+    run([limit, leaseSeconds]) {
+      const now = Date.now();
+      return state.webhookDeliveries
+        .map(d => ({ d, w: state.webhookSubscriptions.find(w => w.id === d.subscription_id) }))
+        .filter(({ d, w }) => d.status === 'pending' && new Date(d.next_attempt_at).getTime() <= now && w && w.is_active !== false)
+        .sort((a, b) => new Date(a.d.next_attempt_at) - new Date(b.d.next_attempt_at))
+        .slice(0, limit)
+        .map(({ d, w }) => {
+          d.next_attempt_at = new Date(now + leaseSeconds * 1000).toISOString();
+          return { ...d, url: w.url, secret: w.secret };
+        });
+    }
+  },
+  {
+    // recordWebhookAttempt
+    pattern: /^\s*UPDATE webhook_deliveries SET\s+status = \$2/i,
+    run([deliveryId, status, nextAttemptAt, statusCode, error, response, durationMs]) {
+      const d = state.webhookDeliveries.find(r => r.id === deliveryId);
+      if (!d) return [];
+      Object.assign(d, {
+        status,
+        attempts: d.attempts + 1,
+        next_attempt_at: nextAttemptAt ?? d.next_attempt_at,
+        last_status_code: statusCode,
+        last_error: error,
+        last_response: response,
+        last_duration_ms: durationMs,
+        delivered_at: status === 'delivered' ? new Date().toISOString() : d.delivered_at
+      });
+      return [{ ...d }];
+    }
+  },
+  {
+    // getBotJourneyCounts
+    pattern: /COUNT\(\*\) FILTER \(WHERE first_seen >= \$1\) as recent/i,
+    run([since, baselineSince]) {
+      const counts = new Map();
+      for (const j of state.journeys.values()) {
+        if (j.is_bot !== true || !j.site_id || new Date(j.first_seen) < new Date(baselineSince)) continue;
+        const row = counts.get(j.site_id) || { site_id: j.site_id, recent: 0, baseline: 0 };
+        if (new Date(j.first_seen) >= new Date(since)) row.recent++;
+        else row.baseline++;
+        counts.set(j.site_id, row);
+      }
+      return Array.from(counts.values()).map(r => ({ ...r, recent: String(r.recent), baseline: String(r.baseline) }));
+    }
+  },
+  {
+    // getActiveAlertRules
+    pattern: /FROM alert_rules r\s+JOIN users u ON u\.id = r\.user_id/i,
+    run() {
+      return state.alertRules
+        .filter(r => r.is_active !== false)
+        .map(r => {
+          const user = state.users.find(u => u.id === r.user_id);
+          const site = state.sites.find(s => s.id === r.site_id);
+          return user && site ? { ...r, user_email: user.email, user_name: user.name, site_name: site.name } : null;
+        })
+        .filter(Boolean);
+    }
+  },
+  {
+    pattern: /^\s*UPDATE alert_rules SET last_(evaluated|sent)_at = \$2 WHERE id = \$1/i,
+    run([ruleId, at], sql) {
+      const rule = state.alertRules.find(r => r.id === ruleId);
+      if (!rule) return [];
+      rule[/last_sent_at/.test(sql) ? 'last_sent_at' : 'last_evaluated_at'] = at;
+      return [{ id: ruleId }];
+    }
+  },
+  {
+    // createAlertEvent
+    pattern: /^\s*INSERT INTO alert_events/i,
+    run([ruleId, dedupeKey, title, detail, link]) {
+      if (state.alertEvents.some(e => e.rule_id === ruleId && e.dedupe_key === dedupeKey)) return [];
+      const row = {
+        id: nextAlertEventId++,
+        rule_id: ruleId,
+        dedupe_key: dedupeKey,
+        title,
+        detail,
+        link,
+        status: 'pending',
+        attempts: 0,
+        last_error: null,
+        created_at: new Date().toISOString(),
+        sent_at: null,
+        claimed_until: null
+      };
+      state.alertEvents.push(row);
+      return [{ ...row }];
+    }
+  },
+  {
+    // claimPendingAlertEvents
+    pattern: /SELECT id FROM alert_events\s+WHERE rule_id = \$1 AND status = 'pending'/i,
+    run([ruleId, limit, leaseSeconds]) {
+      const now = Date.now();
+      return state.alertEvents
+        .filter(e => e.rule_id === ruleId && e.status === 'pending' &&
+          (!e.claimed_until || Date.parse(e.claimed_until) <= now))
+        .slice(0, limit)
+        .map(e => {
+          e.claimed_until = new Date(now + leaseSeconds * 1000).toISOString();
+          return { ...e };
+        });
+    }
+  },
+  {
+    // markAlertEventsSent
+    pattern: /^\s*UPDATE alert_events SET status = 'sent'/i,
+    run([ids]) {
+      const events = state.alertEvents.filter(e => ids.includes(e.id));
+      events.forEach(e => Object.assign(e, { status: 'sent', sent_at: new Date().toISOString(), attempts: e.attempts + 1, last_error: null, claimed_until: null }));
+      return events.map(e => ({ id: e.id }));
+    }
+  },
+  {
+    // recordAlertEventsFailure
+    pattern: /^\s*UPDATE alert_events SET\s+attempts = attempts \+ 1/i,
+    run([ids, error, maxAttempts]) {
+      const events = state.alertEvents.filter(e => ids.includes(e.id));
+      events.forEach(e => {
+        e.attempts++;
+        e.last_error = error;
+        e.claimed_until = null;
+        if (e.attempts >= maxAttempts) e.status = 'failed';
+      });
+      return events.map(e => ({ id: e.id }));
+    }
+  },
+  {
+    // getNewJourneysSince
+    pattern: /FROM journeys j\s+WHERE j\.site_id = \$1 AND j\.created_at >= \$2/i,
+    run([siteId, since, after, limit]) {
+      return Array.from(state.journeys.values())
+        .filter(j => j.site_id === siteId && new Date(j.created_at) >= new Date(since) && isHumanJourney(j))
+        .filter(j => after === null || j.journey_id > after)
+        .sort((a, b) => (a.journey_id < b.journey_id ? -1 : 1))
+        .slice(0, limit)
+        .map(j => ({
+          ...j,
+          location: state.journeyEvents.find(e => e.journey_id === j.journey_id && e.metadata?.location)?.metadata.location || null
+        }));
+    }
+  },
+  {
+    // getReturningPageViews
+    pattern: /SELECT DISTINCT ON \(e\.journey_id\) e\.journey_id, e\.visitor_id, e\.page_url, e\.occurred_at/i,
+    run([siteId, since, pattern, after, limit]) {
+      const regex = new RegExp(pattern, 'i');
+      const first = new Map();
+      state.journeyEvents
+        .filter(e => e.site_id === siteId && new Date(storedAt(e)) >= new Date(since) &&
+          (after === null || e.journey_id > after) &&
+          e.event_type === 'page_view' && e.is_bot !== true && e.visitor_id && regex.test(e.page_url || ''))
+        .filter(e => Array.from(state.journeys.values()).some(j => j.site_id === siteId && j.visitor_id === e.visitor_id &&
+          j.journey_id !== e.journey_id && new Date(j.first_seen) < new Date(e.occurred_at)))
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+        .forEach(e => { if (!first.has(e.journey_id)) first.set(e.journey_id, e); });
+      return Array.from(first.values())
+        .sort((a, b) => (a.journey_id < b.journey_id ? -1 : 1))
+        .slice(0, limit)
+        .map(({ journey_id, visitor_id, page_url, occurred_at }) => ({ journey_id, visitor_id, page_url, occurred_at }));
+    }
+  },
+  {
+    // getLeadScoresAbove
+    pattern: /FROM visitor_lead_scores\s+WHERE site_id = \$1 AND computed_at >= \$2 AND score > \$3/i,
+    run([siteId, since, threshold, after, limit]) {
+      return state.visitorLeadScores
+        .filter(r => r.site_id === siteId && new Date(r.computed_at) >= new Date(since) && r.score > threshold)
+        .filter(r => after === null || r.visitor_id > after)
+        .sort((a, b) => (a.visitor_id < b.visitor_id ? -1 : 1))
+        .slice(0, limit)
+        .map(({ visitor_id, score, last_seen }) => ({ visitor_id, score, last_seen }));
+    }
+  },
+  {
+    // getAbandonedForms
+    pattern: /AND e\.event_type = 'form_start' AND e\.is_bot IS NOT TRUE/i,
+    run([siteId, since, idleBefore, pattern, after, limit]) {
+      const regex = new RegExp(pattern, 'i');
+      const journeyEvents = (journeyId) => state.journeyEvents.filter(e => e.journey_id === journeyId);
+      const lastStored = (journeyId) => Math.max(...journeyEvents(journeyId).map(e => new Date(storedAt(e)).getTime()));
+      const byJourney = new Map();
+      state.journeyEvents
+        .filter(e => e.site_id === siteId && (after === null || e.journey_id > after) &&
+          e.event_type === 'form_start' && e.is_bot !== true && regex.test(e.page_url || ''))
+        .filter(e => lastStored(e.journey_id) >= new Date(since).getTime() && lastStored(e.journey_id) < new Date(idleBefore).getTime())
+        .filter(e => !journeyEvents(e.journey_id).some(s => s.event_type === 'form_submit'))
+        .forEach(e => { if (!byJourney.has(e.journey_id)) byJourney.set(e.journey_id, e); });
+      return Array.from(byJourney.values())
+        .sort((a, b) => (a.journey_id < b.journey_id ? -1 : 1))
+        .slice(0, limit)
+        .map(e => ({ journey_id: e.journey_id, visitor_id: e.visitor_id, page_url: e.page_url, form_started_at: e.occurred_at }));
+    }
+  },
+  {
+    // getConversionRateWindows
+    pattern: /COUNT\(\*\) FILTER \(WHERE first_seen >= \$3\) as current_journeys/i,
+    run([siteId, previousStart, currentStart, end]) {
+      const journeys = Array.from(state.journeys.values()).filter(j => j.site_id === siteId && isHumanJourney(j) &&
+        new Date(j.first_seen) >= new Date(previousStart) && new Date(j.first_seen) < new Date(end));
+      const current = journeys.filter(j => new Date(j.first_seen) >= new Date(currentStart));
+      const previous = journeys.filter(j => new Date(j.first_seen) < new Date(currentStart));
+      const converted = list => list.filter(j => j.goal_id || CONVERTED_OUTCOMES.includes(j.outcome)).length;
+      return [{
+        current_journeys: String(current.length),
+        current_conversions: String(converted(current)),
+        previous_journeys: String(previous.length),
+        previous_conversions: String(converted(previous))
+      }];
+    }
+  },
+  {
+    // getActiveDigestSubscriptions
+    pattern: /FROM digest_subscriptions d\s+JOIN users u ON u\.id = d\.user_id[\s\S]*WHERE d\.is_active = true/i,
+    run() {
+      return state.digestSubscriptions
+        .filter(d => d.is_active !== false)
+        .map(d => {
+          const user = state.users.find(u => u.id === d.user_id);
+          const site = state.sites.find(s => s.id === d.site_id);
+          return user && site ? { ...d, user_email: user.email, user_name: user.name, site_name: site.name } : null;
+        })
+        .filter(Boolean);
+    }
+  },
+  {
+    // claimDigestSubscription
+    pattern: /^\s*UPDATE digest_subscriptions SET last_attempt_at = \$2\s+WHERE id = \$1 AND is_active = true/i,
+    run([id, attemptedAt, retryBefore]) {
+      const subscription = state.digestSubscriptions.find(d => d.id === id && d.is_active !== false);
+      if (!subscription || (subscription.last_attempt_at && new Date(subscription.last_attempt_at) >= new Date(retryBefore))) return [];
+      subscription.last_attempt_at = attemptedAt;
+      return [{ id }];
+    }
+  },
+  {
+    // recordDigestAttempt
+    pattern: /^\s*UPDATE digest_subscriptions SET\s+last_attempt_at = \$2/i,
+    run([id, attemptedAt, error]) {
+      const subscription = state.digestSubscriptions.find(d => d.id === id);
+      if (!subscription) return [];
+      subscription.last_attempt_at = attemptedAt;
+      if (error === null) subscription.last_sent_at = attemptedAt;
+      subscription.last_error = error;
+      return [{ id }];
+    }
+  },
+  {
+    // getSiteRecipientEmails
+    pattern: /SELECT email FROM site_email_recipients\s+WHERE site_id = \$1 AND is_active = true AND \$2 = ANY\(categories\)/i,
+    run([siteId, category]) {
+      return state.emailRecipients
+        .filter(r => r.site_id === siteId && r.is_active !== false && r.categories.includes(category))
+        .map(r => ({ email: r.email }))
+        .sort((a, b) => a.email.localeCompare(b.email));
+    }
+  },
+  {
+    // getSiteEmailTemplate
+    pattern: /^SELECT \* FROM site_email_templates WHERE site_id = \$1 AND template = \$2$/i,
+    run([siteId, template]) {
+      return clone(state.emailTemplates.filter(t => t.site_id === siteId && t.template === template));
+    }
+  },
+  {
+    // createOutboxEmail
+    pattern: /^\s*INSERT INTO email_outbox/i,
+    run([siteId, category, recipients, subject, html, text, attachments]) {
+      const row = {
+        id: nextOutboxId++,
+        site_id: siteId,
+        category,
+        recipients: [...recipients],
+        subject,
+        html,
+        text,
+        attachments: JSON.parse(attachments),
+        status: 'pending',
+        transport: null,
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        last_error: null,
+        created_at: new Date().toISOString(),
+        sent_at: null
+      };
+      state.emailOutbox.push(row);
+      return [{ ...row }];
+    }
+  },
+  {
+    // claimOutboxEmails
+    pattern: /UPDATE email_outbox o\s+SET next_attempt_at = NOW\(\) \+/i,
+    run([limit, leaseSeconds]) {
+      const now = Date.now();
+      return state.emailOutbox
+        .filter(e => e.status === 'pending' && new Date(e.next_attempt_at).getTime() <= now)
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+        .slice(0, limit)
+        .map(e => {
+          e.next_attempt_at = new Date(now + leaseSeconds * 1000).toISOString();
+          return { ...e };
+        });
+    }
+  },
+  {
+    // recordOutboxAttempt
+    pattern: /^\s*UPDATE email_outbox SET\s+status = \$2/i,
+    run([emailId, status, nextAttemptAt, error, transport]) {
+      const e = state.emailOutbox.find(r => r.id === emailId);
+      if (!e) return [];
+      Object.assign(e, {
+        status,
+        attempts: e.attempts + 1,
+        next_attempt_at: nextAttemptAt ?? e.next_attempt_at,
+        last_error: error,
+        transport,
+        sent_at: status === 'sent' ? new Date().toISOString() : e.sent_at
+      });
+      return [{ ...e }];
+    }
+  },
+  {
+    // getOutboxEmailById
+    pattern: /^SELECT \* FROM email_outbox WHERE id = \$1$/i,
+    run([emailId]) {
+      return clone(state.emailOutbox.filter(e => e.id === Number(emailId)));
+    }
+  },
+  {
+    // retryOutboxEmail
+    pattern: /^\s*UPDATE email_outbox\s+SET status = 'pending', attempts = 0/i,
+    run([emailId]) {
+      const e = state.emailOutbox.find(r => r.id === Number(emailId) && r.status !== 'sent');
+      if (!e) return [];
+      Object.assign(e, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() });
+      return [{ id: e.id }];
+    }
+  },
+  {
+    // getLatestInsight
+    pattern: /^SELECT \* FROM insights WHERE site_id = \$1 ORDER BY created_at DESC LIMIT 1$/i,
+    run([siteId]) {
+      return state.insights
+        .filter(i => i.site_id === siteId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, 1);
+    }
+  },
+  // Dashboard report queries are too involved to emulate; tests seed their
+  // result rows in state.reports
+  {
+    // getJourneyStats
+    pattern: /as avg_visits_per_visitor/i,
+    run() {
+      return [{ ...state.reports.journeyStats }];
+    }
+  },
+  {
+    // getConversionFunnel
+    pattern: /COUNT\(\*\) FILTER \(WHERE event_count > 1\) as engaged/i,
+    run() {
+      return [{ ...state.reports.funnel }];
+    }
+  },
+  {
+    // getTopPages
+    pattern: /normalized_url as page_url/i,
+    run([limit]) {
+      return clone(state.reports.topPages.slice(0, limit));
+    }
+  },
+  {
+    // getApiKeyByHash
+    pattern: /FROM api_keys k\s+JOIN sites s ON s\.id = k\.site_id\s+WHERE k\.key_hash = \$1/i,
+    run([keyHash]) {
+      const key = state.apiKeys.find(k => k.key_hash === keyHash && !k.revoked_at);
+      const site = key && state.sites.find(s => s.id === key.site_id);
+      if (!key || !site) return [];
+      return [{ ...key, site_name: site.name, site_domain: site.domain }];
+    }
+  },
+  {
+    pattern: /^\s*UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = \$1/i,
+    run([keyId]) {
+      const key = state.apiKeys.find(k => k.id === keyId);
+      if (key) key.last_used_at = new Date().toISOString();
+      return [];
+    }
+  },
+  {
+    // getApiJourneys (count)
+    pattern: /SELECT COUNT\(\*\) as total FROM journeys WHERE site_id = \$1 AND first_seen >= \$2/i,
+    run(params, sql) {
+      return [{ total: String(apiJourneys(params, sql).length) }];
+    }
+  },
+  {
+    // getApiJourneys (page)
+    pattern: /FROM journeys WHERE site_id = \$1 AND first_seen >= \$2[\s\S]*LIMIT \$\d+ OFFSET \$\d+/i,
+    run(params, sql) {
+      const [limit, offset] = params.slice(-2);
+      return apiJourneys(params.slice(0, -2), sql).slice(offset, offset + limit);
+    }
+  },
+  {
+    // insertReplayChunk (ON CONFLICT (journey_id, seq) DO NOTHING)
+    pattern: /^\s*INSERT INTO session_replay_chunks/i,
+    run([siteId, journeyId, visitorId, seq, pageUrl, startedAt, endedAt, eventCount, hasSnapshot, data, byteSize]) {
+      if (state.replayChunks.some(c => c.journey_id === journeyId && c.seq === seq)) return [];
+      const row = {
+        id: nextReplayChunkId++,
+        site_id: siteId,
+        journey_id: journeyId,
+        visitor_id: visitorId,
+        seq,
+        page_url: pageUrl,
+        started_at: startedAt,
+        ended_at: endedAt,
+        event_count: eventCount,
+        has_snapshot: hasSnapshot,
+        data,
+        byte_size: byteSize,
+        created_at: new Date()
+      };
+      state.replayChunks.push(row);
+      return [{ id: row.id }];
+    }
+  },
+  {
+    // getReplayChunks
+    pattern: /SELECT seq, page_url, started_at, ended_at, event_count, has_snapshot, data\s+FROM session_replay_chunks/i,
+    run([journeyId, siteId]) {
+      return clone(state.replayChunks
+        .filter(c => c.journey_id === journeyId && (!siteId || c.site_id === siteId))
+        .sort((a, b) => a.seq - b.seq));
+    }
+  },
+  {
+    // getReplaySummary
+    pattern: /AS chunk_count[\s\S]*FROM session_replay_chunks/i,
+    run([journeyId, siteId]) {
+      const chunks = state.replayChunks.filter(c => c.journey_id === journeyId && (!siteId || c.site_id === siteId));
+      if (!chunks.some(c => c.has_snapshot)) return [];
+      const times = key => chunks.map(c => new Date(c[key]).getTime());
+      return [{
+        chunk_count: String(chunks.length),
+        page_count: String(new Set(chunks.filter(c => c.has_snapshot).map(c => c.page_url)).size),
+        started_at: new Date(Math.min(...times('started_at'))),
+        ended_at: new Date(Math.max(...times('ended_at'))),
+        byte_size: String(chunks.reduce((sum, c) => sum + c.byte_size, 0))
+      }];
+    }
+  },
+  {
+    // getHeatmapEvents
+    pattern: /FROM journey_events[\s\S]*'dead_click', 'rage_click'\)[\s\S]*= ANY\(\$3\)/i,
+    run([siteId, since, pagePaths, limit]) {
+      const types = ['page_view', 'scroll_depth', 'cta_click', 'download_click', 'dead_click', 'rage_click'];
+      const pathOf = url => (url || '').split('#')[0].split('?')[0].replace(/^https?:\/\/[^/]+/, '');
+      return clone(state.journeyEvents
+        .filter(e => e.site_id === siteId &&
+          new Date(e.occurred_at) >= since &&
+          types.includes(e.event_type) &&
+          !e.is_bot &&
+          pagePaths.includes(pathOf(e.page_url)))
+        .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at))
+        .slice(0, limit));
+    }
+  },
+  {
+    // getSiteEventDefinitions
+    pattern: /SELECT \* FROM site_event_definitions WHERE site_id = \$1 /i,
+    run([siteId], sql) {
+      const activeOnly = /is_active = true/i.test(sql);
+      return clone(state.eventDefinitions
+        .filter(d => d.site_id === siteId && (!activeOnly || d.is_active))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }
+  },
+  {
+    // insertQuarantinedEvents
+    pattern: /^\s*INSERT INTO event_quarantine/i,
+    run(params) {
+      const columns = ['site_id', 'event_type', 'journey_id', 'reason', 'errors', 'payload', 'client_ip', 'user_agent', 'source', 'received_at'];
+      const inserted = [];
+      for (let offset = 0; offset < params.length; offset += columns.length) {
+        const row = { id: nextQuarantineId++, quarantined_at: new Date() };
+        columns.forEach((column, i) => { row[column] = params[offset + i]; });
+        row.errors = JSON.parse(row.errors);
+        row.payload = JSON.parse(row.payload);
+        state.quarantine.push(row);
+        inserted.push(row);
+      }
+      return inserted;
+    }
+  },
+  {
+    // releaseQuarantinedEvents
+    pattern: /WITH released AS \(\s*DELETE FROM event_quarantine/i,
+    run([siteId, eventType]) {
+      const released = state.quarantine.filter(q => q.site_id === siteId && q.event_type === eventType);
+      state.quarantine.splice(0, Infinity, ...state.quarantine.filter(q => !released.includes(q)));
+      return released.sort((a, b) => a.id - b.id).map(q => {
+        const row = {
+          id: nextQueueId++,
+          payload: q.payload,
+          client_ip: q.client_ip,
+          user_agent: q.user_agent,
+          source: q.source,
+          attempts: 0,
+          last_error: null,
+          received_at: new Date()
+        };
+        state.ingestQueue.push(row);
+        return row;
+      });
+    }
+  },
+  {
+    // deleteReplayChunksBefore
+    pattern: /^\s*DELETE FROM session_replay_chunks WHERE created_at < \$1/i,
+    run([cutoff]) {
+      const deleted = state.replayChunks.filter(c => c.created_at < cutoff);
+      state.replayChunks.splice(0, Infinity, ...state.replayChunks.filter(c => c.created_at >= cutoff));
+      return deleted;
+    }
+  },
+  {
+    pattern: /^\s*INSERT INTO consent_salts \(day, salt\) VALUES \(\$1, \$2\) ON CONFLICT \(day\) DO NOTHING/i,
+    run([day, salt]) {
+      if (state.consentSalts.has(day)) return [];
+      state.consentSalts.set(day, salt);
+      return [{ day }];
+    }
+  },
+  {
+    pattern: /^SELECT salt FROM consent_salts WHERE day = \$1$/i,
+    run([day]) {
+      return state.consentSalts.has(day) ? [{ salt: state.consentSalts.get(day) }] : [];
+    }
+  },
+  {
+    pattern: /^\s*DELETE FROM consent_salts WHERE day < \$1/i,
+    run([day]) {
+      const deleted = Array.from(state.consentSalts.keys()).filter(d => d < day);
+      deleted.forEach(d => state.consentSalts.delete(d));
+      return deleted.map(d => ({ day: d }));
+    }
+  }
+];
+
+const fakeDb = {
+  async query(sql, params = []) {
+    state.queries.push({ sql, params });
+    if (state.failQuery && state.failQuery(sql, params)) {
+      throw new Error(`fakeDb: query failed: ${sql.trim().split('\n')[0]}`);
+    }
+    const handler = handlers.find(h => h.pattern.test(sql));
+    if (!handler) {
+      throw new Error(`fakeDb: unsupported query: ${sql.trim().split('\n')[0]}`);
+    }
+    const rows = handler.run(params, sql);
+    return { rows, rowCount: rows.length };
+  },
+  async connect() {
+    return { query: fakeDb.query, release() {} };
+  },
+  on() {},
+  async end() {}
+};
+
+function install() {
+  require.cache[DATABASE_PATH] = {
+    id: DATABASE_PATH,
+    filename: DATABASE_PATH,
+    loaded: true,
+    exports: {
+      getDb: () => fakeDb,
+      closeDb: async () => {}
+    }
+  };
+  return state;
+}
+
+function reset() {
+  state.ingestQueue.length = 0;
+  state.journeyEvents.length = 0;
+  state.journeys.clear();
+  state.dirtyJourneys.length = 0;
+  state.workerCursors.clear();
+  state.sites.length = 0;
+  state.siteGoals.length = 0;
+  state.apiKeys.length = 0;
+  state.offlineConversions.length = 0;
+  state.visitorLeadScores.length = 0;
+  state.webhookSubscriptions.length = 0;
+  state.webhookDeliveries.length = 0;
+  state.users.length = 0;
+  state.alertRules.length = 0;
+  state.alertEvents.length = 0;
+  state.digestSubscriptions.length = 0;
+  state.emailRecipients.length = 0;
+  state.emailTemplates.length = 0;
+  state.emailOutbox.length = 0;
+  state.insights.length = 0;
+  state.replayChunks.length = 0;
+  state.eventDefinitions.length = 0;
+  state.quarantine.length = 0;
+  state.consentSalts.clear();
+  state.reports = emptyReports();
+  state.queries.length = 0;
+  state.failQuery = null;
+  nextEventId = 1;
+  nextQueueId = 1;
+  nextConversionId = 1;
+  nextDeliveryId = 1;
+  nextAlertEventId = 1;
+  nextOutboxId = 1;
+  nextReplayChunkId = 1;
+  nextQuarantineId = 1;
+  snapshot = null;
+}
+
+/**
+ * Seed raw events (fixture format) directly into the fake journey_events table
+ */
+function seedEvents(events) {
+  for (const event of events) {
+    state.journeyEvents.push({
+      id: nextEventId++,
+      visitor_id: null,
+      page_url: null,
+      referrer: null,
+      intent_type: null,
+      cta_label: null,
+      device_type: null,
+      metadata: null,
+      user_agent: null,
+      ip_address: null,
+      is_bot: false,
+      bot_score: 0,
+      bot_signals: null,
+      site_id: null,
+      stream_id: null,
+      seq: null,
+      consent: null,
+      ...event
+    });
+  }
+}
+
+module.exports = {
+  install,
+  reset,
+  seedEvents,
+  state
+};
@@ -0,0 +1,109 @@
+/**
+ * Real Postgres for tests, in process (PGlite)
+ *
+ * Replaces src/db/database.js in the require cache, like fakeDb, but every
+ * query runs on an embedded Postgres built from the repo's migrations, so
+ * the SQL itself - ON CONFLICT targets, SKIP LOCKED, sequences, casts - is
+ * what is tested. Results are shaped like node-postgres (rows, rowCount;
+ * bigint and numeric as strings).
+ *
+ * PGlite is a single connection: connect() hands out that same session, so
+ * transactions work but two clients cannot hold locks against each other.
+ * Tests that need concurrent sessions must use a real server.
+ *
+ * Must be installed BEFORE anything under src/ is required.
+ */
+
+const path = require('path');
+const { PGlite, types } = require('@electric-sql/pglite');
+
+const DATABASE_PATH = path.join(__dirname, '../../src/db/database.js');
+
+let pglite = null;
+
+function engine() {
+  if (!pglite) {
+    pglite = new PGlite({
+      // node-postgres returns these as strings; queries.js parses them itself
+      parsers: {
+        [types.INT8]: value => value,
+        [types.NUMERIC]: value => value
+      }
+    });
+  }
+  return pglite;
+}
+
+function toParam(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+async function query(sql, params = []) {
+  // Parameterless text may hold several statements (migrations); exec runs them all
+  const result = params.length === 0
+    ? (await engine().exec(sql)).at(-1) || { rows: [] }
+    : await engine().query(sql, params.map(toParam));
+  const rows = result.rows || [];
+  const isSelect = /^\s*(SELECT|WITH|VALUES)\b/i.test(sql) && !/\b(INSERT|UPDATE|DELETE)\b/i.test(sql);
+  return { rows, rowCount: isSelect ? rows.length : (result.affectedRows ?? rows.length) };
+}
+
+const pgDb = {
+  query,
+  async connect() {
+    return { query, release() {} };
+  },
+  on() {},
+  async end() {}
+};
+
+function install() {
+  require.cache[DATABASE_PATH] = {
+    id: DATABASE_PATH,
+    filename: DATABASE_PATH,
+    loaded: true,
+    exports: {
+      getDb: () => pgDb,
+      closeDb: async () => {}
+    }
+  };
+  return pgDb;
+}
+
+/**
+ * Apply every migration in src/db/migrations
+ */
+async function migrate() {
+  const { migrateUp } = require('../../src/db/migrator');
+  await migrateUp(pgDb, { log: () => {} });
+}
+
+/**
+ * Empty every table but schema_migrations and restart their id sequences
+ */
+async function truncate() {
+  const { rows } = await query(
+    `SELECT tablename FROM pg_tables
+     WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`,
+    []
+  );
+  if (rows.length === 0) return;
+  await query(`TRUNCATE ${rows.map(r => `"${r.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+}
+
+async function close() {
+  if (pglite) {
+    await pglite.close();
+    pglite = null;
+  }
+}
+
+module.exports = {
+  install,
+  migrate,
+  truncate,
+  close,
+  db: pgDb
+};
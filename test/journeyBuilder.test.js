@@ -0,0 +1,158 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+fakeDb.install();
+
+const {
+  reconstructJourney,
+  determineOutcome,
+  calculateIntentStrength,
+  calculateTimeToAction,
+  detectFriction,
+  detectLoops,
+  buildPageSequence,
+  findSequenceGaps
+} = require('../src/services/journeyBuilder');
+const fixtures = require('./fixtures/eventStreams');
+
+describe('determineOutcome', () => {
+  it('credits a real enquiry form submission', () => {
+    const result = determineOutcome(fixtures.humanEnquiry());
+    assert.deepEqual(result, {
+      outcome: 'enquiry_submitted',
+      raw_outcome: 'enquiry_submitted',
+      intent_type: 'enquire'
+    });
+  });
+
+  it('treats a book_visit submission as a booked visit', () => {
+    const events = fixtures.humanEnquiry().map(e =>
+      e.event_type === 'form_submit' ? { ...e, intent_type: 'book_visit' } : e
+    );
+    assert.equal(determineOutcome(events).outcome, 'visit_booked');
+  });
+
+  it('ignores search form submits and starts', () => {
+    const result = determineOutcome(fixtures.searchFormFalsePositive());
+    assert.equal(result.outcome, 'no_action');
+    assert.equal(result.raw_outcome, 'no_action');
+  });
+
+  it('ignores a submit that lands on a ?s= results page even without a site_search event', () => {
+    const events = fixtures.searchFormFalsePositive().filter(e => e.event_type !== 'site_search');
+    assert.notEqual(determineOutcome(events).outcome, 'enquiry_submitted');
+  });
+
+  it('classifies a started-but-unsubmitted form as abandonment', () => {
+    const events = fixtures.humanEnquiry().filter(e => e.event_type !== 'form_submit');
+    const result = determineOutcome(events);
+    assert.equal(result.raw_outcome, 'form_abandoned');
+    assert.equal(result.outcome, 'form_early_abandon');
+  });
+
+  it('falls back to engaged for high-intent clicks', () => {
+    const events = fixtures.humanEnquiry().filter(e => !e.event_type.startsWith('form_'));
+    assert.deepEqual(determineOutcome(events), {
+      outcome: 'engaged',
+      raw_outcome: 'click_high_intent',
+      intent_type: 'enquire'
+    });
+  });
+});
+
+describe('calculateIntentStrength', () => {
+  it('rates a long, deep, multi-page journey as high', () => {
+    const events = fixtures.humanEnquiry();
+    const timeToAction = calculateTimeToAction(events);
+    assert.equal(timeToAction, 95);
+    assert.equal(calculateIntentStrength(events, timeToAction), 'high');
+  });
+
+  it('penalises acting within seconds of landing', () => {
+    const events = fixtures.searchFormFalsePositive();
+    assert.equal(calculateIntentStrength(events, 3), 'low');
+  });
+});
+
+describe('detectFriction', () => {
+  it('flags rage clicks, exit intent and back-and-forth navigation', () => {
+    const events = fixtures.rageClicker();
+    const loops = detectLoops(buildPageSequence(events));
+    const friction = detectFriction(events, loops);
+
+    assert.equal(friction.detected, true);
+    assert.equal(friction.severity, 'high');
+    assert.deepEqual(
+      friction.signals.map(s => s.type),
+      ['rage_clicks', 'exit_intent', 'confusion_loops', 'page_revisits']
+    );
+    assert.equal(friction.signals[0].count, 2);
+  });
+
+  it('reports nothing for a calm journey', () => {
+    const events = fixtures.humanEnquiry();
+    const friction = detectFriction(events, detectLoops(buildPageSequence(events)));
+    assert.equal(friction.detected, false);
+    assert.deepEqual(friction.signals, []);
+  });
+});
+
+describe('findSequenceGaps', () => {
+  it('counts numbers missing below the highest seq of each page load', () => {
+    const events = [
+      { stream_id: 'str_a', seq: 0 },
+      { stream_id: 'str_a', seq: 1 },
+      { stream_id: 'str_a', seq: 4 },
+      { stream_id: 'str_b', seq: 0 },
+      { stream_id: 'str_b', seq: 1 },
+      { stream_id: null, seq: null }
+    ];
+    assert.deepEqual(findSequenceGaps(events), { streams: 2, received: 5, missing: 2 });
+  });
+
+  it('returns null when the tracker did not number its events', () => {
+    assert.equal(findSequenceGaps(fixtures.humanEnquiry()), null);
+  });
+});
+
+describe('reconstructJourney', () => {
+  beforeEach(() => fakeDb.reset());
+
+  it('returns null for an unknown journey', async () => {
+    assert.equal(await reconstructJourney('jrn_missing'), null);
+  });
+
+  it('rebuilds the journey fields from stored events', async () => {
+    fakeDb.seedEvents(fixtures.humanEnquiry());
+    const journey = await reconstructJourney('jrn_human_enquiry');
+
+    assert.equal(journey.visitor_id, 'vis_parent_1');
+    assert.equal(journey.visit_number, 1);
+    assert.equal(journey.entry_page, 'https://school.example/');
+    assert.equal(journey.entry_referrer, 'https://www.google.co.uk/');
+    assert.deepEqual(
+      journey.page_sequence.map(p => p.url),
+      ['https://school.example/', 'https://school.example/admissions', 'https://school.example/contact']
+    );
+    assert.equal(journey.event_count, 17);
+    assert.equal(journey.outcome, 'enquiry_submitted');
+    assert.deepEqual(journey.outcome_detail, { raw: 'enquiry_submitted', intent_type: 'enquire', strength: 'high' });
+    assert.equal(journey.time_to_action, 95);
+    assert.equal(journey.primary_ip_address, '81.2.69.160');
+    assert.equal(journey.site_id, 1);
+    assert.equal(journey.is_bot, false);
+  });
+
+  it('counts earlier journeys from the same visitor in visit_number', async () => {
+    const earlier = fixtures.humanEnquiry('jrn_earlier').map(e => ({
+      ...e,
+      occurred_at: new Date(Date.parse(e.occurred_at) - 7 * 24 * 60 * 60 * 1000).toISOString()
+    }));
+    fakeDb.seedEvents(earlier);
+    fakeDb.seedEvents(fixtures.humanEnquiry());
+
+    const journey = await reconstructJourney('jrn_human_enquiry');
+    assert.equal(journey.visit_number, 2);
+  });
+});
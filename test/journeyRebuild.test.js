@@ -0,0 +1,115 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const {
+  advanceCursor,
+  collectDirtyJourneys,
+  rebuildDirtyJourneys,
+  runJourneyRebuild
+} = require('../src/services/journeyRebuild');
+const fixtures = require('./fixtures/eventStreams');
+
+describe('advanceCursor', () => {
+  it('advances over contiguous ids and collects their journeys', () => {
+    const rows = [
+      { id: 11, journey_id: 'a' },
+      { id: 12, journey_id: 'b' },
+      { id: 13, journey_id: 'a' }
+    ];
+    assert.deepEqual(advanceCursor(10, rows), { highWater: 13, journeyIds: ['a', 'b'] });
+  });
+
+  it('waits at a gap until it has been missing for the gap timeout', () => {
+    const rows = [
+      { id: 101, journey_id: 'a' },
+      { id: 103, journey_id: 'b' }
+    ];
+    const now = Date.now();
+
+    assert.deepEqual(advanceCursor(100, rows, now), { highWater: 101, journeyIds: ['a'] });
+    assert.equal(advanceCursor(101, rows.slice(1), now + 1000).highWater, 101);
+    assert.deepEqual(advanceCursor(101, rows.slice(1), now + 60 * 1000), { highWater: 103, journeyIds: ['b'] });
+  });
+});
+
+describe('incremental journey rebuild', () => {
+  beforeEach(() => fakeDb.reset());
+
+  it('marks only journeys with events past the cursor as dirty', async () => {
+    fakeDb.seedEvents(fixtures.humanEnquiry());
+    fakeDb.seedEvents(fixtures.rageClicker());
+
+    assert.equal(await collectDirtyJourneys(), 2);
+    assert.equal(db.workerCursors.get('journey_rebuild'), db.journeyEvents.length);
+    assert.deepEqual(db.dirtyJourneys.map(d => d.journey_id), ['jrn_human_enquiry', 'jrn_rage_clicker']);
+
+    // Nothing new - nothing marked
+    db.dirtyJourneys.length = 0;
+    assert.equal(await collectDirtyJourneys(), 0);
+
+    fakeDb.seedEvents([{ journey_id: 'jrn_rage_clicker', event_type: 'heartbeat', occurred_at: fixtures.at(60) }]);
+    assert.equal(await collectDirtyJourneys(), 1);
+    assert.deepEqual(db.dirtyJourneys.map(d => d.journey_id), ['jrn_rage_clicker']);
+  });
+
+  it('rebuilds dirty journeys and clears them', async () => {
+    fakeDb.seedEvents(fixtures.humanEnquiry());
+
+    const totals = await runJourneyRebuild();
+
+    assert.deepEqual(totals, { marked: 1, rebuilt: 1, failed: 0 });
+    assert.ok(db.journeys.has('jrn_human_enquiry'));
+    assert.equal(db.dirtyJourneys.length, 0);
+  });
+
+  it('rebuilds journeys with new events before backfilled ones', async () => {
+    fakeDb.seedEvents(fixtures.humanEnquiry('jrn_backfilled'));
+    db.dirtyJourneys.push({ journey_id: 'jrn_backfilled', marked_at: new Date(Date.now() - 60 * 60 * 1000), attempts: 0, last_error: null, priority: 1 });
+    db.workerCursors.set('journey_rebuild', db.journeyEvents.length);
+    fakeDb.seedEvents(fixtures.humanEnquiry('jrn_live'));
+
+    await collectDirtyJourneys();
+    assert.deepEqual(await rebuildDirtyJourneys(undefined, 1), { rebuilt: 1, failed: 0 });
+    assert.ok(db.journeys.has('jrn_live'));
+    assert.deepEqual(db.dirtyJourneys.map(d => d.journey_id), ['jrn_backfilled']);
+  });
+
+  it('keeps a failing journey dirty and records the error', async () => {
+    db.dirtyJourneys.push({ journey_id: 'jrn_broken', marked_at: new Date(), attempts: 0, last_error: null });
+    fakeDb.seedEvents(fixtures.humanEnquiry('jrn_broken'));
+    db.failQuery = (sql) => /INSERT INTO journeys/.test(sql);
+
+    const result = await rebuildDirtyJourneys();
+
+    assert.deepEqual(result, { rebuilt: 0, failed: 1 });
+    assert.equal(db.dirtyJourneys[0].attempts, 1);
+    assert.match(db.dirtyJourneys[0].last_error, /query failed/);
+  });
+
+  it('clears a journey\'s dirty mark in the same transaction as its upsert', async () => {
+    fakeDb.seedEvents(fixtures.humanEnquiry('jrn_ok'));
+    fakeDb.seedEvents(fixtures.humanEnquiry('jrn_broken'));
+    db.dirtyJourneys.push(
+      { journey_id: 'jrn_ok', marked_at: new Date(), attempts: 0, last_error: null },
+      { journey_id: 'jrn_broken', marked_at: new Date(), attempts: 0, last_error: null }
+    );
+    db.failQuery = (sql, params) => /INSERT INTO journeys/.test(sql) && params[0] === 'jrn_broken';
+
+    assert.deepEqual(await rebuildDirtyJourneys(), { rebuilt: 1, failed: 1 });
+    assert.ok(db.journeys.has('jrn_ok'));
+    assert.deepEqual(db.dirtyJourneys.map(d => [d.journey_id, d.attempts]), [['jrn_broken', 1]]);
+
+    const statements = db.queries
+      .map(q => (/INSERT INTO journeys \(/.test(q.sql) ? 'upsert' : q.sql.trim()))
+      .filter(sql => /^(BEGIN|COMMIT|SAVEPOINT|RELEASE|ROLLBACK|upsert)/.test(sql));
+    assert.deepEqual(statements, [
+      'BEGIN',
+      'SAVEPOINT rebuild_journey', 'upsert', 'RELEASE SAVEPOINT rebuild_journey',
+      'SAVEPOINT rebuild_journey', 'upsert', 'ROLLBACK TO SAVEPOINT rebuild_journey',
+      'COMMIT'
+    ]);
+  });
+});
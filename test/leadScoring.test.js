@@ -0,0 +1,207 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const {
+  scoreVisitor,
+  getScoreBand,
+  validateLeadScoreSettings,
+  clearLeadScoreSettingsCache,
+  rescoreVisitor,
+  refreshStaleLeadScores
+} = require('../src/services/leadScoring');
+const { runJourneyRebuild } = require('../src/services/journeyRebuild');
+const { at, humanEnquiry, searchFormFalsePositive } = require('./fixtures/eventStreams');
+
+const DAY = 24 * 60 * 60;
+
+function factor(result, key) {
+  return result.factors.find(f => f.key === key);
+}
+
+function pointsTotal(result) {
+  return result.factors.reduce((sum, f) => sum + f.points, 0);
+}
+
+/**
+ * A family that comes back three more times: fees page, a video, CTA hovers
+ */
+function researchVisits() {
+  const visit = (journeyId, start, events) => events.map(([seconds, event_type, extra = {}]) => ({
+    journey_id: journeyId,
+    visitor_id: 'vis_parent_1',
+    site_id: 1,
+    event_type,
+    occurred_at: at(start + seconds),
+    ...extra
+  }));
+
+  return [
+    ...visit('jrn_visit_2', DAY, [
+      [0, 'page_view', { page_url: 'https://school.example/admissions/fees' }],
+      [240, 'page_view', { page_url: 'https://school.example/life' }],
+      [260, 'video_pause', { page_url: 'https://school.example/life', metadata: { percent_watched: 40 } }]
+    ]),
+    ...visit('jrn_visit_3', 2 * DAY, [
+      [0, 'page_view', { page_url: 'https://school.example/life' }],
+      [30, 'video_complete', { page_url: 'https://school.example/life', metadata: { video_id: 'tour' } }],
+      [40, 'cta_hover', { page_url: 'https://school.example/life', cta_label: 'Book a visit' }]
+    ]),
+    ...visit('jrn_visit_4', 3 * DAY, [
+      [0, 'page_view', { page_url: 'https://school.example/visit' }],
+      [20, 'cta_hover', { page_url: 'https://school.example/visit', cta_label: 'Book a visit' }],
+      [25, 'cta_hover', { page_url: 'https://school.example/visit', cta_label: 'Book a visit' }]
+    ])
+  ];
+}
+
+describe('scoreVisitor', () => {
+  it('scores a single enquiry visit and explains every point', () => {
+    const result = scoreVisitor(humanEnquiry(), undefined, new Date(at(150)));
+
+    assert.equal(factor(result, 'visits').points, 0);
+    assert.equal(factor(result, 'form_progress').points, 30);
+    assert.equal(factor(result, 'form_progress').detail, 'Submitted a form');
+    // 35s on /admissions of the 300s needed for the full 25 points
+    assert.equal(factor(result, 'fees_dwell').points, 3);
+    assert.equal(factor(result, 'recency').points, 0);
+    assert.equal(result.score, 33);
+    assert.equal(pointsTotal(result), result.score);
+    assert.equal(result.lastSeen, at(150));
+  });
+
+  it('adds return visits, fees dwell, video completion and CTA hesitations', () => {
+    const result = scoreVisitor([...humanEnquiry(), ...researchVisits()], undefined, new Date(at(3 * DAY + 25)));
+
+    assert.equal(factor(result, 'visits').detail, '4 visits');
+    assert.equal(factor(result, 'visits').points, 20);
+    assert.equal(factor(result, 'video').points, 15);
+    assert.equal(factor(result, 'video').detail, 'Watched a video to the end');
+    assert.equal(factor(result, 'cta_hesitation').points, 10);
+    // 35s on /admissions + 240s on /admissions/fees
+    assert.equal(factor(result, 'fees_dwell').detail, '4m 35s on fees / admissions pages');
+    assert.equal(result.score, 98);
+    assert.equal(pointsTotal(result), result.score);
+  });
+
+  it('halves the score every half-life since the last visit', () => {
+    const events = humanEnquiry();
+    const fresh = scoreVisitor(events, undefined, new Date(at(150)));
+    const twoWeeks = scoreVisitor(events, undefined, new Date(at(150 + 14 * DAY)));
+    const custom = scoreVisitor(events, { half_life_days: 7 }, new Date(at(150 + 14 * DAY)));
+
+    assert.equal(fresh.score, 33);
+    assert.equal(twoWeeks.score, 16);
+    assert.equal(factor(twoWeeks, 'recency').points, twoWeeks.score - fresh.score);
+    assert.match(factor(twoWeeks, 'recency').detail, /Last seen 14 days ago/);
+    assert.equal(pointsTotal(twoWeeks), twoWeeks.score);
+    assert.equal(custom.score, 8);
+  });
+
+  it('scales site weights to a 100 point total', () => {
+    const weights = { visits: 0, fees_dwell: 0, cta_hesitation: 0, video: 1, form_progress: 1 };
+    const result = scoreVisitor([...humanEnquiry(), ...researchVisits()], { weights }, new Date(at(3 * DAY + 25)));
+
+    assert.equal(factor(result, 'video').points, 50);
+    assert.equal(factor(result, 'form_progress').points, 50);
+    assert.equal(factor(result, 'visits').points, 0);
+    assert.equal(result.score, 100);
+  });
+
+  it('credits partial form progress from completed fields', () => {
+    const events = humanEnquiry().filter(e => e.event_type !== 'form_submit');
+    const result = scoreVisitor(events, undefined, new Date(at(150)));
+
+    // Started (0.2) plus one of five fields (0.12) of 30 points
+    assert.equal(factor(result, 'form_progress').points, 10);
+    assert.equal(factor(result, 'form_progress').detail, 'Started a form, 1 field completed');
+  });
+
+  it('does not count a site search box as form progress', () => {
+    const result = scoreVisitor(searchFormFalsePositive(), undefined, new Date(at(17)));
+
+    assert.equal(factor(result, 'form_progress').points, 0);
+    assert.equal(factor(result, 'form_progress').detail, 'No form activity');
+  });
+
+  it('returns null without events', () => {
+    assert.equal(scoreVisitor([]), null);
+  });
+});
+
+describe('score bands and settings', () => {
+  it('bands scores into hot, warm and cold', () => {
+    assert.equal(getScoreBand(87), 'hot');
+    assert.equal(getScoreBand(70), 'hot');
+    assert.equal(getScoreBand(69), 'warm');
+    assert.equal(getScoreBand(12), 'cold');
+    assert.equal(getScoreBand(null), null);
+  });
+
+  it('validates the admin weights form', () => {
+    const { settings, errors } = validateLeadScoreSettings({ weight_video: '40', half_life_days: '30' });
+    assert.deepEqual(errors, []);
+    assert.equal(settings.weights.video, 40);
+    assert.equal(settings.weights.form_progress, 30);
+    assert.equal(settings.half_life_days, 30);
+
+    assert.deepEqual(validateLeadScoreSettings({ weight_visits: '-1', half_life_days: '0' }).errors, [
+      'Return visits weight must be between 0 and 100',
+      'Half-life must be a whole number of days between 1 and 365'
+    ]);
+
+    const zeros = Object.fromEntries(['visits', 'fees_dwell', 'cta_hesitation', 'video', 'form_progress']
+      .map(key => [`weight_${key}`, '0']));
+    assert.deepEqual(validateLeadScoreSettings(zeros).errors, ['At least one weight must be above 0']);
+  });
+});
+
+describe('stored lead scores', () => {
+  beforeEach(() => {
+    fakeDb.reset();
+    clearLeadScoreSettingsCache(1);
+    db.sites.push({ id: 1, name: 'School', domain: 'school.example', tracking_key: 'tk_school' });
+  });
+
+  it('scores the visitor of every rebuilt journey', async () => {
+    fakeDb.seedEvents(humanEnquiry());
+
+    await runJourneyRebuild();
+
+    assert.equal(db.visitorLeadScores.length, 1);
+    const [row] = db.visitorLeadScores;
+    assert.equal(row.visitor_id, 'vis_parent_1');
+    assert.equal(row.site_id, 1);
+    assert.equal(pointsTotal(row), row.score);
+  });
+
+  it('uses the site weights and ignores bot events', async () => {
+    db.sites[0].lead_score_settings = { weights: { visits: 0, fees_dwell: 0, cta_hesitation: 0, video: 0, form_progress: 10 }, half_life_days: 14 };
+    fakeDb.seedEvents(humanEnquiry());
+    fakeDb.seedEvents(researchVisits().map(e => ({ ...e, is_bot: true })));
+
+    const row = await rescoreVisitor(1, 'vis_parent_1', new Date(at(150)));
+
+    assert.equal(row.score, 100);
+    assert.equal(factor(row, 'visits').detail, '1 visit');
+  });
+
+  it('drops the score of a visitor with no human events', async () => {
+    fakeDb.seedEvents(humanEnquiry().map(e => ({ ...e, is_bot: true })));
+    db.visitorLeadScores.push({ site_id: 1, visitor_id: 'vis_parent_1', score: 50, factors: [], computed_at: at(0) });
+
+    assert.equal(await rescoreVisitor(1, 'vis_parent_1'), null);
+    assert.equal(db.visitorLeadScores.length, 0);
+  });
+
+  it('refreshes day-old scores so recency decay keeps applying', async () => {
+    fakeDb.seedEvents(humanEnquiry());
+    db.visitorLeadScores.push({ site_id: 1, visitor_id: 'vis_parent_1', score: 33, factors: [], computed_at: at(0) });
+
+    assert.equal(await refreshStaleLeadScores(new Date(at(2 * DAY))), 1);
+    assert.equal(await refreshStaleLeadScores(new Date(at(2 * DAY))), 0);
+    assert.equal(db.visitorLeadScores[0].score, 30);
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  MIGRATIONS_DIR,
+  parseMigration,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertNoPendingMigrations
+} = require('../src/db/migrator');
+
+/**
+ * Minimal pool double: tracks schema_migrations rows with real
+ * BEGIN/COMMIT/ROLLBACK semantics and records every migration body it runs.
+ */
+function createMigrationDb() {
+  let committed = [];
+  const executed = [];
+
+  function session(shared) {
+    let working = null;
+    const rows = () => working || committed;
+
+    return {
+      async query(sql, params = []) {
+        const text = sql.trim();
+        if (/^CREATE TABLE IF NOT EXISTS schema_migrations/.test(text)) return { rows: [] };
+        if (text === 'BEGIN') { working = committed.slice(); return { rows: [] }; }
+        if (text === 'COMMIT') { committed = working; working = null; return { rows: [] }; }
+        if (text === 'ROLLBACK') { working = null; return { rows: [] }; }
+        if (/pg_advisory_xact_lock/.test(text)) return { rows: [] };
+        if (/^SELECT version, name, checksum, applied_at FROM schema_migrations/.test(text)) {
+          return { rows: rows().slice().sort((a, b) => a.version.localeCompare(b.version)) };
+        }
+        if (/^SELECT 1 FROM schema_migrations/.test(text)) {
+          return { rows: rows().filter(r => r.version === params[0]) };
+        }
+        if (/^INSERT INTO schema_migrations/.test(text)) {
+          working.push({ version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+          return { rows: [] };
+        }
+        if (/^DELETE FROM schema_migrations/.test(text)) {
+          working = working.filter(r => r.version !== params[0]);
+          return { rows: [] };
+        }
+        if (text.includes('FAIL')) throw new Error('syntax error at or near "FAIL"');
+        executed.push(text);
+        return { rows: [] };
+      },
+      release() {},
+      ...shared
+    };
+  }
+
+  const db = session({
+    async connect() { return session(); },
+    executed,
+    versions: () => committed.map(r => r.version)
+  });
+  return db;
+}
+
+function writeMigration(dir, file, up, down) {
+  const body = `-- migrate:up\n${up}\n` + (down ? `\n-- migrate:down\n${down}\n` : '');
+  fs.writeFileSync(path.join(dir, file), body);
+}
+
+const quiet = () => {};
+
+describe('parseMigration', () => {
+  it('splits up and down sections', () => {
+    const parsed = parseMigration('-- header\n-- migrate:up\nCREATE TABLE a (id INT);\n-- migrate:down\nDROP TABLE a;\n');
+    assert.deepEqual(parsed, { up: 'CREATE TABLE a (id INT);', down: 'DROP TABLE a;' });
+  });
+
+  it('returns null without an up marker', () => {
+    assert.equal(parseMigration('CREATE TABLE a (id INT);'), null);
+  });
+});
+
+describe('loadMigrations', () => {
+  it('ships a reversible baseline migration', () => {
+    const [baseline] = loadMigrations(MIGRATIONS_DIR);
+    assert.equal(baseline.version, '001');
+    assert.match(baseline.up, /CREATE TABLE IF NOT EXISTS journey_events/);
+    assert.match(baseline.down, /DROP TABLE IF EXISTS journey_events/);
+  });
+});
+
+describe('migration runner', () => {
+  let dir;
+  let db;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wja-migrations-'));
+    writeMigration(dir, '001_first.sql', 'CREATE TABLE first (id INT);', 'DROP TABLE first;');
+    writeMigration(dir, '002_second.sql', 'CREATE TABLE second (id INT);', 'DROP TABLE second;');
+    db = createMigrationDb();
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('applies pending migrations in version order and records them', async () => {
+    const applied = await migrateUp(db, { dir, log: quiet });
+
+    assert.deepEqual(applied.map(m => m.file), ['001_first.sql', '002_second.sql']);
+    assert.deepEqual(db.executed, ['CREATE TABLE first (id INT);', 'CREATE TABLE second (id INT);']);
+    assert.deepEqual(db.versions(), ['001', '002']);
+    assert.deepEqual(await migrateUp(db, { dir, log: quiet }), []);
+  });
+
+  it('honours --to', async () => {
+    await migrateUp(db, { dir, to: '1', log: quiet });
+    const status = await getMigrationStatus(db, dir);
+    assert.deepEqual(status.applied.map(m => m.version), ['001']);
+    assert.deepEqual(status.pending.map(m => m.version), ['002']);
+  });
+
+  it('rolls back a failing migration and stops', async () => {
+    writeMigration(dir, '003_broken.sql', 'FAIL;');
+    writeMigration(dir, '004_after.sql', 'CREATE TABLE after (id INT);');
+
+    await assert.rejects(migrateUp(db, { dir, log: quiet }), /syntax error/);
+    assert.deepEqual(db.versions(), ['001', '002']);
+    assert.ok(!db.executed.includes('CREATE TABLE after (id INT);'));
+  });
+
+  it('reverts the most recent migrations with migrateDown', async () => {
+    await migrateUp(db, { dir, log: quiet });
+    const reverted = await migrateDown(db, { dir, steps: 1, log: quiet });
+
+    assert.deepEqual(reverted.map(m => m.version), ['002']);
+    assert.deepEqual(db.versions(), ['001']);
+    assert.equal(db.executed.at(-1), 'DROP TABLE second;');
+  });
+
+  it('flags applied migrations whose file has changed', async () => {
+    await migrateUp(db, { dir, log: quiet });
+    writeMigration(dir, '002_second.sql', 'CREATE TABLE second (id BIGINT);', 'DROP TABLE second;');
+
+    const status = await getMigrationStatus(db, dir);
+    assert.deepEqual(status.modified.map(m => m.version), ['002']);
+  });
+
+  it('refuses to start while migrations are pending', async () => {
+    await migrateUp(db, { dir, to: '1', log: quiet });
+
+    await assert.rejects(assertNoPendingMigrations(db, dir), (error) => {
+      assert.equal(error.code, 'PENDING_MIGRATIONS');
+      assert.deepEqual(error.pending, ['002_second.sql']);
+      return true;
+    });
+
+    await migrateUp(db, { dir, log: quiet });
+    await assertNoPendingMigrations(db, dir);
+  });
+});
+
+describe('repo migrations on Postgres', () => {
+  const pgDb = require('./helpers/pgDb');
+
+  after(() => pgDb.close());
+
+  it('apply in order, revert completely and apply again', async () => {
+    const versions = loadMigrations().map(m => m.version);
+
+    const applied = await migrateUp(pgDb.db, { log: quiet });
+    assert.deepEqual(applied.map(m => m.version), versions);
+    assert.deepEqual((await getMigrationStatus(pgDb.db)).pending, []);
+
+    const reverted = await migrateDown(pgDb.db, { steps: versions.length, log: quiet });
+    assert.deepEqual(reverted.map(m => m.version), versions.slice().reverse());
+    const { rows } = await pgDb.db.query(
+      "SELECT tablename FROM pg_tables WHERE schemaname = 'public' ORDER BY tablename", []
+    );
+    assert.deepEqual(rows.map(r => r.tablename), ['schema_migrations']);
+
+    assert.deepEqual((await migrateUp(pgDb.db, { log: quiet })).map(m => m.version), versions);
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NODE_ENV = 'test';
+
+// Unlike the service tests these run on Postgres, so they check the SQL itself
+const pgDb = require('./helpers/pgDb');
+const db = pgDb.install();
+const {
+  insertEvents,
+  getKnownJourneyIds,
+  claimWebhookDeliveries,
+  createWebhookDelivery,
+  createAlertEvent,
+  claimPendingAlertEvents,
+  recordAlertEventsFailure,
+  getNewJourneysSince,
+  getReturningPageViews,
+  getLeadScoresAbove,
+  getAbandonedForms,
+  claimDigestSubscription,
+  getOrCreateConsentSalt,
+  deleteConsentSaltsBefore,
+  markSiteJourneysDirty,
+  enqueueEvents,
+  createSiteGoal,
+  updateSiteGoal,
+  deleteSiteGoal,
+  getSiteGoalsVersion
+} = require('../src/db/queries');
+
+before(() => pgDb.migrate());
+beforeEach(() => pgDb.truncate());
+after(() => pgDb.close());
+
+async function addSite(id, domain) {
+  await db.query(
+    'INSERT INTO sites (id, name, domain, tracking_key) VALUES ($1, $2, $3, $4)',
+    [id, domain, domain, `tk_${id}`]
+  );
+}
+
+function event(seq, overrides = {}) {
+  return {
+    journey_id: 'j1',
+    visitor_id: 'v1',
+    event_type: 'page_view',
+    page_url: `/page-${seq}`,
+    site_id: 1,
+    stream_id: 's1',
+    seq,
+    metadata: { seq },
+    ...overrides
+  };
+}
+
+describe('insertEvents', () => {
+  beforeEach(() => addSite(1, 'school.example'));
+
+  it('stores a batch and skips events the tracker resends', async () => {
+    const first = await insertEvents([event(1), event(2)]);
+    assert.deepEqual(first.map(r => [r.journey_id, r.stream_id, r.seq]), [['j1', 's1', 1], ['j1', 's1', 2]]);
+
+    const retry = await insertEvents([event(2), event(3)]);
+    assert.deepEqual(retry.map(r => r.seq), [3]);
+
+    const { rows } = await db.query('SELECT seq, metadata FROM journey_events ORDER BY seq', []);
+    assert.deepEqual(rows, [
+      { seq: 1, metadata: { seq: 1 } },
+      { seq: 2, metadata: { seq: 2 } },
+      { seq: 3, metadata: { seq: 3 } }
+    ]);
+  });
+
+  it('uses no ids on resent events, so the rebuild cursor sees no gaps', async () => {
+    await insertEvents([event(1)]);
+    await insertEvents([event(1), event(2)]);
+    await insertEvents([event(2), event(3), event(3)]);
+
+    const { rows } = await db.query('SELECT id, seq FROM journey_events ORDER BY id', []);
+    assert.deepEqual(rows, [{ id: 1, seq: 1 }, { id: 2, seq: 2 }, { id: 3, seq: 3 }]);
+  });
+
+  it('never dedupes events without a stream', async () => {
+    const legacy = { ...event(null), stream_id: undefined, seq: undefined };
+    assert.equal((await insertEvents([legacy, legacy])).length, 2);
+    assert.deepEqual(await getKnownJourneyIds(['j1', 'j2']), new Set(['j1']));
+  });
+});
+
+describe('claimWebhookDeliveries', () => {
+  beforeEach(async () => {
+    await addSite(1, 'school.example');
+    await db.query(
+      `INSERT INTO webhook_subscriptions (id, site_id, name, url, secret, event_types, is_active)
+       VALUES (1, 1, 'CRM', 'https://crm.test/hook', 'whsec_1', $1, true),
+              (2, 1, 'Paused', 'https://paused.test/hook', 'whsec_2', $1, false)`,
+      [['journey.completed']]
+    );
+  });
+
+  it('leases due deliveries of active subscriptions once', async () => {
+    await createWebhookDelivery(1, { eventId: 'e1', eventType: 'journey.completed', payload: { id: 'e1' } });
+    await createWebhookDelivery(2, { eventId: 'e2', eventType: 'journey.completed', payload: { id: 'e2' } });
+    assert.equal(await createWebhookDelivery(1, { eventId: 'e1', eventType: 'journey.completed', payload: {} }), null);
+
+    const claimed = await claimWebhookDeliveries(10, 60);
+    assert.deepEqual(claimed.map(d => [d.event_id, d.url]), [['e1', 'https://crm.test/hook']]);
+    assert.deepEqual(claimed[0].payload, { id: 'e1' });
+
+    assert.deepEqual(await claimWebhookDeliveries(10, 60), []);
+  });
+});
+
+describe('claimPendingAlertEvents', () => {
+  it('leases pending alerts to one worker until the send is recorded', async () => {
+    await addSite(1, 'school.example');
+    await db.query("INSERT INTO users (id, email, password_hash, role) VALUES (1, 'admissions@school.example', 'x', 'admin')", []);
+    await db.query("INSERT INTO alert_rules (id, user_id, site_id, name, rule_type) VALUES (1, 1, 1, 'New visitors', 'new_visitor')", []);
+    await createAlertEvent(1, { dedupeKey: 'journey:a', title: 'A' });
+    await createAlertEvent(1, { dedupeKey: 'journey:b', title: 'B' });
+
+    const claimed = await claimPendingAlertEvents(1, 50, 300);
+    assert.deepEqual(claimed.map(a => a.title), ['A', 'B']);
+    assert.deepEqual(await claimPendingAlertEvents(1, 50, 300), []);
+
+    await recordAlertEventsFailure(claimed.map(a => a.id), 'SMTP down', 5);
+    assert.deepEqual((await claimPendingAlertEvents(1, 1, 300)).map(a => a.title), ['A']);
+  });
+});
+
+describe('alert rule queries', () => {
+  beforeEach(() => addSite(1, 'school.example'));
+
+  it('page new journeys by journey id within the stored-at window', async () => {
+    await db.query(
+      `INSERT INTO journeys (journey_id, site_id, first_seen, created_at) VALUES
+         ('a', 1, NOW() - INTERVAL '3 hours', NOW()),
+         ('b', 1, NOW(), NOW()),
+         ('c', 1, NOW(), NOW()),
+         ('stale', 1, NOW(), NOW() - INTERVAL '1 hour')`,
+      []
+    );
+    const since = new Date(Date.now() - 60000).toISOString();
+
+    assert.deepEqual((await getNewJourneysSince(1, since, null, 2)).map(j => j.journey_id), ['a', 'b']);
+    assert.deepEqual((await getNewJourneysSince(1, since, 'b', 2)).map(j => j.journey_id), ['c']);
+  });
+
+  it('find returning page views, lead scores and abandoned forms', async () => {
+    await db.query(
+      `INSERT INTO journeys (journey_id, visitor_id, site_id, first_seen) VALUES
+         ('first', 'parent', 1, NOW() - INTERVAL '3 days'),
+         ('second', 'parent', 1, NOW() - INTERVAL '1 hour')`,
+      []
+    );
+    await insertEvents([
+      event(1, { journey_id: 'second', visitor_id: 'parent', page_url: '/fees', occurred_at: new Date(Date.now() - 60000) }),
+      event(2, { journey_id: 'left', event_type: 'form_start', page_url: '/apply' })
+    ]);
+    await db.query("UPDATE journey_events SET created_at = NOW() - INTERVAL '40 minutes' WHERE journey_id = 'left'", []);
+    await db.query(
+      "INSERT INTO visitor_lead_scores (site_id, visitor_id, score, factors) VALUES (1, 'parent', 80, '[]')",
+      []
+    );
+    const since = new Date(Date.now() - 60 * 60000).toISOString();
+    const idleBefore = new Date(Date.now() - 30 * 60000).toISOString();
+
+    assert.deepEqual((await getReturningPageViews(1, since, 'fee')).map(v => v.journey_id), ['second']);
+    assert.deepEqual((await getLeadScoresAbove(1, since, 70)).map(s => s.visitor_id), ['parent']);
+    assert.deepEqual((await getAbandonedForms(1, since, idleBefore, 'apply')).map(f => f.journey_id), ['left']);
+    assert.deepEqual(await getAbandonedForms(1, since, idleBefore, 'apply', 'left'), []);
+  });
+});
+
+describe('claimDigestSubscription', () => {
+  it('lets one worker claim a due subscription', async () => {
+    await addSite(1, 'school.example');
+    await db.query("INSERT INTO users (id, email, password_hash, role) VALUES (1, 'head@school.example', 'x', 'admin')", []);
+    await db.query("INSERT INTO digest_subscriptions (id, user_id, site_id, frequency) VALUES (1, 1, 1, 'weekly')", []);
+    const now = new Date('2026-01-12T09:00:00Z');
+    const retryBefore = new Date('2026-01-12T08:30:00Z');
+
+    assert.equal(await claimDigestSubscription(1, now, retryBefore), true);
+    assert.equal(await claimDigestSubscription(1, now, retryBefore), false);
+    assert.equal(await claimDigestSubscription(1, new Date('2026-01-12T09:40:00Z'), new Date('2026-01-12T09:10:00Z')), true);
+  });
+});
+
+describe('event_ingest_queue.received_at', () => {
+  it('is an absolute time whatever the server time zone', async () => {
+    await db.query("SET TimeZone = 'Pacific/Auckland'", []);
+    try {
+      await enqueueEvents([{ payload: { event_type: 'page_view' } }]);
+      const { rows } = await db.query('SELECT received_at FROM event_ingest_queue', []);
+      assert.ok(Math.abs(new Date(rows[0].received_at) - Date.now()) < 60 * 1000);
+    } finally {
+      await db.query('RESET TimeZone', []);
+    }
+  });
+});
+
+describe('consent salts', () => {
+  it('keeps the first salt stored for a day and deletes old days', async () => {
+    assert.equal(await getOrCreateConsentSalt('2026-03-01', 'first'), 'first');
+    assert.equal(await getOrCreateConsentSalt('2026-03-01', 'second'), 'first');
+    await getOrCreateConsentSalt('2026-03-02', 'next');
+
+    assert.equal(await deleteConsentSaltsBefore('2026-03-02'), 1);
+    assert.equal(await getOrCreateConsentSalt('2026-03-02', 'other'), 'next');
+  });
+});
+
+describe('markSiteJourneysDirty', () => {
+  it('marks the site\'s recent journeys behind live ones and resets earlier failures', async () => {
+    await addSite(1, 'school.example');
+    await addSite(2, 'other.example');
+    await db.query(
+      `INSERT INTO journeys (journey_id, site_id, first_seen) VALUES
+         ('recent', 1, NOW() - INTERVAL '2 days'),
+         ('old', 1, NOW() - INTERVAL '200 days'),
+         ('elsewhere', 2, NOW())`,
+      []
+    );
+    await db.query("INSERT INTO dirty_journeys (journey_id, attempts, last_error) VALUES ('recent', 3, 'boom')", []);
+
+    assert.equal(await markSiteJourneysDirty(1), 1);
+    await db.query("INSERT INTO journeys (journey_id, site_id, first_seen) VALUES ('another', 1, NOW())", []);
+    assert.equal(await markSiteJourneysDirty(1), 2);
+    const { rows } = await db.query('SELECT journey_id, attempts, last_error, priority FROM dirty_journeys ORDER BY journey_id', []);
+    assert.deepEqual(rows, [
+      { journey_id: 'another', attempts: 0, last_error: null, priority: 1 },
+      { journey_id: 'recent', attempts: 0, last_error: null, priority: 0 }
+    ]);
+  });
+});
+
+describe('site goal changes', () => {
+  it('bump the site\'s goals version so other processes reload their goals', async () => {
+    await addSite(1, 'school.example');
+    await addSite(2, 'other.example');
+    assert.equal(await getSiteGoalsVersion(1), 0);
+
+    const thankYou = { name: 'Thank you', outcome: 'enquiry_submitted', match_type: 'url', url_pattern: '/thank-you', value_weight: 1, is_active: true };
+    const goal = await createSiteGoal(1, thankYou);
+    assert.equal(await getSiteGoalsVersion(1), 1);
+    await updateSiteGoal(1, goal.id, { ...thankYou, url_pattern: '/thanks' });
+    assert.equal(await getSiteGoalsVersion(1), 2);
+    assert.equal(await deleteSiteGoal(1, goal.id), 1);
+    assert.equal(await getSiteGoalsVersion(1), 3);
+
+    assert.equal(await getSiteGoalsVersion(2), 0);
+  });
+});
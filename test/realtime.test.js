@@ -0,0 +1,285 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const realtime = require('../src/services/realtime');
+const { processQueueBatch } = require('../src/services/eventIngest');
+const { runJourneyRebuild } = require('../src/services/journeyRebuild');
+const { enqueueEvents } = require('../src/db/queries');
+const { describeEvent, journeyStatus, followJourney } = require('../src/services/liveJourney');
+const realtimeRouter = require('../src/routes/realtime');
+const { CHROME_UA, at, humanEnquiry } = require('./fixtures/eventStreams');
+
+// Collect messages published while subscribed
+function collect(siteId = null) {
+  const messages = [];
+  const unsubscribe = realtime.subscribe(siteId, message => messages.push(message));
+  return { messages, unsubscribe };
+}
+
+function enqueue(payloads) {
+  return enqueueEvents(payloads.map(payload => ({
+    payload: { tracking_key: 'tk_more', occurred_at: new Date().toISOString(), ...payload },
+    // Private address so the ingest never calls out to the geo API
+    client_ip: '10.0.0.5',
+    user_agent: CHROME_UA
+  })));
+}
+
+// Fixture events moved so the journey ended a minute ago (conversions are
+// only reported for recent journeys)
+function recent(events) {
+  const shift = Date.now() - 60 * 1000 - Date.parse(events[events.length - 1].occurred_at);
+  return events.map(e => ({ ...e, occurred_at: new Date(Date.parse(e.occurred_at) + shift).toISOString() }));
+}
+
+async function waitFor(predicate, timeoutMs = 1000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+let subscription = null;
+
+beforeEach(() => {
+  fakeDb.reset();
+  db.sites.push({ id: 1, name: 'More House', domain: 'morehouse.org.uk', tracking_key: 'tk_more' });
+  db.sites.push({ id: 2, name: 'Other School', domain: 'other.example', tracking_key: 'tk_other' });
+});
+
+afterEach(() => {
+  if (subscription) subscription.unsubscribe();
+  subscription = null;
+});
+
+describe('subscribe', () => {
+  it('filters by site and stops after unsubscribing', async () => {
+    subscription = collect(1);
+    const everything = collect();
+
+    await realtime.publish([{ type: 'page_view', site_id: 1, journey_id: 'j1' }, { type: 'page_view', site_id: 2, journey_id: 'j2' }]);
+    everything.unsubscribe();
+    await realtime.publish([{ type: 'page_view', site_id: 1, journey_id: 'j3' }]);
+
+    assert.deepEqual(subscription.messages.map(m => m.journey_id), ['j1', 'j3']);
+    assert.deepEqual(everything.messages.map(m => m.journey_id), ['j1', 'j2']);
+  });
+
+  it('keeps delivering when one subscriber throws', async () => {
+    const unsubscribe = realtime.subscribe(null, () => { throw new Error('socket gone'); });
+    subscription = collect();
+
+    await realtime.publish([{ type: 'page_view', site_id: 1, journey_id: 'j1' }]);
+    unsubscribe();
+    assert.equal(subscription.messages.length, 1);
+  });
+});
+
+describe('ingestMessages', () => {
+  const event = (journeyId, eventType, seconds, extra = {}) => ({
+    site_id: 1,
+    journey_id: journeyId,
+    visitor_id: `vis_${journeyId}`,
+    event_type: eventType,
+    page_url: 'https://morehouse.org.uk/',
+    occurred_at: new Date(Date.UTC(2026, 0, 12, 10, 0, seconds)).toISOString(),
+    ...extra
+  });
+
+  it('reports the first event of a new journey as its arrival', () => {
+    const messages = realtime.ingestMessages([
+      event('new', 'scroll_depth', 5),
+      event('new', 'page_view', 0, { referrer: 'https://www.google.co.uk/', metadata: { location: { countryCode: 'GB', city: 'London' } } }),
+      event('old', 'page_view', 3, { page_url: 'https://morehouse.org.uk/fees' }),
+      event('old', 'cta_click', 4, { cta_label: 'Book a visit' }),
+      event('old', 'heartbeat', 6)
+    ], new Set(['old']));
+
+    assert.deepEqual(messages.map(m => `${m.type}:${m.journey_id}`), ['arrival:new', 'page_view:old', 'cta_click:old']);
+    assert.equal(messages[0].channel, 'Organic Search');
+    assert.deepEqual(messages[0].location, { countryCode: 'GB', city: 'London' });
+    assert.equal(messages[1].page_url, 'https://morehouse.org.uk/fees');
+    assert.equal(messages[2].cta_label, 'Book a visit');
+  });
+
+  it('skips bots and events without a site', () => {
+    const messages = realtime.ingestMessages([
+      event('crawler', 'page_view', 0, { is_bot: true }),
+      event('suspect', 'page_view', 0, { bot_score: 45 }),
+      event('unknown', 'page_view', 0, { site_id: null })
+    ], new Set());
+
+    assert.deepEqual(messages, []);
+  });
+});
+
+describe('publishing from ingest and rebuild', () => {
+  it('publishes arrivals and page changes once the batch is stored', async () => {
+    await enqueue([{ journey_id: 'jrn_live', event_type: 'page_view', page_url: 'https://morehouse.org.uk/' }]);
+    // Nobody watching: nothing to look up
+    await processQueueBatch();
+    assert.equal(db.queries.filter(q => /SELECT DISTINCT journey_id/.test(q.sql)).length, 0);
+
+    subscription = collect(1);
+    await enqueue([
+      { journey_id: 'jrn_live', event_type: 'page_view', page_url: 'https://morehouse.org.uk/fees' },
+      { journey_id: 'jrn_next', event_type: 'page_view', page_url: 'https://morehouse.org.uk/' },
+      { journey_id: 'jrn_other', event_type: 'page_view', tracking_key: 'tk_other' }
+    ]);
+    assert.equal(await processQueueBatch(), 3);
+
+    assert.deepEqual(subscription.messages.map(m => `${m.type}:${m.journey_id}`), ['page_view:jrn_live', 'arrival:jrn_next']);
+    assert.equal(db.journeyEvents.length, 4);
+  });
+
+  it('publishes a conversion when the rebuild sees a journey convert', async () => {
+    subscription = collect(1);
+    fakeDb.seedEvents(recent(humanEnquiry()));
+
+    await runJourneyRebuild();
+
+    assert.deepEqual(subscription.messages.map(m => m.type), ['conversion']);
+    assert.equal(subscription.messages[0].journey_id, 'jrn_human_enquiry');
+    assert.equal(subscription.messages[0].outcome, 'enquiry_submitted');
+  });
+});
+
+describe('live journey follow', () => {
+  it('labels tracker events for the timeline', () => {
+    const page = 'https://morehouse.org.uk/admissions?ref=nav';
+    assert.equal(describeEvent({ event_type: 'page_view', page_url: page }), 'Viewed /admissions');
+    assert.equal(describeEvent({ event_type: 'scroll_depth', page_url: page, metadata: { depth_percent: 75 } }), 'Scrolled 75% down /admissions');
+    assert.equal(describeEvent({ event_type: 'section_visibility', metadata: { section: 'fees', visibility_time: 12.5 } }), 'Read the "fees" section for 12.5s');
+    assert.equal(describeEvent({ event_type: 'cta_hover', cta_label: 'Book a visit', metadata: { hover_duration: 2.3 } }), 'Hovered over "Book a visit" for 2.3s without clicking');
+    assert.equal(describeEvent({ event_type: 'form_field_focus', metadata: { field_name: 'email' } }), 'Focused the email field');
+    assert.equal(describeEvent({ event_type: 'page_exit', page_url: page, metadata: { to_url: 'https://morehouse.org.uk/fees' } }), 'Went from /admissions to /fees');
+    assert.equal(describeEvent({ event_type: 'video_play' }), 'video play');
+  });
+
+  it('derives activity from the latest event and a running intent score', () => {
+    const events = humanEnquiry();
+    const lastSeen = Date.parse(events[events.length - 1].occurred_at);
+
+    const status = journeyStatus(events, new Date(lastSeen + 20 * 1000));
+    assert.equal(status.activity, 'active');
+    assert.equal(status.last_heartbeat, at(150));
+    assert.equal(status.current_page, 'https://school.example/contact');
+    assert.equal(status.event_count, events.length);
+    assert.equal(status.intent_score, 9);
+    assert.equal(status.intent_strength, 'high');
+
+    // Only the first page so far
+    assert.equal(journeyStatus(events.slice(0, 2), new Date(Date.parse(at(10)))).intent_strength, 'low');
+
+    assert.equal(journeyStatus(events, new Date(lastSeen + 5 * 60 * 1000)).activity, 'idle');
+    assert.equal(journeyStatus(events, new Date(lastSeen + 31 * 60 * 1000)).activity, 'left');
+    assert.equal(journeyStatus([...events, { event_type: 'page_exit', occurred_at: at(151) }], new Date(lastSeen)).activity, 'left');
+    // A client-side route change is not leaving
+    const routeChange = { event_type: 'page_exit', occurred_at: at(151), metadata: { to_url: 'https://school.example/fees' } };
+    assert.equal(journeyStatus([...events, routeChange], new Date(lastSeen)).activity, 'active');
+  });
+
+  it('sends a snapshot, then new events when the journey moves', async () => {
+    // Shifted so the visitor is on the admissions page right now
+    const fixture = humanEnquiry('jrn_follow');
+    const shift = Date.now() - Date.parse(fixture[6].occurred_at);
+    const events = fixture.map(e => ({ ...e, occurred_at: new Date(Date.parse(e.occurred_at) + shift).toISOString() }));
+    fakeDb.seedEvents(events.slice(0, 5));
+
+    const messages = [];
+    const stop = followJourney('jrn_follow', 1, message => messages.push(message));
+    try {
+      await waitFor(() => messages.length === 1);
+      assert.equal(messages[0].type, 'snapshot');
+      assert.deepEqual(messages[0].events.map(e => e.event_type), ['page_view', 'scroll_depth', 'section_view', 'scroll_depth', 'heartbeat']);
+      assert.equal(messages[0].status.activity, 'active');
+
+      // Another site's journey with the same id is not followed
+      fakeDb.seedEvents([{ ...events[5], site_id: 2 }]);
+      fakeDb.seedEvents(events.slice(5, 7));
+      await realtime.publish([{ type: 'page_view', site_id: 1, journey_id: 'jrn_follow' }]);
+      await waitFor(() => messages.some(m => m.type === 'status'));
+
+      const added = messages.find(m => m.type === 'events');
+      assert.deepEqual(added.events.map(e => e.label), ['Viewed /admissions', 'Read the "fees" section']);
+      assert.equal(messages.find(m => m.type === 'status').current_page, 'https://school.example/admissions');
+    } finally {
+      stop();
+    }
+  });
+});
+
+describe('GET /realtime/stream', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.session = { userId: 1, currentSiteId: 1 };
+      next();
+    });
+    app.use('/realtime', realtimeRouter);
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('streams messages for the current site as Server-Sent Events', async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}/realtime/stream`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    assert.match(res.headers.get('cache-control'), /no-transform/);
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let body = '';
+    const readUntil = async (text) => {
+      while (!body.includes(text)) {
+        const { value } = await reader.read();
+        body += decoder.decode(value);
+      }
+    };
+
+    await readUntil('event: ready');
+    await realtime.publish([
+      { type: 'arrival', site_id: 2, journey_id: 'jrn_other' },
+      { type: 'arrival', site_id: 1, journey_id: 'jrn_mine' }
+    ]);
+    await readUntil('jrn_mine');
+    controller.abort();
+
+    assert.match(body, /^retry: 5000\n\n/);
+    assert.ok(body.includes(`event: arrival\ndata: ${JSON.stringify({ type: 'arrival', site_id: 1, journey_id: 'jrn_mine' })}\n\n`));
+    assert.ok(!body.includes('jrn_other'));
+  });
+
+  it('streams a snapshot of a followed journey', async () => {
+    fakeDb.seedEvents(humanEnquiry('jrn_followed').slice(0, 3));
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}/realtime/journeys/jrn_followed/stream`, { signal: controller.signal });
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let body = '';
+    while (!body.includes('event: snapshot')) {
+      const { value } = await reader.read();
+      body += decoder.decode(value);
+    }
+    controller.abort();
+
+    const snapshot = JSON.parse(body.split('event: snapshot\ndata: ')[1].split('\n')[0]);
+    assert.deepEqual(snapshot.events.map(e => e.label), ['Viewed /', 'Scrolled 50% down /', 'Read the "ethos" section']);
+    assert.equal(snapshot.status.activity, 'left');
+  });
+});
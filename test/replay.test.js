@@ -0,0 +1,249 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const zlib = require('node:zlib');
+const express = require('express');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const app = require('../src/app');
+const journeysRouter = require('../src/routes/journeys');
+const {
+  parseReplayBody,
+  validateReplayChunk,
+  storeReplayChunk,
+  loadReplay,
+  getReplayInfo,
+  pruneReplays
+} = require('../src/services/sessionReplay');
+
+const T0 = Date.parse('2026-03-02T10:00:00Z');
+
+function snapshotEvents(t, href = 'https://school.example/') {
+  return [
+    { type: 'meta', t, data: { href, width: 1280, height: 800 } },
+    { type: 'snapshot', t, data: { node: { id: 1, type: 9, children: [] }, scroll: { x: 0, y: 0 } } }
+  ];
+}
+
+function chunkBody(overrides = {}) {
+  return {
+    journey_id: 'jrn_replay_1',
+    visitor_id: 'vis_replay_1',
+    tracking_key: 'tk_test_school',
+    seq: 0,
+    page_url: 'https://school.example/',
+    sent_at: T0 + 1000,
+    events: [
+      ...snapshotEvents(T0),
+      { type: 'move', t: T0 + 500, data: { x: 10, y: 20 } },
+      { type: 'click', t: T0 + 900, data: { id: 5, x: 10, y: 20 } }
+    ],
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  fakeDb.reset();
+  db.sites.push({ id: 7, name: 'Test School', domain: 'school.example', tracking_key: 'tk_test_school' });
+});
+
+describe('validateReplayChunk', () => {
+  it('accepts a chunk and sorts its events by time', () => {
+    const body = chunkBody();
+    body.events.reverse();
+    const { chunk, errors } = validateReplayChunk(body);
+
+    assert.deepEqual(errors, []);
+    assert.equal(chunk.journeyId, 'jrn_replay_1');
+    assert.equal(chunk.trackingKey, 'tk_test_school');
+    assert.equal(chunk.seq, 0);
+    assert.deepEqual(chunk.events.map(e => e.t), [T0, T0, T0 + 500, T0 + 900]);
+  });
+
+  it('reports every problem with a bad chunk', () => {
+    const { chunk, errors } = validateReplayChunk({ seq: -1, events: [{ type: 'keylog', t: 1 }] });
+
+    assert.equal(chunk, null);
+    assert.deepEqual(errors, [
+      'journey_id is required',
+      'tracking_key is required',
+      'seq must be a whole number',
+      'invalid event at index 0'
+    ]);
+    assert.deepEqual(validateReplayChunk(chunkBody({ events: [] })).errors, ['events must be a non-empty array']);
+  });
+});
+
+describe('storeReplayChunk / loadReplay', () => {
+  it('moves event times onto the server clock and ignores a resent chunk', async () => {
+    const { chunk } = validateReplayChunk(chunkBody());
+    // The tracker clock is 5 seconds behind the server
+    const receivedAt = T0 + 6000;
+
+    assert.equal(await storeReplayChunk(7, chunk, receivedAt), true);
+    assert.equal(await storeReplayChunk(7, chunk, receivedAt), false);
+    assert.equal(db.replayChunks.length, 1);
+
+    const stored = db.replayChunks[0];
+    assert.equal(stored.has_snapshot, true);
+    assert.equal(stored.event_count, 4);
+    assert.equal(stored.started_at.getTime(), T0 + 5000);
+    assert.ok(Buffer.isBuffer(stored.data));
+
+    const replay = await loadReplay('jrn_replay_1', 7);
+    assert.deepEqual(replay.events.map(e => e.t), [T0 + 5000, T0 + 5000, T0 + 5500, T0 + 5900]);
+    assert.deepEqual(replay.pages, [{ url: 'https://school.example/', t: T0 + 5000 }]);
+  });
+
+  it('joins chunks in seq order and drops deltas recorded before the first snapshot', async () => {
+    const later = validateReplayChunk(chunkBody({
+      seq: 2,
+      sent_at: null,
+      events: snapshotEvents(T0 + 60000, 'https://school.example/admissions')
+    })).chunk;
+    const orphan = validateReplayChunk(chunkBody({
+      seq: 1,
+      sent_at: null,
+      events: [{ type: 'move', t: T0 - 1000, data: { x: 1, y: 1 } }]
+    })).chunk;
+    await storeReplayChunk(7, later);
+    await storeReplayChunk(7, orphan);
+
+    const replay = await loadReplay('jrn_replay_1', 7);
+    assert.deepEqual(replay.events.map(e => e.type), ['meta', 'snapshot']);
+    assert.equal(replay.pages[0].url, 'https://school.example/admissions');
+
+    const info = await getReplayInfo('jrn_replay_1', 7);
+    assert.equal(info.chunkCount, 2);
+    assert.equal(info.pageCount, 1);
+  });
+
+  it('has no recording for another site or an unrecorded journey', async () => {
+    await storeReplayChunk(7, validateReplayChunk(chunkBody()).chunk);
+
+    assert.equal(await loadReplay('jrn_replay_1', 8), null);
+    assert.equal(await getReplayInfo('jrn_other', 7), null);
+  });
+});
+
+describe('parseReplayBody', () => {
+  it('reads plain and gzipped JSON and rejects anything else', async () => {
+    const json = Buffer.from(JSON.stringify({ seq: 3 }));
+
+    assert.deepEqual(await parseReplayBody(json), { seq: 3 });
+    assert.deepEqual(await parseReplayBody(zlib.gzipSync(json), 'gzip'), { seq: 3 });
+    await assert.rejects(parseReplayBody(Buffer.from('not json')));
+    await assert.rejects(parseReplayBody(json, 'gzip'));
+  });
+});
+
+describe('pruneReplays', () => {
+  it('deletes chunks older than the retention period', async () => {
+    await storeReplayChunk(7, validateReplayChunk(chunkBody()).chunk);
+    await storeReplayChunk(7, validateReplayChunk(chunkBody({ seq: 1 })).chunk);
+    db.replayChunks[0].created_at = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+
+    assert.equal(await pruneReplays(new Date(), 30), 1);
+    assert.deepEqual(db.replayChunks.map(c => c.seq), [1]);
+  });
+});
+
+describe('POST /api/replay', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  function postChunk(body, query = '') {
+    return fetch(`${baseUrl}/api/replay${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Forwarded-For': '10.0.0.5' },
+      body
+    });
+  }
+
+  it('stores a gzipped chunk for the tracking key\'s site', async () => {
+    const res = await postChunk(zlib.gzipSync(JSON.stringify(chunkBody({ sent_at: Date.now() }))), '?encoding=gzip');
+
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { success: true, stored: true });
+    assert.equal(db.replayChunks.length, 1);
+    assert.equal(db.replayChunks[0].site_id, 7);
+    assert.equal(db.replayChunks[0].visitor_id, 'vis_replay_1');
+  });
+
+  it('accepts an uncompressed chunk and reports a duplicate as not stored', async () => {
+    const body = JSON.stringify(chunkBody());
+
+    assert.deepEqual(await (await postChunk(body)).json(), { success: true, stored: true });
+    assert.deepEqual(await (await postChunk(body)).json(), { success: true, stored: false });
+  });
+
+  it('rejects bad bodies, invalid chunks and unknown tracking keys', async () => {
+    let res = await postChunk('{"journey_id":');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { success: false, errors: ['body must be JSON (optionally gzipped)'] });
+
+    res = await postChunk(JSON.stringify(chunkBody({ events: 'none' })));
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors, ['events must be a non-empty array']);
+
+    res = await postChunk(JSON.stringify(chunkBody({ tracking_key: 'tk_nope' })));
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).errors, ['unknown tracking_key']);
+    assert.equal(db.replayChunks.length, 0);
+  });
+
+  it('refuses chunks recorded without consent', async () => {
+    const granted = await postChunk(JSON.stringify(chunkBody({ consent: 'granted' })));
+    assert.deepEqual(await granted.json(), { success: true, stored: true });
+
+    const res = await postChunk(JSON.stringify(chunkBody({ seq: 1, consent: 'pending' })));
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { success: true, skipped: true, reason: 'no_consent' });
+    assert.equal(db.replayChunks.length, 1);
+  });
+});
+
+describe('GET /journeys/:id/replay', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const journeysApp = express();
+    journeysApp.use((req, res, next) => {
+      req.session = { userId: 1, currentSiteId: 7 };
+      next();
+    });
+    journeysApp.use('/journeys', journeysRouter);
+    server = journeysApp.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('returns the recording for the player, or 404 without one', async () => {
+    await storeReplayChunk(7, validateReplayChunk(chunkBody()).chunk, T0 + 1000);
+
+    const res = await fetch(`${baseUrl}/journeys/jrn_replay_1/replay`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.success, true);
+    assert.equal(body.events.length, 4);
+    assert.deepEqual(body.pages, [{ url: 'https://school.example/', t: T0 }]);
+
+    const missing = await fetch(`${baseUrl}/journeys/jrn_none/replay`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { success: false, error: 'No recording for this journey' });
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+process.env.NODE_ENV = 'test';
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+const {
+  FEATURES,
+  DEFAULT_FEATURES,
+  stripFeatures,
+  buildTrackingScript,
+  withTrackingKey,
+  trackerFeaturesFromForm,
+  getTrackingScript,
+  clearTrackerCache
+} = require('../src/services/trackerBuild');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../gtm/trackingScript.js'), 'utf8');
+
+// A function each feature's block defines, so a build shows which it includes
+const FEATURE_MARKERS = {
+  fingerprint: 'function getFingerprint(',
+  js_challenge: 'function runJsChallenge(',
+  behaviour: 'function trackBehaviourPatterns(',
+  honeypot: 'function injectHoneypots(',
+  ux: 'function trackDeadClicks(',
+  school_intents: 'function detectSchoolIntent('
+};
+
+function includedFeatures(script) {
+  return FEATURES.filter(feature => script.includes(FEATURE_MARKERS[feature]));
+}
+
+describe('stripFeatures', () => {
+  const source = [
+    'core();',
+    '// @feature honeypot',
+    'trap();',
+    '// @end honeypot',
+    '  // @feature ux',
+    '  dead();',
+    '  // @end ux',
+    'more();'
+  ].join('\n');
+
+  it('keeps enabled blocks, drops the rest, and removes every marker', () => {
+    assert.equal(stripFeatures(source, ['ux']), 'core();\n  dead();\nmore();');
+    assert.equal(stripFeatures(source, []), 'core();\nmore();');
+  });
+
+  it('refuses unknown, nested and unbalanced markers', () => {
+    assert.throws(() => stripFeatures('// @feature typo\n// @end typo', []), /Unknown tracker feature "typo" on line 1/);
+    assert.throws(() => stripFeatures('// @feature ux\n// @feature honeypot', []), /opened inside "ux" on line 2/);
+    assert.throws(() => stripFeatures('// @end ux', []), /Unexpected end of feature "ux"/);
+    assert.throws(() => stripFeatures('// @feature ux\nx();', []), /"ux" is never closed/);
+  });
+});
+
+describe('buildTrackingScript', () => {
+  it('builds valid JavaScript from the tracker source for any feature set', () => {
+    for (const features of [[], FEATURES, DEFAULT_FEATURES, ...FEATURES.map(f => [f])]) {
+      const script = buildTrackingScript(SOURCE, { features });
+      assert.doesNotThrow(() => new vm.Script(script), `features: ${features.join(',') || 'none'}`);
+      assert.deepEqual(includedFeatures(script), features);
+      assert.doesNotMatch(script, /^\s*\/\/ @(feature|end) /m);
+    }
+  });
+
+  it('points the tracker at the server and fills in a sanitised tracking key', () => {
+    const script = withTrackingKey(
+      buildTrackingScript(SOURCE, { features: [], serverUrl: 'https://analytics.test' }),
+      "tk_school';alert(1)//"
+    );
+    assert.match(script, /endpoint: 'https:\/\/analytics\.test\/api\/event'/);
+    assert.match(script, /batchEndpoint: 'https:\/\/analytics\.test\/api\/events\/batch'/);
+    assert.match(script, /pixelEndpoint: 'https:\/\/analytics\.test\/p\.gif'/);
+    assert.match(script, /replayEndpoint: 'https:\/\/analytics\.test\/api\/replay'/);
+    assert.match(script, /trackingKey: 'tk_schoolalert1'/);
+  });
+});
+
+describe('getTrackingScript', () => {
+  beforeEach(() => {
+    fakeDb.reset();
+    clearTrackerCache();
+    db.sites.push(
+      { id: 1, name: 'More House', domain: 'morehouse.org.uk', tracking_key: 'tk_more', tracker_features: ['honeypot', 'school_intents'] },
+      { id: 2, name: 'Core Only', domain: 'core.example', tracking_key: 'tk_core', tracker_features: [] },
+      { id: 3, name: 'Never Chosen', domain: 'default.example', tracking_key: 'tk_default', tracker_features: null }
+    );
+  });
+
+  it('serves each site the features it has enabled', async () => {
+    const more = await getTrackingScript('tk_more');
+    assert.deepEqual(includedFeatures(more), ['honeypot', 'school_intents']);
+    assert.match(more, /trackingKey: 'tk_more'/);
+
+    assert.deepEqual(includedFeatures(await getTrackingScript('tk_core')), []);
+    assert.deepEqual(includedFeatures(await getTrackingScript('tk_default')), DEFAULT_FEATURES);
+  });
+
+  it('serves the defaults for unknown or missing keys', async () => {
+    assert.deepEqual(includedFeatures(await getTrackingScript('tk_unknown')), DEFAULT_FEATURES);
+    assert.match(await getTrackingScript(''), /trackingKey: ''/);
+  });
+
+  it('picks up changed features once the cache is cleared', async () => {
+    await getTrackingScript('tk_core');
+    db.sites[1].tracker_features = ['ux'];
+    assert.deepEqual(includedFeatures(await getTrackingScript('tk_core')), []);
+
+    clearTrackerCache();
+    assert.deepEqual(includedFeatures(await getTrackingScript('tk_core')), ['ux']);
+  });
+});
+
+describe('trackerFeaturesFromForm', () => {
+  it('reads one, several or no ticked features and ignores unknown ones', () => {
+    assert.deepEqual(trackerFeaturesFromForm({ features: 'honeypot' }), ['honeypot']);
+    assert.deepEqual(trackerFeaturesFromForm({ features: ['ux', 'bogus', 'fingerprint'] }), ['fingerprint', 'ux']);
+    assert.deepEqual(trackerFeaturesFromForm({}), []);
+  });
+});
@@ -0,0 +1,306 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('node:events');
+
+const fakeDb = require('./helpers/fakeDb');
+const db = fakeDb.install();
+
+const {
+  signPayload,
+  validateWebhook,
+  emitWebhookEvent,
+  journeyLifecycleEvents,
+  processDueWebhookDeliveries,
+  sendTestWebhook,
+  checkBotSpikes
+} = require('../src/services/webhooks');
+const { runJourneyRebuild } = require('../src/services/journeyRebuild');
+const { rescoreVisitor, clearLeadScoreSettingsCache } = require('../src/services/leadScoring');
+const { recordConversion, validateConversion } = require('../src/services/conversions');
+const { at, humanEnquiry } = require('./fixtures/eventStreams');
+
+const SECRET = 'whsec_test_secret';
+const HOUR = 60 * 60 * 1000;
+
+// Local receiver: records every request and answers with the queued statuses (then 200)
+let receiver;
+let receiverUrl;
+const received = [];
+const statuses = [];
+
+function verify(request) {
+  const expected = `sha256=${signPayload(SECRET, request.headers['x-webhook-timestamp'], request.body)}`;
+  return crypto.timingSafeEqual(Buffer.from(request.headers['x-webhook-signature']), Buffer.from(expected));
+}
+
+function subscribe(eventTypes, extra = {}) {
+  const webhook = {
+    id: db.webhookSubscriptions.length + 1,
+    site_id: 1,
+    name: 'CRM',
+    url: receiverUrl,
+    secret: SECRET,
+    event_types: eventTypes,
+    is_active: true,
+    ...extra
+  };
+  db.webhookSubscriptions.push(webhook);
+  return webhook;
+}
+
+function deliveriesOf(type) {
+  return db.webhookDeliveries.filter(d => d.event_type === type);
+}
+
+// Fixture events moved so the journey ended a minute ago (lifecycle events
+// are only sent for recent journeys)
+function recent(events) {
+  const shift = Date.now() - 60 * 1000 - Date.parse(events[events.length - 1].occurred_at);
+  return events.map(e => ({ ...e, occurred_at: new Date(Date.parse(e.occurred_at) + shift).toISOString() }));
+}
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+  receiver.listen(0);
+  await once(receiver, 'listening');
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+after(() => receiver.close());
+
+beforeEach(() => {
+  fakeDb.reset();
+  clearLeadScoreSettingsCache(1);
+  received.length = 0;
+  statuses.length = 0;
+  db.sites.push({ id: 1, name: 'School', domain: 'school.example', tracking_key: 'tk_school' });
+});
+
+describe('webhook subscriptions', () => {
+  it('validates the admin form', () => {
+    const { webhook, errors } = validateWebhook({
+      name: ' CRM ',
+      url: 'https://crm.example/hooks',
+      event_types: ['journey.converted', 'journey.started']
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(webhook.name, 'CRM');
+    assert.deepEqual(webhook.event_types, ['journey.started', 'journey.converted']);
+
+    assert.deepEqual(validateWebhook({ name: '', url: 'ftp://crm.example', event_types: 'journey.deleted' }).errors, [
+      'Webhook name is required',
+      'URL must be a valid http(s) address',
+      'Select at least one event',
+      'Unknown event requested'
+    ]);
+  });
+
+  it('sends a signed test event straight away', async () => {
+    const webhook = subscribe(['journey.started']);
+
+    const delivery = await sendTestWebhook(webhook);
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.last_status_code, 200);
+    assert.equal(delivery.last_response, 'ok');
+    assert.equal(received.length, 1);
+    const [request] = received;
+    assert.ok(verify(request));
+    assert.equal(request.headers['x-webhook-event'], 'webhook.test');
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.id, request.headers['x-webhook-id']);
+    assert.equal(payload.site_id, 1);
+    assert.equal(payload.data.webhook_id, webhook.id);
+  });
+
+  it('does not retry a failed test event', async () => {
+    statuses.push(500);
+    const delivery = await sendTestWebhook(subscribe(['journey.started']));
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.last_error, 'HTTP 500');
+  });
+});
+
+describe('webhook delivery', () => {
+  it('queues an event once per matching active subscription', async () => {
+    subscribe(['journey.started']);
+    subscribe(['journey.started'], { is_active: false });
+    subscribe(['journey.converted']);
+
+    assert.equal(await emitWebhookEvent(1, 'journey.started', { journey_id: 'j1' }, { dedupeKey: 'journey.started:j1' }), 1);
+    assert.equal(await emitWebhookEvent(1, 'journey.started', { journey_id: 'j1' }, { dedupeKey: 'journey.started:j1' }), 0);
+    assert.equal(db.webhookDeliveries.length, 1);
+    assert.equal(db.webhookDeliveries[0].subscription_id, 1);
+  });
+
+  it('never throws when queueing fails', async () => {
+    subscribe(['journey.started']);
+    db.failQuery = (sql) => /INSERT INTO webhook_deliveries/.test(sql);
+
+    assert.equal(await emitWebhookEvent(1, 'journey.started', {}), 0);
+  });
+
+  it('retries with exponential backoff until the receiver accepts', async () => {
+    subscribe(['journey.started']);
+    await emitWebhookEvent(1, 'journey.started', { journey_id: 'j1' });
+    statuses.push(500, 503);
+
+    const before = Date.now();
+    assert.deepEqual(await processDueWebhookDeliveries(), { delivered: 0, retrying: 1, failed: 0 });
+    const [delivery] = db.webhookDeliveries;
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_status_code, 500);
+    assert.ok(Date.parse(delivery.next_attempt_at) >= before + 30 * 1000);
+
+    // Not due yet
+    assert.deepEqual(await processDueWebhookDeliveries(), { delivered: 0, retrying: 0, failed: 0 });
+
+    delivery.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    const second = Date.now();
+    await processDueWebhookDeliveries();
+    assert.equal(delivery.attempts, 2);
+    assert.ok(Date.parse(delivery.next_attempt_at) >= second + 60 * 1000);
+
+    delivery.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    assert.deepEqual(await processDueWebhookDeliveries(), { delivered: 1, retrying: 0, failed: 0 });
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 3);
+
+    assert.equal(received.length, 3);
+    assert.equal(new Set(received.map(r => r.headers['x-webhook-id'])).size, 1);
+    assert.ok(received.every(verify));
+  });
+
+  it('records network errors and skips paused subscriptions', async () => {
+    const webhook = subscribe(['journey.started'], { url: 'http://127.0.0.1:1/unreachable' });
+    await emitWebhookEvent(1, 'journey.started', {});
+
+    await processDueWebhookDeliveries();
+    const [delivery] = db.webhookDeliveries;
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_status_code, null);
+    assert.ok(delivery.last_error);
+
+    webhook.is_active = false;
+    delivery.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    assert.deepEqual(await processDueWebhookDeliveries(), { delivered: 0, retrying: 0, failed: 0 });
+  });
+});
+
+describe('lifecycle events', () => {
+  const now = new Date(at(3600));
+  const journey = {
+    journey_id: 'jrn_1',
+    visitor_id: 'vis_1',
+    site_id: 1,
+    visit_number: 2,
+    first_seen: at(0),
+    last_seen: at(120),
+    outcome: 'enquiry_submitted'
+  };
+
+  it('maps a journey upsert to started, returned and converted events', () => {
+    const events = journeyLifecycleEvents(journey, { inserted: true, converted: true, was_converted: false }, now);
+
+    assert.deepEqual(events.map(e => e.type), ['journey.started', 'visitor.returned', 'journey.converted']);
+    assert.equal(events[2].data.source, 'tracker');
+    assert.equal(events[2].dedupeKey, 'journey.converted:jrn_1');
+  });
+
+  it('only reports a conversion the first time and skips bots and old journeys', () => {
+    assert.deepEqual(journeyLifecycleEvents(journey, { inserted: false, converted: true, was_converted: true }, now), []);
+    assert.deepEqual(journeyLifecycleEvents({ ...journey, is_bot: true }, { inserted: true, converted: true }, now), []);
+    assert.deepEqual(journeyLifecycleEvents(journey, { inserted: true, converted: true }, new Date(at(3 * 86400))), []);
+  });
+
+  it('queues lifecycle events from the journey rebuild', async () => {
+    subscribe(['journey.started', 'journey.converted', 'visitor.returned']);
+    fakeDb.seedEvents(recent(humanEnquiry()));
+
+    await runJourneyRebuild();
+
+    assert.equal(deliveriesOf('journey.started').length, 1);
+    assert.equal(deliveriesOf('journey.converted').length, 1);
+    assert.equal(deliveriesOf('visitor.returned').length, 0);
+    assert.equal(deliveriesOf('journey.started')[0].payload.data.visitor_id, 'vis_parent_1');
+
+    // Rebuilding the same journey again sends nothing new
+    db.dirtyJourneys.push({ journey_id: deliveriesOf('journey.started')[0].payload.data.journey_id, attempts: 0, marked_at: new Date().toISOString() });
+    await runJourneyRebuild();
+    assert.equal(db.webhookDeliveries.length, 2);
+  });
+
+  it('reports a new offline conversion on a journey', async () => {
+    subscribe(['journey.converted']);
+    db.journeys.set('j1', { journey_id: 'j1', visitor_id: 'vis_1', site_id: 1, first_seen: at(0), last_seen: at(60), outcome: 'browsing' });
+    const { conversion } = validateConversion({ enquiry_id: 'ENQ-1', type: 'enquiry', journey_id: 'j1' }, new Date(at(120)));
+
+    await recordConversion(1, conversion, 'crm');
+    await recordConversion(1, conversion, 'crm');
+
+    const deliveries = deliveriesOf('journey.converted');
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].payload.data.source, 'offline');
+    assert.equal(deliveries[0].payload.data.enquiry_id, 'ENQ-1');
+  });
+
+  it('reports a lead score rising into the hot band once', async () => {
+    subscribe(['lead.score_threshold_crossed']);
+    db.sites[0].lead_score_settings = { weights: { visits: 0, fees_dwell: 0, cta_hesitation: 0, video: 0, form_progress: 10 }, half_life_days: 14 };
+    fakeDb.seedEvents(humanEnquiry());
+
+    await rescoreVisitor(1, 'vis_parent_1', new Date(at(150)));
+    await rescoreVisitor(1, 'vis_parent_1', new Date(at(150)));
+
+    const [delivery] = deliveriesOf('lead.score_threshold_crossed');
+    assert.equal(deliveriesOf('lead.score_threshold_crossed').length, 1);
+    assert.equal(delivery.payload.data.score, 100);
+    assert.equal(delivery.payload.data.previous_score, null);
+    assert.equal(delivery.payload.data.threshold, 70);
+  });
+});
+
+describe('bot spikes', () => {
+  function addBotJourneys(count, firstSeen) {
+    for (let i = 0; i < count; i++) {
+      const id = `bot_${db.journeys.size}`;
+      db.journeys.set(id, { journey_id: id, site_id: 1, is_bot: true, first_seen: firstSeen });
+    }
+  }
+
+  it('reports a spike once per hour', async () => {
+    subscribe(['bot.spike_detected']);
+    const now = new Date();
+    addBotJourneys(25, new Date(now.getTime() - 10 * 60 * 1000).toISOString());
+
+    assert.deepEqual(await checkBotSpikes(now), [1]);
+    await checkBotSpikes(now);
+
+    const deliveries = deliveriesOf('bot.spike_detected');
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].payload.data.bot_journeys, 25);
+  });
+
+  it('ignores bot traffic at the usual rate', async () => {
+    subscribe(['bot.spike_detected']);
+    const now = new Date();
+    addBotJourneys(25, new Date(now.getTime() - 10 * 60 * 1000).toISOString());
+    // ~20 an hour all week
+    addBotJourneys(168 * 20, new Date(now.getTime() - 3 * 24 * HOUR).toISOString());
+
+    assert.deepEqual(await checkBotSpikes(now), []);
+    assert.equal(db.webhookDeliveries.length, 0);
+  });
+});